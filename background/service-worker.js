@@ -1,16 +1,101 @@
 import { processCapture, getActiveCaptures, getCaptureStats } from '../lib/capture.js';
-import { findRelevantKnowledge, searchKnowledge } from '../lib/relevance.js';
+import { findRelevantKnowledge, findRelevantPassages, searchKnowledge } from '../lib/relevance.js';
 import { formatForInjection, formatBatchForInjection, formatConversationForInjection } from '../lib/injector.js';
 import { trackInjection, trackSearchHit, flush as flushTracker } from '../lib/tracker.js';
 import { dbGet, dbGetAll } from '../lib/db.js';
+import { initEmbeddings, ensureEmbeddings, embed, OFFSCREEN_TARGET } from '../lib/embeddings.js';
+import { processEmbeddingQueue, syncEmbeddingIndexes, startReindex, pauseReindex, resumeReindex, getReindexState } from '../lib/embedding-store.js';
+import { enqueueConversation, runQueue, runQueueNow, recoverQueue, isQueueAlarm, pauseQueue, resumeQueue, retryFailedJobs, removeJob, getQueueStatus, saveQueueSettings } from '../lib/summary-queue.js';
+import { getItems, updateItem } from '../lib/action-items.js';
+import { mergeSplitConversations } from '../lib/identity.js';
+import { withoutUnsupportedClaims } from '../lib/grounding.js';
+import { findExclusion, describeRule, pauseConversation, resumeConversation } from '../lib/exclusions.js';
 
 console.log('[AI Context Bridge] Service worker loaded successfully');
 
 // Open side panel on toolbar click
 chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
 
+// Load the embeddings model in the offscreen host, then embed anything
+// captured while it was unavailable, make sure the ANN indexes exist and
+// finish a re-index job the worker was suspended in the middle of
+initEmbeddings().then(loaded => {
+  if (!loaded) return;
+  drainEmbeddingQueue()
+    .then(() => syncEmbeddingIndexes())
+    .then(() => resumeReindex({ onlyIfRunning: true }))
+    .catch(err => console.warn('[AI Context Bridge] Embedding startup error:', err.message));
+});
+
+// Put back summary jobs interrupted by the worker being suspended, and make
+// sure the alarm for the next due one is set
+recoverQueue().catch(err => console.warn('[AI Context Bridge] Summary queue startup error:', err.message));
+
+// After an update, store platform ids on older captures and reunite
+// conversations that were split into several records
+chrome.runtime.onInstalled.addListener(({ reason }) => {
+  if (reason !== 'update') return;
+  mergeSplitConversations()
+    .then(({ merged }) => { if (merged > 0) chrome.runtime.sendMessage({ type: 'DATA_CHANGED' }).catch(() => {}); })
+    .catch(err => console.warn('[AI Context Bridge] Conversation merge error:', err.message));
+});
+
+// The alarm wakes the worker when a queued conversation has been idle long enough
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (isQueueAlarm(alarm)) drainSummaryQueue();
+});
+
+/**
+ * Summarize due conversations in the background (best-effort, not awaited).
+ * Open tabs are told to refresh if anything was summarized.
+ * @returns {Promise<void>}
+ */
+function drainSummaryQueue() {
+  return runQueue().then(result => {
+    if (result.done > 0) broadcastDataChanged();
+  }, err => {
+    console.warn('[AI Context Bridge] Summary queue error:', err.message);
+  });
+}
+
+/**
+ * Tell the content scripts in every tab that the knowledge base changed.
+ * @returns {Promise<void>}
+ */
+async function broadcastDataChanged() {
+  const allTabs = await chrome.tabs.query({});
+  for (const t of allTabs) {
+    try {
+      chrome.tabs.sendMessage(t.id, { type: 'DATA_CHANGED' }).catch(() => {});
+    } catch { /* tab may not have content script */ }
+  }
+}
+
+/**
+ * Embed queued conversations in the background (best-effort, not awaited).
+ * @returns {Promise<void>}
+ */
+function drainEmbeddingQueue() {
+  return processEmbeddingQueue().then(() => {}, err => {
+    console.warn('[AI Context Bridge] Embedding queue error:', err.message);
+  });
+}
+
+/**
+ * A relevance result as sent to a chat tab: claims flagged by the
+ * hallucination check are left out, so they are never injected.
+ * @param {Object} result
+ * @returns {Object}
+ */
+function injectableResult(result) {
+  return { ...result, summary: withoutUnsupportedClaims(result.summary) };
+}
+
 // Message router — connects content scripts to lib modules
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Requests for the offscreen embeddings host are answered there, not here
+  if (message?.target === OFFSCREEN_TARGET) return false;
+
   console.log('[AI Context Bridge] Received message:', message.type);
   handleMessage(message, sender).then(result => {
     console.log('[AI Context Bridge] Sending response for:', message.type, result ? 'ok' : 'empty');
@@ -27,14 +112,24 @@ async function handleMessage(message, sender) {
     // ===== Live Capture (Agent 1) =====
     case 'CAPTURE_MESSAGES': {
       const captureResult = await processCapture(message.payload);
-      // Broadcast to sidepanel (best-effort, it may not be open)
-      if (captureResult.newMessages > 0) {
+      // Broadcast to sidepanel (best-effort, it may not be open). A branch
+      // switch changes what the summary covers, like new messages do.
+      if (captureResult.newMessages > 0 || captureResult.branchSwitched) {
         try {
           chrome.runtime.sendMessage({
             type: 'CONVERSATION_CAPTURED',
             conversationId: captureResult.conversationId,
           }).catch(() => {});
         } catch { /* sidepanel not open */ }
+        ensureEmbeddings().then(loaded => {
+          if (loaded) drainEmbeddingQueue();
+        });
+        dbGet('conversations', captureResult.conversationId)
+          .then(conv => conv && enqueueConversation(conv))
+          .catch(err => console.warn('[AI Context Bridge] Summary queue error:', err.message));
+      }
+      if (captureResult.purged) {
+        chrome.runtime.sendMessage({ type: 'DATA_CHANGED' }).catch(() => {});
       }
       return captureResult;
     }
@@ -42,6 +137,24 @@ async function handleMessage(message, sender) {
     case 'CAPTURE_CONVERSATION_START':
       return { ok: true };
 
+    // Exclusion rules (lib/exclusions.js) for the conversation in a tab
+    case 'CAPTURE_EXCLUSION_STATUS': {
+      const rule = await findExclusion(message.payload);
+      return {
+        excluded: !!rule,
+        paused: rule?.type === 'conversation',
+        reason: rule ? describeRule(rule) : null,
+      };
+    }
+
+    case 'CAPTURE_PAUSE':
+      await pauseConversation(message.payload);
+      return { ok: true };
+
+    case 'CAPTURE_RESUME':
+      await resumeConversation(message.payload);
+      return { ok: true };
+
     case 'CAPTURE_STATUS':
       return {
         active: await getActiveCaptures(),
@@ -53,20 +166,28 @@ async function handleMessage(message, sender) {
       console.log('[AI Context Bridge] FIND_RELEVANT context length:', message.contextText?.length);
       const summaries = await dbGetAll('summaries');
       console.log('[AI Context Bridge] Summaries in DB:', summaries?.length || 0);
+      await ensureEmbeddings();
       const relevant = await findRelevantKnowledge(message.contextText, message.options);
       console.log('[AI Context Bridge] Relevant results:', relevant?.length || 0);
-      return { results: relevant };
+      return { results: relevant.map(injectableResult) };
     }
 
     case 'SEARCH_KNOWLEDGE':
+      await ensureEmbeddings();
       const searchResults = await searchKnowledge(message.query, message.options);
-      return { results: searchResults };
+      return { results: searchResults.map(injectableResult) };
+
+    case 'FIND_PASSAGES': {
+      await ensureEmbeddings();
+      const passages = await findRelevantPassages(message.contextText, message.options);
+      return { results: passages };
+    }
 
     case 'FORMAT_INJECTION': {
       const summary = await dbGet('summaries', message.summaryId);
       const topic = message.topicId ? await dbGet('topics', message.topicId) : null;
       if (!summary) return { error: 'Summary not found' };
-      const text = formatForInjection(summary, topic, message.targetSystem);
+      const text = formatForInjection(withoutUnsupportedClaims(summary), topic, message.targetSystem);
       return { text };
     }
 
@@ -75,12 +196,67 @@ async function handleMessage(message, sender) {
       for (const item of (message.items || [])) {
         const s = await dbGet('summaries', item.summaryId);
         const t = item.topicId ? await dbGet('topics', item.topicId) : null;
-        if (s) items.push({ summary: s, topic: t });
+        if (s) items.push({ summary: withoutUnsupportedClaims(s), topic: t });
       }
       const text = formatBatchForInjection(items, message.targetSystem);
       return { text };
     }
 
+    case 'EMBED_TEXTS': {
+      const ready = await ensureEmbeddings(message.timeoutMs);
+      if (!ready) return { error: 'Embeddings model not loaded' };
+      const vectors = await embed(message.texts || []);
+      return { vectors };
+    }
+
+    // ===== Embedding Re-index =====
+    // The job outlives the request; progress is broadcast as REINDEX_PROGRESS
+    case 'REINDEX_START':
+      startReindex().catch(err => console.warn('[AI Context Bridge] Re-index error:', err.message));
+      return { ok: true };
+
+    case 'REINDEX_RESUME':
+      resumeReindex().catch(err => console.warn('[AI Context Bridge] Re-index error:', err.message));
+      return { ok: true };
+
+    case 'REINDEX_PAUSE':
+      await pauseReindex();
+      return { ok: true };
+
+    case 'REINDEX_STATUS':
+      return { state: await getReindexState() };
+
+    // ===== Auto-summarization Queue =====
+    // Runs outlive the request; progress is broadcast as SUMMARY_QUEUE_PROGRESS
+    case 'SUMMARY_QUEUE_STATUS':
+      return { status: await getQueueStatus() };
+
+    case 'SUMMARY_QUEUE_CONFIGURE':
+      return { settings: await saveQueueSettings(message.settings || {}) };
+
+    case 'SUMMARY_QUEUE_PAUSE':
+      await pauseQueue();
+      return { ok: true };
+
+    case 'SUMMARY_QUEUE_RESUME':
+      await resumeQueue();
+      drainSummaryQueue();
+      return { ok: true };
+
+    case 'SUMMARY_QUEUE_RUN_NOW':
+      await runQueueNow();
+      drainSummaryQueue();
+      return { ok: true };
+
+    case 'SUMMARY_QUEUE_RETRY':
+      await retryFailedJobs();
+      drainSummaryQueue();
+      return { ok: true };
+
+    case 'SUMMARY_QUEUE_REMOVE':
+      await removeJob(message.conversationId);
+      return { ok: true };
+
     // ===== Usage Tracking (Agent 3) =====
     case 'INJECT_USED':
       await trackInjection(message.summaryId, message.targetSystem || 'unknown');
@@ -116,10 +292,12 @@ async function handleMessage(message, sender) {
       return { ok: true };
 
     case 'GET_KNOWLEDGE_DATA': {
-      const [summaries, topics, conversations] = await Promise.all([
+      const [summaries, topics, conversations, openItems, entities] = await Promise.all([
         dbGetAll('summaries'),
         dbGetAll('topics'),
-        dbGetAll('conversations')
+        dbGetAll('conversations'),
+        getItems({ status: 'open' }),
+        dbGetAll('entities')
       ]);
       // Trim conversations to only fields needed for scoring + rendering
       const lightConversations = (conversations || []).map(c => ({
@@ -131,19 +309,33 @@ async function handleMessage(message, sender) {
         messageCount: c.messageCount,
         messages: (c.messages || []).slice(-6)
       }));
-      return { summaries: summaries || [], topics: topics || [], conversations: lightConversations };
+      const lightItems = openItems.map(item => ({
+        id: item.id,
+        kind: item.kind,
+        text: item.text,
+        owner: item.owner,
+        dueDate: item.dueDate,
+        conversationId: item.conversationId,
+        conversationTitle: item.conversationTitle,
+        source: item.source
+      }));
+      // Aliases are all the inject panel needs to spot entities in the chat
+      const lightEntities = entities.map(e => ({ id: e.id, aliases: e.aliases }));
+      // Claims flagged by the hallucination check are never injected
+      const injectable = (summaries || []).map(withoutUnsupportedClaims);
+      return { summaries: injectable, topics: topics || [], conversations: lightConversations, openItems: lightItems, entities: lightEntities };
+    }
+
+    case 'UPDATE_ACTION_ITEM': {
+      const item = await updateItem(message.id, message.changes || {});
+      if (item) await broadcastDataChanged();
+      return { ok: !!item, item };
     }
 
-    case 'DATA_CHANGED': {
+    case 'DATA_CHANGED':
       // Broadcast to all tabs so content scripts can refresh
-      const allTabs = await chrome.tabs.query({});
-      for (const t of allTabs) {
-        try {
-          chrome.tabs.sendMessage(t.id, { type: 'DATA_CHANGED' }).catch(() => {});
-        } catch { /* tab may not have content script */ }
-      }
+      await broadcastDataChanged();
       return { ok: true };
-    }
 
     default:
       return { error: `Unknown message type: ${message.type}` };
@@ -11,6 +11,10 @@
  *      the buffer to the service worker.
  *   5. Communicates with the background service worker via
  *      chrome.runtime.sendMessage using the CAPTURE_* message protocol.
+ *   6. Pauses capture for the current conversation when asked to by the
+ *      in-chat panel, through window.__ACB_CAPTURE.  The service worker
+ *      stores the pause as an exclusion rule (lib/exclusions.js) once the
+ *      chat has a platform id; until then messages are dropped here.
  *
  * Runs as a plain content script (IIFE, no ES modules).
  */
@@ -77,12 +81,21 @@
   /** Buffer of messages waiting to be flushed. */
   let messageBuffer = [];
 
+  /** The branch the page showed with the latest buffered messages. */
+  let bufferedPath = null;
+
   /** Handle for the debounce timer. */
   let debounceTimer = null;
 
   /** Whether capturing is active. */
   let isCapturing = false;
 
+  /** Whether capture is paused for the conversation on the page. */
+  let isPaused = false;
+
+  /** Whether messages were dropped while paused on a chat without an id. */
+  let droppedWithoutId = false;
+
   // ---------------------------------------------------------------------------
   // Communication with the service worker
   // ---------------------------------------------------------------------------
@@ -107,6 +120,24 @@
     }
   }
 
+  /**
+   * Send a message to the service worker and wait for its response.
+   * Resolves to null when the extension cannot be reached.
+   */
+  async function requestFromBackground(message) {
+    try {
+      return await chrome.runtime.sendMessage(message);
+    } catch {
+      return null;
+    }
+  }
+
+  function currentMeta() {
+    return window.__ACB_SITE
+      ? window.__ACB_SITE.getConversationMeta()
+      : { title: document.title, url: location.href, source };
+  }
+
   // ---------------------------------------------------------------------------
   // Buffer management & debounced flush
   // ---------------------------------------------------------------------------
@@ -118,9 +149,7 @@
     if (messageBuffer.length === 0) return;
 
     // Grab current metadata from the site module
-    const meta = window.__ACB_SITE
-      ? window.__ACB_SITE.getConversationMeta()
-      : { title: document.title, url: location.href, source };
+    const meta = currentMeta();
 
     // Drain injection context set by inject.js (knowledge lineage tracking)
     let injectionContext = null;
@@ -132,11 +161,18 @@
       source: meta.source || source,
       title: meta.title || 'Untitled',
       url: meta.url || location.href,
+      conversationId: meta.conversationId || null,
+      // Checked against the exclusion rules
+      gizmoId: meta.gizmoId || null,
+      projectId: meta.projectId || null,
+      projectName: meta.projectName || null,
       messages: messageBuffer.slice(), // copy
+      path: bufferedPath,
       injectionContext,
     };
 
     messageBuffer = [];
+    bufferedPath = null;
 
     sendToBackground({
       type: 'CAPTURE_MESSAGES',
@@ -148,12 +184,19 @@
    * Called by the site observer whenever new messages are detected.
    * Adds them to the buffer and resets the debounce timer.
    *
-   * @param {Array} messages — [{role, content, timestamp}]
+   * @param {Array} messages — [{role, content, parts, timestamp}]
+   * @param {Array<string>} [path] — hashes of the messages the page shows,
+   *   from observers that report branches
    */
-  function onMessages(messages) {
+  function onMessages(messages, path) {
     if (!Array.isArray(messages) || messages.length === 0) return;
+    if (isPaused) {
+      if (!currentMeta().conversationId) droppedWithoutId = true;
+      return;
+    }
 
     messageBuffer.push(...messages);
+    if (Array.isArray(path)) bufferedPath = path;
 
     // If buffer is getting large, flush immediately
     if (messageBuffer.length >= MAX_BUFFER_SIZE) {
@@ -175,7 +218,7 @@
    * Called by the site observer when a conversation boundary is detected
    * (e.g. user navigated to a different chat thread).
    *
-   * @param {object} meta — { title, url, source }
+   * @param {object} meta — { title, url, source, conversationId }
    */
   function onConversationChange(meta) {
     // Flush any pending messages from the old conversation first
@@ -183,6 +226,15 @@
     debounceTimer = null;
     flushBuffer();
 
+    // A chat paused before it had an id stays paused under its new id;
+    // any other conversation starts out captured
+    if (isPaused && droppedWithoutId && meta.conversationId) {
+      sendToBackground({ type: 'CAPTURE_PAUSE', payload: meta });
+    } else {
+      isPaused = false;
+    }
+    droppedWithoutId = false;
+
     // Notify the service worker of the conversation switch
     sendToBackground({
       type: 'CAPTURE_CONVERSATION_START',
@@ -190,10 +242,52 @@
         source: meta.source || source,
         title: meta.title,
         url: meta.url || location.href,
+        conversationId: meta.conversationId || null,
       },
     });
   }
 
+  // ---------------------------------------------------------------------------
+  // Pausing (used by the in-chat panel)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Whether the conversation on the page is captured.
+   * @returns {Promise<{paused: boolean, excluded: boolean, reason: string|null, hasId: boolean}>}
+   *   `excluded` is set when a rule other than a pause covers it
+   */
+  async function getCaptureStatus() {
+    const meta = currentMeta();
+    const status = await requestFromBackground({ type: 'CAPTURE_EXCLUSION_STATUS', payload: meta }) || {};
+    return {
+      paused: isPaused || !!status.paused,
+      excluded: !!status.excluded && !status.paused,
+      reason: status.reason || null,
+      hasId: !!meta.conversationId,
+    };
+  }
+
+  /**
+   * Pause or resume capture of the conversation on the page.  Pausing
+   * discards messages waiting to be sent.
+   * @param {boolean} paused
+   */
+  async function setPaused(paused) {
+    isPaused = !!paused;
+    if (isPaused) {
+      clearTimeout(debounceTimer);
+      debounceTimer = null;
+      messageBuffer = [];
+      bufferedPath = null;
+    }
+    const meta = currentMeta();
+    if (meta.conversationId) {
+      await requestFromBackground({ type: isPaused ? 'CAPTURE_PAUSE' : 'CAPTURE_RESUME', payload: meta });
+    }
+  }
+
+  window.__ACB_CAPTURE = { getStatus: getCaptureStatus, setPaused };
+
   // ---------------------------------------------------------------------------
   // Lifecycle
   // ---------------------------------------------------------------------------
@@ -213,6 +307,7 @@
         source: meta.source || source,
         title: meta.title,
         url: meta.url || location.href,
+        conversationId: meta.conversationId || null,
       },
     });
   }
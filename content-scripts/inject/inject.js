@@ -65,6 +65,7 @@
   // =========================================================================
   let isOpen = false;
   let results = [];
+  let relatedItems = []; // open action items / questions matching the context
   let lastContextText = '';
   let isSearchMode = false;
   let isLoading = false;
@@ -75,7 +76,7 @@
   let observer = null;
 
   // Knowledge cache for local-first scoring
-  let _knowledgeCache = null; // { summaries, topics, conversations, topicMap, summarizedIds }
+  let _knowledgeCache = null; // { summaries, topics, conversations, openItems, aliasIndex, topicMap, summarizedIds }
   let _cacheLoadedAt = 0;
   let _cacheLoading = false;
 
@@ -84,8 +85,10 @@
   let panelEl = null;
   let backdropEl = null;
   let resultsList = null;
+  let openItemsEl = null;
   let searchInput = null;
   let contextBar = null;
+  let captureBar = null;
   let footerEl = null;
   let toastEl = null;
   let badgeEl = null;
@@ -167,6 +170,8 @@
         summaries: data.summaries || [],
         topics: data.topics || [],
         conversations: data.conversations || [],
+        openItems: data.openItems || [],
+        aliasIndex: buildAliasIndex(data.entities || []),
         topicMap,
         summarizedIds
       };
@@ -209,12 +214,17 @@
     TITLE_MATCH: 2.0,
     INSIGHT_MATCH: 1.5,
     DECISION_MATCH: 1.2,
+    ENTITY_MATCH: 1.5,
+    ENTITY_MATCH_CAP: 3,
     SUMMARY_MATCH: 0.5,
     RECENCY_MAX_BOOST: 0.3,
     USAGE_BOOST_PER_USE: 0.1,
-    USAGE_BOOST_CAP: 0.5
+    USAGE_BOOST_CAP: 0.5,
+    CONFIDENCE_FLOOR: 0.5
   };
 
+  const LOW_CONFIDENCE = 0.5;
+
   const RECENCY_DECAY_DAYS = 90;
 
   function tokenize(text) {
@@ -265,6 +275,42 @@
     return { score, matched: [...matched] };
   }
 
+  // Entity aliases (ported from lib/entities.js)
+  function normalizeAlias(name) {
+    const lower = String(name || '').trim().toLowerCase();
+    const repo = /^(?:https?:\/\/)?(?:www\.)?(?:github|gitlab)\.com\/([\w.-]+\/[\w.-]+?)(?:\.git)?\/?$/.exec(lower);
+    if (repo) return repo[1];
+    if (/^[\w.-]+\/[\w.-]+$/.test(lower)) return lower;
+    return lower.replace(/[^\p{L}\p{N}+#]/gu, '');
+  }
+
+  function buildAliasIndex(entities) {
+    const index = new Map();
+    for (const entity of entities) {
+      for (const alias of entity.aliases || []) {
+        if (alias.length >= 2 && !index.has(alias)) index.set(alias, entity.id);
+      }
+    }
+    return index;
+  }
+
+  function findMentionedEntities(text, aliasIndex) {
+    const found = new Set();
+    if (aliasIndex.size === 0 || !text) return found;
+    const words = String(text).split(/\s+/)
+      .map(w => w.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}+#]+$/gu, ''))
+      .filter(Boolean);
+    for (let i = 0; i < words.length; i++) {
+      let key = '';
+      for (let n = 0; n < 3 && i + n < words.length; n++) {
+        key += normalizeAlias(words[i + n]);
+        const id = aliasIndex.get(key);
+        if (id) found.add(id);
+      }
+    }
+    return found;
+  }
+
   function recencyBoost(createdAt) {
     if (!createdAt) return 0;
     const ageMs = Date.now() - new Date(createdAt).getTime();
@@ -279,8 +325,16 @@
     return Math.min(usageCount * WEIGHTS.USAGE_BOOST_PER_USE, WEIGHTS.USAGE_BOOST_CAP);
   }
 
+  function confidenceFactor(confidence) {
+    if (confidence == null) return 1;
+    return WEIGHTS.CONFIDENCE_FLOOR + (1 - WEIGHTS.CONFIDENCE_FLOOR) * confidence;
+  }
+
   function buildReason(matchDetails) {
     const parts = [];
+    if (matchDetails.entityMatches.length > 0) {
+      parts.push('Entities: ' + matchDetails.entityMatches.slice(0, 4).join(', '));
+    }
     if (matchDetails.tagMatches.length > 0) {
       parts.push('Matched tags: ' + matchDetails.tagMatches.slice(0, 5).join(', '));
     }
@@ -295,9 +349,36 @@
     }
     if (matchDetails.hasRecencyBoost) parts.push('Recent');
     if (matchDetails.hasUsageBoost) parts.push('Frequently used');
+    if (matchDetails.lowConfidence) parts.push('Low confidence');
     return parts.length > 0 ? parts.join(' | ') : 'General relevance';
   }
 
+  /**
+   * Open action items and questions whose text overlaps the context, so a
+   * follow-up left in one chat resurfaces when the subject comes up again.
+   */
+  function findRelatedItems(contextText, maxResults = 3) {
+    if (!_knowledgeCache || !contextText) return [];
+    const contextTokens = tokenize(contextText);
+    if (contextTokens.length === 0) return [];
+    const contextTF = termFrequency(contextTokens);
+
+    const contextSet = new Set(contextTokens);
+    const scored = [];
+    for (const item of _knowledgeCache.openItems) {
+      const itemTokens = tokenize(item.text);
+      const shared = itemTokens.filter(t => contextSet.has(t)).length;
+      // A single shared word is too weak a signal for a short item
+      if (shared < Math.min(2, itemTokens.length)) continue;
+      const { score } = overlapScore(contextTF, contextTokens, [item.text]);
+      if (score >= 0.5) scored.push({ item, score });
+    }
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxResults)
+      .map(s => s.item);
+  }
+
   function scoreLocally(contextText, options) {
     const { maxResults = 5, minScore = 0.1 } = options || {};
     if (!_knowledgeCache) return [];
@@ -307,16 +388,18 @@
     if (contextTokens.length === 0) return [];
     const contextTF = termFrequency(contextTokens);
 
-    const { summaries, conversations, topicMap, summarizedIds } = _knowledgeCache;
+    const { summaries, conversations, aliasIndex, topicMap, summarizedIds } = _knowledgeCache;
     if ((!summaries || summaries.length === 0) && (!conversations || conversations.length === 0)) return [];
 
     const scored = [];
+    const mentionedEntities = findMentionedEntities(contextText, aliasIndex);
 
     // Score summaries
     for (const summary of summaries) {
       const matchDetails = {
         tagMatches: [], titleMatches: [], insightMatches: [],
-        decisionMatches: [], hasRecencyBoost: false, hasUsageBoost: false
+        decisionMatches: [], entityMatches: [], hasRecencyBoost: false, hasUsageBoost: false,
+        lowConfidence: false
       };
 
       const tagResult = overlapScore(contextTF, contextTokens, summary.tags || []);
@@ -335,6 +418,10 @@
       const decisionScore = decisionResult.score * WEIGHTS.DECISION_MATCH;
       matchDetails.decisionMatches = decisionResult.matched;
 
+      const linkedEntities = (summary.entities || []).filter(e => mentionedEntities.has(e.id));
+      const entityScore = Math.min(linkedEntities.length, WEIGHTS.ENTITY_MATCH_CAP) * WEIGHTS.ENTITY_MATCH;
+      matchDetails.entityMatches = linkedEntities.map(e => e.name);
+
       const summaryTokens = tokenize(summary.summary || '');
       let summaryBodyScore = 0;
       if (summaryTokens.length > 0) {
@@ -351,7 +438,9 @@
       const usage = usageBoost(summary.usageCount);
       matchDetails.hasUsageBoost = usage > 0;
 
-      const totalScore = tagScore + titleScore + insightScore + decisionScore + summaryBodyScore + recency + usage;
+      const totalScore = (tagScore + titleScore + insightScore + decisionScore + entityScore + summaryBodyScore + recency + usage) *
+        confidenceFactor(summary.confidence);
+      matchDetails.lowConfidence = summary.confidence != null && summary.confidence < LOW_CONFIDENCE;
 
       if (totalScore >= minScore) {
         const topic = summary.topicId ? (topicMap.get(summary.topicId) || null) : null;
@@ -471,6 +560,9 @@
       for (const decision of summary.decisions) section += '- ' + decision + '\n';
       section += '\n';
     }
+    for (const field of summary.fields || []) {
+      section += field.label + ':\n' + formatFieldValue(field) + '\n\n';
+    }
     if (summary.codeSnippets && summary.codeSnippets.length > 0) {
       section += 'Code Reference:\n';
       for (const snippet of summary.codeSnippets) {
@@ -496,6 +588,9 @@
       for (const decision of summary.decisions) output += '- ' + decision + '\n';
       output += '\n';
     }
+    for (const field of summary.fields || []) {
+      output += '**' + field.label + ':**\n' + formatFieldValue(field) + '\n\n';
+    }
     if (summary.codeSnippets && summary.codeSnippets.length > 0) {
       output += '**Code Reference:**\n';
       for (const snippet of summary.codeSnippets) {
@@ -506,6 +601,10 @@
     return output;
   }
 
+  function formatFieldValue(field) {
+    return Array.isArray(field.value) ? field.value.map(v => '- ' + v).join('\n') : field.value;
+  }
+
   function formatForInjectionLocal(summary, topic, targetSystem) {
     if (!summary) return '';
     if (targetSystem === 'claude') {
@@ -553,6 +652,17 @@
     return output;
   }
 
+  function formatPassageForInjectionLocal(conversation, passage, targetSystem) {
+    if (!passage || !passage.text) return '';
+    const title = conversation?.title || 'Untitled Conversation';
+    const source = conversation?.source || 'unknown';
+    if (targetSystem === 'claude') {
+      return '<context>\nExcerpt from a previous conversation on ' + source + ': ' + title + '\n\n' +
+        passage.text + '\n</context>\n\n';
+    }
+    return '### Excerpt: ' + title + '\n_Source: ' + source + '_\n\n' + passage.text + '\n\n';
+  }
+
   // =========================================================================
   // Shadow DOM Setup
   // =========================================================================
@@ -648,6 +758,15 @@
         </button>
       </div>
 
+      <!-- Capture pause -->
+      <div class="acb-capture-bar" id="acb-capture-bar" hidden>
+        <span class="acb-capture-status" id="acb-capture-status"></span>
+        <label class="acb-capture-toggle">
+          <input type="checkbox" id="acb-capture-pause" />
+          Pause capture
+        </label>
+      </div>
+
       <!-- Context Bar -->
       <div class="acb-context-bar" id="acb-context-bar">
         <span>Detected context:</span>
@@ -664,6 +783,9 @@
         <button class="acb-search-clear" id="acb-search-clear" type="button" aria-label="Clear search">&times;</button>
       </div>
 
+      <!-- Related open items -->
+      <div class="acb-open-items" id="acb-open-items" hidden></div>
+
       <!-- Results -->
       <div class="acb-results" id="acb-results"></div>
 
@@ -693,9 +815,12 @@
     });
 
     panelEl.querySelector('#acb-inject-all').addEventListener('click', onInjectAll);
+    panelEl.querySelector('#acb-capture-pause').addEventListener('change', onTogglePause);
 
     resultsList = panelEl.querySelector('#acb-results');
+    openItemsEl = panelEl.querySelector('#acb-open-items');
     contextBar = panelEl.querySelector('#acb-context-bar');
+    captureBar = panelEl.querySelector('#acb-capture-bar');
     footerEl = panelEl.querySelector('#acb-footer');
     toastEl = panelEl.querySelector('#acb-toast');
 
@@ -721,6 +846,7 @@
     triggerBtn.classList.add('hidden');
     searchInput.value = '';
     isSearchMode = false;
+    refreshCaptureBar();
 
     // Refresh cache if stale (>5 min old) then score
     const CACHE_TTL = 5 * 60 * 1000;
@@ -739,6 +865,44 @@
     triggerBtn.classList.remove('hidden');
   }
 
+  // =========================================================================
+  // Capture Pause (state kept by content-scripts/capture.js)
+  // =========================================================================
+  async function refreshCaptureBar() {
+    const capture = window.__ACB_CAPTURE;
+    if (!capture) return;
+
+    const status = await capture.getStatus();
+    const toggle = captureBar.querySelector('#acb-capture-pause');
+    const label = captureBar.querySelector('#acb-capture-status');
+
+    captureBar.hidden = false;
+    captureBar.classList.toggle('paused', status.paused || status.excluded);
+    toggle.checked = status.paused || status.excluded;
+    // Rules from the side panel settings are changed there
+    toggle.disabled = status.excluded;
+
+    if (status.excluded) {
+      label.textContent = `Not captured (${status.reason})`;
+    } else if (status.paused) {
+      label.textContent = 'Capture paused for this conversation';
+    } else {
+      label.textContent = status.hasId ? 'Capturing this conversation' : 'Capturing this new chat';
+    }
+  }
+
+  async function onTogglePause(e) {
+    const paused = e.target.checked;
+    e.target.disabled = true;
+    try {
+      await window.__ACB_CAPTURE?.setPaused(paused);
+      showToast(paused ? 'Capture paused — nothing more is saved from this chat' : 'Capture resumed');
+    } catch {
+      showToast('Could not change capture for this chat', true);
+    }
+    await refreshCaptureBar();
+  }
+
   // =========================================================================
   // Context Extraction
   // =========================================================================
@@ -833,6 +997,8 @@
     updateContextBar(contextText);
 
     if (!contextText || contextText.trim().length < 10) {
+      relatedItems = [];
+      if (isOpen) renderOpenItems();
       // No chat context — show recent knowledge from cache as fallback
       if (_knowledgeCache && (_knowledgeCache.summaries.length > 0 || _knowledgeCache.conversations.length > 0)) {
         results = getRecentKnowledge(8);
@@ -853,9 +1019,12 @@
     const requestId = ++extractRequestId;
 
     if (_knowledgeCache) {
-      // Score locally from cached data
+      // Score locally from cached data; passages need the embeddings model,
+      // so they are fetched from the background and appended when they arrive
       results = scoreLocally(contextText, { maxResults: 8, minScore: 0.1 });
+      relatedItems = findRelatedItems(contextText);
       if (requestId !== extractRequestId) return;
+      loadPassages(contextText, () => requestId === extractRequestId && !isSearchMode);
     } else {
       // Cache not loaded yet — try background as fallback
       try {
@@ -876,12 +1045,17 @@
 
     isLoading = false;
     updateBadge(results.length);
-    if (isOpen && !isSearchMode) renderResults();
+    if (isOpen && !isSearchMode) {
+      renderOpenItems();
+      renderResults();
+    }
   }
 
   async function performSearch(query) {
     if (!query || query.trim().length < 2) {
       isSearchMode = false;
+      relatedItems = findRelatedItems(lastContextText);
+      renderOpenItems();
       renderResults();
       return;
     }
@@ -892,6 +1066,8 @@
 
     if (_knowledgeCache) {
       results = scoreLocally(query.trim(), { maxResults: 10, minScore: 0.05 });
+      relatedItems = findRelatedItems(query.trim());
+      loadPassages(query.trim(), () => isSearchMode && searchInput.value.trim() === query.trim());
     } else {
       try {
         const response = await sendMessage({
@@ -908,9 +1084,30 @@
     }
 
     isLoading = false;
+    renderOpenItems();
     renderResults();
   }
 
+  /**
+   * Ask the background for message passages matching the text and append
+   * them to the current results. isCurrent() guards against a newer scoring
+   * pass having replaced the results in the meantime.
+   */
+  async function loadPassages(text, isCurrent) {
+    try {
+      const response = await sendMessage({
+        type: 'FIND_PASSAGES',
+        contextText: text,
+        options: { maxResults: 3 }
+      });
+      const passages = response?.results || [];
+      if (passages.length === 0 || !isCurrent()) return;
+      results = results.filter(r => r.type !== 'passage').concat(passages);
+      updateBadge(results.length);
+      if (isOpen && !isLoading) renderResults();
+    } catch { /* background unavailable — keep local results */ }
+  }
+
   // =========================================================================
   // Message Passing
   // =========================================================================
@@ -965,6 +1162,71 @@
     }
   }
 
+  function renderOpenItems() {
+    if (!openItemsEl) return;
+    if (relatedItems.length === 0) {
+      openItemsEl.hidden = true;
+      openItemsEl.innerHTML = '';
+      return;
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    openItemsEl.hidden = false;
+    openItemsEl.innerHTML = `
+      <div class="acb-open-items-title">Still open from earlier chats</div>
+      ${relatedItems.map((item, i) => {
+        const overdue = item.dueDate && item.dueDate < today;
+        const due = item.dueDate ? ` &middot; <span class="${overdue ? 'acb-open-item-overdue' : ''}">due ${escapeHtml(item.dueDate)}</span>` : '';
+        return `<div class="acb-open-item" data-item-index="${i}">
+          <div class="acb-open-item-text">
+            <span class="acb-open-item-kind">${item.kind === 'question' ? 'Question' : 'Action'}</span>
+            ${escapeHtml(item.text)}
+          </div>
+          <div class="acb-open-item-meta">${escapeHtml(item.conversationTitle || 'Untitled')}${due}</div>
+          <div class="acb-card-actions">
+            <button class="acb-btn acb-btn-preview acb-open-item-insert">Insert</button>
+            <button class="acb-btn acb-btn-preview acb-open-item-done">Mark done</button>
+          </div>
+        </div>`;
+      }).join('')}`;
+
+    openItemsEl.querySelectorAll('.acb-open-item').forEach(el => {
+      const item = relatedItems[Number(el.dataset.itemIndex)];
+      el.querySelector('.acb-open-item-insert').addEventListener('click', () => onInsertOpenItem(item));
+      el.querySelector('.acb-open-item-done').addEventListener('click', () => onCompleteOpenItem(item));
+    });
+  }
+
+  async function onInsertOpenItem(item) {
+    const label = item.kind === 'question' ? 'Open question' : 'Open action item';
+    const owner = item.owner ? ` (${item.owner})` : '';
+    const due = item.dueDate ? `, due ${item.dueDate}` : '';
+    const text = `${label} from "${item.conversationTitle || 'an earlier conversation'}"${owner}${due}: ${item.text}`;
+
+    const input = findChatInput();
+    if (!input) {
+      await navigator.clipboard.writeText(text);
+      showToast('Copied to clipboard (chat input not found)');
+      return;
+    }
+    insertIntoChatInput(input, text);
+    showToast('Item inserted into chat');
+  }
+
+  async function onCompleteOpenItem(item) {
+    try {
+      const response = await sendMessage({ type: 'UPDATE_ACTION_ITEM', id: item.id, changes: { status: 'done' } });
+      if (!response?.ok) throw new Error(response?.error || 'item not found');
+      // Drop it locally right away; the DATA_CHANGED broadcast reloads the cache
+      _knowledgeCache.openItems = _knowledgeCache.openItems.filter(i => i.id !== item.id);
+      relatedItems = relatedItems.filter(i => i.id !== item.id);
+      renderOpenItems();
+      showToast('Marked done');
+    } catch (err) {
+      showToast('Could not update item: ' + err.message, true);
+    }
+  }
+
   function renderLoading() {
     if (!resultsList) return;
     const skeletonCard = `
@@ -1033,7 +1295,8 @@
   function renderCard(item, index) {
     const { summary, topic, score, reason, type } = item;
     const isConversation = type === 'conversation';
-    const topicName = isConversation
+    const isPassage = type === 'passage';
+    const topicName = isConversation || (isPassage && !topic)
       ? (summary.source || 'Conversation').charAt(0).toUpperCase() + (summary.source || 'conversation').slice(1)
       : (topic ? topic.name : 'General');
     const title = summary.title || 'Untitled';
@@ -1041,7 +1304,15 @@
     const percentage = Math.min(Math.round((score / maxScore) * 100), 100);
 
     let detailHtml = '';
-    if (isConversation) {
+    if (isPassage) {
+      // Show the start of the matching excerpt
+      let excerpt = (item.passage?.text || '').replace(/\s+/g, ' ');
+      if (excerpt.length > 160) excerpt = excerpt.slice(0, 160) + '...';
+      detailHtml = `<div class="acb-card-tags"><span class="acb-tag">Excerpt</span></div>`;
+      if (excerpt) {
+        detailHtml += `<div class="acb-card-reason" style="font-style:italic;margin-top:4px">${escapeHtml(excerpt)}</div>`;
+      }
+    } else if (isConversation) {
       // Show source badge + message preview
       const sourceColors = { chatgpt: '#10a37f', claude: '#d97706', gemini: '#2563eb', copilot: '#7c3aed' };
       const srcColor = sourceColors[summary.source] || '#6b7280';
@@ -1068,7 +1339,7 @@
     }
 
     return `
-      <div class="acb-card" data-index="${index}" data-type="${isConversation ? 'conversation' : 'summary'}">
+      <div class="acb-card" data-index="${index}" data-type="${type || 'summary'}">
         <div class="acb-card-topic">${escapeHtml(topicName)}</div>
         <div class="acb-card-title">${escapeHtml(title)}</div>
 
@@ -1095,7 +1366,7 @@
         </div>
 
         <div class="acb-preview" id="acb-preview-${index}">
-          ${isConversation ? renderConversationPreview(summary) : renderPreviewContent(summary)}
+          ${isPassage ? renderPassagePreview(item.passage) : isConversation ? renderConversationPreview(summary) : renderPreviewContent(summary)}
         </div>
       </div>
     `;
@@ -1115,6 +1386,11 @@
     return html;
   }
 
+  function renderPassagePreview(passage) {
+    if (!passage || !passage.text) return '<div class="acb-preview-text">No text</div>';
+    return `<div class="acb-preview-text">${escapeHtml(passage.text)}</div>`;
+  }
+
   function renderPreviewContent(summary) {
     let html = '';
 
@@ -1225,7 +1501,9 @@
       const isConversation = type === 'conversation';
 
       // Format locally from cached data
-      if (isConversation) {
+      if (type === 'passage') {
+        text = formatPassageForInjectionLocal(summary, item.passage, SITE);
+      } else if (isConversation) {
         text = formatConversationForInjectionLocal(summary, SITE);
       } else {
         text = formatForInjectionLocal(summary, topic, SITE);
@@ -1289,8 +1567,9 @@
 
     try {
       // Separate summary and conversation results
-      const summaryItems = results.filter(r => r.type !== 'conversation');
+      const summaryItems = results.filter(r => r.type !== 'conversation' && r.type !== 'passage');
       const convItems = results.filter(r => r.type === 'conversation');
+      const passageItems = results.filter(r => r.type === 'passage');
 
       // Format locally
       const textParts = [];
@@ -1306,6 +1585,11 @@
         if (convText) textParts.push(convText);
       }
 
+      for (const r of passageItems) {
+        const passageText = formatPassageForInjectionLocal(r.summary, r.passage, SITE);
+        if (passageText) textParts.push(passageText);
+      }
+
       const response = { text: textParts.join('\n') };
 
       if (!response || !response.text) {
@@ -1689,6 +1973,14 @@
   padding: 10px 16px; border-bottom: 1px solid #e5e7eb;
   font-size: 11px; color: #6b7280; flex-shrink: 0; background: #fff;
 }
+.acb-capture-bar {
+  display: flex; align-items: center; justify-content: space-between; gap: 8px;
+  padding: 6px 16px; border-bottom: 1px solid #e5e7eb;
+  font-size: 11px; color: #6b7280; flex-shrink: 0; background: #fff;
+}
+.acb-capture-bar[hidden] { display: none; }
+.acb-capture-bar.paused { background: #fef2f2; color: #b91c1c; }
+.acb-capture-toggle { display: inline-flex; align-items: center; gap: 4px; cursor: pointer; white-space: nowrap; }
 .acb-context-keywords { display: flex; flex-wrap: wrap; gap: 4px; margin-top: 4px; }
 .acb-keyword-chip {
   display: inline-block; padding: 2px 7px; border-radius: 4px;
@@ -1734,6 +2026,22 @@
 .acb-results::-webkit-scrollbar-thumb { background: #d1d5db; border-radius: 2px; }
 .acb-results::-webkit-scrollbar-thumb:hover { background: #9ca3af; }
 
+/* Related open items */
+.acb-open-items {
+  padding: 8px 10px 4px; border-bottom: 1px solid #e5e7eb;
+  background: #fffbeb; flex-shrink: 0; max-height: 40%; overflow-y: auto;
+}
+.acb-open-items[hidden] { display: none; }
+.acb-open-items-title {
+  font-size: 10px; font-weight: 600; text-transform: uppercase;
+  letter-spacing: 0.05em; color: #b45309; margin: 0 4px 6px;
+}
+.acb-open-item { padding: 8px 10px; margin-bottom: 6px; border-radius: 6px; background: #fff; border: 1px solid #fde68a; }
+.acb-open-item-text { font-size: 12px; color: #1d1d1f; line-height: 1.4; margin-bottom: 3px; }
+.acb-open-item-kind { font-size: 10px; font-weight: 600; color: #b45309; margin-right: 4px; }
+.acb-open-item-meta { font-size: 11px; color: #6b7280; margin-bottom: 6px; }
+.acb-open-item-overdue { color: #dc2626; font-weight: 600; }
+
 /* Card */
 .acb-card {
   margin: 0 10px 8px; padding: 12px 14px;
@@ -0,0 +1,265 @@
+/**
+ * Message Parts — content-scripts/message-parts.js
+ *
+ * Reads a rendered chat message into typed parts (text, code with its
+ * language, table, artifact, attachment) instead of flattening it to
+ * textContent, which loses code languages, tables and file names.
+ *
+ * Runs as a plain content script (no ES modules), loaded before the site
+ * observer.  Exposes its API on window.__ACB_PARTS:
+ *
+ *   extractParts(el, options)  — parts of a message element
+ *   partsToText(parts)         — the message content as markdown
+ *   messageHash(role, content) — a message's hash, for reporting the
+ *                                branch a page shows (lib/branches.js)
+ *
+ * Each site observer passes its own options:
+ *
+ *   ignore     — selector for UI chrome to drop (copy buttons, icons…);
+ *                artifact and attachment elements survive it, since
+ *                Claude renders artifacts as buttons
+ *   codeBlock  — selector for a site's code block wrapper, when the
+ *                language label sits outside the <pre>
+ *   artifact   — selector for artifact / canvas cards
+ *   readArtifact(el) — optional: {title, kind, language, content} of a card
+ *   attachment — selector for uploaded-file chips
+ *   container  — the whole message element, when attachments are rendered
+ *                outside the element the text is read from
+ *
+ * partsToText mirrors partsToMarkdown in lib/message-parts.js, which
+ * documents the part shapes, and messageHash mirrors lib/branches.js; keep
+ * them in sync. Parts are read the way normalizeParts() would leave them,
+ * so a message hashes the same here as once stored.
+ */
+(function () {
+  'use strict';
+
+  if (window.__ACB_PARTS) return;
+
+  // ---------------------------------------------------------------------------
+  // Constants
+  // ---------------------------------------------------------------------------
+
+  /** Elements that start a new line of text. */
+  const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'UL', 'OL', 'LI', 'BLOCKQUOTE',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'FIGURE', 'DETAILS', 'SUMMARY',
+  ]);
+
+  /** A language label: one short word such as "python" or "c++". */
+  const LANGUAGE_LABEL_RE = /^[\w+#.-]{1,20}$/;
+
+  const CODE_ARTIFACT_KINDS = new Set(['code', 'html', 'react', 'svg', 'mermaid']);
+
+  /** Languages that mean "unknown", e.g. ChatGPT's "plaintext" label. */
+  const NO_LANGUAGE = new Set(['', 'unknown', 'text', 'plaintext', 'plain']);
+
+  // ---------------------------------------------------------------------------
+  // Readers
+  // ---------------------------------------------------------------------------
+
+  function tidy(text) {
+    return text
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  function cleanLanguage(language) {
+    const lang = String(language || '').trim().toLowerCase();
+    return NO_LANGUAGE.has(lang) ? '' : lang;
+  }
+
+  function codeLanguage(block, code) {
+    const cls = `${code.className || ''} ${block.className || ''}`;
+    const match = /(?:^|\s)(?:language|lang)-([\w+#.-]+)/.exec(cls);
+    if (match) return match[1].toLowerCase();
+
+    const attr = code.getAttribute('data-language') || block.getAttribute('data-language');
+    if (attr) return attr.toLowerCase();
+
+    // A header label next to the code (ChatGPT, Gemini)
+    for (const label of block.querySelectorAll('div, span')) {
+      if (label.contains(code) || code.contains(label)) continue;
+      const text = (label.textContent || '').trim();
+      if (LANGUAGE_LABEL_RE.test(text)) return text.toLowerCase();
+    }
+    return '';
+  }
+
+  function readCode(block) {
+    const pre = block.tagName === 'PRE' ? block : block.querySelector('pre');
+    const code = (pre && pre.querySelector('code')) || pre || block;
+    return {
+      type: 'code',
+      language: cleanLanguage(codeLanguage(block, code)),
+      code: (code.textContent || '').replace(/^\n+|\s+$/g, ''),
+    };
+  }
+
+  function readTable(table) {
+    const rows = [];
+    for (const tr of table.querySelectorAll('tr')) {
+      rows.push([...tr.querySelectorAll('th, td')].map(cell => (cell.textContent || '').trim()));
+    }
+    return { type: 'table', rows: rows.filter(row => row.some(Boolean)) };
+  }
+
+  /** The text of an element's innermost elements, e.g. a card's title and subtitle. */
+  function leafTexts(el) {
+    const leaves = [...el.querySelectorAll('*')].filter(n => n.children.length === 0);
+    return (leaves.length ? leaves : [el]).map(n => (n.textContent || '').trim()).filter(Boolean);
+  }
+
+  function readAttachment(el) {
+    const name = el.getAttribute('title') || el.getAttribute('aria-label') || leafTexts(el)[0];
+    return { type: 'attachment', name: (name || '').trim(), mimeType: '' };
+  }
+
+  function readArtifact(el, options) {
+    const read = options.readArtifact ? options.readArtifact(el) : null;
+    const title = read?.title || el.getAttribute('aria-label') || leafTexts(el)[0];
+    const content = (read?.content || '').replace(/^\n+|\s+$/g, '');
+    return {
+      type: 'artifact',
+      title: (title || '').trim() || (content ? 'Untitled artifact' : ''),
+      kind: (read?.kind || '').trim().toLowerCase(),
+      language: cleanLanguage(read?.language),
+      content,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Read a message element into parts.
+   * @param {Element} el
+   * @param {Object} [options] - See the file header
+   * @returns {Array<Object>}
+   */
+  function extractParts(el, options = {}) {
+    if (!el) return [];
+    const keep = [options.artifact, options.attachment].filter(Boolean).join(', ');
+    const clone = el.cloneNode(true);
+    if (options.ignore) {
+      clone.querySelectorAll(options.ignore).forEach(n => {
+        if (!keep || !(n.closest(keep) || n.querySelector(keep))) n.remove();
+      });
+    }
+
+    const parts = [];
+
+    // Files shown beside the message text rather than inside it
+    if (options.container && options.attachment) {
+      for (const file of options.container.querySelectorAll(options.attachment)) {
+        if (!el.contains(file)) parts.push(readAttachment(file));
+      }
+    }
+
+    let text = '';
+
+    const flushText = () => {
+      const tidied = tidy(text);
+      if (tidied) parts.push({ type: 'text', text: tidied });
+      text = '';
+    };
+    const push = (part) => {
+      flushText();
+      parts.push(part);
+    };
+
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.textContent;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      if (options.artifact && node.matches(options.artifact)) return push(readArtifact(node, options));
+      if (options.attachment && node.matches(options.attachment)) return push(readAttachment(node));
+      if (options.codeBlock && node.matches(options.codeBlock) && node.querySelector('pre, code')) return push(readCode(node));
+      if (node.tagName === 'PRE') return push(readCode(node));
+      if (node.tagName === 'TABLE') return push(readTable(node));
+      if (node.tagName === 'BR') {
+        text += '\n';
+        return;
+      }
+      if (node.tagName === 'CODE') {
+        text += `\`${node.textContent}\``;
+        return;
+      }
+
+      const block = BLOCK_TAGS.has(node.tagName);
+      if (block) text += '\n';
+      if (node.tagName === 'LI') text += '- ';
+      for (const child of node.childNodes) walk(child);
+      if (block) text += '\n';
+    };
+
+    for (const child of clone.childNodes) walk(child);
+    flushText();
+
+    return parts.filter(p =>
+      (p.type !== 'code' || p.code) &&
+      (p.type !== 'table' || p.rows.length) &&
+      (p.type !== 'attachment' || p.name) &&
+      (p.type !== 'artifact' || p.title || p.content)
+    );
+  }
+
+  function tableToText(rows) {
+    const width = Math.max(...rows.map(r => r.length));
+    const line = (row) => '| ' + Array.from({ length: width }, (_, i) => (row[i] || '').replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ') + ' |';
+    return [line(rows[0]), '| ' + Array(width).fill('---').join(' | ') + ' |', ...rows.slice(1).map(line)].join('\n');
+  }
+
+  function partToText(part) {
+    switch (part.type) {
+      case 'text':
+        return part.text;
+      case 'code':
+        return '```' + (part.language || '') + '\n' + part.code + '\n```';
+      case 'table':
+        return tableToText(part.rows);
+      case 'artifact': {
+        const heading = '**Artifact: ' + part.title + '**' + (part.kind ? ' (' + part.kind + ')' : '');
+        if (!part.content) return heading;
+        return CODE_ARTIFACT_KINDS.has(part.kind) || part.language
+          ? heading + '\n```' + (part.language || '') + '\n' + part.content + '\n```'
+          : heading + '\n\n' + part.content;
+      }
+      case 'attachment':
+        return '[Attachment: ' + part.name + ']';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * The markdown content of a message's parts.
+   * @param {Array<Object>} parts
+   * @returns {string}
+   */
+  function partsToText(parts) {
+    return (parts || []).map(partToText).filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * A message's hash, as lib/branches.js computes it for stored messages.
+   * @param {string} role
+   * @param {string} content - From partsToText
+   * @returns {string}
+   */
+  function messageHash(role, content) {
+    const str = role + ':' + String(content || '').replace(/[\s`|*#>_-]+/g, '');
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  window.__ACB_PARTS = { extractParts, partsToText, messageHash };
+})();
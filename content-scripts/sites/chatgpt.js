@@ -5,6 +5,8 @@
  * assistant messages as they appear.  Uses a content-stability approach:
  * messages are only emitted once their content has stopped changing for
  * a stability period, ensuring we capture final output not streaming chunks.
+ * Editing a prompt or regenerating a response changes messages on the
+ * page, which are emitted again along with the branch the page now shows.
  *
  * Runs as a plain content script (no ES modules).  Exposes its API on
  * window.__ACB_SITE so the capture orchestrator can call it.
@@ -49,15 +51,31 @@
   /** How often to check for stable content (ms) */
   const CHECK_INTERVAL_MS = 500;
 
+  /** The platform's conversation id in the URL: /c/<id> (same pattern as lib/identity.js) */
+  const CONVERSATION_ID_RE = /\/c\/([\w-]+)/;
+
+  /** A GPT's (or project's) id in the URL: /g/g-<id>-<name>/… (for exclusion rules) */
+  const GIZMO_ID_RE = /\/g\/(g-(?:p-)?[a-zA-Z0-9]+)/;
+
   // ---------------------------------------------------------------------------
   // Helpers
   // ---------------------------------------------------------------------------
 
-  function extractText(el) {
-    if (!el) return '';
-    const clone = el.cloneNode(true);
-    clone.querySelectorAll('button, [class*="copy"], [class*="action"]').forEach(n => n.remove());
-    return (clone.textContent || '').trim();
+  /** What window.__ACB_PARTS keeps and drops in a message (see message-parts.js) */
+  const PARTS_OPTIONS = {
+    ignore: 'button, [class*="copy"], [class*="action"]',
+    artifact: '[id^="textdoc-message"], [class*="canvas-card"]',
+    attachment: '[data-testid*="file-attachment"], [class*="file-tile"]',
+  };
+
+  /**
+   * Read a message element into typed parts and their markdown content.
+   * `container` is the whole message, for files shown beside its text.
+   */
+  function extractMessage(el, container) {
+    if (!el) return { content: '', parts: [] };
+    const parts = window.__ACB_PARTS.extractParts(el, { ...PARTS_OPTIONS, container });
+    return { content: window.__ACB_PARTS.partsToText(parts), parts };
   }
 
   function isStreaming() {
@@ -71,6 +89,22 @@
   // Content-stability capture
   // ---------------------------------------------------------------------------
 
+  /**
+   * The branch the page shows: hashes of its messages in order, up to the
+   * first one still changing. Emitted with each batch so a regenerated
+   * response or an edited prompt is stored as a branch (lib/branches.js).
+   */
+  function visiblePath(messageEls) {
+    const path = [];
+    for (const el of messageEls) {
+      const state = elementState.get(el);
+      if (!state) continue;
+      if (!state.emitted) break;
+      path.push(window.__ACB_PARTS.messageHash(state.role, state.content));
+    }
+    return path;
+  }
+
   /**
    * Scan all message elements, update their tracked content, and emit
    * any messages whose content has been stable for STABILITY_MS.
@@ -92,14 +126,14 @@
       }
       if (!contentEl) contentEl = el;
 
-      const content = extractText(contentEl);
+      const { content, parts } = extractMessage(contentEl, el);
       if (!content) continue;
 
       const state = elementState.get(el);
 
       if (!state) {
         // New element — start tracking
-        elementState.set(el, { content, lastChanged: now, emitted: false });
+        elementState.set(el, { role, content, lastChanged: now, emitted: false });
         continue;
       }
 
@@ -123,12 +157,12 @@
       // Content unchanged — check if stable long enough
       if (now - state.lastChanged >= STABILITY_MS) {
         state.emitted = true;
-        toEmit.push({ role, content, timestamp: new Date().toISOString() });
+        toEmit.push({ role, content, parts, timestamp: new Date().toISOString() });
       }
     }
 
     if (toEmit.length > 0 && onMessageCallback) {
-      onMessageCallback(toEmit);
+      onMessageCallback(toEmit, visiblePath(messageEls));
     }
   }
 
@@ -228,7 +262,9 @@
     if (!title || title === 'ChatGPT') {
       title = 'ChatGPT Conversation';
     }
-    return { title, url: location.href, source: 'chatgpt' };
+    const conversationId = location.pathname.match(CONVERSATION_ID_RE)?.[1] || null;
+    const gizmoId = location.pathname.match(GIZMO_ID_RE)?.[1] || null;
+    return { title, url: location.href, source: 'chatgpt', conversationId, gizmoId };
   }
 
   window.__ACB_SITE = { startObserving, stopObserving, getConversationMeta };
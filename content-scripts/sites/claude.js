@@ -5,6 +5,8 @@
  * assistant messages as they appear.  Uses a content-stability approach:
  * messages are only emitted once their content has stopped changing for
  * a stability period, ensuring we capture final output not streaming chunks.
+ * Editing a prompt or regenerating a response changes messages on the
+ * page, which are emitted again along with the branch the page now shows.
  *
  * Runs as a plain content script (no ES modules).  Exposes its API on
  * window.__ACB_SITE so the capture orchestrator can call it.
@@ -25,6 +27,8 @@
     assistantMessage: '[data-is-streaming], [class*="response-content"], [class*="assistant-message"], [data-testid="assistant-message"]',
     messageRow: '[class*="message-row"], [class*="chat-message"], [data-testid*="message"]',
     titleElement: '[class*="conversation-title"], nav a[aria-current="page"], [data-testid="conversation-title"]',
+    // Breadcrumb to the project a chat belongs to
+    projectLink: 'main a[href^="/project/"], header a[href^="/project/"]',
   };
 
   // ---------------------------------------------------------------------------
@@ -49,15 +53,50 @@
   /** How often to check for stable content (ms) */
   const CHECK_INTERVAL_MS = 500;
 
+  /** The platform's conversation id in the URL: /chat/<id> (same pattern as lib/identity.js) */
+  const CONVERSATION_ID_RE = /\/chat\/([\w-]+)/;
+
+  /** A project's id in its URL: /project/<id> (for exclusion rules) */
+  const PROJECT_ID_RE = /\/project\/([\w-]+)/;
+
   // ---------------------------------------------------------------------------
   // Helpers
   // ---------------------------------------------------------------------------
 
-  function extractText(el) {
-    if (!el) return '';
-    const clone = el.cloneNode(true);
-    clone.querySelectorAll('button, [class*="copy"], [class*="action"], svg, [class*="icon"]').forEach(n => n.remove());
-    return (clone.textContent || '').trim();
+  /** What window.__ACB_PARTS keeps and drops in a message (see message-parts.js) */
+  const PARTS_OPTIONS = {
+    ignore: 'button, [class*="copy"], [class*="action"], svg, [class*="icon"]',
+    artifact: '[class*="artifact-block"]',
+    attachment: '[data-testid="file-thumbnail"], [data-testid*="attachment"]',
+    // Artifact cards show the title, then the kind ("Code", "Document · Version 2")
+    readArtifact(el) {
+      const [title, subtitle] = [...el.querySelectorAll('*')]
+        .filter(n => n.children.length === 0)
+        .map(n => (n.textContent || '').trim())
+        .filter(Boolean);
+      return { title, kind: (subtitle || '').split('·')[0].trim().toLowerCase() };
+    },
+  };
+
+  /**
+   * Read a message element into typed parts and their markdown content.
+   * `container` is the whole message, for files shown beside its text.
+   */
+  function extractMessage(el, container) {
+    if (!el) return { content: '', parts: [] };
+    const parts = window.__ACB_PARTS.extractParts(el, { ...PARTS_OPTIONS, container });
+    return { content: window.__ACB_PARTS.partsToText(parts), parts };
+  }
+
+  /**
+   * The element around a message that also holds the files shown beside
+   * its text: the message's row, unless that row holds other messages too.
+   */
+  function messageContainer(el) {
+    const row = el.parentElement?.closest(SEL.messageRow);
+    if (!row) return el;
+    const messages = row.querySelectorAll(`${SEL.userMessage}, ${SEL.assistantMessage}`);
+    return [...messages].every(m => m === el || el.contains(m) || m.contains(el)) ? row : el;
   }
 
   /**
@@ -131,6 +170,22 @@
     return found;
   }
 
+  /**
+   * The branch the page shows: hashes of its messages in order, up to the
+   * first one still changing. Emitted with each batch so a regenerated
+   * response or an edited prompt is stored as a branch (lib/branches.js).
+   */
+  function visiblePath(messageEls) {
+    const path = [];
+    for (const { el } of messageEls) {
+      const state = elementState.get(el);
+      if (!state) continue;
+      if (!state.emitted) break;
+      path.push(window.__ACB_PARTS.messageHash(state.role, state.content));
+    }
+    return path;
+  }
+
   /**
    * Scan all message elements, update their tracked content, and emit
    * any messages whose content has been stable for STABILITY_MS.
@@ -143,13 +198,13 @@
     for (const { el, role, contentEl } of messageEls) {
       if (role !== 'user' && role !== 'assistant') continue;
 
-      const content = extractText(contentEl);
+      const { content, parts } = extractMessage(contentEl, messageContainer(el));
       if (!content) continue;
 
       const state = elementState.get(el);
 
       if (!state) {
-        elementState.set(el, { content, lastChanged: now, emitted: false });
+        elementState.set(el, { role, content, lastChanged: now, emitted: false });
         continue;
       }
 
@@ -170,12 +225,12 @@
 
       if (now - state.lastChanged >= STABILITY_MS) {
         state.emitted = true;
-        toEmit.push({ role, content, timestamp: new Date().toISOString() });
+        toEmit.push({ role, content, parts, timestamp: new Date().toISOString() });
       }
     }
 
     if (toEmit.length > 0 && onMessageCallback) {
-      onMessageCallback(toEmit);
+      onMessageCallback(toEmit, visiblePath(messageEls));
     }
   }
 
@@ -270,7 +325,11 @@
     if (!title || title === 'Claude') {
       title = 'Claude Conversation';
     }
-    return { title, url: location.href, source: 'claude' };
+    const conversationId = location.pathname.match(CONVERSATION_ID_RE)?.[1] || null;
+    const projectLink = document.querySelector(SEL.projectLink);
+    const projectId = projectLink?.getAttribute('href').match(PROJECT_ID_RE)?.[1] || null;
+    const projectName = projectId ? (projectLink.textContent || '').trim() || null : null;
+    return { title, url: location.href, source: 'claude', conversationId, projectId, projectName };
   }
 
   window.__ACB_SITE = { startObserving, stopObserving, getConversationMeta };
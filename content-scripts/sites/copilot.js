@@ -50,17 +50,27 @@
   /** How often to check for stable content (ms) */
   const CHECK_INTERVAL_MS = 500;
 
+  /** The platform's conversation id in the URL: /chats/<id> (same pattern as lib/identity.js) */
+  const CONVERSATION_ID_RE = /\/chats\/([\w-]+)/;
+
   // ---------------------------------------------------------------------------
   // Helpers
   // ---------------------------------------------------------------------------
 
-  function extractText(el) {
-    if (!el) return '';
-    const clone = el.cloneNode(true);
-    clone.querySelectorAll(
-      'button, [class*="copy"], [class*="action"], [class*="icon"], svg, [class*="feedback"], [class*="citation"]'
-    ).forEach(n => n.remove());
-    return (clone.textContent || '').trim();
+  /** What window.__ACB_PARTS keeps and drops in a message (see message-parts.js) */
+  const PARTS_OPTIONS = {
+    ignore: 'button, [class*="copy"], [class*="action"], [class*="icon"], svg, [class*="feedback"], [class*="citation"]',
+    attachment: '[class*="attachment"], [data-testid*="file"]',
+  };
+
+  /**
+   * Read a message element into typed parts and their markdown content.
+   * `container` is the whole message, for files shown beside its text.
+   */
+  function extractMessage(el, container) {
+    if (!el) return { content: '', parts: [] };
+    const parts = window.__ACB_PARTS.extractParts(el, { ...PARTS_OPTIONS, container });
+    return { content: window.__ACB_PARTS.partsToText(parts), parts };
   }
 
   /**
@@ -155,7 +165,7 @@
     const toEmit = [];
 
     for (const { el, role, contentEl } of messageEls) {
-      const content = extractText(contentEl);
+      const { content, parts } = extractMessage(contentEl, el);
       if (!content) continue;
 
       const state = elementState.get(el);
@@ -182,7 +192,7 @@
 
       if (now - state.lastChanged >= STABILITY_MS) {
         state.emitted = true;
-        toEmit.push({ role, content, timestamp: new Date().toISOString() });
+        toEmit.push({ role, content, parts, timestamp: new Date().toISOString() });
       }
     }
 
@@ -282,7 +292,8 @@
     if (!title || title.toLowerCase() === 'copilot' || title.toLowerCase() === 'microsoft copilot') {
       title = 'Copilot Conversation';
     }
-    return { title, url: location.href, source: 'copilot' };
+    const conversationId = location.pathname.match(CONVERSATION_ID_RE)?.[1] || null;
+    return { title, url: location.href, source: 'copilot', conversationId };
   }
 
   window.__ACB_SITE = { startObserving, stopObserving, getConversationMeta };
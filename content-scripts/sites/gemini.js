@@ -49,15 +49,29 @@
   /** How often to check for stable content (ms) */
   const CHECK_INTERVAL_MS = 500;
 
+  /** The platform's conversation id in the URL: /app/<id> or /gem/<gem>/<id> (same pattern as lib/identity.js) */
+  const CONVERSATION_ID_RE = /\/(?:app|gem\/[^/]+)\/([\w-]+)/;
+
   // ---------------------------------------------------------------------------
   // Helpers
   // ---------------------------------------------------------------------------
 
-  function extractText(el) {
-    if (!el) return '';
-    const clone = el.cloneNode(true);
-    clone.querySelectorAll('button, [class*="copy"], [class*="action"], [class*="icon"], svg, .chip-container').forEach(n => n.remove());
-    return (clone.textContent || '').trim();
+  /** What window.__ACB_PARTS keeps and drops in a message (see message-parts.js) */
+  const PARTS_OPTIONS = {
+    ignore: 'button, [class*="copy"], [class*="action"], [class*="icon"], svg, .chip-container',
+    codeBlock: 'code-block',
+    artifact: 'immersive-entry-chip',
+    attachment: 'user-query-file-preview, [class*="file-preview"]',
+  };
+
+  /**
+   * Read a message element into typed parts and their markdown content.
+   * `container` is the whole message, for files shown beside its text.
+   */
+  function extractMessage(el, container) {
+    if (!el) return { content: '', parts: [] };
+    const parts = window.__ACB_PARTS.extractParts(el, { ...PARTS_OPTIONS, container });
+    return { content: window.__ACB_PARTS.partsToText(parts), parts };
   }
 
   // ---------------------------------------------------------------------------
@@ -116,7 +130,7 @@
     const toEmit = [];
 
     for (const { el, role, contentEl } of messageEls) {
-      const content = extractText(contentEl);
+      const { content, parts } = extractMessage(contentEl);
       if (!content) continue;
 
       const state = elementState.get(el);
@@ -143,7 +157,7 @@
 
       if (now - state.lastChanged >= STABILITY_MS) {
         state.emitted = true;
-        toEmit.push({ role, content, timestamp: new Date().toISOString() });
+        toEmit.push({ role, content, parts, timestamp: new Date().toISOString() });
       }
     }
 
@@ -243,7 +257,8 @@
     if (!title || title === 'Gemini') {
       title = 'Gemini Conversation';
     }
-    return { title, url: location.href, source: 'gemini' };
+    const conversationId = location.pathname.match(CONVERSATION_ID_RE)?.[1] || null;
+    return { title, url: location.href, source: 'gemini', conversationId };
   }
 
   window.__ACB_SITE = { startObserving, stopObserving, getConversationMeta };
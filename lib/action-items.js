@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Action items and open questions as tracked records
+ *
+ * The summarizer extracts the follow-ups (`actionItems`) and unanswered
+ * questions (`openQuestions`) a conversation leaves behind. Each becomes a
+ * record in the `actionItems` store with a status — open, done or dropped —
+ * the conversation it came from and an optional due date, so they can be
+ * triaged in the side panel and surfaced again in the inject panel.
+ *
+ * Records are synced from a conversation's summary every time it is
+ * summarized or revised. An item is matched to its earlier record by its
+ * normalized text — as the summary first listed it, or as the user
+ * reworded it — so the status and due date the user set survive a
+ * revision. Only an incremental revision, which reads the new messages
+ * against the previous summary, can tell that an item was resolved later
+ * in the conversation: an open item it drops is marked done, unless the
+ * user has edited it. A full rerun that leaves an item out says nothing
+ * about it, so the item stays open.
+ *
+ * @module lib/action-items
+ */
+
+import { dbPut, dbGet, dbGetAll, dbGetByIndex, dbDelete, dbDeleteBatch } from './db.js';
+import { generateId } from './utils.js';
+
+/** Item kinds: a follow-up task, or a question left unanswered. */
+export const ITEM_KINDS = ['action', 'question'];
+
+/** Item statuses, in triage order. */
+export const ITEM_STATUSES = ['open', 'done', 'dropped'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Lowercase, drop punctuation and collapse whitespace, for matching items across revisions. */
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+function itemKey(kind, text) {
+  return `${kind}:${normalizeText(text)}`;
+}
+
+/** Keys a record answers to: the text the summary listed and the text it has now. */
+function recordKeys(record) {
+  return [...new Set([record.sourceText, record.text].filter(Boolean).map(text => itemKey(record.kind, text)))];
+}
+
+/**
+ * The items a summary lists, in record form (without ids or status).
+ * @param {Object} summary
+ * @returns {Array<{kind: string, text: string, owner: string|null, dueDate: string|null}>}
+ */
+function extractItems(summary) {
+  const actions = (summary.actionItems || []).map(item => ({
+    kind: 'action',
+    text: (item.text || '').trim(),
+    owner: item.owner?.trim() || null,
+    dueDate: DATE_RE.test(item.dueDate || '') ? item.dueDate : null,
+  }));
+  const questions = (summary.openQuestions || []).map(text => ({
+    kind: 'question',
+    text: (text || '').trim(),
+    owner: null,
+    dueDate: null,
+  }));
+  return [...actions, ...questions].filter(item => item.text);
+}
+
+/**
+ * Bring a conversation's item records in line with its latest summary:
+ * add new items and refresh matched ones. With the summary an incremental
+ * revision started from, open items the revision dropped are marked done,
+ * unless the user edited them.
+ *
+ * @param {Object} summary
+ * @param {Object} conversation
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - The summary an incremental revision
+ *   revised; omit after a full summarization
+ * @returns {Promise<{added: number, resolved: number}>}
+ */
+export async function syncSummaryItems(summary, conversation, { previous = null } = {}) {
+  const now = new Date().toISOString();
+  const existing = await dbGetByIndex('actionItems', 'conversationId', conversation.id);
+  const byKey = new Map();
+  for (const record of existing) {
+    for (const key of recordKeys(record)) if (!byKey.has(key)) byKey.set(key, record);
+  }
+  const seen = new Set();
+  const synced = new Set();
+  let added = 0;
+  let resolved = 0;
+
+  for (const item of extractItems(summary)) {
+    const key = itemKey(item.kind, item.text);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const record = byKey.get(key);
+    if (record) {
+      if (synced.has(record.id)) continue;
+      synced.add(record.id);
+      // Keep what the user set; only fill in what they left empty
+      await dbPut('actionItems', {
+        ...record,
+        sourceText: record.sourceText || item.text,
+        summaryId: summary.id,
+        owner: record.owner || item.owner,
+        dueDate: record.dueDate || item.dueDate,
+        conversationTitle: conversation.title,
+        updatedAt: now,
+      });
+    } else {
+      await dbPut('actionItems', {
+        id: generateId(),
+        ...item,
+        sourceText: item.text,
+        status: 'open',
+        conversationId: conversation.id,
+        conversationTitle: conversation.title,
+        source: conversation.source || null,
+        summaryId: summary.id,
+        createdAt: now,
+        updatedAt: now,
+        resolvedAt: null,
+        resolvedBy: null,
+      });
+      added++;
+    }
+  }
+
+  if (previous) {
+    const dropped = new Set(extractItems(previous)
+      .map(item => itemKey(item.kind, item.text))
+      .filter(key => !seen.has(key)));
+    for (const record of existing) {
+      if (record.status !== 'open' || record.editedAt || synced.has(record.id)) continue;
+      if (!recordKeys(record).some(key => dropped.has(key))) continue;
+      await dbPut('actionItems', { ...record, status: 'done', resolvedAt: now, resolvedBy: 'conversation', updatedAt: now });
+      resolved++;
+    }
+  }
+
+  return { added, resolved };
+}
+
+/**
+ * Get items, open ones due soonest first, then newest first.
+ * @param {Object} [filter={}]
+ * @param {string} [filter.status] - One of ITEM_STATUSES; all when omitted
+ * @param {string} [filter.kind] - One of ITEM_KINDS; all when omitted
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getItems(filter = {}) {
+  const items = filter.status
+    ? await dbGetByIndex('actionItems', 'status', filter.status)
+    : await dbGetAll('actionItems');
+  return items
+    .filter(item => !filter.kind || item.kind === filter.kind)
+    .sort((a, b) => {
+      if (a.dueDate !== b.dueDate) {
+        if (!a.dueDate) return 1;
+        if (!b.dueDate) return -1;
+        return a.dueDate.localeCompare(b.dueDate);
+      }
+      return b.createdAt.localeCompare(a.createdAt);
+    });
+}
+
+/**
+ * Count items by status.
+ * @returns {Promise<{open: number, done: number, dropped: number, overdue: number}>}
+ */
+export async function countItems() {
+  const today = new Date().toISOString().slice(0, 10);
+  const counts = { open: 0, done: 0, dropped: 0, overdue: 0 };
+  for (const item of await dbGetAll('actionItems')) {
+    counts[item.status]++;
+    if (item.status === 'open' && item.dueDate && item.dueDate < today) counts.overdue++;
+  }
+  return counts;
+}
+
+/**
+ * Change an item's status, due date or text.
+ * @param {string} id
+ * @param {{status?: string, dueDate?: string|null, text?: string}} changes
+ * @returns {Promise<Object|null>} The updated item, or null if it no longer exists
+ */
+export async function updateItem(id, changes) {
+  const item = await dbGet('actionItems', id);
+  if (!item) return null;
+  const now = new Date().toISOString();
+  // Edited items are no longer closed by the summaries they came from
+  const next = { ...item, updatedAt: now, editedAt: now };
+
+  if (changes.status && changes.status !== item.status) {
+    if (!ITEM_STATUSES.includes(changes.status)) throw new Error(`Unknown status: ${changes.status}`);
+    next.status = changes.status;
+    next.resolvedAt = changes.status === 'open' ? null : now;
+    next.resolvedBy = changes.status === 'open' ? null : 'user';
+  }
+  if ('dueDate' in changes) {
+    next.dueDate = DATE_RE.test(changes.dueDate || '') ? changes.dueDate : null;
+  }
+  if (changes.text?.trim()) next.text = changes.text.trim();
+
+  await dbPut('actionItems', next);
+  return next;
+}
+
+/**
+ * Delete one item.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteItem(id) {
+  await dbDelete('actionItems', id);
+}
+
+/**
+ * Move the items of a conversation merged into another (lib/identity.js)
+ * to the one kept. Items the kept conversation already tracks are dropped.
+ * @param {string} fromId - Conversation merged away
+ * @param {string} toId - Conversation kept
+ * @returns {Promise<number>} Items moved
+ */
+export async function moveConversationItems(fromId, toId) {
+  const kept = await dbGetByIndex('actionItems', 'conversationId', toId);
+  const keys = new Set(kept.flatMap(recordKeys));
+  let moved = 0;
+  for (const item of await dbGetByIndex('actionItems', 'conversationId', fromId)) {
+    if (recordKeys(item).some(key => keys.has(key))) {
+      await dbDelete('actionItems', item.id);
+      continue;
+    }
+    recordKeys(item).forEach(key => keys.add(key));
+    await dbPut('actionItems', { ...item, conversationId: toId });
+    moved++;
+  }
+  return moved;
+}
+
+/**
+ * Delete every item of a deleted conversation.
+ * @param {string} conversationId
+ * @returns {Promise<void>}
+ */
+export async function deleteConversationItems(conversationId) {
+  const items = await dbGetByIndex('actionItems', 'conversationId', conversationId);
+  await dbDeleteBatch('actionItems', items.map(item => item.id));
+}
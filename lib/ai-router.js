@@ -2,14 +2,49 @@
  * @fileoverview Multi-Provider AI Router for AI Context Bridge
  *
  * Routes AI inference requests through a priority-ordered chain of providers:
- * Lana AI -> OpenAI -> Claude -> Gemini
+ * Lana AI -> OpenAI -> Claude -> Gemini, plus any OpenAI-compatible server
+ * (Ollama, LM Studio, llama.cpp) configured as a `compatible` provider so
+ * conversations can stay on the local network.
  *
- * Each provider has its own adapter that normalizes request/response formats.
+ * Each provider has its own adapter that normalizes request/response formats,
+ * and a streaming variant that yields the text as it is generated
+ * (streamComplete()). Requests can be cancelled with an AbortSignal.
  * Providers are stored in chrome.storage.local under the key `aiProviders`.
  *
+ * Transient failures (429, 5xx, network) are retried per provider with
+ * exponential backoff and jitter, honoring Retry-After. A provider that keeps
+ * failing has its circuit opened and is skipped for a cooldown. Outcomes
+ * are kept as per-provider health stats under `aiProviderHealth`.
+ *
+ * Every request served is recorded in the token/cost ledger (lib/ledger.js).
+ * Requests marked `background` are held to the budget caps: a provider over
+ * its cap is skipped, and none run once the overall cap is reached.
+ *
+ * A `replay` provider answers from recorded fixtures (lib/fixtures.js) keyed
+ * by a hash of the prompt, for offline, reproducible runs. In record mode it
+ * steps aside and the responses of the other providers are recorded instead.
+ *
+ * Callers name their task (e.g. `summarize`). A routing rule for the task,
+ * stored under `aiRouting`, replaces the priority chain with its own ordered
+ * provider/model list and sampling parameters; tasks without a rule use the
+ * chain as-is.
+ *
+ * embed() is the embeddings counterpart of complete(): it walks the same
+ * chain over the providers that host embedding models (OpenAI, Gemini and
+ * the OpenAI-compatible Lana and local endpoints). Vectors from different models are
+ * not comparable, so fallback only moves to providers serving the same model.
+ *
+ * Secrets and personal data are masked in everything sent to a provider,
+ * unless redaction is turned off (lib/redaction.js); each result reports
+ * what was masked in `redactions`.
+ *
  * @module lib/ai-router
  */
 
+import { recordUsage, checkBudget } from './ledger.js';
+import { findFixture, saveFixture, countFixtures } from './fixtures.js';
+import { redactForEgress } from './redaction.js';
+
 // ---------------------------------------------------------------------------
 // Provider Type Defaults
 // ---------------------------------------------------------------------------
@@ -20,24 +55,67 @@ const PROVIDER_DEFAULTS = {
     baseUrl: '',
     models: ['lana-default'],
     defaultModel: 'lana-default',
+    embeddingModels: [],
   },
   openai: {
     name: 'OpenAI',
     baseUrl: 'https://api.openai.com',
     models: ['gpt-4o-mini', 'gpt-4o'],
     defaultModel: 'gpt-4o-mini',
+    embeddingModels: ['text-embedding-3-small', 'text-embedding-3-large'],
   },
   claude: {
     name: 'Claude',
     baseUrl: 'https://api.anthropic.com',
     models: ['claude-sonnet-4-20250514', 'claude-haiku-3-5-20241022'],
     defaultModel: 'claude-sonnet-4-20250514',
+    embeddingModels: [],
   },
   gemini: {
     name: 'Gemini',
     baseUrl: 'https://generativelanguage.googleapis.com',
     models: ['gemini-2.0-flash', 'gemini-2.5-pro'],
     defaultModel: 'gemini-2.0-flash',
+    embeddingModels: ['text-embedding-004'],
+  },
+  compatible: {
+    name: 'Local (OpenAI-compatible)',
+    baseUrl: 'http://localhost:11434',
+    models: [],
+    defaultModel: '',
+    embeddingModels: [],
+  },
+  replay: {
+    name: 'Replay (recorded)',
+    baseUrl: '',
+    models: ['replay'],
+    defaultModel: 'replay',
+    embeddingModels: [],
+  },
+};
+
+/** Matches model ids that are embedding models on common local servers. */
+const EMBEDDING_MODEL_PATTERN = /embed|bge-|e5-|gte-|minilm/i;
+
+/**
+ * Task types callers route by. `defaults` are the caller's parameters,
+ * shown in Settings as the values a rule overrides.
+ */
+const TASK_TYPES = {
+  summarize: {
+    label: 'Summarization',
+    description: 'Summaries and summary updates (bulk)',
+    defaults: { temperature: 0.3, maxTokens: 2000 },
+  },
+  verify_conflict: {
+    label: 'Conflict verification',
+    description: 'Confirming contradictions between summaries',
+    defaults: { temperature: 0.2, maxTokens: 1000 },
+  },
+  verify_summary: {
+    label: 'Summary fact check',
+    description: 'Confirming summary claims against their conversation',
+    defaults: { temperature: 0, maxTokens: 1000 },
   },
 };
 
@@ -108,40 +186,184 @@ export async function hasEnabledProvider() {
 }
 
 // ---------------------------------------------------------------------------
-// Provider Adapters
+// Task Routing
 // ---------------------------------------------------------------------------
 
 /**
- * Lana AI adapter — OpenAI-compatible format with custom matter_id field.
+ * Get the routing rules, keyed by task type.
+ * A rule is { route: [{providerId, model}], temperature?, maxTokens?, fallbackToDefault }.
+ * An empty route keeps the priority chain but still applies the parameters.
+ * @returns {Promise<Object<string, Object>>}
  */
-async function lanaAdapter(provider, messages, options) {
-  const model = options.model || provider.defaultModel;
-  const body = {
-    model,
-    messages,
-    temperature: options.temperature ?? 0.3,
-    max_tokens: options.maxTokens ?? 2000,
+export async function getRoutingRules() {
+  const { aiRouting } = await chrome.storage.local.get('aiRouting');
+  return aiRouting || {};
+}
+
+/**
+ * Save the routing rules.
+ * @param {Object<string, Object>} rules
+ * @returns {Promise<void>}
+ */
+export async function saveRoutingRules(rules) {
+  await chrome.storage.local.set({ aiRouting: rules });
+}
+
+/**
+ * Work out which providers and models a request tries, in order, and the
+ * parameters it runs with.
+ * @returns {Promise<{steps: Array<{provider: Object, model: string|null}>, options: Object, recording: boolean, routing: Object}>}
+ */
+async function planRequest(options) {
+  const providers = await getProviders();
+  const recording = providers.some(p => p.isEnabled && isRecording(p));
+  const enabled = providers.filter(p => p.isEnabled && !isRecording(p));
+
+  if (enabled.length === 0) {
+    throw new Error(recording
+      ? 'The replay provider is recording, but there is no other enabled provider to record from.'
+      : 'No AI providers configured. Add a provider in Settings.');
+  }
+
+  const rule = options.task ? (await getRoutingRules())[options.task] : null;
+  let steps = enabled.map(provider => ({ provider, model: null }));
+
+  if (rule?.route?.length) {
+    steps = rule.route
+      .map(step => ({ provider: enabled.find(p => p.id === step.providerId), model: step.model || null }))
+      .filter(step => step.provider);
+    if (rule.fallbackToDefault) {
+      const routed = new Set(steps.map(step => step.provider.id));
+      steps.push(...enabled.filter(p => !routed.has(p.id)).map(provider => ({ provider, model: null })));
+    }
+    if (steps.length === 0) {
+      const label = TASK_TYPES[options.task]?.label || options.task;
+      throw new Error(`No enabled provider in the ${label} route. Check Task Routing in Settings.`);
+    }
+  }
+
+  if (options.background) {
+    steps = await withinBudget(steps);
+  }
+
+  const merged = { ...options };
+  if (rule?.temperature != null) merged.temperature = rule.temperature;
+  if (rule?.maxTokens != null) merged.maxTokens = rule.maxTokens;
+
+  return {
+    steps,
+    options: merged,
+    recording,
+    routing: {
+      task: options.task || null,
+      rule: !!rule,
+      temperature: merged.temperature ?? null,
+      maxTokens: merged.maxTokens ?? null,
+    },
   };
+}
 
-  if (options.jsonMode) {
-    body.response_format = { type: 'json_object' };
+/**
+ * Drop the steps whose provider is over its budget cap. Throws an error with
+ * code BUDGET_EXCEEDED if the overall cap is reached or no provider is left.
+ */
+async function withinBudget(steps) {
+  const budget = await checkBudget();
+  const remaining = steps.filter(step => !budget.providers[step.provider.id]);
+  if (budget.blocked || remaining.length === 0) {
+    const reasons = budget.blocked
+      ? [budget.blocked]
+      : steps.map(step => `${step.provider.name}: ${budget.providers[step.provider.id]}`);
+    const err = new Error(`Background AI work is paused. ${reasons.join('; ')}`);
+    err.code = 'BUDGET_EXCEEDED';
+    throw err;
   }
-  if (provider.extra?.matterId) {
-    body.matter_id = provider.extra.matterId;
+  return remaining;
+}
+
+/** A replay provider in record mode takes no requests; it records the others' responses. */
+function isRecording(provider) {
+  return provider.type === 'replay' && provider.extra?.mode === 'record';
+}
+
+/**
+ * Log a served completion in the ledger and, while recording, as a fixture.
+ * Neither may fail the request.
+ */
+function afterCompletion(plan, provider, messages, options, result) {
+  recordUsage({
+    kind: 'completion',
+    task: options.task,
+    provider,
+    model: result.model,
+    usage: result.usage,
+    inputText: messagesText(messages),
+    outputText: result.content,
+    background: options.background,
+  });
+  if (plan.recording && provider.type !== 'replay') {
+    saveFixture(messages, options, result)
+      .catch(err => console.warn('[AI Router] Failed to record fixture:', err.message));
   }
+}
+
+/** Chat messages with their content redacted for sending, and what was masked. */
+async function redactMessages(messages) {
+  const { texts, counts } = await redactForEgress(messages.map(m => m.content));
+  return { messages: messages.map((m, i) => ({ ...m, content: texts[i] })), redactions: counts };
+}
+
+/** Flatten chat messages into one string, for estimating missing usage. */
+function messagesText(messages) {
+  return messages.map(m => m.content).join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Provider Adapters
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the Error for a failed provider response. `status` and
+ * `retryAfterMs` (from the Retry-After header) tell the router whether and
+ * when to retry.
+ * @param {Response} response
+ * @param {string} label - Prefix for the fallback message
+ * @returns {Promise<Error>}
+ */
+async function responseError(response, label) {
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(body.error?.message || `${label} error: ${response.status}`);
+  error.status = response.status;
+  error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+  return error;
+}
+
+/** Retry-After is either delay-seconds or an HTTP date. */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
+/**
+ * Lana AI adapter — OpenAI-compatible format with custom matter_id field.
+ */
+async function lanaAdapter(provider, messages, options) {
+  const model = options.model || provider.defaultModel;
   const response = await fetch(`${provider.baseUrl}/api/v1/chat/completions`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${provider.apiKey}`,
     },
-    body: JSON.stringify(body),
+    body: JSON.stringify(lanaBody(provider, model, messages, options)),
+    signal: options.signal,
   });
 
   if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    throw new Error(err.error?.message || `Lana API error: ${response.status}`);
+    throw await responseError(response, 'Lana API');
   }
 
   const result = await response.json();
@@ -154,11 +376,18 @@ async function lanaAdapter(provider, messages, options) {
   };
 }
 
+function lanaBody(provider, model, messages, options) {
+  const body = openaiBody(model, messages, options);
+  if (provider.extra?.matterId) {
+    body.matter_id = provider.extra.matterId;
+  }
+  return body;
+}
+
 /**
- * OpenAI adapter — standard chat completions API.
+ * Chat completions request body shared by the OpenAI-format adapters.
  */
-async function openaiAdapter(provider, messages, options) {
-  const model = options.model || provider.defaultModel;
+function openaiBody(model, messages, options) {
   const body = {
     model,
     messages,
@@ -169,19 +398,26 @@ async function openaiAdapter(provider, messages, options) {
   if (options.jsonMode) {
     body.response_format = { type: 'json_object' };
   }
+  return body;
+}
 
+/**
+ * OpenAI adapter — standard chat completions API.
+ */
+async function openaiAdapter(provider, messages, options) {
+  const model = options.model || provider.defaultModel;
   const response = await fetch(`${provider.baseUrl}/v1/chat/completions`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${provider.apiKey}`,
     },
-    body: JSON.stringify(body),
+    body: JSON.stringify(openaiBody(model, messages, options)),
+    signal: options.signal,
   });
 
   if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    throw new Error(err.error?.message || `OpenAI API error: ${response.status}`);
+    throw await responseError(response, 'OpenAI API');
   }
 
   const result = await response.json();
@@ -194,6 +430,77 @@ async function openaiAdapter(provider, messages, options) {
   };
 }
 
+/**
+ * Base URL of an OpenAI-compatible server's API, accepting the server root
+ * with or without the trailing `/v1` (both forms appear in server docs).
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+function compatibleApiBase(baseUrl) {
+  return `${(baseUrl || '').replace(/\/+$/, '').replace(/\/v1$/, '')}/v1`;
+}
+
+/**
+ * Headers for an OpenAI-compatible server. Local servers usually run
+ * without a key, so Authorization is only sent when one is configured.
+ */
+function compatibleHeaders(provider) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (provider.apiKey) headers['Authorization'] = `Bearer ${provider.apiKey}`;
+  return headers;
+}
+
+/**
+ * OpenAI-compatible adapter — chat completions on a self-hosted server.
+ * Some servers (e.g. LM Studio) reject `json_object` response formats; the
+ * request is retried without it since the prompt already asks for JSON.
+ */
+async function compatibleAdapter(provider, messages, options) {
+  const model = options.model || provider.defaultModel;
+  const response = await compatibleFetch(provider, model, messages, options);
+
+  if (!response.ok) {
+    throw await responseError(response, provider.name || 'Local server');
+  }
+
+  const result = await response.json();
+  return {
+    content: result.choices[0].message.content,
+    providerId: provider.id,
+    providerType: 'compatible',
+    model,
+    usage: result.usage || null,
+  };
+}
+
+/** A 400 from a server that does not support the JSON response format. */
+const JSON_MODE_ERROR_PATTERN = /response_format|json[ _-]?(mode|object|schema)/i;
+
+/**
+ * POST a chat completion to an OpenAI-compatible server, dropping the
+ * JSON response format if the server rejects it. Other 400s are returned
+ * as they are.
+ */
+async function compatibleFetch(provider, model, messages, options, extra = {}) {
+  if (!model) throw new Error('No model selected. Discover models in Settings.');
+
+  const body = { ...openaiBody(model, messages, options), ...extra };
+  const send = (payload) => fetch(`${compatibleApiBase(provider.baseUrl)}/chat/completions`, {
+    method: 'POST',
+    headers: compatibleHeaders(provider),
+    body: JSON.stringify(payload),
+    signal: options.signal,
+  });
+
+  const response = await send(body);
+  if (options.jsonMode && response.status === 400 && JSON_MODE_ERROR_PATTERN.test(await response.clone().text())) {
+    const plain = { ...body };
+    delete plain.response_format;
+    return send(plain);
+  }
+  return response;
+}
+
 /**
  * Claude adapter — Anthropic Messages API.
  * System prompt is a separate field, not a message.
@@ -201,7 +508,46 @@ async function openaiAdapter(provider, messages, options) {
  */
 async function claudeAdapter(provider, messages, options) {
   const model = options.model || provider.defaultModel;
+  const response = await fetch(`${provider.baseUrl}/v1/messages`, {
+    method: 'POST',
+    headers: claudeHeaders(provider),
+    body: JSON.stringify(claudeBody(model, messages, options)),
+    signal: options.signal,
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, 'Claude API');
+  }
+
+  const result = await response.json();
+  const content = result.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+
+  return {
+    content,
+    providerId: provider.id,
+    providerType: 'claude',
+    model,
+    usage: result.usage ? {
+      prompt_tokens: result.usage.input_tokens,
+      completion_tokens: result.usage.output_tokens,
+      total_tokens: (result.usage.input_tokens || 0) + (result.usage.output_tokens || 0),
+    } : null,
+  };
+}
+
+function claudeHeaders(provider) {
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': provider.apiKey,
+    'anthropic-version': '2023-06-01',
+    'anthropic-dangerous-direct-browser-access': 'true',
+  };
+}
 
+function claudeBody(model, messages, options) {
   // Extract system message and convert remaining to Claude format
   let systemText = '';
   const claudeMessages = [];
@@ -235,49 +581,39 @@ async function claudeAdapter(provider, messages, options) {
   if (options.temperature !== undefined) {
     body.temperature = options.temperature;
   }
+  return body;
+}
 
-  const response = await fetch(`${provider.baseUrl}/v1/messages`, {
+/**
+ * Gemini adapter — Google Generative AI API.
+ * Uses contents/parts format with 'model' role for assistant.
+ */
+async function geminiAdapter(provider, messages, options) {
+  const model = options.model || provider.defaultModel;
+  const url = `${provider.baseUrl}/v1beta/models/${model}:generateContent?key=${provider.apiKey}`;
+
+  const response = await fetch(url, {
     method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': provider.apiKey,
-      'anthropic-version': '2023-06-01',
-      'anthropic-dangerous-direct-browser-access': 'true',
-    },
-    body: JSON.stringify(body),
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(geminiBody(messages, options)),
+    signal: options.signal,
   });
 
   if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    throw new Error(err.error?.message || `Claude API error: ${response.status}`);
+    throw await responseError(response, 'Gemini API');
   }
 
   const result = await response.json();
-  const content = result.content
-    .filter(block => block.type === 'text')
-    .map(block => block.text)
-    .join('');
-
   return {
-    content,
+    content: geminiText(result),
     providerId: provider.id,
-    providerType: 'claude',
+    providerType: 'gemini',
     model,
-    usage: result.usage ? {
-      prompt_tokens: result.usage.input_tokens,
-      completion_tokens: result.usage.output_tokens,
-      total_tokens: (result.usage.input_tokens || 0) + (result.usage.output_tokens || 0),
-    } : null,
+    usage: geminiUsage(result),
   };
 }
 
-/**
- * Gemini adapter — Google Generative AI API.
- * Uses contents/parts format with 'model' role for assistant.
- */
-async function geminiAdapter(provider, messages, options) {
-  const model = options.model || provider.defaultModel;
-
+function geminiBody(messages, options) {
   // Convert messages to Gemini format
   let systemInstruction = '';
   const contents = [];
@@ -308,83 +644,691 @@ async function geminiAdapter(provider, messages, options) {
   if (options.jsonMode) {
     body.generationConfig.responseMimeType = 'application/json';
   }
+  return body;
+}
 
-  const url = `${provider.baseUrl}/v1beta/models/${model}:generateContent?key=${provider.apiKey}`;
+function geminiText(result) {
+  return result.candidates?.[0]?.content?.parts
+    ?.map(p => p.text)
+    .join('') || '';
+}
+
+function geminiUsage(result) {
+  return result.usageMetadata ? {
+    prompt_tokens: result.usageMetadata.promptTokenCount || 0,
+    completion_tokens: result.usageMetadata.candidatesTokenCount || 0,
+    total_tokens: result.usageMetadata.totalTokenCount || 0,
+  } : null;
+}
+
+/**
+ * Replay — serves the response recorded for this exact prompt. A prompt
+ * with no recording fails like a 404 (not retried), so the chain moves on.
+ */
+async function replayAdapter(provider, messages, options) {
+  const fixture = await findFixture(messages, options);
+  if (!fixture) {
+    const err = new Error('Replay: no recorded response for this prompt');
+    err.status = 404;
+    throw err;
+  }
+  return {
+    content: fixture.response.content,
+    providerId: provider.id,
+    providerType: 'replay',
+    model: fixture.response.model || provider.defaultModel,
+    usage: fixture.response.usage || null,
+  };
+}
+
+const ADAPTERS = {
+  lana: lanaAdapter,
+  openai: openaiAdapter,
+  claude: claudeAdapter,
+  gemini: geminiAdapter,
+  compatible: compatibleAdapter,
+  replay: replayAdapter,
+};
+
+// ---------------------------------------------------------------------------
+// Streaming Adapters
+// ---------------------------------------------------------------------------
+//
+// Each yields { type: 'delta', text } as text arrives, then exactly one
+// { type: 'done', result } with the same result shape as the plain adapter.
+
+/**
+ * Parse a server-sent events body into { event, data } records.
+ * @param {Response} response
+ */
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parse = (block) => {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    return data.length ? { event, data: data.join('\n') } : null;
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const record = parse(block);
+        if (record) yield record;
+      }
+    }
+    const record = parse(buffer + decoder.decode());
+    if (record) yield record;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Stream an OpenAI-format chat completion (OpenAI, Lana, compatible servers).
+ * Usage arrives in a final chunk when the server honors stream_options.
+ */
+async function* readOpenAIStream(response, provider, model) {
+  let content = '';
+  let usage = null;
+
+  for await (const { data } of readServerSentEvents(response)) {
+    if (data === '[DONE]') break;
+    const chunk = JSON.parse(data);
+    if (chunk.error) throw new Error(chunk.error.message || 'Stream error');
+    const text = chunk.choices?.[0]?.delta?.content;
+    if (text) {
+      content += text;
+      yield { type: 'delta', text };
+    }
+    if (chunk.usage) usage = chunk.usage;
+  }
+
+  yield {
+    type: 'done',
+    result: { content, providerId: provider.id, providerType: provider.type, model, usage },
+  };
+}
+
+async function* lanaStreamAdapter(provider, messages, options) {
+  const model = options.model || provider.defaultModel;
+  const response = await fetch(`${provider.baseUrl}/api/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${provider.apiKey}`,
+    },
+    body: JSON.stringify({
+      ...lanaBody(provider, model, messages, options),
+      stream: true,
+      stream_options: { include_usage: true },
+    }),
+    signal: options.signal,
+  });
+
+  if (!response.ok) throw await responseError(response, 'Lana API');
+  yield* readOpenAIStream(response, provider, model);
+}
+
+async function* openaiStreamAdapter(provider, messages, options) {
+  const model = options.model || provider.defaultModel;
+  const response = await fetch(`${provider.baseUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${provider.apiKey}`,
+    },
+    body: JSON.stringify({
+      ...openaiBody(model, messages, options),
+      stream: true,
+      stream_options: { include_usage: true },
+    }),
+    signal: options.signal,
+  });
+
+  if (!response.ok) throw await responseError(response, 'OpenAI API');
+  yield* readOpenAIStream(response, provider, model);
+}
+
+/**
+ * Local servers differ in stream_options support, so usage is only
+ * reported when the server sends it unasked.
+ */
+async function* compatibleStreamAdapter(provider, messages, options) {
+  const model = options.model || provider.defaultModel;
+  const response = await compatibleFetch(provider, model, messages, options, { stream: true });
+
+  if (!response.ok) throw await responseError(response, provider.name || 'Local server');
+  yield* readOpenAIStream(response, provider, model);
+}
+
+/**
+ * Claude streams typed events: input usage in message_start, text in
+ * content_block_delta, output usage in message_delta.
+ */
+async function* claudeStreamAdapter(provider, messages, options) {
+  const model = options.model || provider.defaultModel;
+  const response = await fetch(`${provider.baseUrl}/v1/messages`, {
+    method: 'POST',
+    headers: claudeHeaders(provider),
+    body: JSON.stringify({ ...claudeBody(model, messages, options), stream: true }),
+    signal: options.signal,
+  });
+
+  if (!response.ok) throw await responseError(response, 'Claude API');
+
+  let content = '';
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  for await (const { event, data } of readServerSentEvents(response)) {
+    const payload = JSON.parse(data);
+    if (event === 'error') {
+      throw new Error(payload.error?.message || 'Claude stream error');
+    } else if (event === 'message_start') {
+      inputTokens = payload.message?.usage?.input_tokens || 0;
+    } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+      content += payload.delta.text;
+      yield { type: 'delta', text: payload.delta.text };
+    } else if (event === 'message_delta') {
+      outputTokens = payload.usage?.output_tokens || outputTokens;
+    }
+  }
+
+  yield {
+    type: 'done',
+    result: {
+      content,
+      providerId: provider.id,
+      providerType: 'claude',
+      model,
+      usage: {
+        prompt_tokens: inputTokens,
+        completion_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens,
+      },
+    },
+  };
+}
+
+/**
+ * Gemini streams whole GenerateContentResponse objects; usage metadata
+ * is cumulative, so the last one wins.
+ */
+async function* geminiStreamAdapter(provider, messages, options) {
+  const model = options.model || provider.defaultModel;
+  const url = `${provider.baseUrl}/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${provider.apiKey}`;
 
   const response = await fetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
+    body: JSON.stringify(geminiBody(messages, options)),
+    signal: options.signal,
+  });
+
+  if (!response.ok) throw await responseError(response, 'Gemini API');
+
+  let content = '';
+  let usage = null;
+
+  for await (const { data } of readServerSentEvents(response)) {
+    const chunk = JSON.parse(data);
+    if (chunk.error) throw new Error(chunk.error.message || 'Gemini stream error');
+    const text = geminiText(chunk);
+    if (text) {
+      content += text;
+      yield { type: 'delta', text };
+    }
+    usage = geminiUsage(chunk) || usage;
+  }
+
+  yield {
+    type: 'done',
+    result: { content, providerId: provider.id, providerType: 'gemini', model, usage },
+  };
+}
+
+/**
+ * Replay has the whole response at once; it arrives as a single delta.
+ */
+async function* replayStreamAdapter(provider, messages, options) {
+  const result = await replayAdapter(provider, messages, options);
+  yield { type: 'delta', text: result.content };
+  yield { type: 'done', result };
+}
+
+const STREAM_ADAPTERS = {
+  lana: lanaStreamAdapter,
+  openai: openaiStreamAdapter,
+  claude: claudeStreamAdapter,
+  gemini: geminiStreamAdapter,
+  compatible: compatibleStreamAdapter,
+  replay: replayStreamAdapter,
+};
+
+// ---------------------------------------------------------------------------
+// Embedding Adapters
+// ---------------------------------------------------------------------------
+
+/** Gemini accepts at most this many texts per batchEmbedContents call. */
+const GEMINI_EMBED_BATCH = 100;
+
+/**
+ * Shared request for OpenAI-style /embeddings endpoints.
+ * Empty strings are rejected by the API, so they are sent as a single space.
+ */
+async function openaiCompatibleEmbed(provider, url, label, texts, model) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: compatibleHeaders(provider),
+    body: JSON.stringify({ model, input: texts.map(t => t || ' ') }),
   });
 
   if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    const errMsg = err.error?.message || `Gemini API error: ${response.status}`;
-    throw new Error(errMsg);
+    throw await responseError(response, `${label} embeddings`);
   }
 
   const result = await response.json();
-  const content = result.candidates?.[0]?.content?.parts
-    ?.map(p => p.text)
-    .join('') || '';
+  const vectors = [...result.data]
+    .sort((a, b) => a.index - b.index)
+    .map(d => d.embedding);
 
   return {
-    content,
+    vectors,
+    providerId: provider.id,
+    providerType: provider.type,
+    model,
+    usage: result.usage || null,
+  };
+}
+
+/**
+ * Lana AI embeddings — OpenAI-compatible /api/v1/embeddings.
+ */
+async function lanaEmbedAdapter(provider, texts, model) {
+  return openaiCompatibleEmbed(provider, `${provider.baseUrl}/api/v1/embeddings`, 'Lana', texts, model);
+}
+
+/**
+ * OpenAI embeddings API.
+ */
+async function openaiEmbedAdapter(provider, texts, model) {
+  return openaiCompatibleEmbed(provider, `${provider.baseUrl}/v1/embeddings`, 'OpenAI', texts, model);
+}
+
+/**
+ * OpenAI-compatible server embeddings (e.g. nomic-embed-text on Ollama).
+ */
+async function compatibleEmbedAdapter(provider, texts, model) {
+  const label = provider.name || 'Local server';
+  return openaiCompatibleEmbed(provider, `${compatibleApiBase(provider.baseUrl)}/embeddings`, label, texts, model);
+}
+
+/**
+ * Gemini embeddings — batchEmbedContents, split into API-sized batches.
+ */
+async function geminiEmbedAdapter(provider, texts, model) {
+  const url = `${provider.baseUrl}/v1beta/models/${model}:batchEmbedContents?key=${provider.apiKey}`;
+  const vectors = [];
+
+  for (let i = 0; i < texts.length; i += GEMINI_EMBED_BATCH) {
+    const batch = texts.slice(i, i + GEMINI_EMBED_BATCH);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        requests: batch.map(text => ({
+          model: `models/${model}`,
+          content: { parts: [{ text: text || ' ' }] },
+        })),
+      }),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Gemini embeddings');
+    }
+
+    const result = await response.json();
+    vectors.push(...(result.embeddings || []).map(e => e.values));
+  }
+
+  return {
+    vectors,
     providerId: provider.id,
     providerType: 'gemini',
     model,
-    usage: result.usageMetadata ? {
-      prompt_tokens: result.usageMetadata.promptTokenCount || 0,
-      completion_tokens: result.usageMetadata.candidatesTokenCount || 0,
-      total_tokens: result.usageMetadata.totalTokenCount || 0,
-    } : null,
+    usage: null,
   };
 }
 
-const ADAPTERS = {
-  lana: lanaAdapter,
-  openai: openaiAdapter,
-  claude: claudeAdapter,
-  gemini: geminiAdapter,
+const EMBED_ADAPTERS = {
+  lana: lanaEmbedAdapter,
+  openai: openaiEmbedAdapter,
+  gemini: geminiEmbedAdapter,
+  compatible: compatibleEmbedAdapter,
 };
 
+/**
+ * Embedding models a provider can serve. Providers may override the type's
+ * defaults (e.g. a Lana deployment lists the models it hosts).
+ * @param {Object} provider
+ * @returns {string[]}
+ */
+export function getProviderEmbeddingModels(provider) {
+  if (!EMBED_ADAPTERS[provider.type]) return [];
+  return provider.embeddingModels ?? PROVIDER_DEFAULTS[provider.type]?.embeddingModels ?? [];
+}
+
+/**
+ * Embedding models served by the enabled providers, in provider priority order.
+ * @returns {Promise<Array<{model: string, providers: string[]}>>}
+ */
+export async function listEmbeddingModels() {
+  const providers = await getProviders();
+  const byModel = new Map();
+  for (const provider of providers.filter(p => p.isEnabled)) {
+    for (const model of getProviderEmbeddingModels(provider)) {
+      if (!byModel.has(model)) byModel.set(model, []);
+      byModel.get(model).push(provider.name);
+    }
+  }
+  return [...byModel].map(([model, names]) => ({ model, providers: names }));
+}
+
+// ---------------------------------------------------------------------------
+// Reliability: retries, circuit breaker, health stats
+// ---------------------------------------------------------------------------
+
+/** Retries per provider after the first attempt, for transient failures. */
+const MAX_RETRIES = 2;
+
+/** Backoff before retry n is up to RETRY_BASE_MS * 2^n (capped), with jitter. */
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 20000;
+
+/** A Retry-After longer than this moves on to the next provider instead of waiting. */
+const MAX_RETRY_AFTER_MS = 30000;
+
+/** Timeouts, rate limits, overload and gateway errors. */
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+/** Consecutive transient failures (after retries) that open a provider's circuit. */
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+
+/** First cooldown of an open circuit; doubles each time it re-opens. */
+const CIRCUIT_COOLDOWN_MS = 60 * 1000;
+const CIRCUIT_MAX_COOLDOWN_MS = 15 * 60 * 1000;
+
+/** A half-open trial request that never reported back (e.g. it was cancelled) is given up after this long. */
+const CIRCUIT_TRIAL_LEASE_MS = 2 * 60 * 1000;
+
+/** Recent requests kept per provider for success rate and latency. */
+const HEALTH_WINDOW = 20;
+
+const HEALTH_KEY = 'aiProviderHealth';
+
+/** Serializes health writes from this context. */
+let healthWrite = Promise.resolve();
+
+function isTransient(err) {
+  if (err.name === 'AbortError') return false;
+  if (err.status) return RETRYABLE_STATUSES.has(err.status);
+  // fetch() rejects with a TypeError when the network request itself fails
+  return err.name === 'TypeError' && /fetch|network/i.test(err.message);
+}
+
+function shouldRetry(err, attempt) {
+  return attempt < MAX_RETRIES
+    && isTransient(err)
+    && !(err.retryAfterMs > MAX_RETRY_AFTER_MS);
+}
+
+function retryDelay(err, attempt) {
+  if (err.retryAfterMs != null) return err.retryAfterMs;
+  const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function waitBeforeRetry(provider, err, attempt, signal) {
+  const delay = Math.round(retryDelay(err, attempt));
+  console.warn(`[AI Router] ${provider.name} failed (${err.status || err.message}), retrying in ${delay}ms`);
+  await sleep(delay, signal);
+}
+
+/**
+ * Call a provider, retrying transient failures, and record the outcome
+ * in its health stats.
+ * @param {Object} provider
+ * @param {AbortSignal|undefined} signal
+ * @param {function(): Promise<*>} call
+ */
+async function callWithRetry(provider, signal, call) {
+  for (let attempt = 0; ; attempt++) {
+    const start = performance.now();
+    try {
+      const result = await call();
+      recordSuccess(provider.id, performance.now() - start);
+      return result;
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      if (!shouldRetry(err, attempt)) {
+        recordFailure(provider.id, err, performance.now() - start);
+        throw err;
+      }
+      await waitBeforeRetry(provider, err, attempt, signal);
+    }
+  }
+}
+
+/**
+ * Get the raw health records, keyed by provider id.
+ * @returns {Promise<Object<string, Object>>}
+ */
+export async function getProviderHealth() {
+  const data = await chrome.storage.local.get(HEALTH_KEY);
+  return data[HEALTH_KEY] || {};
+}
+
+/**
+ * Forget a provider's health stats and close its circuit
+ * (e.g. after its settings were edited, or it was deleted).
+ * @param {string} providerId
+ * @returns {Promise<void>}
+ */
+export async function resetProviderHealth(providerId) {
+  healthWrite = healthWrite.then(async () => {
+    const all = await getProviderHealth();
+    delete all[providerId];
+    await chrome.storage.local.set({ [HEALTH_KEY]: all });
+  });
+  return healthWrite;
+}
+
+/**
+ * Summarize a health record for display.
+ * @param {Object} [entry]
+ * @returns {{requests: number, successRate: number|null, avgLatencyMs: number|null, lastError: string|null, lastErrorAt: string|null, pausedUntil: number|null}}
+ */
+export function describeProviderHealth(entry) {
+  const recent = entry?.recent || [];
+  const successes = recent.filter(r => r.ok);
+  return {
+    requests: recent.length,
+    successRate: recent.length ? successes.length / recent.length : null,
+    avgLatencyMs: successes.length
+      ? Math.round(successes.reduce((sum, r) => sum + r.ms, 0) / successes.length)
+      : null,
+    lastError: entry?.lastError || null,
+    lastErrorAt: entry?.lastErrorAt || null,
+    pausedUntil: entry?.openUntil > Date.now() ? entry.openUntil : null,
+  };
+}
+
+function updateHealth(providerId, update) {
+  healthWrite = healthWrite.then(async () => {
+    const all = await getProviderHealth();
+    const entry = all[providerId] || { recent: [], consecutiveFailures: 0, cooldownMs: 0, openUntil: null };
+    update(entry);
+    all[providerId] = entry;
+    await chrome.storage.local.set({ [HEALTH_KEY]: all });
+  }).catch(err => console.warn('[AI Router] Failed to record provider health:', err.message));
+  return healthWrite;
+}
+
+function recordSuccess(providerId, latencyMs) {
+  return updateHealth(providerId, entry => {
+    entry.recent = [...entry.recent, { ok: true, ms: Math.round(latencyMs) }].slice(-HEALTH_WINDOW);
+    entry.consecutiveFailures = 0;
+    entry.cooldownMs = 0;
+    entry.openUntil = null;
+    entry.trialUntil = null;
+    entry.lastSuccessAt = new Date().toISOString();
+  });
+}
+
+/**
+ * Only transient failures trip the breaker: a bad key or request fails the
+ * same way every time and falls through to the next provider immediately.
+ */
+function recordFailure(providerId, err, latencyMs) {
+  return updateHealth(providerId, entry => {
+    entry.recent = [...entry.recent, { ok: false, ms: Math.round(latencyMs) }].slice(-HEALTH_WINDOW);
+    entry.lastError = err.status ? `${err.status}: ${err.message}` : err.message;
+    entry.lastErrorAt = new Date().toISOString();
+    entry.trialUntil = null;
+    if (!isTransient(err)) return;
+
+    entry.consecutiveFailures++;
+    const longRetryAfter = err.retryAfterMs > MAX_RETRY_AFTER_MS;
+    if (entry.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD || longRetryAfter) {
+      entry.cooldownMs = Math.min(CIRCUIT_MAX_COOLDOWN_MS, entry.cooldownMs ? entry.cooldownMs * 2 : CIRCUIT_COOLDOWN_MS);
+      entry.openUntil = Date.now() + Math.max(entry.cooldownMs, err.retryAfterMs || 0);
+    }
+  });
+}
+
+/**
+ * Error text for a provider whose circuit is open, or null if it may be tried.
+ * Once the cooldown passes the circuit is half-open: the first caller takes
+ * the trial (recorded in the provider's health before its request goes out)
+ * and other callers are turned away until the trial reports back. Its
+ * outcome closes the circuit or re-opens it for longer.
+ */
+async function circuitOpenError(health, provider) {
+  const openUntil = health[provider.id]?.openUntil;
+  if (!openUntil) return null;
+  if (openUntil > Date.now()) {
+    const until = new Date(openUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `paused after repeated failures until ${until}`;
+  }
+  return await claimTrial(provider.id) ? null : 'paused after repeated failures, a trial request is under way';
+}
+
+/**
+ * Take the half-open trial of a provider's circuit.
+ * @returns {Promise<boolean>} Whether this caller got it
+ */
+function claimTrial(providerId) {
+  let claimed = false;
+  return updateHealth(providerId, entry => {
+    // Closed or re-opened since the caller read the health stats
+    if (!entry.openUntil || entry.openUntil > Date.now()) {
+      claimed = !entry.openUntil;
+      return;
+    }
+    if (entry.trialUntil > Date.now()) return;
+    entry.trialUntil = Date.now() + CIRCUIT_TRIAL_LEASE_MS;
+    claimed = true;
+  }).then(() => claimed);
+}
+
 // ---------------------------------------------------------------------------
 // Core Router
 // ---------------------------------------------------------------------------
 
 /**
  * Send a completion request through the provider chain.
- * Tries providers in priority order; on failure, falls back to the next.
+ * Tries providers in priority order (or the task's routing rule order);
+ * on failure, falls back to the next.
  *
  * @param {Array<{role: string, content: string}>} messages - Chat messages
  * @param {Object} [options={}]
  * @param {number} [options.temperature] - Sampling temperature
  * @param {number} [options.maxTokens] - Max tokens to generate
  * @param {boolean} [options.jsonMode] - Request JSON output
- * @param {string} [options.model] - Override model for this request
- * @returns {Promise<{content: string, providerId: string, providerType: string, model: string, usage: Object|null}>}
+ * @param {string} [options.model] - Override model for this request (a routing rule's model wins)
+ * @param {string} [options.task] - Task type (a key of TASK_TYPES) whose routing rule applies
+ * @param {AbortSignal} [options.signal] - Aborts the request; no fallback is tried
+ * @param {boolean} [options.background] - Not requested by the user; held to the budget caps
+ * @param {function(string, string): void} [options.onText] - Stream the response,
+ *   called with each new piece of text and the text so far
+ * @returns {Promise<{content: string, providerId: string, providerType: string, model: string, usage: Object|null, routing: Object, redactions: Object}>}
+ *   `redactions` counts the values masked in the request, by kind
  */
 export async function complete(messages, options = {}) {
-  const providers = await getProviders();
-  const enabled = providers.filter(p => p.isEnabled);
-
-  if (enabled.length === 0) {
-    throw new Error('No AI providers configured. Add a provider in Settings.');
+  if (options.onText) {
+    let text = '';
+    for await (const event of streamComplete(messages, options)) {
+      if (event.type === 'delta') {
+        text += event.text;
+        options.onText(event.text, text);
+      } else {
+        return event.result;
+      }
+    }
   }
 
+  const { messages: outgoing, redactions } = await redactMessages(messages);
+  const plan = await planRequest(options);
+  const health = await getProviderHealth();
   const errors = [];
 
-  for (const provider of enabled) {
+  for (const { provider, model } of plan.steps) {
     const adapter = ADAPTERS[provider.type];
     if (!adapter) {
       errors.push({ provider: provider.name, error: `Unknown provider type: ${provider.type}` });
       continue;
     }
+    const paused = await circuitOpenError(health, provider);
+    if (paused) {
+      errors.push({ provider: provider.name, error: paused });
+      continue;
+    }
 
     try {
-      const result = await adapter(provider, messages, options);
-      return result;
+      const stepOptions = { ...plan.options, model: model || plan.options.model };
+      const result = await callWithRetry(provider, options.signal, () => adapter(provider, outgoing, stepOptions));
+      afterCompletion(plan, provider, outgoing, options, result);
+      return { ...result, routing: plan.routing, redactions };
     } catch (err) {
+      if (err.name === 'AbortError') throw err;
       console.warn(`[AI Router] ${provider.name} failed:`, err.message);
       errors.push({ provider: provider.name, error: err.message });
     }
@@ -395,16 +1339,174 @@ export async function complete(messages, options = {}) {
   throw new Error(`All AI providers failed. ${details}`);
 }
 
+/**
+ * Stream a completion through the provider chain.
+ * Yields { type: 'delta', text } events, then one { type: 'done', result }
+ * with the same result as complete(). Retries and falls back to the next
+ * provider only while nothing has been streamed yet; a failure mid-stream
+ * is thrown.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {Object} [options={}] - Same options as complete()
+ * @returns {AsyncGenerator<{type: 'delta', text: string}|{type: 'done', result: Object}>}
+ */
+export async function* streamComplete(messages, options = {}) {
+  const { messages: outgoing, redactions } = await redactMessages(messages);
+  const plan = await planRequest(options);
+  const health = await getProviderHealth();
+  const errors = [];
+
+  for (const { provider, model } of plan.steps) {
+    const adapter = STREAM_ADAPTERS[provider.type];
+    if (!adapter) {
+      errors.push({ provider: provider.name, error: `Unknown provider type: ${provider.type}` });
+      continue;
+    }
+    const paused = await circuitOpenError(health, provider);
+    if (paused) {
+      errors.push({ provider: provider.name, error: paused });
+      continue;
+    }
+
+    const stepOptions = { ...plan.options, model: model || plan.options.model };
+    for (let attempt = 0; ; attempt++) {
+      const start = performance.now();
+      let streamed = false;
+      try {
+        for await (const event of adapter(provider, outgoing, stepOptions)) {
+          if (event.type === 'delta') {
+            streamed = true;
+            yield event;
+          } else {
+            recordSuccess(provider.id, performance.now() - start);
+            afterCompletion(plan, provider, outgoing, options, event.result);
+            yield { ...event, result: { ...event.result, routing: plan.routing, redactions } };
+          }
+        }
+        return;
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        if (streamed || !shouldRetry(err, attempt)) {
+          recordFailure(provider.id, err, performance.now() - start);
+          if (streamed) throw err;
+          console.warn(`[AI Router] ${provider.name} failed:`, err.message);
+          errors.push({ provider: provider.name, error: err.message });
+          break;
+        }
+        await waitBeforeRetry(provider, err, attempt, options.signal);
+      }
+    }
+  }
+
+  const details = errors.map(e => `${e.provider}: ${e.error}`).join('; ');
+  throw new Error(`All AI providers failed. ${details}`);
+}
+
+/**
+ * Embed texts through the provider chain.
+ * Tries, in priority order, the enabled providers that serve the requested
+ * embedding model; on failure, falls back to the next one. Without a model,
+ * the first embedding-capable provider's first model is used.
+ *
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} [options={}]
+ * @param {string} [options.model] - Embedding model name (e.g. 'text-embedding-3-small')
+ * @param {boolean} [options.background] - Not requested by the user; held to the budget caps
+ * @returns {Promise<{vectors: number[][], providerId: string, providerType: string, model: string, usage: Object|null, redactions: Object}>}
+ */
+export async function embed(texts, options = {}) {
+  const providers = await getProviders();
+  const enabled = providers.filter(p => p.isEnabled && getProviderEmbeddingModels(p).length > 0);
+
+  if (enabled.length === 0) {
+    throw new Error('No embedding providers configured. Add an OpenAI, Gemini, Lana or local provider in Settings.');
+  }
+
+  const model = options.model || getProviderEmbeddingModels(enabled[0])[0];
+  let serving = enabled.filter(p => getProviderEmbeddingModels(p).includes(model));
+
+  if (serving.length === 0) {
+    throw new Error(`No enabled provider serves embedding model ${model}`);
+  }
+
+  if (options.background) {
+    serving = (await withinBudget(serving.map(provider => ({ provider, model })))).map(step => step.provider);
+  }
+
+  const { texts: outgoing, counts: redactions } = await redactForEgress(texts);
+  const health = await getProviderHealth();
+  const errors = [];
+
+  for (const provider of serving) {
+    const paused = await circuitOpenError(health, provider);
+    if (paused) {
+      errors.push({ provider: provider.name, error: paused });
+      continue;
+    }
+
+    try {
+      const result = await callWithRetry(provider, undefined, () => EMBED_ADAPTERS[provider.type](provider, outgoing, model));
+      if (result.vectors.length !== texts.length) {
+        throw new Error(`Expected ${texts.length} embeddings, got ${result.vectors.length}`);
+      }
+      recordUsage({
+        kind: 'embedding',
+        task: 'embed',
+        provider,
+        model: result.model,
+        usage: result.usage,
+        inputText: outgoing.join('\n'),
+        background: options.background,
+      });
+      return { ...result, redactions };
+    } catch (err) {
+      console.warn(`[AI Router] ${provider.name} embeddings failed:`, err.message);
+      errors.push({ provider: provider.name, error: err.message });
+    }
+  }
+
+  const details = errors.map(e => `${e.provider}: ${e.error}`).join('; ');
+  throw new Error(`All embedding providers failed. ${details}`);
+}
+
 // ---------------------------------------------------------------------------
 // Connection Test
 // ---------------------------------------------------------------------------
 
+/**
+ * List the models an OpenAI-compatible server offers via GET /v1/models.
+ * Ids that look like embedding models are split out so they can be offered
+ * as embedding models instead of chat models.
+ *
+ * @param {Object} config - Provider config object (baseUrl, optional apiKey)
+ * @returns {Promise<{models: string[], embeddingModels: string[]}>}
+ */
+export async function discoverModels(config) {
+  const response = await fetch(`${compatibleApiBase(config.baseUrl)}/models`, {
+    headers: compatibleHeaders(config),
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, 'Model discovery');
+  }
+
+  const result = await response.json();
+  const ids = (result.data || []).map(m => m.id).filter(Boolean).sort();
+  return {
+    models: ids.filter(id => !EMBEDDING_MODEL_PATTERN.test(id)),
+    embeddingModels: ids.filter(id => EMBEDDING_MODEL_PATTERN.test(id)),
+  };
+}
+
 /**
  * Test connectivity to a provider.
- * Sends a minimal request and measures latency.
+ * Sends a minimal request and measures latency. An OpenAI-compatible
+ * provider without a model tests with the first model the server lists.
+ *
+ * A replay provider reports how many responses are recorded instead.
  *
  * @param {Object} config - Provider config object
- * @returns {Promise<{ok: boolean, error?: string, latencyMs: number}>}
+ * @returns {Promise<{ok: boolean, error?: string, message?: string, latencyMs: number}>}
  */
 export async function testProvider(config) {
   const adapter = ADAPTERS[config.type];
@@ -412,6 +1514,24 @@ export async function testProvider(config) {
     return { ok: false, error: `Unknown provider type: ${config.type}`, latencyMs: 0 };
   }
 
+  if (config.type === 'replay') {
+    const count = await countFixtures();
+    if (count === 0 && config.extra?.mode !== 'record') {
+      return { ok: false, error: 'No recorded responses yet. Switch to Record mode first.', latencyMs: 0 };
+    }
+    return { ok: true, message: `${count} recorded response${count === 1 ? '' : 's'}`, latencyMs: 0 };
+  }
+
+  if (config.type === 'compatible' && !config.defaultModel) {
+    try {
+      const { models } = await discoverModels(config);
+      if (models.length === 0) return { ok: false, error: 'Server lists no chat models', latencyMs: 0 };
+      config = { ...config, defaultModel: models[0] };
+    } catch (err) {
+      return { ok: false, error: err.message, latencyMs: 0 };
+    }
+  }
+
   const testMessages = [
     { role: 'system', content: 'Respond with exactly: OK' },
     { role: 'user', content: 'Test' },
@@ -432,4 +1552,4 @@ export async function testProvider(config) {
 // Utility Exports
 // ---------------------------------------------------------------------------
 
-export { PROVIDER_DEFAULTS };
+export { PROVIDER_DEFAULTS, TASK_TYPES };
@@ -4,6 +4,7 @@
  * Aggregates raw usage events from the tracker (lib/tracker.js) into
  * actionable insights: usefulness scores, trending topics, stale knowledge
  * detection, timeline charts, and an overall "knowledge health" metric.
+ * It also breaks down AI spend from the token/cost ledger (lib/ledger.js).
  *
  * All heavy computation is cached with a configurable TTL so repeated
  * queries from the sidepanel dashboard are fast.
@@ -22,6 +23,7 @@
 
 import { getAllUsageEvents } from './tracker.js';
 import { dbGetAll, dbGet } from './db.js';
+import { getLedgerEntries } from './ledger.js';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -812,3 +814,86 @@ export async function getKnowledgeHealth() {
   cacheSet('knowledgeHealth', result);
   return result;
 }
+
+// ---------------------------------------------------------------------------
+// Public API — AI Spend
+// ---------------------------------------------------------------------------
+
+/**
+ * Break down AI token usage and estimated cost from the ledger over the last
+ * `days` days, by provider, model and task, with a per-day series.
+ *
+ * Not cached: the ledger grows with every request and the view should show
+ * the request that just finished.
+ *
+ * @param {number} [days=30]
+ * @returns {Promise<SpendBreakdown>}
+ *
+ * @typedef {object} SpendBucket
+ * @property {string} key          — provider name, model id, task type or YYYY-MM-DD
+ * @property {number} requests
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} cost         — USD; unpriced requests count as 0
+ * @property {number} unpriced     — requests whose model has no price
+ *
+ * @typedef {object} SpendBreakdown
+ * @property {SpendBucket}   total
+ * @property {SpendBucket[]} byProvider — highest cost first
+ * @property {SpendBucket[]} byModel    — highest cost first
+ * @property {SpendBucket[]} byTask     — highest cost first
+ * @property {SpendBucket[]} daily      — oldest first, one entry per day
+ */
+export async function getSpendBreakdown(days = 30) {
+  const msPerDay = 24 * 60 * 60 * 1000;
+  const now = new Date();
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1));
+
+  const bucket = (key) => ({ key, requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 });
+  const add = (target, record) => {
+    target.requests++;
+    target.inputTokens += record.inputTokens || 0;
+    target.outputTokens += record.outputTokens || 0;
+    target.cost += record.cost || 0;
+    if (record.cost == null) target.unpriced++;
+  };
+  const localDay = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  };
+
+  // Pre-fill all days so the chart never has gaps.
+  const daily = new Map();
+  for (let i = 0; i < days; i++) {
+    const key = localDay(start.getTime() + i * msPerDay + msPerDay / 2);
+    daily.set(key, bucket(key));
+  }
+
+  const total = bucket('total');
+  const groups = { provider: new Map(), model: new Map(), task: new Map() };
+  const keys = {
+    provider: (r) => r.providerName || r.providerId,
+    model: (r) => r.model || 'unknown',
+    task: (r) => r.task || 'other',
+  };
+
+  for (const record of await getLedgerEntries(start)) {
+    add(total, record);
+    for (const [name, map] of Object.entries(groups)) {
+      const key = keys[name](record);
+      if (!map.has(key)) map.set(key, bucket(key));
+      add(map.get(key), record);
+    }
+    const day = daily.get(localDay(record.timestamp));
+    if (day) add(day, record);
+  }
+
+  const ranked = (map) => [...map.values()].sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+  return {
+    total,
+    byProvider: ranked(groups.provider),
+    byModel: ranked(groups.model),
+    byTask: ranked(groups.task),
+    daily: [...daily.values()],
+  };
+}
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Message branches
+ *
+ * Editing a prompt or regenerating a response forks a conversation: the
+ * platform keeps every version and shows one branch at a time. A stored
+ * conversation keeps the whole message tree:
+ *
+ * - every message has a `parentId` — the message before it on its branch,
+ *   null for the first message
+ * - `messages` is the active path: the branch the platform showed last,
+ *   first message to last. Summaries, search, embeddings and exports read
+ *   it, so they see the conversation as it stands.
+ * - `alternates` holds the messages of every other branch
+ *
+ * This is the shape of the `mapping` tree in ChatGPT exports, whose
+ * `current_node` ends the active path. Conversations stored before
+ * branches have a plain message list, which ensureTree() links into a
+ * single branch.
+ *
+ * The site observers report the branch a page shows as the hashes of its
+ * messages (messageHash, copied in content-scripts/message-parts.js);
+ * placeMessages() follows them through the tree, matching stored messages
+ * by messageKey().
+ *
+ * @module lib/branches
+ */
+
+// ---------------------------------------------------------------------------
+// Hashing
+// ---------------------------------------------------------------------------
+
+/**
+ * Produces a simple but effective hash string from a message's role + content.
+ * We intentionally keep this synchronous and lightweight — it does not need
+ * to be cryptographically strong, just collision-resistant enough to avoid
+ * storing the same message twice within a single conversation.
+ *
+ * Whitespace and markdown punctuation are left out of the hash, so a message
+ * captured as structured parts (rendered as markdown) matches the same
+ * message captured earlier as flattened text, or imported from an export.
+ *
+ * @param {string} role
+ * @param {string} content
+ * @returns {string}
+ */
+export function messageHash(role, content) {
+  const str = `${role}:${String(content || '').replace(/[\s`|*#>_-]+/g, '')}`;
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    hash = ((hash << 5) - hash + ch) | 0; // Convert to 32-bit int
+  }
+  // Return a hex string so it is easy to compare / store
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * The hash a stored message is recognized by: of its content, or for a
+ * message redacted at capture (lib/redaction.js), of the content it was
+ * captured with, which the page and exports still show.
+ * @param {Object} message
+ * @returns {string}
+ */
+export function messageKey(message) {
+  return message.metadata?.sourceHash || messageHash(message.role, message.content);
+}
+
+// ---------------------------------------------------------------------------
+// Tree
+// ---------------------------------------------------------------------------
+
+/**
+ * Give a conversation its tree fields: messages without a `parentId` follow
+ * the message before them, and `alternates` defaults to empty.
+ * @param {Object} conversation - Mutated
+ * @returns {Object} The conversation
+ */
+export function ensureTree(conversation) {
+  const messages = conversation.messages || (conversation.messages = []);
+  messages.forEach((msg, i) => {
+    if (msg.parentId === undefined) msg.parentId = i > 0 ? messages[i - 1].id : null;
+  });
+  if (!Array.isArray(conversation.alternates)) conversation.alternates = [];
+  return conversation;
+}
+
+/**
+ * Every message of the tree: the active path, then the alternates.
+ * @param {Object} conversation
+ * @returns {Array<Object>}
+ */
+export function allMessages(conversation) {
+  return [...(conversation?.messages || []), ...(conversation?.alternates || [])];
+}
+
+/**
+ * Whether a conversation has more than one branch.
+ * @param {Object} conversation
+ * @returns {boolean}
+ */
+export function hasBranches(conversation) {
+  return (conversation?.alternates?.length || 0) > 0;
+}
+
+/** Children of each message (key null: the first messages), oldest first. */
+function childIndex(nodes) {
+  const children = new Map();
+  for (const node of nodes) {
+    const parentId = node.parentId ?? null;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(node);
+  }
+  for (const list of children.values()) {
+    list.sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+  }
+  return children;
+}
+
+/**
+ * The versions of a message: it and the other messages with its parent,
+ * oldest first.
+ * @param {Object} conversation
+ * @param {Object} message
+ * @returns {Array<Object>}
+ */
+export function siblingsOf(conversation, message) {
+  return allMessages(conversation).filter(m => (m.parentId ?? null) === (message.parentId ?? null))
+    .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+}
+
+/**
+ * Follow a branch: from the first message down to `messageId`, then on
+ * down its replies, preferring those in `activeIds`, the latest otherwise.
+ */
+function followBranch(nodes, activeIds, messageId) {
+  const byId = new Map(nodes.map(m => [m.id, m]));
+  const children = childIndex(nodes);
+  const seen = new Set();
+
+  const path = [];
+  for (let node = byId.get(messageId); node && !seen.has(node.id); node = byId.get(node.parentId)) {
+    seen.add(node.id);
+    path.unshift(node);
+  }
+
+  for (let last = path[path.length - 1]; last;) {
+    const replies = (children.get(last.id) || []).filter(m => !seen.has(m.id));
+    last = replies.find(m => activeIds.has(m.id)) || replies[replies.length - 1];
+    if (last) {
+      seen.add(last.id);
+      path.push(last);
+    }
+  }
+
+  return path;
+}
+
+/**
+ * The branch through a message: the path from the first message down to
+ * it, continued down its replies — along the active path where it goes
+ * that way, through the latest reply otherwise.
+ *
+ * @param {Object} conversation
+ * @param {string} messageId
+ * @returns {Array<Object>} Empty if the message is not in the conversation
+ */
+export function branchThrough(conversation, messageId) {
+  const activeIds = new Set((conversation.messages || []).map(m => m.id));
+  return followBranch(allMessages(conversation), activeIds, messageId);
+}
+
+/**
+ * Make a branch the active path; every other message becomes an alternate.
+ * @param {Object} conversation - Mutated
+ * @param {Array<Object>} path - From branchThrough()
+ * @param {Array<Object>} [nodes] - The whole tree, when it has messages
+ *   the conversation does not list yet
+ */
+export function setActivePath(conversation, path, nodes = allMessages(conversation)) {
+  const onPath = new Set(path.map(m => m.id));
+  conversation.alternates = nodes.filter(m => !onPath.has(m.id));
+  conversation.messages = path;
+}
+
+// ---------------------------------------------------------------------------
+// Capture
+// ---------------------------------------------------------------------------
+
+/**
+ * Place captured messages in a conversation's tree.
+ *
+ * `path` lists the hashes of the messages the page shows, in order. It is
+ * followed from the first message, each time to the reply with the next
+ * hash; where the tree has no such reply, the captured message with that
+ * hash joins the tree there, so a regenerated response or an edited
+ * prompt starts a new branch. Unless the page shows only the start of the
+ * active path (a reply still streaming), its branch becomes the active
+ * path.
+ *
+ * Without a path, and for captured messages the path does not reach, new
+ * messages are added to the end of the active path.
+ *
+ * @param {Object} conversation - Mutated
+ * @param {Array<Object>} captured - Message records with ids
+ * @param {Array<string>} [path] - messageHash() of each message on the page
+ * @returns {{added: Array<Object>, switched: boolean}} The messages stored,
+ *   and whether the active path changed otherwise
+ */
+export function placeMessages(conversation, captured, path) {
+  ensureTree(conversation);
+  const nodes = allMessages(conversation);
+  const hashes = new Map(nodes.map(m => [m.id, messageKey(m)]));
+  const before = conversation.messages.map(m => m.id);
+  const added = [];
+
+  const pending = new Map();
+  for (const msg of captured) {
+    const hash = messageKey(msg);
+    if (!pending.has(hash)) pending.set(hash, msg);
+  }
+
+  const store = (msg, parentId) => {
+    const node = { ...msg, parentId };
+    nodes.push(node);
+    hashes.set(node.id, messageKey(node));
+    added.push(node);
+    return node;
+  };
+
+  let active = conversation.messages;
+  if (Array.isArray(path) && path.length > 0) {
+    const branch = [];
+    let parentId = null;
+    for (const hash of path) {
+      let node = nodes.find(m => (m.parentId ?? null) === parentId && hashes.get(m.id) === hash);
+      if (!node && pending.has(hash)) {
+        node = store(pending.get(hash), parentId);
+        pending.delete(hash);
+      }
+      if (!node) break;
+      branch.push(node);
+      parentId = node.id;
+    }
+
+    const onActive = branch.every((node, i) => active[i]?.id === node.id);
+    if (branch.length > 0 && !onActive) {
+      active = followBranch(nodes, new Set(active.map(m => m.id)), branch[branch.length - 1].id);
+    }
+  }
+
+  // Messages off the page's path: new ones continue the active path
+  const known = new Set(hashes.values());
+  active = [...active];
+  for (const [hash, msg] of pending) {
+    if (known.has(hash)) continue;
+    known.add(hash);
+    active.push(store(msg, active.length > 0 ? active[active.length - 1].id : null));
+  }
+
+  setActivePath(conversation, active, nodes);
+  const switched = before.some((id, i) => active[i]?.id !== id);
+  return { added, switched };
+}
+
+// ---------------------------------------------------------------------------
+// Merging
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge the message tree of one copy of a conversation into another's.
+ * Each message of `other` is matched, from the first message down, to a
+ * message of `base` with the same hash — preferably under the same
+ * parent. Matched messages keep the base message's id (summaries and
+ * citations point at it); with `preferOther`, they take the other copy's
+ * content, parts, timestamp and place in the tree, e.g. from an export,
+ * which has the full text and the platform's own tree — except the content
+ * of messages redacted at capture (lib/redaction.js). Messages only in
+ * `other` are added where they are in it.
+ *
+ * The active path follows the other copy's with `preferOther`, the base
+ * copy's otherwise, continued down any replies the other copy added.
+ *
+ * @param {Object} base - Conversation to merge into (mutated)
+ * @param {Object} other - Conversation to merge from
+ * @param {Object} [options]
+ * @param {boolean} [options.preferOther=false]
+ * @returns {{added: number, updated: number, idMap: Map<string, string>}}
+ *   `idMap` maps each message id of `other` to its id in `base`
+ */
+export function mergeTrees(base, other, { preferOther = false } = {}) {
+  ensureTree(base);
+  const otherNodes = allMessages(ensureTree(other));
+  const nodes = allMessages(base);
+  const byHash = new Map();
+  for (const node of nodes) {
+    const hash = messageKey(node);
+    if (!byHash.has(hash)) byHash.set(hash, []);
+    byHash.get(hash).push(node);
+  }
+
+  const idMap = new Map();
+  const used = new Set();
+  const children = childIndex(otherNodes);
+  let added = 0;
+  let updated = 0;
+
+  const visit = (parentId, mappedParentId) => {
+    for (const msg of children.get(parentId) || []) {
+      if (idMap.has(msg.id)) continue;
+      const candidates = (byHash.get(messageKey(msg)) || []).filter(m => !used.has(m.id));
+      const match = candidates.find(m => (m.parentId ?? null) === mappedParentId) || candidates[0];
+
+      if (!match) {
+        nodes.push({ ...msg, parentId: mappedParentId });
+        idMap.set(msg.id, msg.id);
+        added++;
+      } else {
+        used.add(match.id);
+        idMap.set(msg.id, match.id);
+        if (preferOther) {
+          // Content redacted at capture is not replaced with the export's
+          if (!match.metadata?.sourceHash && (match.content !== msg.content || JSON.stringify(match.parts) !== JSON.stringify(msg.parts))) {
+            Object.assign(match, { content: msg.content, parts: msg.parts, timestamp: msg.timestamp || match.timestamp });
+            if (!msg.parts) delete match.parts;
+            updated++;
+          }
+          match.metadata = { ...(match.metadata || {}), ...(msg.metadata || {}) };
+          match.parentId = mappedParentId;
+        }
+      }
+      visit(msg.id, idMap.get(msg.id));
+    }
+  };
+  visit(null, null);
+
+  const last = (list) => list[list.length - 1];
+  let leaf;
+  if (preferOther && other.messages.length > 0) leaf = idMap.get(last(other.messages).id);
+  else if (base.messages.length > 0) leaf = last(base.messages).id;
+  else if (other.messages.length > 0) leaf = idMap.get(last(other.messages).id);
+
+  const activeIds = new Set(preferOther ? [] : base.messages.map(m => m.id));
+  setActivePath(base, leaf ? followBranch(nodes, activeIds, leaf) : [], nodes);
+
+  return { added, updated, idMap };
+}
@@ -2,9 +2,15 @@
  * Capture Service — lib/capture.js
  *
  * Processes messages captured by content scripts running on AI chat sites.
- * Receives payloads relayed through the service worker, finds or creates
- * the matching conversation in IndexedDB, deduplicates messages by content
- * hash, and keeps running statistics.
+ * Receives payloads relayed through the service worker, drops those the
+ * user's exclusion rules cover (lib/exclusions.js), finds or creates
+ * the matching conversation in IndexedDB, masks secrets and personal data
+ * when redaction runs at capture (lib/redaction.js), places new messages in its
+ * message tree (lib/branches.js) — deduplicated by content hash, with
+ * regenerated responses and edited prompts as branches — and keeps running
+ * statistics. Conversations are matched by the
+ * platform's conversation id when the site observer reports one
+ * (lib/identity.js), and by URL otherwise.
  *
  * Exports (ES module — consumed by the service worker):
  *   processCapture(payload)   — main entry point for incoming captures
@@ -12,19 +18,28 @@
  *   getCaptureStats()         — aggregate capture statistics
  */
 
-import { dbPut, dbGet, dbGetAll, dbGetByIndex } from './db.js';
+import { dbPut, dbGet, dbGetAll, dbGetByIndex, dbDelete } from './db.js';
 import { generateId, estimateTokens } from './utils.js';
+import { normalizeParts, hasStructuredParts, partsToMarkdown } from './message-parts.js';
+import { findByIdentity, setIdentity } from './identity.js';
+import { messageHash, messageKey, placeMessages } from './branches.js';
+import { findExclusion } from './exclusions.js';
+import { deleteConversationEmbeddings, deleteSummaryEmbeddings } from './embedding-store.js';
+import { unlinkSummary } from './entities.js';
+import { deleteConversationItems } from './action-items.js';
+import { getRedactor, redactText, redactParts, countRedactions } from './redaction.js';
 
 // ---------------------------------------------------------------------------
 // In-memory tracking of active captures
 // ---------------------------------------------------------------------------
 
 /**
- * Map of active capture sessions keyed by a composite key (source + url).
+ * Map of active capture sessions keyed by a composite key (source +
+ * conversation id, or source + url before the chat has an id).
  * Each entry stores the conversation id and a timestamp of the last activity
  * so we can expire stale sessions.
  *
- * Shape: { [key: string]: { conversationId, source, title, url, lastActivity } }
+ * Shape: { [key: string]: { conversationId, nativeId, source, title, url, lastActivity } }
  */
 const activeCaptures = new Map();
 
@@ -38,36 +53,17 @@ const stats = {
   lastCaptureTime: null,
 };
 
-// ---------------------------------------------------------------------------
-// Content-hash helper for deduplication
-// ---------------------------------------------------------------------------
-
-/**
- * Produces a simple but effective hash string from a message's role + content.
- * We intentionally keep this synchronous and lightweight — it does not need
- * to be cryptographically strong, just collision-resistant enough to avoid
- * storing the same message twice within a single conversation.
- */
-function contentHash(role, content) {
-  const str = `${role}:${content}`;
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const ch = str.charCodeAt(i);
-    hash = ((hash << 5) - hash + ch) | 0; // Convert to 32-bit int
-  }
-  // Return a hex string so it is easy to compare / store
-  return (hash >>> 0).toString(16).padStart(8, '0');
-}
-
 // ---------------------------------------------------------------------------
 // Composite key for matching a capture session to a conversation
 // ---------------------------------------------------------------------------
 
 /**
- * Build a lookup key from source + URL (stripped of query/hash so minor
- * URL changes don't create duplicate conversations).
+ * Build a lookup key from source + platform conversation id, or failing
+ * that source + URL (stripped of query/hash so minor URL changes don't
+ * create duplicate conversations).
  */
-function captureKey(source, url) {
+function captureKey(source, url, conversationId) {
+  if (conversationId) return `${source}::id::${conversationId}`;
   try {
     const u = new URL(url);
     // Use origin + pathname — ignore query params and hash
@@ -85,14 +81,18 @@ function captureKey(source, url) {
  * Try to find an existing conversation that matches the captured payload.
  *
  * Matching strategy (in priority order):
- *   1. If we already have an active capture session for this source+url,
+ *   1. If we already have an active capture session for this conversation,
  *      load that conversation by id.
- *   2. Search IndexedDB for a conversation with the same source whose
- *      metadata.captureUrl matches the URL (canonical path match).
- *   3. Fall through to creating a new conversation.
+ *   2. With a platform conversation id, look the conversation up by it.
+ *   3. Search IndexedDB for a conversation with the same source whose
+ *      metadata.captureUrl matches the URL (canonical path match). With a
+ *      conversation id, a match that has a different id is skipped.
+ *   4. With a conversation id, a chat started on the new-chat page: the
+ *      recent id-less capture session whose messages come in again.
+ *   5. Fall through to creating a new conversation.
  */
-async function findConversation(source, url, title) {
-  const key = captureKey(source, url);
+async function findConversation(source, url, conversationId, messages) {
+  const key = captureKey(source, url, conversationId);
 
   // 1. Check in-memory active captures first (fast path)
   if (activeCaptures.has(key)) {
@@ -103,19 +103,92 @@ async function findConversation(source, url, title) {
     activeCaptures.delete(key);
   }
 
-  // 2. Scan conversations with same source for a URL match
+  // 2. Platform conversation id
+  const byId = await findByIdentity(source, conversationId);
+  if (byId) return byId;
+
+  // 3. Scan conversations with same source for a URL match
+  const urlKey = captureKey(source, url);
   const candidates = await dbGetByIndex('conversations', 'source', source);
   for (const conv of candidates) {
     const existingUrl = conv.metadata?.captureUrl;
-    if (existingUrl && captureKey(source, existingUrl) === key) {
-      return conv;
+    if (!existingUrl || captureKey(source, existingUrl) !== urlKey) continue;
+    if (conversationId && conv.metadata?.nativeSourceId && conv.sourceId !== conversationId) continue;
+    return conv;
+  }
+
+  // 4. A new chat that just got its id: its messages were captured on the
+  //    new-chat page and are re-sent from the conversation's own URL
+  if (conversationId) {
+    const hashes = new Set(messages.map(m => messageHash(m.role, (m.content || '').trim())));
+    for (const session of activeCaptures.values()) {
+      if (session.source !== source || session.nativeId || Date.now() - session.lastActivity > STALE_CAPTURE_TIMEOUT) continue;
+      const conv = await dbGet('conversations', session.conversationId);
+      if (conv?.messages?.some(m => hashes.has(messageKey(m)))) return conv;
     }
   }
 
-  // 3. No match found
+  // 5. No match found
   return null;
 }
 
+/** Whether the page reported a real title rather than a placeholder. */
+function hasTitle(title) {
+  return !!title && title !== 'Untitled' && title !== 'New Chat';
+}
+
+/**
+ * Record the capture session of a conversation. Once it has a platform id,
+ * its URL-keyed session from the new-chat page is dropped, so the next new
+ * chat there starts a conversation of its own.
+ */
+function trackSession(conversation, source, url, conversationId) {
+  if (conversationId) {
+    for (const [key, session] of activeCaptures) {
+      if (session.conversationId === conversation.id && !session.nativeId) activeCaptures.delete(key);
+    }
+  }
+  activeCaptures.set(captureKey(source, url, conversationId), {
+    conversationId: conversation.id,
+    nativeId: conversationId || null,
+    source,
+    title: conversation.title,
+    url,
+    lastActivity: Date.now(),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Exclusions
+// ---------------------------------------------------------------------------
+
+/**
+ * Delete a conversation that an exclusion rule covers, if it was captured
+ * after the rule was added, e.g. a chat that only matched a title rule
+ * once the platform named it. Conversations captured before the rule
+ * existed are kept.
+ */
+async function purgeExcluded(conversation, rule) {
+  if (conversation.metadata?.originalFormat !== 'live-capture') return false;
+  if (String(conversation.metadata?.capturedAt || conversation.createdAt) < String(rule.createdAt)) return false;
+
+  for (const summary of await dbGetByIndex('summaries', 'conversationId', conversation.id)) {
+    await dbDelete('summaries', summary.id);
+    await deleteSummaryEmbeddings(summary.id);
+    await unlinkSummary(summary.id);
+  }
+  await deleteConversationEmbeddings(conversation.id);
+  await deleteConversationItems(conversation.id);
+  await dbDelete('embeddingQueue', `conv:${conversation.id}`);
+  await dbDelete('summaryQueue', conversation.id);
+  await dbDelete('conversations', conversation.id);
+
+  for (const [key, session] of activeCaptures) {
+    if (session.conversationId === conversation.id) activeCaptures.delete(key);
+  }
+  return true;
+}
+
 // ---------------------------------------------------------------------------
 // Core processing
 // ---------------------------------------------------------------------------
@@ -127,34 +200,56 @@ async function findConversation(source, url, title) {
  * @param {string} payload.source    — 'chatgpt' | 'claude' | 'gemini' | 'copilot'
  * @param {string} payload.title     — current conversation title (may update)
  * @param {string} payload.url       — page URL at time of capture
- * @param {Array}  payload.messages  — [{role, content, timestamp}]
+ * @param {string} [payload.conversationId] — the platform's conversation id,
+ *   once the chat has one
+ * @param {Array}  payload.messages  — [{role, content, parts?, timestamp}];
+ *   messages with structured parts (see lib/message-parts.js) store them,
+ *   and their content is re-rendered from the parts
+ * @param {Array<string>} [payload.path] — hashes of the messages the page
+ *   shows, in order: the branch it is on (see placeMessages)
+ * @param {string} [payload.projectId] — Claude project, for exclusion rules
+ * @param {string} [payload.projectName]
+ * @param {string} [payload.gizmoId] — ChatGPT GPT, for exclusion rules
  *
- * @returns {{ conversationId: string, newMessages: number }}
+ * @returns {{ conversationId: string, newMessages: number, branchSwitched: boolean, excluded?: boolean, purged?: boolean }}
  */
 export async function processCapture(payload) {
-  const { source, title, url, messages, injectionContext } = payload;
+  const { source, title, url, messages, injectionContext, conversationId, path } = payload;
 
   if (!source || !Array.isArray(messages) || messages.length === 0) {
-    return { conversationId: null, newMessages: 0 };
+    return { conversationId: null, newMessages: 0, branchSwitched: false };
   }
 
   // Attempt to find or create the conversation
-  let conversation = await findConversation(source, url, title);
+  let conversation = await findConversation(source, url, conversationId, messages);
   const isNew = !conversation;
+  const named = hasTitle(title);
+
+  // Excluded conversations are dropped before anything is stored. Until the
+  // platform names a chat, its stored title is what title rules see.
+  const exclusion = await findExclusion({ ...payload, title: named ? title : conversation?.title });
+  if (exclusion) {
+    const purged = conversation ? await purgeExcluded(conversation, exclusion) : false;
+    return { conversationId: null, newMessages: 0, branchSwitched: false, excluded: true, purged };
+  }
+
+  const redactor = await getRedactor('capture');
+  const cleanTitle = redactor && title ? redactText(title, redactor).text : title;
 
   if (isNew) {
     const now = new Date().toISOString();
     conversation = {
       id: generateId(),
-      sourceId: generateId(),
+      sourceId: null,
       source,
-      title: title || 'Untitled Capture',
+      title: cleanTitle || 'Untitled Capture',
       createdAt: now,
       updatedAt: now,
       importedAt: now,
       messageCount: 0,
       estimatedTokens: 0,
       messages: [],
+      alternates: [],
       metadata: {
         originalFormat: 'live-capture',
         captureUrl: url,
@@ -163,54 +258,79 @@ export async function processCapture(payload) {
     };
   }
 
-  // Build a set of existing content hashes for fast dedup lookup
-  const existingHashes = new Set();
-  for (const msg of conversation.messages) {
-    existingHashes.add(contentHash(msg.role, msg.content));
+  // Where the chat lives, for exclusion rules checked later (lib/exclusions.js)
+  for (const key of ['projectId', 'projectName', 'gizmoId']) {
+    if (payload[key]) conversation.metadata = { ...(conversation.metadata || {}), [key]: payload[key] };
   }
 
-  // Filter incoming messages to only truly new ones
-  const newMessages = [];
+  // Record the platform's conversation id once the chat has one
+  const identified = !!conversationId && conversation.sourceId !== conversationId;
+  if (identified) setIdentity(conversation, conversationId);
+
+  const captured = [];
   for (const msg of messages) {
-    const content = (msg.content || '').trim();
+    let parts = normalizeParts(msg.parts);
+    const structured = hasStructuredParts(parts);
+    let content = structured ? partsToMarkdown(parts) : (msg.content || '').trim();
     if (!content) continue;
 
-    const hash = contentHash(msg.role, content);
-    if (existingHashes.has(hash)) continue;
+    // Masked before storage; the hash of what was captured still matches
+    // the message when the page sends it again
+    let redaction = null;
+    if (redactor) {
+      const result = structured ? redactParts(parts, redactor) : redactText(content, redactor);
+      if (countRedactions(result.counts) > 0) {
+        redaction = { sourceHash: messageHash(msg.role, content), redacted: result.counts };
+        if (structured) {
+          parts = result.parts;
+          content = partsToMarkdown(parts);
+        } else {
+          content = result.text;
+        }
+      }
+    }
 
-    existingHashes.add(hash); // prevent duplicates within the same batch
-    newMessages.push({
+    captured.push({
       id: generateId(),
       role: msg.role,
       content,
+      ...(structured ? { parts } : {}),
       timestamp: msg.timestamp || new Date().toISOString(),
       metadata: {
         capturedLive: true,
         ...(msg.metadata || {}),
+        ...(redaction || {}),
       },
     });
   }
 
-  if (newMessages.length === 0) {
-    // Nothing new — still refresh the active-capture timestamp
-    const key = captureKey(source, url);
+  // Keep only truly new messages, placed on the page's branch
+  const { added: newMessages, switched } = placeMessages(conversation, captured, path);
+
+  if (newMessages.length === 0 && !switched) {
+    // Nothing new — still store an id the chat was just given (its
+    // messages are re-sent from its new URL), and refresh the session
+    if (identified && !isNew) {
+      conversation.metadata.captureUrl = url;
+      await dbPut('conversations', conversation);
+      trackSession(conversation, source, url, conversationId);
+    }
+    const key = captureKey(source, url, conversationId);
     if (activeCaptures.has(key)) {
       activeCaptures.get(key).lastActivity = Date.now();
     }
-    return { conversationId: conversation.id, newMessages: 0 };
+    return { conversationId: conversation.id, newMessages: 0, branchSwitched: false };
   }
 
-  // Append new messages
-  conversation.messages.push(...newMessages);
   conversation.messageCount = conversation.messages.length;
 
-  // Recompute token estimate from full content
+  // Recompute token estimate from the active path
   const totalText = conversation.messages.map((m) => m.content).join(' ');
   conversation.estimatedTokens = estimateTokens(totalText);
 
   // Update title if a better one is available
-  if (title && title !== 'Untitled' && title !== 'New Chat') {
-    conversation.title = title;
+  if (named) {
+    conversation.title = cleanTitle;
   }
 
   conversation.updatedAt = new Date().toISOString();
@@ -243,7 +363,7 @@ export async function processCapture(payload) {
       createdAt: new Date().toISOString(),
     });
   } catch {
-    // Non-critical — embedding will happen on next sidepanel open
+    // Non-critical — the conversation is re-queued on its next capture
   }
 
   // Notify sidepanel for immediate embedding (best-effort)
@@ -254,14 +374,7 @@ export async function processCapture(payload) {
   }
 
   // Update in-memory tracking
-  const key = captureKey(source, url);
-  activeCaptures.set(key, {
-    conversationId: conversation.id,
-    source,
-    title: conversation.title,
-    url,
-    lastActivity: Date.now(),
-  });
+  trackSession(conversation, source, url, conversationId);
 
   // Update stats
   stats.totalCaptured += newMessages.length;
@@ -270,7 +383,7 @@ export async function processCapture(payload) {
   }
   stats.lastCaptureTime = new Date().toISOString();
 
-  return { conversationId: conversation.id, newMessages: newMessages.length };
+  return { conversationId: conversation.id, newMessages: newMessages.length, branchSwitched: switched };
 }
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Message-level citations for summaries
+ *
+ * The summarizer numbers each message it sends ([#1], [#2], ...) by its
+ * position in the conversation and asks the model to cite, for every key
+ * insight, decision and code snippet, the messages that support it along
+ * with a short quote. Nothing the model says about its sources is trusted
+ * as-is: each citation is checked locally against the cited messages.
+ *
+ * - **verified** — the quote (or, for a code snippet, the code) appears in a
+ *   cited message. A quote found in a different message than the one cited
+ *   is re-pointed to the message it was actually found in.
+ * - **overlap** — no exact quote, but most of the item's terms appear in
+ *   the cited messages.
+ * - **unverified** — cited, but neither check holds.
+ *
+ * Items the model did not cite are located locally where possible (code by
+ * its text, insights and decisions by term overlap).
+ *
+ * Citations are stored on the summary in lists parallel to the cited
+ * fields: `summary.citations.keyInsights[i]` belongs to
+ * `summary.keyInsights[i]`, with `null` where nothing supports the item.
+ *
+ * @module lib/citations
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Summary fields that carry citations. */
+export const CITED_FIELDS = ['keyInsights', 'decisions', 'codeSnippets'];
+
+/** Shortest normalized quote worth checking; shorter ones match anything. */
+const MIN_QUOTE_LENGTH = 12;
+
+/** Share of an item's terms that must appear in a message to count as overlap. */
+const OVERLAP_THRESHOLD = 0.5;
+
+/** Share of a snippet's lines that must appear in a message to count as its source. */
+const CODE_LINE_THRESHOLD = 0.6;
+
+/** Share of shared terms for a model citation's claim to be matched to an item. */
+const CLAIM_MATCH_THRESHOLD = 0.5;
+
+/** Longest quote kept on a citation. */
+const MAX_QUOTE_LENGTH = 200;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'was', 'one',
+  'our', 'has', 'had', 'its', 'use', 'how', 'this', 'that', 'with', 'from',
+  'have', 'they', 'them', 'then', 'than', 'been', 'were', 'will', 'would',
+  'should', 'could', 'into', 'when', 'what', 'which', 'there', 'their',
+  'about', 'also', 'more', 'only', 'such', 'some', 'each', 'other', 'using',
+]);
+
+// ---------------------------------------------------------------------------
+// Text helpers
+// ---------------------------------------------------------------------------
+
+/** Lowercase, drop punctuation and collapse whitespace, for quote matching. */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function terms(text) {
+  return new Set(
+    normalizeText(text)
+      .split(' ')
+      .filter(w => w.length >= 3 && !STOPWORDS.has(w))
+  );
+}
+
+/** Share of `needle`'s terms found in `haystack` (a term set). */
+function termCoverage(needle, haystack) {
+  if (needle.size === 0) return 0;
+  let found = 0;
+  for (const term of needle) {
+    if (haystack.has(term)) found++;
+  }
+  return found / needle.size;
+}
+
+function codeLines(code) {
+  return String(code || '')
+    .split('\n')
+    .map(line => line.trim().replace(/\s+/g, ' '))
+    .filter(line => line.length >= 4);
+}
+
+/** Whether most of a snippet's lines appear in a message. */
+function containsCode(content, code) {
+  const lines = codeLines(code);
+  if (lines.length === 0) return false;
+  const flat = String(content || '').replace(/[ \t]+/g, ' ');
+  const found = lines.filter(line => flat.includes(line)).length;
+  return found / lines.length >= CODE_LINE_THRESHOLD;
+}
+
+/** The text a cited item is identified by. */
+function itemText(field, item) {
+  if (field === 'codeSnippets') return item?.description || item?.code || '';
+  return typeof item === 'string' ? item : '';
+}
+
+// ---------------------------------------------------------------------------
+// Message numbering
+// ---------------------------------------------------------------------------
+
+/**
+ * Give each message its 1-based position in the conversation, as shown to
+ * the model. Returns copies; the conversation's messages are not modified.
+ *
+ * @param {Array<Object>} messages
+ * @param {number} [first=1] - Number of the first message, for a tail of the conversation
+ * @returns {Array<Object>} Messages with a `number`
+ */
+export function numberMessages(messages, first = 1) {
+  return (messages || []).map((m, i) => ({ ...m, number: first + i }));
+}
+
+/**
+ * Parse the message numbers a model wrote for a citation: "3, 4",
+ * "#3 and #4", "[#3]" or a list of numbers.
+ *
+ * @param {string|Array} value
+ * @param {number} count - Messages in the conversation; numbers outside it are dropped
+ * @returns {number[]} 0-based message positions
+ */
+export function parseMessageNumbers(value, count) {
+  const text = Array.isArray(value) ? value.join(',') : String(value ?? '');
+  const positions = [];
+  for (const match of text.matchAll(/\d+/g)) {
+    const n = Number(match[0]);
+    if (n >= 1 && n <= count && !positions.includes(n - 1)) positions.push(n - 1);
+  }
+  return positions;
+}
+
+// ---------------------------------------------------------------------------
+// Resolution and verification
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the model citation that belongs to an item: the same text, or
+ * failing that the one sharing the most terms.
+ */
+function matchClaim(text, claims) {
+  const normalized = normalizeText(text);
+  if (!normalized) return null;
+
+  const exact = claims.find(c => c.normalized === normalized);
+  if (exact) return exact;
+
+  const itemTerms = terms(text);
+  let best = null;
+  let bestScore = 0;
+  for (const claim of claims) {
+    const score = Math.min(termCoverage(itemTerms, claim.terms), termCoverage(claim.terms, itemTerms));
+    if (score > bestScore) {
+      best = claim;
+      bestScore = score;
+    }
+  }
+  return bestScore >= CLAIM_MATCH_THRESHOLD ? best : null;
+}
+
+function makeCitation(positions, messages, quote, status) {
+  return {
+    messages: positions,
+    messageIds: positions.map(p => messages[p]?.id || null),
+    quote: String(quote || '').slice(0, MAX_QUOTE_LENGTH),
+    status,
+  };
+}
+
+/**
+ * Check one item against the messages its citation names, and locate it
+ * locally when the citation is missing or points at the wrong message.
+ */
+function verifyItem(field, item, claim, messages, index) {
+  const cited = claim ? parseMessageNumbers(claim.messages, messages.length) : [];
+
+  if (field === 'codeSnippets' && item?.code) {
+    const inCited = cited.filter(p => containsCode(messages[p].content, item.code));
+    if (inCited.length) return makeCitation(inCited, messages, '', 'verified');
+    const found = index.findIndex(m => containsCode(m.content, item.code));
+    if (found !== -1) return makeCitation([found], messages, '', 'verified');
+  }
+
+  const quote = claim ? normalizeText(claim.quote) : '';
+  if (quote.length >= MIN_QUOTE_LENGTH) {
+    const inCited = cited.filter(p => index[p].normalized.includes(quote));
+    if (inCited.length) return makeCitation(inCited, messages, claim.quote, 'verified');
+    const found = index.findIndex(m => m.normalized.includes(quote));
+    if (found !== -1) return makeCitation([found], messages, claim.quote, 'verified');
+  }
+
+  const itemTerms = terms(itemText(field, item));
+  if (cited.length) {
+    const citedTerms = new Set(cited.flatMap(p => [...index[p].terms]));
+    const status = termCoverage(itemTerms, citedTerms) >= OVERLAP_THRESHOLD ? 'overlap' : 'unverified';
+    return makeCitation(cited, messages, claim.quote, status);
+  }
+
+  // Not cited at all: point at the message that covers the item best
+  let best = -1;
+  let bestScore = 0;
+  index.forEach((m, p) => {
+    const score = termCoverage(itemTerms, m.terms);
+    if (score > bestScore) {
+      best = p;
+      bestScore = score;
+    }
+  });
+  return bestScore >= OVERLAP_THRESHOLD ? makeCitation([best], messages, '', 'overlap') : null;
+}
+
+/**
+ * Resolve the citations a model returned for a summary into verified
+ * citations on its insights, decisions and code snippets.
+ *
+ * @param {Object} parsed - Parsed summary response, with the model's `citations`
+ *   ({claim, messages, quote} items)
+ * @param {Array<Object>} messages - All messages of the conversation, in order
+ * @returns {{keyInsights: Array<Object|null>, decisions: Array<Object|null>, codeSnippets: Array<Object|null>}}
+ *   Per field, one citation (or null) per item: {messages, messageIds, quote, status}
+ */
+export function resolveCitations(parsed, messages) {
+  messages = messages || [];
+  const index = messages.map(m => ({
+    content: m.content || '',
+    normalized: normalizeText(m.content),
+    terms: terms(m.content),
+  }));
+  const claims = (parsed.citations || []).map(c => ({
+    ...c,
+    normalized: normalizeText(c.claim),
+    terms: terms(c.claim),
+  }));
+
+  const result = {};
+  for (const field of CITED_FIELDS) {
+    result[field] = (parsed[field] || []).map(item => {
+      const claim = matchClaim(itemText(field, item), claims);
+      return verifyItem(field, item, claim, messages, index);
+    });
+  }
+  return result;
+}
+
+/**
+ * How well the wording of a conversation supports a claim: the share of
+ * the claim's terms found in the message that covers it best.
+ *
+ * @param {string} text - The claim
+ * @param {Array<Object>} messages
+ * @returns {{coverage: number, message: number}} Coverage from 0 to 1, and
+ *   the position of that message (-1 if no message shares a term)
+ */
+export function lexicalSupport(text, messages) {
+  const claimTerms = terms(text);
+  let best = { coverage: 0, message: -1 };
+  (messages || []).forEach((m, p) => {
+    const coverage = termCoverage(claimTerms, terms(m.content));
+    if (coverage > best.coverage) best = { coverage, message: p };
+  });
+  return best;
+}
+
+/**
+ * A summary's stored citations in the shape the model writes them, so a
+ * revision can carry them forward.
+ *
+ * @param {Object} summary
+ * @returns {Array<{claim: string, messages: string, quote: string}>}
+ */
+export function citationsForPrompt(summary) {
+  const out = [];
+  for (const field of CITED_FIELDS) {
+    (summary[field] || []).forEach((item, i) => {
+      const citation = summary.citations?.[field]?.[i];
+      if (!citation?.messages?.length) return;
+      out.push({
+        claim: itemText(field, item),
+        messages: citation.messages.map(p => p + 1).join(', '),
+        quote: citation.quote || '',
+      });
+    });
+  }
+  return out;
+}
+
+/**
+ * The position of a cited message in the conversation as it is now: by
+ * its id, or by its stored position for messages without one.
+ *
+ * @param {Object} conversation
+ * @param {Object} citation
+ * @param {number} [which=0] - Which of the citation's messages
+ * @returns {number} Message position, or -1 if it is gone
+ */
+export function locateCitedMessage(conversation, citation, which = 0) {
+  const messages = conversation?.messages || [];
+  const id = citation?.messageIds?.[which];
+  if (id) return messages.findIndex(m => m.id === id);
+  const position = citation?.messages?.[which];
+  return Number.isInteger(position) && position < messages.length ? position : -1;
+}
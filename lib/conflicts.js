@@ -15,6 +15,10 @@
  * 3. **Single Summary Check** — optimized path for checking one newly created
  *    summary against existing knowledge immediately after summarization.
  *
+ * Summaries are compared when they share a topic, overlapping tags, or an
+ * entity (lib/entities.js), so a switch away from "pg" is caught against a
+ * summary that only ever called it PostgreSQL.
+ *
  * Conflicts are stored in `chrome.storage.local` under the `conflicts` key to
  * avoid modifying the shared IndexedDB schema.
  *
@@ -22,6 +26,7 @@
  */
 
 import { dbGetAll } from './db.js';
+import { normalizeAlias, buildAliasIndex, findMentionedEntities } from './entities.js';
 import { generateId } from './utils.js';
 import { complete, hasEnabledProvider } from './ai-router.js';
 
@@ -318,9 +323,10 @@ function findContradictoryAdjectives(textA, textB) {
  *
  * @param {Object} older - The chronologically older summary
  * @param {Object} newer - The chronologically newer summary
+ * @param {Map<string, string>} aliasIndex - Entity aliases (lib/entities.js)
  * @returns {Array<{olderContent: string, newerContent: string, signals: string[], score: number}>}
  */
-function compareDecisions(older, newer) {
+function compareDecisions(older, newer, aliasIndex) {
   const candidates = [];
 
   // Gather all comparable content pairs
@@ -339,6 +345,7 @@ function compareDecisions(older, newer) {
   for (const olderItem of olderItems) {
     const olderTokens = new Set(tokenize(olderItem.text));
     if (olderTokens.size === 0) continue;
+    const olderEntities = findMentionedEntities(olderItem.text, aliasIndex);
 
     for (const newerItem of newerItems) {
       const newerTokens = new Set(tokenize(newerItem.text));
@@ -376,8 +383,9 @@ function compareDecisions(older, newer) {
       // Step 3: Technology switch patterns
       const newerSwitches = detectTechSwitches(newerItem.text);
       for (const sw of newerSwitches) {
-        // Check if the older item mentions the "from" technology positively
-        if (olderTokens.has(sw.from)) {
+        // Check if the older item mentions the "from" technology positively,
+        // by name or by another alias of the same entity
+        if (olderTokens.has(sw.from) || olderEntities.has(aliasIndex.get(normalizeAlias(sw.from)))) {
           signals.push(`tech_switch: "${sw.pattern}" (older mentions ${sw.from})`);
           score += 0.35;
         }
@@ -442,9 +450,10 @@ function compareDecisions(older, newer) {
  *
  * @param {Object} older - The chronologically older summary
  * @param {Object} newer - The chronologically newer summary
+ * @param {Map<string, string>} aliasIndex - Entity aliases (lib/entities.js)
  * @returns {Array<{olderContent: string, newerContent: string, signals: string[], score: number}>}
  */
-function compareSummaryLevel(older, newer) {
+function compareSummaryLevel(older, newer, aliasIndex) {
   const candidates = [];
 
   const olderText = [
@@ -464,9 +473,10 @@ function compareSummaryLevel(older, newer) {
   // Look for tech switches at the full summary level
   const newerSwitches = detectTechSwitches(newerText);
   const olderKeywords = extractKeywords(older);
+  const olderEntities = new Set((older.entities || []).map(e => e.id));
 
   for (const sw of newerSwitches) {
-    if (olderKeywords.has(sw.from)) {
+    if (olderKeywords.has(sw.from) || olderEntities.has(aliasIndex.get(normalizeAlias(sw.from)))) {
       const signals = [`summary_level_tech_switch: "${sw.pattern}" contradicts older knowledge about ${sw.from}`];
       candidates.push({
         olderContent: `Summary "${older.title}" discusses ${sw.from}`,
@@ -503,6 +513,54 @@ function compareSummaryLevel(older, newer) {
   return candidates;
 }
 
+/**
+ * Names of the entities two summaries are both linked to.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {string[]}
+ */
+function sharedEntities(a, b) {
+  const ids = new Set((a.entities || []).map(e => e.id));
+  return (b.entities || []).filter(e => ids.has(e.id)).map(e => e.name);
+}
+
+/**
+ * Run both comparisons on an ordered pair of summaries and return the
+ * candidates above the heuristic threshold. Shared entities make it more
+ * likely the two are about the same thing, so they add a signal and a
+ * little score to each candidate.
+ *
+ * @param {Object} older
+ * @param {Object} newer
+ * @param {Map<string, string>} aliasIndex
+ * @returns {Array<Object>} Candidates in the shape findCandidateConflicts() returns
+ */
+function comparePair(older, newer, aliasIndex) {
+  const shared = sharedEntities(older, newer);
+  const candidates = [];
+
+  for (const candidate of [...compareDecisions(older, newer, aliasIndex), ...compareSummaryLevel(older, newer, aliasIndex)]) {
+    let { signals, score } = candidate;
+    if (shared.length > 0) {
+      signals = [...signals, `shared_entities: ${shared.slice(0, 5).join(', ')}`];
+      score = Math.min(score + 0.1, 1.0);
+    }
+    if (score < HEURISTIC_SCORE_THRESHOLD) continue;
+    candidates.push({
+      olderSummaryId: older.id,
+      newerSummaryId: newer.id,
+      olderTopicId: older.topicId,
+      newerTopicId: newer.topicId,
+      olderContent: candidate.olderContent,
+      newerContent: candidate.newerContent,
+      signals,
+      heuristicScore: score
+    });
+  }
+  return candidates;
+}
+
 // ---------------------------------------------------------------------------
 // Heuristic Candidate Discovery (Mode 1)
 // ---------------------------------------------------------------------------
@@ -514,9 +572,11 @@ function compareSummaryLevel(older, newer) {
  * The algorithm:
  * 1. Groups summaries by topic for intra-topic comparison (primary).
  * 2. Cross-topic comparisons are performed only when tag overlap > 50%.
- * 3. For each ordered pair (older, newer), runs `compareDecisions()` and
+ * 3. Summaries in different topics (or none) that share an entity are
+ *    compared too.
+ * 4. For each ordered pair (older, newer), runs `compareDecisions()` and
  *    `compareSummaryLevel()` to collect signals and scores.
- * 4. Deduplicates and returns candidates above the heuristic threshold.
+ * 5. Deduplicates and returns candidates above the heuristic threshold.
  *
  * @returns {Promise<Array<{
  *   olderSummaryId: string,
@@ -530,11 +590,12 @@ function compareSummaryLevel(older, newer) {
  * }>>} Candidate conflict pairs sorted by score descending
  */
 export async function findCandidateConflicts() {
-  let summaries, topics;
+  let summaries, topics, entities;
   try {
-    [summaries, topics] = await Promise.all([
+    [summaries, topics, entities] = await Promise.all([
       dbGetAll('summaries'),
-      dbGetAll('topics')
+      dbGetAll('topics'),
+      dbGetAll('entities')
     ]);
   } catch (err) {
     console.error('[Conflicts] Failed to fetch data for heuristic scan:', err);
@@ -571,7 +632,10 @@ export async function findCandidateConflicts() {
     group.sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
   }
 
+  const aliasIndex = buildAliasIndex(entities || []);
   const allCandidates = [];
+  /** Pairs already compared, as "olderId|newerId" */
+  const compared = new Set();
 
   // --- Intra-topic comparisons ---
   for (const [topicId, group] of byTopic.entries()) {
@@ -579,25 +643,8 @@ export async function findCandidateConflicts() {
       for (let j = i + 1; j < group.length; j++) {
         const older = group[i];
         const newer = group[j];
-
-        const decisionCandidates = compareDecisions(older, newer);
-        const summaryCandidates = compareSummaryLevel(older, newer);
-        const combined = [...decisionCandidates, ...summaryCandidates];
-
-        for (const candidate of combined) {
-          if (candidate.score >= HEURISTIC_SCORE_THRESHOLD) {
-            allCandidates.push({
-              olderSummaryId: older.id,
-              newerSummaryId: newer.id,
-              olderTopicId: older.topicId,
-              newerTopicId: newer.topicId,
-              olderContent: candidate.olderContent,
-              newerContent: candidate.newerContent,
-              signals: candidate.signals,
-              heuristicScore: candidate.score
-            });
-          }
-        }
+        compared.add(`${older.id}|${newer.id}`);
+        allCandidates.push(...comparePair(older, newer, aliasIndex));
       }
     }
   }
@@ -624,30 +671,35 @@ export async function findCandidateConflicts() {
           const bTime = new Date(sB.createdAt).getTime();
           const older = aTime <= bTime ? sA : sB;
           const newer = aTime <= bTime ? sB : sA;
-
-          const decisionCandidates = compareDecisions(older, newer);
-          const summaryCandidates = compareSummaryLevel(older, newer);
-          const combined = [...decisionCandidates, ...summaryCandidates];
-
-          for (const candidate of combined) {
-            if (candidate.score >= HEURISTIC_SCORE_THRESHOLD) {
-              allCandidates.push({
-                olderSummaryId: older.id,
-                newerSummaryId: newer.id,
-                olderTopicId: older.topicId,
-                newerTopicId: newer.topicId,
-                olderContent: candidate.olderContent,
-                newerContent: candidate.newerContent,
-                signals: candidate.signals,
-                heuristicScore: candidate.score
-              });
-            }
-          }
+          compared.add(`${older.id}|${newer.id}`);
+          allCandidates.push(...comparePair(older, newer, aliasIndex));
         }
       }
     }
   }
 
+  // --- Comparisons between summaries that share an entity ---
+  const byEntity = new Map();
+  for (const s of summaries) {
+    for (const link of s.entities || []) {
+      if (!byEntity.has(link.id)) byEntity.set(link.id, []);
+      byEntity.get(link.id).push(s);
+    }
+  }
+  for (const group of byEntity.values()) {
+    group.sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const older = group[i];
+        const newer = group[j];
+        const key = `${older.id}|${newer.id}`;
+        if (compared.has(key)) continue;
+        compared.add(key);
+        allCandidates.push(...comparePair(older, newer, aliasIndex));
+      }
+    }
+  }
+
   // Deduplicate by (olderSummaryId, newerSummaryId, olderContent, newerContent)
   const seen = new Set();
   const deduplicated = [];
@@ -737,9 +789,10 @@ Is this a genuine conflict, or just natural evolution / complementary informatio
  * Verify a single candidate conflict using the AI router.
  *
  * @param {Object} candidate - A candidate from findCandidateConflicts()
+ * @param {boolean} [background=false] - Whether the AI budget caps apply
  * @returns {Promise<Object|null>} Verified conflict object or null if not a real conflict
  */
-async function verifySingleCandidate(candidate) {
+async function verifySingleCandidate(candidate, background = false) {
   const systemPrompt = buildVerificationSystemPrompt();
   const userPrompt = buildVerificationUserPrompt(candidate);
 
@@ -749,7 +802,7 @@ async function verifySingleCandidate(candidate) {
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ],
-      { temperature: 0.2, maxTokens: 1000, jsonMode: true }
+      { temperature: 0.2, maxTokens: 1000, jsonMode: true, task: 'verify_conflict', background }
     );
 
     const parsed = JSON.parse(result.content);
@@ -785,6 +838,7 @@ async function verifySingleCandidate(candidate) {
       metadata: {
         modelUsed: result.model,
         providerUsed: result.providerType,
+        routing: result.routing || null,
         confidenceScore: parsed.confidenceScore,
         heuristicScore: candidate.heuristicScore,
         tokensUsed,
@@ -806,6 +860,7 @@ async function verifySingleCandidate(candidate) {
  * @param {Array} candidates - Candidate array from {@link findCandidateConflicts}
  * @param {Object} [options={}]
  * @param {number} [options.maxCandidates=20] - Max candidates to verify
+ * @param {boolean} [options.background=false] - Whether the AI budget caps apply
  * @returns {Promise<Array<Object>>} Array of verified conflict objects
  */
 export async function verifyConflicts(candidates, options = {}) {
@@ -827,7 +882,7 @@ export async function verifyConflicts(candidates, options = {}) {
   for (let i = 0; i < toVerify.length; i += MAX_CONCURRENT_AI_REQUESTS) {
     const batch = toVerify.slice(i, i + MAX_CONCURRENT_AI_REQUESTS);
     const results = await Promise.allSettled(
-      batch.map(candidate => verifySingleCandidate(candidate))
+      batch.map(candidate => verifySingleCandidate(candidate, options.background))
     );
 
     for (const result of results) {
@@ -865,11 +920,12 @@ export async function checkNewSummary(summary, options = { useAI: true }) {
     return [];
   }
 
-  let existingSummaries, topics;
+  let existingSummaries, topics, entities;
   try {
-    [existingSummaries, topics] = await Promise.all([
+    [existingSummaries, topics, entities] = await Promise.all([
       dbGetAll('summaries'),
-      dbGetAll('topics')
+      dbGetAll('topics'),
+      dbGetAll('entities')
     ]);
   } catch (err) {
     console.error('[Conflicts] Failed to fetch data for new summary check:', err);
@@ -889,6 +945,7 @@ export async function checkNewSummary(summary, options = { useAI: true }) {
   // Filter to summaries that are comparable to the new one:
   // 1. Same topic
   // 2. Different topic but high tag overlap (> 50%)
+  // 3. Different topic but a shared entity
   // Exclude the summary itself
   const comparables = existingSummaries.filter(existing => {
     if (existing.id === summary.id) return false;
@@ -896,39 +953,23 @@ export async function checkNewSummary(summary, options = { useAI: true }) {
     // Same topic — always compare
     if (summary.topicId && existing.topicId === summary.topicId) return true;
 
-    // Different topic — compare only if tag overlap > 50%
+    // Different topic — compare only if tag overlap > 50% or they share an entity
     const overlap = tagOverlap(summary.tags || [], existing.tags || []);
-    return overlap > 0.5;
+    return overlap > 0.5 || sharedEntities(summary, existing).length > 0;
   });
 
   if (comparables.length === 0) return [];
 
   // The new summary is always the "newer" one
   const newSummaryTime = new Date(summary.createdAt).getTime();
+  const aliasIndex = buildAliasIndex(entities || []);
   const candidates = [];
 
   for (const existing of comparables) {
     const existingTime = new Date(existing.createdAt).getTime();
     const older = existingTime <= newSummaryTime ? existing : summary;
     const newer = existingTime <= newSummaryTime ? summary : existing;
-
-    const decisionCandidates = compareDecisions(older, newer);
-    const summaryCandidates = compareSummaryLevel(older, newer);
-
-    for (const candidate of [...decisionCandidates, ...summaryCandidates]) {
-      if (candidate.score >= HEURISTIC_SCORE_THRESHOLD) {
-        candidates.push({
-          olderSummaryId: older.id,
-          newerSummaryId: newer.id,
-          olderTopicId: older.topicId,
-          newerTopicId: newer.topicId,
-          olderContent: candidate.olderContent,
-          newerContent: candidate.newerContent,
-          signals: candidate.signals,
-          heuristicScore: candidate.score
-        });
-      }
-    }
+    candidates.push(...comparePair(older, newer, aliasIndex));
   }
 
   if (candidates.length === 0) return [];
@@ -949,7 +990,8 @@ export async function checkNewSummary(summary, options = { useAI: true }) {
   if (options.useAI && hasProvider) {
     // AI verification
     conflicts = await verifyConflicts(deduplicated, {
-      maxCandidates: 10 // Limit for single-summary checks
+      maxCandidates: 10, // Limit for single-summary checks
+      background: true // Runs unasked after every summarization
     });
   } else {
     // No AI — store heuristic-only conflicts for high-confidence candidates
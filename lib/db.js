@@ -1,5 +1,5 @@
 const DB_NAME = 'AIContextBridgeDB';
-const DB_VERSION = 3;
+const DB_VERSION = 11;
 
 let dbInstance = null;
 
@@ -61,6 +61,80 @@ export function openDB() {
         const queueStore = db.createObjectStore('embeddingQueue', { keyPath: 'id' });
         queueStore.createIndex('createdAt', 'createdAt', { unique: false });
       }
+
+      // v4: Persistent HNSW graphs over the embeddings (lib/vector-index.js)
+      if (!db.objectStoreNames.contains('annNodes')) {
+        const nodeStore = db.createObjectStore('annNodes', { keyPath: 'id' });
+        nodeStore.createIndex('graph', 'graph', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('annMeta')) {
+        db.createObjectStore('annMeta', { keyPath: 'graph' });
+      }
+
+      // v5: Embeddings are tagged with the model that produced them. Untagged
+      // vectors came from the original MiniLM model; graphs are now per model.
+      if (event.oldVersion < 5) {
+        const tx = event.target.transaction;
+        const embStore = tx.objectStore('embeddings');
+        if (!embStore.indexNames.contains('typeModel')) {
+          embStore.createIndex('typeModel', ['type', 'modelId'], { unique: false });
+        }
+        embStore.openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          const record = cursor.value;
+          if (!record.modelId) {
+            record.modelId = 'local:Xenova/all-MiniLM-L6-v2';
+            record.dim = record.vector?.length || 0;
+            cursor.update(record);
+          }
+          cursor.continue();
+        };
+        tx.objectStore('annNodes').clear();
+        tx.objectStore('annMeta').clear();
+      }
+
+      // v6: Token/cost ledger of AI requests (lib/ledger.js)
+      if (!db.objectStoreNames.contains('ledger')) {
+        const ledgerStore = db.createObjectStore('ledger', { keyPath: 'id' });
+        ledgerStore.createIndex('timestamp', 'timestamp', { unique: false });
+        ledgerStore.createIndex('providerId', 'providerId', { unique: false });
+        ledgerStore.createIndex('task', 'task', { unique: false });
+      }
+
+      // v7: Recorded responses served by the replay provider (lib/fixtures.js)
+      if (!db.objectStoreNames.contains('fixtures')) {
+        db.createObjectStore('fixtures', { keyPath: 'hash' });
+      }
+
+      // v8: Conversations waiting to be summarized in the background (lib/summary-queue.js)
+      if (!db.objectStoreNames.contains('summaryQueue')) {
+        const jobStore = db.createObjectStore('summaryQueue', { keyPath: 'conversationId' });
+        jobStore.createIndex('dueAt', 'dueAt', { unique: false });
+      }
+
+      // v9: Action items and open questions extracted from summaries (lib/action-items.js)
+      if (!db.objectStoreNames.contains('actionItems')) {
+        const itemStore = db.createObjectStore('actionItems', { keyPath: 'id' });
+        itemStore.createIndex('conversationId', 'conversationId', { unique: false });
+        itemStore.createIndex('status', 'status', { unique: false });
+      }
+
+      // v10: Canonical entities mentioned in summaries (lib/entities.js)
+      if (!db.objectStoreNames.contains('entities')) {
+        const entityStore = db.createObjectStore('entities', { keyPath: 'id' });
+        entityStore.createIndex('type', 'type', { unique: false });
+        entityStore.createIndex('aliases', 'aliases', { unique: false, multiEntry: true });
+        entityStore.createIndex('summaryIds', 'summaryIds', { unique: false, multiEntry: true });
+      }
+
+      // v11: Conversations looked up by platform + platform conversation id (lib/identity.js)
+      if (event.oldVersion < 11) {
+        const convStore = event.target.transaction.objectStore('conversations');
+        if (!convStore.indexNames.contains('identity')) {
+          convStore.createIndex('identity', ['source', 'sourceId'], { unique: false });
+        }
+      }
     };
 
     request.onsuccess = () => {
@@ -114,6 +188,32 @@ export async function dbGetByIndex(storeName, indexName, value) {
   });
 }
 
+export async function dbGetMany(storeName, keys) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    const results = new Array(keys.length);
+    keys.forEach((key, i) => {
+      const req = store.get(key);
+      req.onsuccess = () => { results[i] = req.result; };
+    });
+    tx.oncomplete = () => resolve(results);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function dbGetKeysByIndex(storeName, indexName, value) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const idx = tx.objectStore(storeName).index(indexName);
+    const req = idx.getAllKeys(value);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
 export async function dbDelete(storeName, key) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
@@ -144,6 +244,19 @@ export async function dbCount(storeName) {
   });
 }
 
+export async function dbDeleteBatch(storeName, keys) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    for (const key of keys) {
+      store.delete(key);
+    }
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 export async function dbPutBatch(storeName, items) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
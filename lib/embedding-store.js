@@ -0,0 +1,602 @@
+/**
+ * @fileoverview Embedding persistence for summaries and conversations
+ *
+ * Builds the text that represents a summary or conversation, embeds it
+ * through lib/embeddings.js and stores the vector in the `embeddings`
+ * store. Conversations are additionally split into passages (runs of a few
+ * paragraphs) that are embedded individually with the ids of the messages
+ * they came from, so retrieval can point at the exact part of a long chat.
+ * Every record carries the id and dimension of the model that produced it,
+ * and every write and delete is mirrored into the ANN index
+ * (lib/vector-index.js). Also drains the `embeddingQueue` that capture
+ * fills, so queued conversations get embedded from whichever context has
+ * the model — the side panel, or the service worker through the offscreen
+ * host — and runs the re-index job that moves stored vectors to a newly
+ * selected model.
+ *
+ * @module lib/embedding-store
+ */
+
+import { dbPut, dbGet, dbGetAll, dbGetByIndex, dbGetKeysByIndex, dbDelete, dbClear, dbCount } from './db.js';
+import { isModelLoaded, embed, initEmbeddings, getActiveModelId } from './embeddings.js';
+import { indexEmbedding, removeFromIndex, syncIndex, clearIndexes, dropOtherModelIndexes } from './vector-index.js';
+
+/** Embedding types; each has its own ANN graph. */
+const EMBEDDING_TYPES = ['summary', 'conversation', 'passage'];
+
+/** Upper bound on passage length (MiniLM truncates input at 256 tokens). */
+const PASSAGE_MAX_CHARS = 800;
+
+/** Passages embedded per embed() call. */
+const PASSAGE_EMBED_BATCH = 16;
+
+/** chrome.storage.local key holding the re-index job state. */
+const REINDEX_STATE_KEY = 'embeddingReindex';
+
+/** Re-index progress is persisted and broadcast every this many items. */
+const REINDEX_PROGRESS_EVERY = 5;
+
+/** True while processEmbeddingQueue is running in this context. */
+let draining = false;
+
+/** True while runReindex is running in this context. */
+let reindexing = false;
+
+/**
+ * Embed texts with the loaded model.
+ * Fails if the model changes while the texts are being embedded, so a
+ * vector is never stored under the wrong model id.
+ * @param {string[]} texts
+ * @param {Object} [options={}]
+ * @param {boolean} [options.background] - Held to the budget caps (lib/ledger.js)
+ * @returns {Promise<{vectors: number[][], modelId: string}>}
+ */
+async function embedWithModel(texts, options = {}) {
+  const modelId = getActiveModelId();
+  if (!modelId) throw new Error('Embeddings model not loaded');
+  const vectors = await embed(texts, options);
+  if (getActiveModelId() !== modelId) throw new Error('Embedding model changed');
+  return { vectors, modelId };
+}
+
+/**
+ * Store an embedding record and add it to the ANN index.
+ * A record with the same id from another model is removed from that model's index.
+ * @param {Object} record
+ * @returns {Promise<void>}
+ */
+async function putEmbedding(record) {
+  const previous = await dbGet('embeddings', record.id);
+  await dbPut('embeddings', { ...record, dim: record.vector.length });
+  if (previous && previous.modelId !== record.modelId) await removeFromIndex(previous);
+  await indexEmbedding(record);
+}
+
+/**
+ * Delete an embedding record and remove it from the ANN index.
+ * @param {Object} record
+ * @returns {Promise<void>}
+ */
+async function deleteEmbedding(record) {
+  await dbDelete('embeddings', record.id);
+  await removeFromIndex(record);
+}
+
+/**
+ * Delete every embedding (conversation, passages) of a deleted conversation.
+ * @param {string} conversationId
+ * @returns {Promise<void>}
+ */
+export async function deleteConversationEmbeddings(conversationId) {
+  const records = await dbGetByIndex('embeddings', 'conversationId', conversationId);
+  for (const record of records) await deleteEmbedding(record);
+}
+
+/**
+ * Delete the embedding of a deleted summary.
+ * @param {string} summaryId
+ * @returns {Promise<void>}
+ */
+export async function deleteSummaryEmbeddings(summaryId) {
+  const records = await dbGetByIndex('embeddings', 'summaryId', summaryId);
+  for (const record of records) await deleteEmbedding(record);
+}
+
+/**
+ * Delete all embeddings, queued work and ANN indexes.
+ * @returns {Promise<void>}
+ */
+export async function clearEmbeddings() {
+  await dbClear('embeddings');
+  await dbClear('embeddingQueue');
+  await clearIndexes();
+}
+
+/**
+ * Build or catch up the ANN index of every embedding type for the loaded model.
+ * @returns {Promise<void>}
+ */
+export async function syncEmbeddingIndexes() {
+  const modelId = getActiveModelId();
+  if (!modelId) return;
+  for (const type of EMBEDDING_TYPES) {
+    await syncIndex(type, modelId);
+  }
+}
+
+/**
+ * Embed a single summary and store the vector in IndexedDB.
+ * Replaces any previous vector for the summary (revised summaries keep their id).
+ * Failures are ignored, except a background request refused by the budget
+ * caps, which throws an error with code BUDGET_EXCEEDED.
+ * @param {Object} summary
+ * @param {Object} [options={}]
+ * @param {boolean} [options.background] - Not requested by the user; held to the budget caps
+ * @returns {Promise<void>}
+ */
+export async function embedSummary(summary, options = {}) {
+  if (!isModelLoaded()) return;
+  try {
+    const text = [
+      summary.title || '',
+      summary.summary || '',
+      ...(summary.keyInsights || []),
+      ...(summary.decisions || []),
+      ...(summary.tags || []),
+    ].join(' ');
+
+    const { vectors: [vector], modelId } = await embedWithModel([text], options);
+    const id = `sum-emb:${summary.id}`;
+    const previous = await dbGetByIndex('embeddings', 'summaryId', summary.id);
+    for (const emb of previous) {
+      if (emb.id !== id) await deleteEmbedding(emb);
+    }
+    await putEmbedding({
+      id,
+      summaryId: summary.id,
+      type: 'summary',
+      vector,
+      text: text.slice(0, 500),
+      createdAt: new Date().toISOString(),
+      modelId,
+    });
+  } catch (err) {
+    // Embedding failed — non-critical, unless background work must stop
+    if (err.code === 'BUDGET_EXCEEDED') throw err;
+  }
+}
+
+/**
+ * Batch embed all summaries that don't have an embedding from the loaded model yet.
+ * @returns {Promise<void>}
+ */
+export async function batchEmbedMissing() {
+  if (!isModelLoaded()) return;
+  try {
+    const summaries = await dbGetAll('summaries');
+    const embeddedIds = await embeddedRefs('summary', getActiveModelId());
+    const missing = summaries.filter(s => !embeddedIds.has(s.id));
+
+    for (const summary of missing) {
+      await embedSummary(summary, { background: true });
+    }
+
+    if (missing.length > 0) {
+      console.log(`[Embeddings] Batch embedded ${missing.length} summaries`);
+    }
+  } catch (err) {
+    console.error('[Embeddings] Batch embed error:', err);
+  }
+}
+
+/**
+ * Prepare text from a conversation for embedding.
+ * Combines title + last 8 messages, truncated to ~1000 chars.
+ * @param {Object} conv
+ * @returns {string}
+ */
+export function prepareConversationText(conv) {
+  const parts = [conv.title || ''];
+  const msgs = conv.messages || [];
+  const recent = msgs.slice(-8);
+  for (const msg of recent) {
+    parts.push(`${msg.role}: ${msg.content}`);
+  }
+  return parts.join('\n').slice(0, 1000);
+}
+
+/**
+ * Embed a single conversation and store the vector in IndexedDB.
+ * Failures are handled as in embedSummary().
+ * @param {Object} conv
+ * @param {Object} [options={}]
+ * @param {boolean} [options.background] - Not requested by the user; held to the budget caps
+ * @returns {Promise<void>}
+ */
+export async function embedConversation(conv, options = {}) {
+  if (!isModelLoaded()) return;
+  try {
+    const text = prepareConversationText(conv);
+    const { vectors: [vector], modelId } = await embedWithModel([text], options);
+    await putEmbedding({
+      id: `conv-emb:${conv.id}`,
+      conversationId: conv.id,
+      type: 'conversation',
+      vector,
+      text: text.slice(0, 500),
+      createdAt: new Date().toISOString(),
+      modelId,
+    });
+  } catch (err) {
+    // Embedding failed — non-critical, unless background work must stop
+    if (err.code === 'BUDGET_EXCEEDED') throw err;
+  }
+}
+
+/**
+ * Split a conversation into passages of consecutive paragraphs.
+ * A passage may span several messages; each one records the ids of the
+ * messages it draws from. Paragraphs longer than PASSAGE_MAX_CHARS are cut
+ * into pieces. Passages are built from the start of the conversation, so
+ * appending messages only changes the trailing passage.
+ * @param {Object} conv
+ * @returns {Array<{text: string, messageIds: string[]}>}
+ */
+export function chunkConversationPassages(conv) {
+  const passages = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.text.trim()) passages.push(current);
+    current = null;
+  };
+
+  for (const msg of (conv.messages || [])) {
+    const role = msg.role === 'assistant' ? 'Assistant' : 'User';
+    const paragraphs = (msg.content || '')
+      .split(/\n\s*\n/)
+      .map(p => p.trim())
+      .filter(Boolean)
+      .flatMap(p => splitParagraph(p, PASSAGE_MAX_CHARS - role.length - 2));
+
+    for (const paragraph of paragraphs) {
+      // Label the speaker whenever a passage starts or the message changes
+      const labeled = `${role}: ${paragraph}`;
+      if (current && current.text.length + labeled.length + 2 > PASSAGE_MAX_CHARS) flush();
+      if (!current) current = { text: '', messageIds: [], lastMessage: null };
+      const piece = current.lastMessage === msg ? paragraph : labeled;
+      current.text += (current.text ? '\n\n' : '') + piece;
+      if (msg.id && !current.messageIds.includes(msg.id)) current.messageIds.push(msg.id);
+      current.lastMessage = msg;
+    }
+  }
+  flush();
+  return passages.map(({ text, messageIds }) => ({ text, messageIds }));
+}
+
+function splitParagraph(paragraph, maxChars) {
+  if (paragraph.length <= maxChars) return [paragraph];
+  const pieces = [];
+  let rest = paragraph;
+  while (rest.length > maxChars) {
+    // Prefer breaking at a sentence or line end inside the window
+    const window = rest.slice(0, maxChars);
+    const cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+    const at = cut > maxChars / 2 ? cut + 1 : maxChars;
+    pieces.push(rest.slice(0, at).trim());
+    rest = rest.slice(at).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/** FNV-1a hash of a string, as 8 hex chars. Used for stable passage ids. */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Embed the passages of a conversation and store them in IndexedDB.
+ * Passages whose text and message ids are unchanged keep their vector (if it
+ * came from the loaded model); only new passages are embedded and stale
+ * ones are deleted afterwards. Failures are handled as in embedSummary().
+ * @param {Object} conv
+ * @param {Object} [options={}]
+ * @param {boolean} [options.background] - Not requested by the user; held to the budget caps
+ * @returns {Promise<void>}
+ */
+export async function embedConversationPassages(conv, options = {}) {
+  if (!isModelLoaded()) return;
+  try {
+    const passages = chunkConversationPassages(conv).map(p => ({
+      ...p,
+      id: `passage:${conv.id}:${hashText(p.messageIds.join(',') + '\n' + p.text)}`,
+    }));
+    const existing = (await dbGetByIndex('embeddings', 'conversationId', conv.id))
+      .filter(e => e.type === 'passage');
+    const currentModel = getActiveModelId();
+    const existingIds = new Set(existing.filter(e => e.modelId === currentModel).map(e => e.id));
+    const missing = passages.filter(p => !existingIds.has(p.id));
+
+    for (let i = 0; i < missing.length; i += PASSAGE_EMBED_BATCH) {
+      const batch = missing.slice(i, i + PASSAGE_EMBED_BATCH);
+      const { vectors, modelId } = await embedWithModel(batch.map(p => p.text), options);
+      const createdAt = new Date().toISOString();
+      for (let j = 0; j < batch.length; j++) {
+        await putEmbedding({
+          id: batch[j].id,
+          conversationId: conv.id,
+          type: 'passage',
+          messageIds: batch[j].messageIds,
+          vector: vectors[j],
+          text: batch[j].text,
+          createdAt,
+          modelId,
+        });
+      }
+    }
+
+    const keep = new Set(passages.map(p => p.id));
+    for (const emb of existing) {
+      if (!keep.has(emb.id)) await deleteEmbedding(emb);
+    }
+  } catch (err) {
+    // Embedding failed — non-critical, retried on the next capture
+    if (err.code === 'BUDGET_EXCEEDED') throw err;
+  }
+}
+
+/**
+ * Embed passages for conversations that have none from the loaded model yet
+ * (e.g. captured or imported before passage retrieval existed).
+ * @returns {Promise<void>}
+ */
+export async function batchEmbedMissingPassages() {
+  if (!isModelLoaded()) return;
+  try {
+    const [conversations, covered] = await Promise.all([
+      dbGetAll('conversations'),
+      embeddedRefs('passage', getActiveModelId()),
+    ]);
+    const missing = conversations.filter(c => !covered.has(c.id) && (c.messages || []).length > 0);
+
+    for (const conv of missing) {
+      if (!isModelLoaded()) break;
+      await embedConversationPassages(conv, { background: true });
+    }
+
+    if (missing.length > 0) {
+      console.log(`[Embeddings] Embedded passages for ${missing.length} conversations`);
+    }
+  } catch (err) {
+    console.error('[Embeddings] Passage backfill error:', err);
+  }
+}
+
+/**
+ * Process the embedding queue: embed all queued conversations, then remove them.
+ * Entries are removed one at a time, so a run interrupted by the service
+ * worker suspending resumes where it stopped.
+ * @returns {Promise<number>} Number of queue entries processed
+ */
+export async function processEmbeddingQueue() {
+  if (!isModelLoaded() || draining) return 0;
+  draining = true;
+  let processed = 0;
+  try {
+    // Re-read after each pass: captures may enqueue more while we work
+    let queue = await dbGetAll('embeddingQueue');
+    while (queue.length > 0 && isModelLoaded()) {
+      console.log(`[Embeddings] Processing ${queue.length} queued conversations`);
+      for (const entry of queue) {
+        if (!isModelLoaded()) break;
+        const conv = await dbGet('conversations', entry.conversationId);
+        if (conv) {
+          await embedConversation(conv, { background: true });
+          await embedConversationPassages(conv, { background: true });
+        }
+        await dbDelete('embeddingQueue', entry.id);
+        processed++;
+      }
+      queue = await dbGetAll('embeddingQueue');
+    }
+    if (processed > 0) console.log(`[Embeddings] Queue processing complete`);
+  } catch (err) {
+    console.error('[Embeddings] Queue processing error:', err);
+  } finally {
+    draining = false;
+  }
+  return processed;
+}
+
+/**
+ * Ids of the summaries/conversations with an embedding of the given type
+ * from the given model.
+ * @param {string} type
+ * @param {string} modelId
+ * @returns {Promise<Set<string>>}
+ */
+async function embeddedRefs(type, modelId) {
+  const records = await dbGetByIndex('embeddings', 'typeModel', [type, modelId]);
+  return new Set(records.map(r => (type === 'summary' ? r.summaryId : r.conversationId)));
+}
+
+// ---------------------------------------------------------------------------
+// Re-index job
+// ---------------------------------------------------------------------------
+
+/**
+ * Count stored vectors, and how many of them come from the selected model.
+ * @param {string} modelId
+ * @returns {Promise<{total: number, current: number, stale: number}>}
+ */
+export async function getEmbeddingStats(modelId) {
+  const total = await dbCount('embeddings');
+  let current = 0;
+  for (const type of EMBEDDING_TYPES) {
+    current += (await dbGetKeysByIndex('embeddings', 'typeModel', [type, modelId])).length;
+  }
+  return { total, current, stale: total - current };
+}
+
+/**
+ * Read the re-index job state.
+ * @returns {Promise<{modelId: string, status: 'running'|'paused'|'complete'|'failed', total: number, done: number, startedAt: string, updatedAt: string, error?: string}|null>}
+ */
+export async function getReindexState() {
+  const data = await chrome.storage.local.get(REINDEX_STATE_KEY);
+  return data[REINDEX_STATE_KEY] || null;
+}
+
+async function saveReindexState(state) {
+  const next = { ...state, updatedAt: new Date().toISOString() };
+  await chrome.storage.local.set({ [REINDEX_STATE_KEY]: next });
+  chrome.runtime.sendMessage({ type: 'REINDEX_PROGRESS', state: next }).catch(() => {});
+  return next;
+}
+
+/**
+ * Start (or restart) re-embedding everything with the selected model.
+ * @returns {Promise<Object>} Final job state
+ */
+export async function startReindex() {
+  await initEmbeddings();
+  const modelId = getActiveModelId();
+  if (!modelId) throw new Error('Embeddings model not loaded');
+  await saveReindexState({
+    modelId,
+    status: 'running',
+    total: 0,
+    done: 0,
+    startedAt: new Date().toISOString(),
+  });
+  return runReindex();
+}
+
+/**
+ * Pause the re-index job. It stops after the item in progress.
+ * @returns {Promise<void>}
+ */
+export async function pauseReindex() {
+  const state = await getReindexState();
+  if (state?.status === 'running') await saveReindexState({ ...state, status: 'paused' });
+}
+
+/**
+ * Continue a paused job, or one interrupted by the service worker being
+ * suspended. Progress is derived from the stored vectors themselves, so
+ * nothing already re-embedded is done twice.
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyIfRunning=false] - Don't resume a paused job
+ * @returns {Promise<Object|null>} Final job state, or null if there was nothing to resume
+ */
+export async function resumeReindex({ onlyIfRunning = false } = {}) {
+  const state = await getReindexState();
+  if (!state || state.status === 'complete') return null;
+  if (onlyIfRunning && state.status !== 'running') return null;
+  if (state.status !== 'running') await saveReindexState({ ...state, status: 'running', error: null });
+  return runReindex();
+}
+
+/**
+ * Re-embed every summary and conversation whose vectors don't come from
+ * the job's model, then drop leftover vectors and indexes of other models.
+ * The job pauses when a budget cap stops its provider requests.
+ */
+async function runReindex() {
+  if (reindexing) return getReindexState();
+  reindexing = true;
+  let state = await getReindexState();
+  try {
+    const loaded = await initEmbeddings(state.modelId);
+    if (!loaded || getActiveModelId() !== state.modelId) {
+      return await saveReindexState({ ...state, status: 'failed', error: 'Embeddings model not loaded' });
+    }
+
+    const work = await findReindexWork(state.modelId);
+    state = await saveReindexState({ ...state, total: state.done + work.length });
+
+    for (const item of work) {
+      const current = await getReindexState();
+      if (current?.status !== 'running' || current.modelId !== state.modelId) {
+        return current; // paused, or superseded by a job for another model
+      }
+      if (getActiveModelId() !== state.modelId) {
+        return await saveReindexState({ ...state, status: 'failed', error: 'Embedding model changed' });
+      }
+
+      if (item.type === 'summary') {
+        const summary = await dbGet('summaries', item.id);
+        if (summary) await embedSummary(summary, { background: true });
+      } else {
+        const conv = await dbGet('conversations', item.id);
+        if (conv) {
+          await embedConversation(conv, { background: true });
+          await embedConversationPassages(conv, { background: true });
+        }
+      }
+
+      state.done++;
+      if (state.done % REINDEX_PROGRESS_EVERY === 0) state = await saveReindexState(state);
+    }
+
+    // Vectors of other models that no item claimed (orphans) can never be compared
+    const leftovers = (await dbGetAll('embeddings')).filter(e => e.modelId !== state.modelId);
+    for (const record of leftovers) await deleteEmbedding(record);
+    await dropOtherModelIndexes(state.modelId);
+    await syncEmbeddingIndexes();
+
+    return await saveReindexState({ ...state, status: 'complete' });
+  } catch (err) {
+    if (err.code === 'BUDGET_EXCEEDED') {
+      // Resumed by hand once the budget allows
+      return await saveReindexState({ ...state, status: 'paused', error: err.message });
+    }
+    console.error('[Embeddings] Re-index failed:', err);
+    return await saveReindexState({ ...state, status: 'failed', error: err.message });
+  } finally {
+    reindexing = false;
+  }
+}
+
+/**
+ * Summaries and conversations that lack a vector from the given model or
+ * still have one from another model.
+ * @param {string} modelId
+ * @returns {Promise<Array<{type: 'summary'|'conversation', id: string}>>}
+ */
+async function findReindexWork(modelId) {
+  const [summaries, conversations, embeddings] = await Promise.all([
+    dbGetAll('summaries'),
+    dbGetAll('conversations'),
+    dbGetAll('embeddings'),
+  ]);
+
+  // fresh: `${type}:${ref}` embedded by this model; stale: owners with vectors from another
+  const fresh = new Set();
+  const stale = new Set();
+  for (const e of embeddings) {
+    const ref = e.type === 'summary' ? e.summaryId : e.conversationId;
+    if (e.modelId === modelId) fresh.add(`${e.type}:${ref}`);
+    else stale.add(`${e.type === 'summary' ? 'summary' : 'conversation'}:${ref}`);
+  }
+
+  const work = [];
+  for (const s of summaries) {
+    if (stale.has(`summary:${s.id}`) || !fresh.has(`summary:${s.id}`)) {
+      work.push({ type: 'summary', id: s.id });
+    }
+  }
+  for (const c of conversations) {
+    const needsWork = stale.has(`conversation:${c.id}`)
+      || !fresh.has(`conversation:${c.id}`)
+      || ((c.messages || []).length > 0 && !fresh.has(`passage:${c.id}`));
+    if (needsWork) work.push({ type: 'conversation', id: c.id });
+  }
+  return work;
+}
@@ -1,11 +1,12 @@
 /**
  * @fileoverview Web Worker for Transformers.js embeddings (module worker)
  *
- * Loads the all-MiniLM-L6-v2 model (quantized, ~6MB) and handles
- * EMBED messages to produce 384-dimensional float vectors.
+ * Loads a sentence-embedding model (quantized; all-MiniLM-L6-v2 unless the
+ * INIT message names another) and handles EMBED messages to produce
+ * normalized float vectors.
  *
  * Messages:
- *   IN:  { type: 'INIT' }
+ *   IN:  { type: 'INIT', model?: string }
  *   OUT: { type: 'INIT_DONE' } | { type: 'INIT_ERROR', error: string }
  *
  *   IN:  { type: 'EMBED', id: string, texts: string[] }
@@ -22,11 +23,11 @@ if (env?.backends?.onnx?.wasm) {
 
 let extractor = null;
 
-async function init() {
+async function init(model) {
   try {
     extractor = await pipeline(
       'feature-extraction',
-      'Xenova/all-MiniLM-L6-v2',
+      model || 'Xenova/all-MiniLM-L6-v2',
       { quantized: true }
     );
 
@@ -55,11 +56,11 @@ async function embed(id, texts) {
 }
 
 self.addEventListener('message', (e) => {
-  const { type, id, texts } = e.data;
+  const { type, id, texts, model } = e.data;
 
   switch (type) {
     case 'INIT':
-      init();
+      init(model);
       break;
     case 'EMBED':
       embed(id, texts);
@@ -1,37 +1,200 @@
 /**
  * @fileoverview Embeddings interface for Transformers.js
  *
- * Manages a Web Worker that runs the all-MiniLM-L6-v2 model for
- * generating 384-dimensional sentence embeddings. Used for semantic
- * relevance scoring and topic matching.
+ * Manages a Web Worker that runs a sentence-embedding model (all-MiniLM-L6-v2
+ * by default, 384 dimensions). Used for semantic relevance scoring and
+ * topic matching.
+ *
+ * The model is chosen in Settings and stored in chrome.storage.local under
+ * `embeddingModel`. Every stored vector is tagged with the id of the model
+ * that produced it (getActiveModelId()); vectors from different models are
+ * never compared — they are re-embedded by the re-index job instead.
+ *
+ * Extension pages (side panel, offscreen document) spawn the worker
+ * directly. The service worker cannot create Web Workers, so there the
+ * same API is backed by an offscreen document (offscreen/embeddings.html)
+ * that hosts the worker and answers OFFSCREEN_EMBED_* runtime messages.
+ *
+ * Models with an `api:` id are hosted by an AI provider instead and are
+ * embedded through embed() in lib/ai-router.js from any context, for
+ * machines that can't run the local model.
  *
  * @module lib/embeddings
  */
 
+import { embed as providerEmbed, listEmbeddingModels as listProviderEmbeddingModels } from './ai-router.js';
+
+const IS_SERVICE_WORKER = typeof ServiceWorkerGlobalScope !== 'undefined'
+  && self instanceof ServiceWorkerGlobalScope;
+
+/** Runtime message target understood by the offscreen embeddings host. */
+export const OFFSCREEN_TARGET = 'offscreen-embeddings';
+
+const OFFSCREEN_URL = 'offscreen/embeddings.html';
+
+/** Id prefix of provider-hosted models: `api:<provider model name>`. */
+const PROVIDER_MODEL_PREFIX = 'api:';
+
+/**
+ * Local embedding models selectable in Settings, keyed by model id.
+ * Provider-hosted models are listed by listEmbeddingModelChoices().
+ * `dim` is informational; records store the dimension they were produced with.
+ */
+export const EMBEDDING_MODELS = {
+  'local:Xenova/all-MiniLM-L6-v2': {
+    name: 'MiniLM L6 (fast, ~23 MB)',
+    backend: 'local',
+    model: 'Xenova/all-MiniLM-L6-v2',
+    dim: 384,
+  },
+  'local:Xenova/bge-small-en-v1.5': {
+    name: 'BGE Small (English, ~34 MB)',
+    backend: 'local',
+    model: 'Xenova/bge-small-en-v1.5',
+    dim: 384,
+  },
+  'local:Xenova/paraphrase-multilingual-MiniLM-L12-v2': {
+    name: 'Multilingual MiniLM L12 (~118 MB)',
+    backend: 'local',
+    model: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2',
+    dim: 384,
+  },
+  'local:Xenova/all-mpnet-base-v2': {
+    name: 'MPNet Base (accurate, ~110 MB)',
+    backend: 'local',
+    model: 'Xenova/all-mpnet-base-v2',
+    dim: 768,
+  },
+};
+
+/** Model used when none is selected, and the model of untagged legacy vectors. */
+export const DEFAULT_EMBEDDING_MODEL = 'local:Xenova/all-MiniLM-L6-v2';
+
 let worker = null;
 let modelLoaded = false;
 let modelLoading = false;
+let initPromise = null;
+let initModelId = null;
+let activeModelId = null;
+let activeBackend = null;
+let offscreenCreating = null;
 let pendingRequests = new Map();
 let requestCounter = 0;
 
 /**
- * Initialize the embeddings worker and start loading the model.
- * Safe to call multiple times — only the first call spawns the worker.
+ * Describe a model id: a local model, or a provider-hosted `api:` model.
+ * @param {string} modelId
+ * @returns {{name: string, backend: 'local'|'provider', model: string, dim: number|null}|null}
+ */
+export function describeEmbeddingModel(modelId) {
+  if (EMBEDDING_MODELS[modelId]) return EMBEDDING_MODELS[modelId];
+  if (typeof modelId === 'string' && modelId.startsWith(PROVIDER_MODEL_PREFIX)) {
+    const model = modelId.slice(PROVIDER_MODEL_PREFIX.length);
+    if (model) return { name: model, backend: 'provider', model, dim: null };
+  }
+  return null;
+}
+
+/**
+ * Models selectable in Settings: the local models, then every embedding
+ * model served by an enabled AI provider.
+ * @returns {Promise<Array<{id: string, name: string, backend: 'local'|'provider'}>>}
+ */
+export async function listEmbeddingModelChoices() {
+  const local = Object.entries(EMBEDDING_MODELS)
+    .map(([id, m]) => ({ id, name: m.name, backend: 'local' }));
+  const hosted = (await listProviderEmbeddingModels()).map(({ model, providers }) => ({
+    id: PROVIDER_MODEL_PREFIX + model,
+    name: `${model} (${providers.join(', ')})`,
+    backend: 'provider',
+  }));
+  return [...local, ...hosted];
+}
+
+/**
+ * Read the embedding model selected in Settings.
+ * @returns {Promise<string>} Model id (a key of EMBEDDING_MODELS or an `api:` id)
+ */
+export async function getSelectedEmbeddingModel() {
+  if (!chrome.storage?.local) return DEFAULT_EMBEDDING_MODEL;
+  const { embeddingModel } = await chrome.storage.local.get('embeddingModel');
+  return describeEmbeddingModel(embeddingModel) ? embeddingModel : DEFAULT_EMBEDDING_MODEL;
+}
+
+/**
+ * Select the embedding model. Contexts that have another model loaded
+ * switch on their next initEmbeddings() call.
+ * @param {string} modelId
+ * @returns {Promise<void>}
+ */
+export async function setSelectedEmbeddingModel(modelId) {
+  if (!describeEmbeddingModel(modelId)) throw new Error(`Unknown embedding model: ${modelId}`);
+  await chrome.storage.local.set({ embeddingModel: modelId });
+}
+
+/**
+ * Initialize the embeddings backend and start loading the model.
+ * Safe to call multiple times — only the first call spawns the worker
+ * (or creates the offscreen document, in the service worker). If a
+ * different model than the requested one is loaded, it is unloaded first.
+ * Provider-hosted models need no loading; they are ready as soon as an
+ * enabled provider serves them.
+ * @param {string} [modelId] - Defaults to the model selected in Settings
  * @returns {Promise<boolean>} true if model loaded successfully
  */
-export function initEmbeddings() {
-  if (modelLoaded) return Promise.resolve(true);
-  if (modelLoading) {
-    return new Promise((resolve) => {
-      const check = setInterval(() => {
-        if (modelLoaded) { clearInterval(check); resolve(true); }
-        if (!modelLoading && !modelLoaded) { clearInterval(check); resolve(false); }
-      }, 200);
-    });
+export async function initEmbeddings(modelId) {
+  const wanted = describeEmbeddingModel(modelId) ? modelId : await getSelectedEmbeddingModel();
+
+  if (initPromise && initModelId !== wanted) {
+    await initPromise;
   }
+  if (activeModelId && activeModelId !== wanted) {
+    resetBackend();
+  }
+  if (modelLoaded) return true;
+  if (initPromise) return initPromise;
+
+  const backend = describeEmbeddingModel(wanted).backend;
+  const load = backend === 'provider' ? initProvider
+    : IS_SERVICE_WORKER ? initOffscreen
+    : initWorker;
 
   modelLoading = true;
+  initModelId = wanted;
+  initPromise = load(wanted).then(loaded => {
+    modelLoaded = loaded;
+    modelLoading = false;
+    activeModelId = loaded ? wanted : null;
+    activeBackend = loaded ? backend : null;
+    if (!loaded) initPromise = null;
+    return loaded;
+  });
+  return initPromise;
+}
 
+/**
+ * Id of the model that embed() currently uses, or null if none is loaded.
+ * Stored vectors carry this id; only vectors with the same id are comparable.
+ * @returns {string|null}
+ */
+export function getActiveModelId() {
+  return modelLoaded ? activeModelId : null;
+}
+
+/**
+ * Wait (at most timeoutMs) for the model to be ready, starting it if needed.
+ * Lets callers that just woke the service worker use semantic scoring
+ * without blocking on a cold model load.
+ * @param {number} [timeoutMs=1500]
+ * @returns {Promise<boolean>} true if the model is ready
+ */
+export async function ensureEmbeddings(timeoutMs = 1500) {
+  if (modelLoaded) return true;
+  const timeout = new Promise(resolve => setTimeout(() => resolve(false), timeoutMs));
+  return Promise.race([initEmbeddings(), timeout]);
+}
+
+function initWorker(modelId) {
   return new Promise((resolve) => {
     try {
       worker = new Worker(
@@ -42,35 +205,81 @@ export function initEmbeddings() {
       worker.addEventListener('message', handleWorkerMessage);
       worker.addEventListener('error', (err) => {
         console.error('[Embeddings] Worker error:', err.message);
-        modelLoading = false;
         resolve(false);
       });
 
       // Listen for init completion
       const onInit = (e) => {
         if (e.data.type === 'INIT_DONE') {
-          modelLoaded = true;
-          modelLoading = false;
           worker.removeEventListener('message', onInit);
           resolve(true);
         } else if (e.data.type === 'INIT_ERROR') {
           console.error('[Embeddings] Init error:', e.data.error);
-          modelLoading = false;
           worker.removeEventListener('message', onInit);
           resolve(false);
         }
       };
       worker.addEventListener('message', onInit);
 
-      worker.postMessage({ type: 'INIT' });
+      worker.postMessage({ type: 'INIT', model: EMBEDDING_MODELS[modelId].model });
     } catch (err) {
       console.error('[Embeddings] Failed to create worker:', err);
-      modelLoading = false;
       resolve(false);
     }
   });
 }
 
+/**
+ * A provider-hosted model is usable when an enabled provider serves it.
+ */
+async function initProvider(modelId) {
+  const { model } = describeEmbeddingModel(modelId);
+  try {
+    const served = await listProviderEmbeddingModels();
+    if (served.some(m => m.model === model)) return true;
+    console.warn(`[Embeddings] No enabled provider serves ${model}`);
+  } catch (err) {
+    console.error('[Embeddings] Provider lookup failed:', err.message);
+  }
+  return false;
+}
+
+/**
+ * Create the offscreen embeddings host if it doesn't exist yet, then ask it
+ * to load the model.
+ */
+async function initOffscreen(modelId) {
+  try {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ target: OFFSCREEN_TARGET, type: 'OFFSCREEN_EMBED_INIT', modelId });
+    return !!response?.loaded && response.modelId === modelId;
+  } catch (err) {
+    console.error('[Embeddings] Offscreen host unavailable:', err.message);
+    return false;
+  }
+}
+
+async function ensureOffscreenDocument() {
+  if (!chrome.offscreen) throw new Error('Offscreen documents not supported');
+
+  const url = chrome.runtime.getURL(OFFSCREEN_URL);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [url],
+  });
+  if (contexts.length > 0) return;
+
+  // Guard against concurrent createDocument calls (only one is allowed)
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['WORKERS'],
+      justification: 'Run the local sentence-embedding model for semantic search',
+    }).finally(() => { offscreenCreating = null; });
+  }
+  await offscreenCreating;
+}
+
 /**
  * Handle messages from the worker.
  */
@@ -89,10 +298,35 @@ function handleWorkerMessage(e) {
 /**
  * Embed an array of text strings into vectors.
  * @param {string[]} texts - Texts to embed
- * @returns {Promise<number[][]>} Array of 384-dim vectors
+ * @param {Object} [options={}]
+ * @param {boolean} [options.background] - Held to the budget caps when a provider model embeds
+ * @returns {Promise<number[][]>} One vector per text (dimension depends on the model)
  */
-export function embed(texts) {
-  if (!modelLoaded || !worker) {
+export function embed(texts, options = {}) {
+  if (!modelLoaded) {
+    return Promise.reject(new Error('Embeddings model not loaded'));
+  }
+
+  if (activeBackend === 'provider') {
+    const { model } = describeEmbeddingModel(activeModelId);
+    return providerEmbed(texts, { model, background: options.background }).then(result => result.vectors);
+  }
+
+  if (IS_SERVICE_WORKER) {
+    return chrome.runtime.sendMessage({ target: OFFSCREEN_TARGET, type: 'OFFSCREEN_EMBED', texts, modelId: activeModelId })
+      .then(response => {
+        if (!response) {
+          // Host was closed — re-create it on the next init
+          modelLoaded = false;
+          initPromise = null;
+          throw new Error('Offscreen embeddings host did not respond');
+        }
+        if (response.error) throw new Error(response.error);
+        return response.vectors;
+      });
+  }
+
+  if (!worker) {
     return Promise.reject(new Error('Embeddings model not loaded'));
   }
 
@@ -140,14 +374,45 @@ export function isModelLoading() {
 }
 
 /**
- * Terminate the worker and release resources.
+ * Terminate the worker (or close the offscreen host) and release resources.
  */
 export function destroyEmbeddings() {
+  if (IS_SERVICE_WORKER && chrome.offscreen) {
+    chrome.offscreen.closeDocument().catch(() => {});
+  }
+  resetBackend();
+}
+
+/**
+ * Drop the loaded model so the next initEmbeddings() loads a fresh one.
+ * The offscreen host is kept; it switches models on its next init message.
+ */
+function resetBackend() {
   if (worker) {
     worker.terminate();
     worker = null;
   }
+  for (const { reject } of pendingRequests.values()) {
+    reject(new Error('Embeddings model unloaded'));
+  }
   modelLoaded = false;
   modelLoading = false;
+  initPromise = null;
+  initModelId = null;
+  activeModelId = null;
+  activeBackend = null;
   pendingRequests.clear();
 }
+
+// Unload a model that is no longer selected; callers re-init on demand.
+// Provider edits may add or remove the host of an `api:` model, so re-check it too.
+if (chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes.embeddingModel && activeModelId && activeModelId !== changes.embeddingModel.newValue) {
+      resetBackend();
+    } else if (changes.aiProviders && activeBackend === 'provider') {
+      resetBackend();
+    }
+  });
+}
@@ -0,0 +1,391 @@
+/**
+ * @fileoverview Entities and the knowledge graph
+ *
+ * The summarizer lists the technologies, projects, repositories, people and
+ * APIs a conversation is about. Free-form names do not line up across
+ * summaries — "postgres", "PostgreSQL" and "pg" are the same database — so
+ * each mention is resolved to a canonical entity in the `entities` store:
+ *
+ * 1. Names are normalized to an alias key (lowercase, punctuation and
+ *    spaces removed, a trailing version split off).
+ * 2. An alias key already recorded on an entity resolves to that entity;
+ *    this is how merges made in the graph view stick.
+ * 3. Otherwise a built-in table maps well-known aliases to their canonical
+ *    name, and anything else becomes a new entity of its own.
+ *
+ * Entities keep the ids of the summaries that mention them, and summaries
+ * keep the resolved entities (`summary.entities`), so either side can be
+ * looked up from the other. Relevance scoring, conflict detection and the
+ * side panel's graph view all work from these links.
+ *
+ * @module lib/entities
+ */
+
+import { dbPut, dbGet, dbGetAll, dbGetByIndex, dbDelete, dbClear } from './db.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Entity types, as the summarizer is asked to label them. */
+export const ENTITY_TYPES = ['technology', 'project', 'repository', 'person', 'api'];
+
+/** Well-known alias keys and the canonical name they stand for. */
+const CANONICAL_NAMES = {
+  postgres: 'PostgreSQL', postgresql: 'PostgreSQL', pg: 'PostgreSQL', psql: 'PostgreSQL',
+  mysql: 'MySQL', mariadb: 'MariaDB', sqlite: 'SQLite', sqlite3: 'SQLite',
+  mongo: 'MongoDB', mongodb: 'MongoDB', redis: 'Redis',
+  elasticsearch: 'Elasticsearch', dynamodb: 'DynamoDB', ddb: 'DynamoDB',
+  js: 'JavaScript', javascript: 'JavaScript', ecmascript: 'JavaScript',
+  ts: 'TypeScript', typescript: 'TypeScript',
+  py: 'Python', python: 'Python', python3: 'Python',
+  golang: 'Go', rust: 'Rust', java: 'Java', kotlin: 'Kotlin', swift: 'Swift',
+  csharp: 'C#', 'c#': 'C#', cpp: 'C++', 'c++': 'C++',
+  node: 'Node.js', nodejs: 'Node.js', deno: 'Deno', bun: 'Bun',
+  react: 'React', reactjs: 'React', vue: 'Vue', vuejs: 'Vue',
+  angular: 'Angular', angularjs: 'AngularJS', svelte: 'Svelte', sveltekit: 'SvelteKit',
+  nextjs: 'Next.js', nuxt: 'Nuxt', nuxtjs: 'Nuxt', express: 'Express', expressjs: 'Express',
+  django: 'Django', flask: 'Flask', fastapi: 'FastAPI', rails: 'Ruby on Rails', rubyonrails: 'Ruby on Rails',
+  tailwind: 'Tailwind CSS', tailwindcss: 'Tailwind CSS',
+  graphql: 'GraphQL', gql: 'GraphQL', grpc: 'gRPC',
+  docker: 'Docker', k8s: 'Kubernetes', kubernetes: 'Kubernetes',
+  aws: 'AWS', amazonwebservices: 'AWS', gcp: 'Google Cloud', googlecloud: 'Google Cloud',
+  azure: 'Azure', microsoftazure: 'Azure',
+  github: 'GitHub', gh: 'GitHub', gitlab: 'GitLab',
+  githubactions: 'GitHub Actions', gha: 'GitHub Actions',
+  webpack: 'webpack', vite: 'Vite', jest: 'Jest', vitest: 'Vitest', playwright: 'Playwright',
+  chatgpt: 'ChatGPT', openai: 'OpenAI', claude: 'Claude', anthropic: 'Anthropic', gemini: 'Gemini',
+};
+
+/** A trailing version after a space or @: "React 18", "node@20", "Vue v3.4" (but not "S3"). */
+const VERSION_RE = /^(.*?\S)(?:\s+v?|@v?)(\d+(?:\.\d+)*(?:\.x)?)$/i;
+
+/** Mentions that carry no information of their own. */
+const IGNORED_KEYS = new Set(['', 'user', 'assistant', 'ai', 'api', 'app', 'code', 'project', 'repo']);
+
+// ---------------------------------------------------------------------------
+// Normalization
+// ---------------------------------------------------------------------------
+
+/**
+ * Reduce a name to the key aliases are matched on: lowercase, without
+ * spaces or punctuation (keeping the + and # of C++ and C#). Repository
+ * URLs are reduced to `owner/name`.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeAlias(name) {
+  const lower = String(name || '').trim().toLowerCase();
+  const repo = /^(?:https?:\/\/)?(?:www\.)?(?:github|gitlab)\.com\/([\w.-]+\/[\w.-]+?)(?:\.git)?\/?$/.exec(lower);
+  if (repo) return repo[1];
+  if (/^[\w.-]+\/[\w.-]+$/.test(lower)) return lower;
+  return lower.replace(/[^\p{L}\p{N}+#]/gu, '');
+}
+
+/**
+ * Split a mention into its name and version, and normalize its type.
+ * @param {{name: string, type?: string, version?: string}} mention
+ * @returns {{name: string, type: string, version: string|null, key: string}}
+ */
+function parseMention(mention) {
+  const type = ENTITY_TYPES.includes((mention.type || '').trim().toLowerCase())
+    ? mention.type.trim().toLowerCase()
+    : 'technology';
+  let name = (mention.name || '').trim();
+  let version = (mention.version || '').trim().replace(/^v(?=\d)/i, '') || null;
+
+  if (type === 'repository' && /^(?:https?:\/\/|www\.|github\.com|gitlab\.com)/i.test(name)) {
+    // Name repositories by owner/name rather than their URL
+    name = normalizeAlias(name);
+  } else if (type !== 'person' && type !== 'repository') {
+    const match = VERSION_RE.exec(name);
+    if (match) {
+      name = match[1].trim();
+      version = version || match[2];
+    }
+  }
+  return { name, type, version, key: normalizeAlias(name) };
+}
+
+function entityId(type, key) {
+  return `${type}:${key}`;
+}
+
+// ---------------------------------------------------------------------------
+// Linking summaries
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the entity a mention refers to: one that already has the alias, the
+ * canonical entity for a well-known alias, or null for a new one.
+ * @returns {Promise<{entity: Object|null, name: string}>}
+ */
+async function resolveMention(parsed) {
+  const byAlias = await dbGetByIndex('entities', 'aliases', parsed.key);
+  const entity = byAlias.find(e => e.type === parsed.type) || byAlias[0];
+  if (entity) return { entity, name: entity.name };
+
+  const canonical = parsed.type === 'technology' || parsed.type === 'api' ? CANONICAL_NAMES[parsed.key] : null;
+  const name = canonical || parsed.name;
+  const existing = await dbGet('entities', entityId(parsed.type, normalizeAlias(name)));
+  return { entity: existing || null, name: existing?.name || name };
+}
+
+/**
+ * Resolve a summary's entity mentions to canonical entities, link the
+ * entities to the summary and unlink those it no longer mentions. Entities
+ * left without summaries are deleted.
+ *
+ * @param {Object} summary - With `entities` as the summarizer returned them
+ * @returns {Promise<Array<{id: string, name: string, type: string, version: string|null, mention: string}>>}
+ *   The resolved entities, to store on the summary
+ */
+export async function syncSummaryEntities(summary) {
+  const now = new Date().toISOString();
+  const resolved = new Map();
+
+  for (const mention of summary.entities || []) {
+    const parsed = parseMention(mention);
+    if (IGNORED_KEYS.has(parsed.key)) continue;
+
+    const { entity, name } = await resolveMention(parsed);
+    const id = entity?.id || entityId(parsed.type, normalizeAlias(name));
+    const record = entity || {
+      id,
+      type: parsed.type,
+      name,
+      aliases: [],
+      versions: [],
+      summaryIds: [],
+      createdAt: now,
+    };
+    const mentionText = mention.mention || mention.name;
+    await dbPut('entities', {
+      ...record,
+      aliases: [...new Set([...record.aliases, normalizeAlias(name), parsed.key])],
+      versions: parsed.version ? [...new Set([...record.versions, parsed.version])] : record.versions,
+      summaryIds: [...new Set([...record.summaryIds, summary.id])],
+      updatedAt: now,
+    });
+
+    if (!resolved.has(id)) {
+      resolved.set(id, { id, name: record.name, type: record.type, version: parsed.version, mention: mentionText });
+    }
+  }
+
+  for (const entity of await dbGetByIndex('entities', 'summaryIds', summary.id)) {
+    if (!resolved.has(entity.id)) await unlinkEntity(entity, summary.id);
+  }
+  return [...resolved.values()];
+}
+
+async function unlinkEntity(entity, summaryId) {
+  const summaryIds = entity.summaryIds.filter(id => id !== summaryId);
+  if (summaryIds.length === 0) await dbDelete('entities', entity.id);
+  else await dbPut('entities', { ...entity, summaryIds });
+}
+
+/**
+ * Unlink a deleted summary from its entities.
+ * @param {string} summaryId
+ * @returns {Promise<void>}
+ */
+export async function unlinkSummary(summaryId) {
+  for (const entity of await dbGetByIndex('entities', 'summaryIds', summaryId)) {
+    await unlinkEntity(entity, summaryId);
+  }
+}
+
+/**
+ * Rebuild the entity store from the entities recorded on every summary,
+ * e.g. after restoring a backup. Merges survive, since summaries keep the
+ * canonical id they were resolved to.
+ * @returns {Promise<number>} Number of entities
+ */
+export async function rebuildEntities() {
+  const summaries = await dbGetAll('summaries');
+  const now = new Date().toISOString();
+  const entities = new Map();
+
+  for (const summary of summaries) {
+    for (const link of summary.entities || []) {
+      if (!link.id) continue;
+      const entity = entities.get(link.id) || {
+        id: link.id, type: link.type, name: link.name,
+        aliases: [normalizeAlias(link.name)], versions: [], summaryIds: [],
+        createdAt: summary.createdAt || now, updatedAt: now,
+      };
+      entity.aliases = [...new Set([...entity.aliases, normalizeAlias(link.mention || link.name)])];
+      if (link.version && !entity.versions.includes(link.version)) entity.versions.push(link.version);
+      if (!entity.summaryIds.includes(summary.id)) entity.summaryIds.push(summary.id);
+      entities.set(link.id, entity);
+    }
+  }
+
+  await dbClear('entities');
+  for (const entity of entities.values()) await dbPut('entities', entity);
+  return entities.size;
+}
+
+/**
+ * Merge one entity into another: the target takes over its aliases,
+ * versions and summaries, and summaries that mentioned the source point
+ * to the target from then on.
+ * @param {string} sourceId - Entity to merge away
+ * @param {string} targetId - Entity to keep
+ * @returns {Promise<Object|null>} The merged entity
+ */
+export async function mergeEntities(sourceId, targetId) {
+  if (sourceId === targetId) return dbGet('entities', targetId);
+  const [source, target] = await Promise.all([dbGet('entities', sourceId), dbGet('entities', targetId)]);
+  if (!source || !target) return null;
+
+  const merged = {
+    ...target,
+    aliases: [...new Set([...target.aliases, ...source.aliases])],
+    versions: [...new Set([...target.versions, ...source.versions])],
+    summaryIds: [...new Set([...target.summaryIds, ...source.summaryIds])],
+    updatedAt: new Date().toISOString(),
+  };
+
+  for (const summaryId of source.summaryIds) {
+    const summary = await dbGet('summaries', summaryId);
+    if (!summary) continue;
+    const links = [];
+    for (const link of summary.entities || []) {
+      const next = link.id === sourceId ? { ...link, id: target.id, name: target.name, type: target.type } : link;
+      if (!links.some(l => l.id === next.id)) links.push(next);
+    }
+    await dbPut('summaries', { ...summary, entities: links });
+  }
+
+  await dbPut('entities', merged);
+  await dbDelete('entities', sourceId);
+  return merged;
+}
+
+/**
+ * Rename an entity. Its old name stays an alias.
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+export async function renameEntity(id, name) {
+  const entity = await dbGet('entities', id);
+  if (!entity || !name.trim()) return entity || null;
+  const renamed = {
+    ...entity,
+    name: name.trim(),
+    aliases: [...new Set([...entity.aliases, normalizeAlias(name)])],
+    updatedAt: new Date().toISOString(),
+  };
+  await dbPut('entities', renamed);
+  for (const summaryId of entity.summaryIds) {
+    const summary = await dbGet('summaries', summaryId);
+    if (!summary) continue;
+    await dbPut('summaries', {
+      ...summary,
+      entities: (summary.entities || []).map(link => (link.id === id ? { ...link, name: renamed.name } : link)),
+    });
+  }
+  return renamed;
+}
+
+// ---------------------------------------------------------------------------
+// Lookups
+// ---------------------------------------------------------------------------
+
+/**
+ * Get all entities, most mentioned first.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getEntities() {
+  const entities = await dbGetAll('entities');
+  return entities.sort((a, b) => b.summaryIds.length - a.summaryIds.length || a.name.localeCompare(b.name));
+}
+
+/**
+ * Map every alias of the given entities to the entity's id, for
+ * findMentionedEntities().
+ * @param {Array<{id: string, aliases: string[]}>} entities
+ * @returns {Map<string, string>}
+ */
+export function buildAliasIndex(entities) {
+  const index = new Map();
+  for (const entity of entities) {
+    for (const alias of entity.aliases || []) {
+      if (alias.length >= 2 && !index.has(alias)) index.set(alias, entity.id);
+    }
+  }
+  return index;
+}
+
+/**
+ * Find the entities mentioned in a piece of text, by matching runs of up to
+ * three words against the entities' aliases.
+ *
+ * @param {string} text
+ * @param {Map<string, string>} aliasIndex - From buildAliasIndex()
+ * @returns {Set<string>} Ids of the entities mentioned
+ */
+export function findMentionedEntities(text, aliasIndex) {
+  const found = new Set();
+  if (aliasIndex.size === 0 || !text) return found;
+
+  const words = String(text).split(/\s+/)
+    .map(w => w.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}+#]+$/gu, ''))
+    .filter(Boolean);
+  for (let i = 0; i < words.length; i++) {
+    let key = '';
+    for (let n = 0; n < 3 && i + n < words.length; n++) {
+      key += normalizeAlias(words[i + n]);
+      const id = aliasIndex.get(key);
+      if (id) found.add(id);
+    }
+  }
+  return found;
+}
+
+/**
+ * The graph of the most mentioned entities: an edge joins two entities
+ * mentioned by the same summary, weighted by how many summaries do.
+ *
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=40] - Max nodes
+ * @param {string} [options.type] - Only entities of this type
+ * @returns {Promise<{nodes: Array<{id: string, name: string, type: string, count: number}>, edges: Array<{source: string, target: string, weight: number}>}>}
+ */
+export async function getEntityGraph(options = {}) {
+  const { limit = 40, type } = options;
+  const entities = (await getEntities())
+    .filter(e => !type || e.type === type)
+    .slice(0, limit);
+  const included = new Set(entities.map(e => e.id));
+
+  const bySummary = new Map();
+  for (const entity of entities) {
+    for (const summaryId of entity.summaryIds) {
+      if (!bySummary.has(summaryId)) bySummary.set(summaryId, []);
+      bySummary.get(summaryId).push(entity.id);
+    }
+  }
+
+  const weights = new Map();
+  for (const ids of bySummary.values()) {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        if (!included.has(ids[i]) || !included.has(ids[j])) continue;
+        const key = ids[i] < ids[j] ? `${ids[i]}|${ids[j]}` : `${ids[j]}|${ids[i]}`;
+        weights.set(key, (weights.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  return {
+    nodes: entities.map(e => ({ id: e.id, name: e.name, type: e.type, count: e.summaryIds.length })),
+    edges: [...weights].map(([key, weight]) => {
+      const [source, target] = key.split('|');
+      return { source, target, weight };
+    }),
+  };
+}
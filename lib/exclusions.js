@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Capture exclusion rules
+ *
+ * Conversations matching an exclusion rule are never captured: processCapture
+ * (lib/capture.js) drops their messages before anything is written to
+ * IndexedDB. Rules are kept in chrome.storage.local and are one of:
+ *
+ * - `site` — a whole platform: 'chatgpt', 'claude', 'gemini' or 'copilot'
+ * - `url` — a URL pattern matched against the whole page URL, where `*`
+ *   matches anything, e.g. `https://chatgpt.com/g/g-abc123*`
+ * - `title` — a regular expression tested against the conversation title,
+ *   ignoring case
+ * - `claudeProject` — a Claude project, by id, URL or name
+ * - `chatgptGpt` — a ChatGPT GPT (or project), by id (`g-…`) or URL
+ * - `conversation` — one conversation, by its platform id; added by the
+ *   "Pause capture" toggle in the in-chat panel
+ *
+ * Conversations captured before a rule was added are kept; rules only stop
+ * further capture. The summary queue (lib/summary-queue.js) also skips
+ * captured conversations a rule covers.
+ *
+ * @module lib/exclusions
+ */
+
+import { generateId } from './utils.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const SETTINGS_KEY = 'captureExclusionRules';
+
+/** Rule types and how the settings list names them. */
+export const RULE_TYPES = {
+  site: 'Site',
+  url: 'URL pattern',
+  title: 'Title matches',
+  claudeProject: 'Claude project',
+  chatgptGpt: 'ChatGPT GPT',
+  conversation: 'Paused conversation',
+};
+
+const SOURCES = ['chatgpt', 'claude', 'gemini', 'copilot'];
+
+const CLAUDE_PROJECT_RE = /\/project\/([\w-]+)/;
+const GPT_ID_RE = /\b(g-(?:p-)?[a-zA-Z0-9]+)/;
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the exclusion rules.
+ * @returns {Promise<Array<{id: string, type: string, value: string, source?: string, label?: string, createdAt: string}>>}
+ */
+export async function getExclusionRules() {
+  const data = await chrome.storage.local.get(SETTINGS_KEY);
+  return Array.isArray(data[SETTINGS_KEY]) ? data[SETTINGS_KEY] : [];
+}
+
+async function saveRules(rules) {
+  await chrome.storage.local.set({ [SETTINGS_KEY]: rules });
+  return rules;
+}
+
+/**
+ * Check a rule and bring its value to the form it is matched in: project
+ * and GPT URLs become ids, sites lower case.
+ * @param {{type: string, value: string}} rule
+ * @returns {{type: string, value: string}}
+ * @throws {Error} When the type is unknown or the value unusable
+ */
+export function normalizeRule({ type, value }) {
+  const text = String(value || '').trim();
+  if (!RULE_TYPES[type]) throw new Error(`Unknown rule type: ${type}`);
+  if (!text) throw new Error(`${RULE_TYPES[type]} needs a value.`);
+
+  switch (type) {
+    case 'site':
+      if (!SOURCES.includes(text.toLowerCase())) throw new Error(`Unknown site: ${text}`);
+      return { type, value: text.toLowerCase() };
+    case 'title':
+      try {
+        new RegExp(text, 'i');
+      } catch (err) {
+        throw new Error(`Invalid title expression: ${err.message}`);
+      }
+      return { type, value: text };
+    case 'claudeProject':
+      return { type, value: text.match(CLAUDE_PROJECT_RE)?.[1] || text };
+    case 'chatgptGpt': {
+      const id = text.match(GPT_ID_RE)?.[1];
+      if (!id) throw new Error('Enter the GPT\'s id (g-…) or its URL.');
+      return { type, value: id };
+    }
+    default:
+      return { type, value: text };
+  }
+}
+
+/**
+ * Add an exclusion rule.
+ * @param {{type: string, value: string, source?: string, label?: string}} rule
+ * @returns {Promise<Object>} The stored rule
+ * @throws {Error} When the rule is invalid (see normalizeRule)
+ */
+export async function addExclusionRule(rule) {
+  const rules = await getExclusionRules();
+  const clean = normalizeRule(rule);
+  const existing = rules.find(r => r.type === clean.type && r.value === clean.value && (r.source || null) === (rule.source || null));
+  if (existing) return existing;
+
+  const stored = {
+    id: generateId(),
+    ...clean,
+    ...(rule.source ? { source: rule.source } : {}),
+    ...(rule.label ? { label: String(rule.label) } : {}),
+    createdAt: new Date().toISOString(),
+  };
+  await saveRules([...rules, stored]);
+  return stored;
+}
+
+/**
+ * Remove an exclusion rule.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function removeExclusionRule(id) {
+  await saveRules((await getExclusionRules()).filter(r => r.id !== id));
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+function urlPattern(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function ruleMatches(rule, meta) {
+  try {
+    switch (rule.type) {
+      case 'site':
+        return meta.source === rule.value;
+      case 'url':
+        return !!meta.url && urlPattern(rule.value).test(meta.url);
+      case 'title':
+        return !!meta.title && new RegExp(rule.value, 'i').test(meta.title);
+      case 'claudeProject':
+        return meta.source === 'claude' && (
+          meta.projectId === rule.value ||
+          (!!meta.projectName && meta.projectName.toLowerCase() === rule.value.toLowerCase())
+        );
+      case 'chatgptGpt':
+        return meta.source === 'chatgpt' && meta.gizmoId === rule.value;
+      case 'conversation':
+        return meta.source === rule.source && !!meta.conversationId && meta.conversationId === rule.value;
+      default:
+        return false;
+    }
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The first rule that excludes a conversation from capture.
+ *
+ * @param {Object} meta - Conversation metadata from the site observer:
+ *   `source`, `url`, `title`, `conversationId`, and `projectId` /
+ *   `projectName` on Claude or `gizmoId` on ChatGPT
+ * @param {Array<Object>} [rules] - Defaults to the stored rules
+ * @returns {Promise<Object|null>} The matching rule, or null to capture
+ */
+export async function findExclusion(meta, rules) {
+  if (!meta) return null;
+  return (rules || await getExclusionRules()).find(rule => ruleMatches(rule, meta)) || null;
+}
+
+/**
+ * The metadata exclusion rules are matched against, for a stored
+ * conversation: as its last capture reported it.
+ *
+ * @param {Object} conversation
+ * @returns {Object} Same shape as findExclusion()'s `meta`
+ */
+export function conversationMeta(conversation) {
+  const metadata = conversation.metadata || {};
+  return {
+    source: conversation.source,
+    url: metadata.captureUrl || null,
+    title: conversation.title,
+    conversationId: metadata.nativeSourceId ? conversation.sourceId : null,
+    projectId: metadata.projectId || null,
+    projectName: metadata.projectName || null,
+    gizmoId: metadata.gizmoId || null,
+  };
+}
+
+/**
+ * A one-line description of a rule, for the settings list and the panel.
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  if (rule.type === 'conversation') return `${RULE_TYPES.conversation}: ${rule.label || rule.value}`;
+  return `${RULE_TYPES[rule.type] || rule.type}: ${rule.value}`;
+}
+
+// ---------------------------------------------------------------------------
+// Pausing one conversation
+// ---------------------------------------------------------------------------
+
+/**
+ * Stop capturing a conversation, until resumed.
+ * @param {Object} meta - Needs `source` and `conversationId`
+ * @returns {Promise<Object>} The rule added
+ * @throws {Error} When the conversation has no platform id yet
+ */
+export async function pauseConversation(meta) {
+  if (!meta?.conversationId) throw new Error('This conversation has no id yet.');
+  return addExclusionRule({ type: 'conversation', value: meta.conversationId, source: meta.source, label: meta.title });
+}
+
+/**
+ * Capture a paused conversation again.
+ * @param {Object} meta - Needs `source` and `conversationId`
+ * @returns {Promise<void>}
+ */
+export async function resumeConversation(meta) {
+  const rules = await getExclusionRules();
+  await saveRules(rules.filter(r => !(r.type === 'conversation' && r.source === meta?.source && r.value === meta?.conversationId)));
+}
@@ -1,5 +1,6 @@
 import { dbGet, dbGetAll, dbGetByIndex } from './db.js';
 import { escapeHtml } from './utils.js';
+import { messageMarkdown } from './message-parts.js';
 
 export async function exportKnowledge(target, options = {}) {
   const topics = options.topicIds
@@ -95,7 +96,7 @@ function exportForClaude(topics, summaries, rawConvs, options) {
     for (const conv of rawConvs) {
       md += `### ${conv.title}\n`;
       conv.messages.forEach(m => {
-        md += `**${m.role === 'user' ? 'User' : 'Assistant'}:**\n${m.content}\n\n`;
+        md += `**${m.role === 'user' ? 'User' : 'Assistant'}:**\n${messageMarkdown(m)}\n\n`;
       });
       md += '---\n\n';
     }
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Recorded AI responses for the replay provider
+ *
+ * A fixture is one completion response stored under a hash of the prompt
+ * that produced it (the messages plus whether JSON output was requested).
+ * The `replay` provider type in lib/ai-router.js serves completions from
+ * these fixtures, so the summarizer, conflict verification and topic
+ * assignment can run offline and give the same result every time. While a
+ * replay provider is in record mode, responses from the real providers are
+ * captured here instead.
+ *
+ * Fixtures live in the `fixtures` IndexedDB store and can be exported to,
+ * and imported from, a JSON file to share a recorded session.
+ *
+ * @module lib/fixtures
+ */
+
+import { dbGet, dbPut, dbGetAll, dbPutBatch, dbCount, dbClear } from './db.js';
+
+/** Format tag written to exported fixture files. */
+const EXPORT_FORMAT = 'slop-ai-fixtures';
+
+/**
+ * Hash a prompt into a fixture key: SHA-256 hex of the messages' roles and
+ * contents and the JSON-mode flag. Model and sampling parameters are left
+ * out so a recording replays whatever model is configured.
+ *
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {Object} [options={}]
+ * @param {boolean} [options.jsonMode]
+ * @returns {Promise<string>}
+ */
+export async function hashPrompt(messages, options = {}) {
+  const canonical = JSON.stringify({
+    messages: messages.map(m => ({ role: m.role, content: m.content })),
+    jsonMode: !!options.jsonMode,
+  });
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up the recorded response for a prompt.
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {Object} [options={}] - Request options (jsonMode is part of the key)
+ * @returns {Promise<Object|undefined>}
+ */
+export async function findFixture(messages, options = {}) {
+  return dbGet('fixtures', await hashPrompt(messages, options));
+}
+
+/**
+ * Record a response for a prompt, replacing any earlier recording.
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {Object} options - Request options (jsonMode, task)
+ * @param {{content: string, model: string, usage: Object|null, providerType: string}} result
+ * @returns {Promise<void>}
+ */
+export async function saveFixture(messages, options, result) {
+  await dbPut('fixtures', {
+    hash: await hashPrompt(messages, options),
+    task: options.task || null,
+    jsonMode: !!options.jsonMode,
+    messages: messages.map(m => ({ role: m.role, content: m.content })),
+    response: {
+      content: result.content,
+      model: result.model,
+      usage: result.usage || null,
+    },
+    recordedFrom: result.providerType,
+    recordedAt: new Date().toISOString(),
+  });
+}
+
+/** @returns {Promise<number>} */
+export async function countFixtures() {
+  return dbCount('fixtures');
+}
+
+/** @returns {Promise<void>} */
+export async function clearFixtures() {
+  await dbClear('fixtures');
+}
+
+/**
+ * Serialize every fixture for download.
+ * @returns {Promise<string>} JSON text
+ */
+export async function exportFixtures() {
+  const fixtures = await dbGetAll('fixtures');
+  return JSON.stringify({ format: EXPORT_FORMAT, version: 1, fixtures }, null, 2);
+}
+
+/**
+ * Merge fixtures from an exported file; recordings with the same prompt
+ * hash are replaced.
+ * @param {string} text - JSON text from exportFixtures()
+ * @returns {Promise<number>} Number of fixtures imported
+ */
+export async function importFixtures(text) {
+  const data = JSON.parse(text);
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.fixtures)) {
+    throw new Error('Not a fixture export file');
+  }
+  const fixtures = data.fixtures.filter(f => f?.hash && typeof f.response?.content === 'string');
+  await dbPutBatch('fixtures', fixtures);
+  return fixtures.length;
+}
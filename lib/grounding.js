@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Hallucination check for generated summaries
+ *
+ * After a summary is generated, each key insight and decision is scored
+ * for support in the source conversation:
+ *
+ * 1. **Lexical** — a verified citation (lib/citations.js) is full support;
+ *    otherwise the share of the claim's terms found in the message that
+ *    covers it best.
+ * 2. **Semantic** — cosine similarity between the claim and the
+ *    conversation's passages, when an embedding model is loaded. Stored
+ *    passage vectors are reused; missing ones are embedded on the fly.
+ * 3. **LLM confirmation** (optional) — claims still in doubt are sent to
+ *    the model with their best matching excerpts, all in one request.
+ *
+ * Claims scoring below {@link UNSUPPORTED_BELOW} are flagged as unsupported,
+ * or dropped from the summary in 'drop' mode. The summary's confidence is
+ * the mean score of all checked claims, dropped ones included. Relevance
+ * ranking scales by it, and injection leaves flagged claims out.
+ *
+ * @module lib/grounding
+ */
+
+import { dbGetByIndex } from './db.js';
+import { complete, hasEnabledProvider } from './ai-router.js';
+import { isModelLoaded, embed, cosineSimilarity, getActiveModelId } from './embeddings.js';
+import { chunkConversationPassages } from './embedding-store.js';
+import { lexicalSupport } from './citations.js';
+import { extractJson } from './summary-schema.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const SETTINGS_KEY = 'groundingSettings';
+
+/**
+ * mode: 'flag' keeps unsupported claims and marks them, 'drop' removes them.
+ * confirmWithAI: ask the model about claims the local checks are unsure of.
+ */
+const DEFAULT_SETTINGS = {
+  mode: 'flag',
+  confirmWithAI: false,
+};
+
+/** Summary fields whose items are checked. */
+const CHECKED_FIELDS = ['keyInsights', 'decisions'];
+
+/** Claims scoring at least this are supported. */
+const SUPPORTED_FROM = 0.6;
+
+/** Claims scoring below this are unsupported; in between they are weak. */
+const UNSUPPORTED_BELOW = 0.35;
+
+/** Passage similarity mapped to a score of 0 and 1; linear in between. */
+const SIMILARITY_FLOOR = 0.3;
+const SIMILARITY_CEILING = 0.7;
+
+/** Passages embedded on the fly when the stored ones are missing or stale. */
+const MAX_EMBEDDED_PASSAGES = 40;
+
+/** Excerpts sent per claim for LLM confirmation, and their length. */
+const EXCERPTS_PER_CLAIM = 2;
+const EXCERPT_MAX_CHARS = 800;
+
+/** Scores a claim gets when the model confirms or rejects it. */
+const CONFIRMED_SCORE = 0.8;
+const REJECTED_SCORE = 0.1;
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the hallucination check settings.
+ * @returns {Promise<{mode: 'flag'|'drop', confirmWithAI: boolean}>}
+ */
+export async function getGroundingSettings() {
+  const data = await chrome.storage.local.get(SETTINGS_KEY);
+  return { ...DEFAULT_SETTINGS, ...(data[SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Save hallucination check settings (merged into the current ones).
+ * @param {Object} changes
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function saveGroundingSettings(changes) {
+  const settings = { ...(await getGroundingSettings()), ...changes };
+  if (settings.mode !== 'drop') settings.mode = 'flag';
+  settings.confirmWithAI = !!settings.confirmWithAI;
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
+
+// ---------------------------------------------------------------------------
+// Scoring
+// ---------------------------------------------------------------------------
+
+function statusFor(score) {
+  if (score >= SUPPORTED_FROM) return 'supported';
+  if (score >= UNSUPPORTED_BELOW) return 'weak';
+  return 'unsupported';
+}
+
+function similarityScore(similarity) {
+  const scaled = (similarity - SIMILARITY_FLOOR) / (SIMILARITY_CEILING - SIMILARITY_FLOOR);
+  return Math.min(1, Math.max(0, scaled));
+}
+
+/**
+ * The conversation's passages with vectors from the loaded model: stored
+ * ones where the text still matches, the rest embedded now.
+ */
+async function passageVectors(conversation) {
+  const modelId = getActiveModelId();
+  const passages = chunkConversationPassages(conversation);
+  const stored = new Map(
+    (await dbGetByIndex('embeddings', 'conversationId', conversation.id))
+      .filter(e => e.type === 'passage' && e.modelId === modelId)
+      .map(e => [e.text, e.vector])
+  );
+
+  const missing = passages.filter(p => !stored.has(p.text)).slice(0, MAX_EMBEDDED_PASSAGES);
+  if (missing.length) {
+    const vectors = await embed(missing.map(p => p.text));
+    missing.forEach((p, i) => stored.set(p.text, vectors[i]));
+  }
+
+  return passages
+    .filter(p => stored.has(p.text))
+    .map(p => ({ text: p.text, vector: stored.get(p.text) }));
+}
+
+/**
+ * Similarity of each claim to its closest passages, or null when no
+ * embedding model is available.
+ */
+async function semanticMatches(claims, conversation) {
+  if (!isModelLoaded() || claims.length === 0) return null;
+  try {
+    const passages = await passageVectors(conversation);
+    if (passages.length === 0) return null;
+    const vectors = await embed(claims.map(c => c.text));
+    return vectors.map(vector => passages
+      .map(p => ({ text: p.text, similarity: cosineSimilarity(vector, p.vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, EXCERPTS_PER_CLAIM));
+  } catch {
+    // Embeddings failed — lexical scores only
+    return null;
+  }
+}
+
+/**
+ * Score every checked claim of a summary against its conversation, locally.
+ */
+async function scoreClaims(summary, conversation) {
+  const messages = conversation.messages || [];
+  const claims = CHECKED_FIELDS.flatMap(field =>
+    (summary[field] || []).map((text, index) => ({ field, index, text }))
+  );
+
+  const semantic = await semanticMatches(claims, conversation);
+
+  return claims.map((claim, i) => {
+    const citation = summary.citations?.[claim.field]?.[claim.index];
+    const lexical = lexicalSupport(claim.text, messages);
+    const lexicalScore = citation?.status === 'verified' ? 1 : lexical.coverage;
+    const nearest = semantic?.[i] || [];
+    const similarity = nearest[0]?.similarity ?? null;
+
+    const score = similarity === null
+      ? lexicalScore
+      : Math.max(lexicalScore, 0.4 * lexicalScore + 0.6 * similarityScore(similarity));
+
+    const excerpts = nearest.length
+      ? nearest.map(p => p.text)
+      : lexical.message !== -1 ? [messages[lexical.message].content] : [];
+
+    return {
+      ...claim,
+      score: Math.round(score * 100) / 100,
+      method: similarity === null ? 'lexical' : 'embedding',
+      excerpts,
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// LLM confirmation
+// ---------------------------------------------------------------------------
+
+const CONFIRM_SYSTEM_PROMPT = `You check summaries of AI conversations for claims the conversation does not support. You will receive numbered claims, each with the most relevant excerpts of the conversation. A claim is supported only if the excerpts state it or directly imply it; a plausible claim that the excerpts do not mention is not supported.
+
+Respond with valid JSON only:
+{
+  "results": [{ "claim": 1, "supported": true, "reason": "one short sentence" }]
+}`;
+
+/**
+ * Ask the model about the claims the local checks are unsure of. Updates
+ * their score and method in place. A failed request leaves the local
+ * scores; a cancel is passed on.
+ */
+async function confirmClaims(claims, conversation, options) {
+  const doubtful = claims.filter(c => statusFor(c.score) !== 'supported');
+  if (doubtful.length === 0 || !(await hasEnabledProvider())) return false;
+
+  const userContent = `Conversation: "${conversation.title}"\n\n` + doubtful.map((claim, i) =>
+    `Claim ${i + 1}: ${claim.text}\nExcerpts:\n` +
+    (claim.excerpts.length
+      ? claim.excerpts.map(e => `> ${e.slice(0, EXCERPT_MAX_CHARS).replace(/\n/g, '\n> ')}`).join('\n\n')
+      : '> (nothing related found)')
+  ).join('\n\n---\n\n');
+
+  let parsed;
+  try {
+    const result = await complete([
+      { role: 'system', content: CONFIRM_SYSTEM_PROMPT },
+      { role: 'user', content: userContent },
+    ], {
+      temperature: 0,
+      maxTokens: 1000,
+      jsonMode: true,
+      task: 'verify_summary',
+      signal: options.signal,
+      background: options.background,
+    });
+    parsed = extractJson(result.content).value;
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    console.error('[Grounding] Claim confirmation failed:', err.message);
+    return false;
+  }
+
+  for (const answer of parsed?.results || []) {
+    const claim = doubtful[Number(answer.claim) - 1];
+    if (!claim || typeof answer.supported !== 'boolean') continue;
+    claim.score = answer.supported ? Math.max(claim.score, CONFIRMED_SCORE) : Math.min(claim.score, REJECTED_SCORE);
+    claim.method = 'ai';
+    claim.reason = String(answer.reason || '');
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a summary's insights and decisions against its conversation.
+ *
+ * Returns a copy of the summary with:
+ * - `support` — per checked field, one {score, status, method} per item
+ *   (parallel to the field, like `citations`), plus the `dropped` claims
+ *   and when and how the check ran
+ * - `confidence` — mean claim score from 0 to 1, or null with no claims
+ *
+ * In 'drop' mode unsupported claims are removed from the summary (and
+ * their citations with them).
+ *
+ * @param {Object} summary
+ * @param {Object} conversation - The summarized conversation, with messages
+ * @param {Object} [options={}]
+ * @param {Object} [options.settings] - Overrides the stored settings
+ * @param {AbortSignal} [options.signal] - Cancels the confirmation request
+ * @param {boolean} [options.background] - Confirmation is held to the AI budget caps
+ * @returns {Promise<Object>} The checked summary
+ */
+export async function checkSummary(summary, conversation, options = {}) {
+  const settings = options.settings || await getGroundingSettings();
+  const claims = await scoreClaims(summary, conversation);
+  const usedAI = settings.confirmWithAI && await confirmClaims(claims, conversation, options);
+
+  const checked = { ...summary, citations: summary.citations ? { ...summary.citations } : summary.citations };
+  const support = { dropped: [], checkedAt: new Date().toISOString(), mode: settings.mode, usedAI: !!usedAI };
+
+  for (const field of CHECKED_FIELDS) {
+    const fieldClaims = claims.filter(c => c.field === field);
+    const keep = fieldClaims.filter(c => settings.mode !== 'drop' || statusFor(c.score) !== 'unsupported');
+    for (const claim of fieldClaims) {
+      if (!keep.includes(claim)) support.dropped.push({ field, text: claim.text, score: claim.score });
+    }
+
+    checked[field] = keep.map(c => c.text);
+    if (checked.citations?.[field]) {
+      checked.citations[field] = keep.map(c => summary.citations[field][c.index] ?? null);
+    }
+    support[field] = keep.map(c => ({
+      score: c.score,
+      status: statusFor(c.score),
+      method: c.method,
+      ...(c.reason ? { reason: c.reason } : {}),
+    }));
+  }
+
+  checked.support = support;
+  checked.confidence = claims.length
+    ? Math.round((claims.reduce((sum, c) => sum + c.score, 0) / claims.length) * 100) / 100
+    : null;
+  return checked;
+}
+
+/**
+ * A summary without the claims its check flagged as unsupported, for
+ * injection into other chats.
+ *
+ * @param {Object} summary
+ * @returns {Object} The summary, or a copy without the flagged claims
+ */
+export function withoutUnsupportedClaims(summary) {
+  if (!summary?.support) return summary;
+  const copy = { ...summary };
+  for (const field of CHECKED_FIELDS) {
+    const support = summary.support[field];
+    if (!support) continue;
+    copy[field] = (summary[field] || []).filter((_, i) => support[i]?.status !== 'unsupported');
+  }
+  return copy;
+}
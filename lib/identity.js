@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Conversation identity across capture and import
+ *
+ * A conversation is identified by its platform and the platform's own
+ * conversation id, stored as `sourceId`: the id in a ChatGPT `/c/<id>`,
+ * Claude `/chat/<id>`, Gemini `/app/<id>` or Copilot `/chats/<id>` URL, and
+ * the `id` / `uuid` of the same conversation in an export. Live captures
+ * get the id from the site observer, so renaming a chat or moving from the
+ * new-chat page to its own URL no longer splits it, and importing an
+ * export updates the captured copy instead of adding a second one.
+ *
+ * Live captures made before the observers reported ids carry a random
+ * `sourceId`; their id is read back from the capture URL. A chat captured
+ * on the new-chat page has no id at all until its first reply; it is
+ * reunited with the record that has the id by their shared messages.
+ *
+ * Not every export has ids: Copilot CSV rows and Gemini Takeout sessions,
+ * and conversations an export lists without one, get a made-up `sourceId`
+ * (`metadata.nativeSourceId` false). Those have no identity; importing them
+ * again is recognized by their messages instead.
+ *
+ * @module lib/identity
+ */
+
+import { dbGet, dbGetAll, dbGetByIndex, dbPut, dbDelete } from './db.js';
+import { deleteConversationEmbeddings, deleteSummaryEmbeddings } from './embedding-store.js';
+import { unlinkSummary } from './entities.js';
+import { moveConversationItems, syncSummaryItems } from './action-items.js';
+import { getRedactor, redactText, redactMessage } from './redaction.js';
+import { estimateTokens } from './utils.js';
+import { messageKey, mergeTrees } from './branches.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Where each platform puts the conversation id in its URLs. The site
+ * observers (content-scripts/sites/) carry the same patterns.
+ */
+const CONVERSATION_URL_PATTERNS = {
+  chatgpt: /\/c\/([\w-]+)/,
+  claude: /\/chat\/([\w-]+)/,
+  gemini: /\/(?:app|gem\/[^/]+)\/([\w-]+)/,
+  copilot: /\/chats\/([\w-]+)/,
+};
+
+/** Share of a record's messages another must contain to be the same chat. */
+const SPLIT_OVERLAP = 0.5;
+
+/**
+ * Import formats whose `sourceId` is never the platform's, for records
+ * imported before the parsers set `metadata.nativeSourceId`.
+ */
+const MADE_UP_ID_FORMATS = new Set(['copilot-csv', 'gemini-takeout']);
+
+// ---------------------------------------------------------------------------
+// Identity
+// ---------------------------------------------------------------------------
+
+/**
+ * The platform conversation id in a chat URL.
+ * @param {string} source - 'chatgpt' | 'claude' | 'gemini' | 'copilot'
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function conversationIdFromUrl(source, url) {
+  const pattern = CONVERSATION_URL_PATTERNS[source];
+  if (!pattern || !url) return null;
+  try {
+    return new URL(url).pathname.match(pattern)?.[1] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The platform conversation id of a stored or imported conversation: its
+ * `sourceId`, or for live captures from before ids were reported, the id
+ * in its URL. Made-up ids of imports are not identities.
+ *
+ * @param {Object} conversation
+ * @returns {string|null}
+ */
+export function conversationIdentity(conversation) {
+  const meta = conversation.metadata || {};
+  if (meta.originalFormat === 'live-capture' && !meta.nativeSourceId) {
+    return conversationIdFromUrl(conversation.source, meta.captureUrl);
+  }
+  if (meta.nativeSourceId === false || MADE_UP_ID_FORMATS.has(meta.originalFormat)) return null;
+  return conversation.sourceId || null;
+}
+
+/**
+ * Find the stored conversation with a platform conversation id.
+ * @param {string} source
+ * @param {string} sourceId
+ * @returns {Promise<Object|null>}
+ */
+export async function findByIdentity(source, sourceId) {
+  if (!sourceId) return null;
+  const matches = await dbGetByIndex('conversations', 'identity', [source, sourceId]);
+  return matches.find(conv => conversationIdentity(conv) === sourceId) || null;
+}
+
+/**
+ * Set a conversation's platform id. Marks the `sourceId` as native, so
+ * conversationIdentity() stops reading it from the capture URL.
+ *
+ * @param {Object} conversation - Modified in place
+ * @param {string} sourceId
+ */
+export function setIdentity(conversation, sourceId) {
+  conversation.sourceId = sourceId;
+  conversation.metadata = { ...(conversation.metadata || {}), nativeSourceId: true };
+}
+
+// ---------------------------------------------------------------------------
+// Messages
+// ---------------------------------------------------------------------------
+
+/** Share of `conversation`'s messages found in `other`. */
+function messageOverlap(conversation, other) {
+  const messages = conversation.messages || [];
+  if (messages.length === 0) return 0;
+  const hashes = new Set((other.messages || []).map(messageKey));
+  return messages.filter(m => hashes.has(messageKey(m))).length / messages.length;
+}
+
+/** The messages of a conversation in order, as one key for spotting exact copies. */
+function contentKey(conversation) {
+  return (conversation.messages || []).map(messageKey).join(',');
+}
+
+/**
+ * Point a summary of a merged record at the kept record's messages: the
+ * message it was summarized through and the messages its citations cite.
+ */
+function remapSummary(summary, conversation, idMap) {
+  const remap = (id) => (id && idMap.get(id)) || id;
+  const citations = {};
+  for (const [field, list] of Object.entries(summary.citations || {})) {
+    citations[field] = (list || []).map(citation => {
+      if (!citation?.messageIds) return citation;
+      const messageIds = citation.messageIds.map(remap);
+      const messages = messageIds.map((id, which) => {
+        const position = id ? conversation.messages.findIndex(m => m.id === id) : -1;
+        return position === -1 ? citation.messages?.[which] : position;
+      });
+      return { ...citation, messageIds, messages };
+    });
+  }
+  return {
+    ...summary,
+    conversationId: conversation.id,
+    citations,
+    metadata: { ...(summary.metadata || {}), lastMessageId: remap(summary.metadata?.lastMessageId) },
+  };
+}
+
+/** Mask an imported conversation's title and messages, as capture does. */
+function redactImport(conversation, redactor) {
+  if (conversation.title) conversation.title = redactText(conversation.title, redactor).text;
+  conversation.messages = (conversation.messages || []).map(m => redactMessage(m, redactor));
+  if (conversation.alternates) conversation.alternates = conversation.alternates.map(m => redactMessage(m, redactor));
+}
+
+function refreshCounts(conversation) {
+  conversation.messageCount = conversation.messages.length;
+  conversation.estimatedTokens = estimateTokens(conversation.messages.map(m => m.content).join(' '));
+}
+
+// ---------------------------------------------------------------------------
+// Merging records
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge one stored conversation into another: their message trees are
+ * combined (lib/branches.js) and the kept record keeps one summary — its
+ * own, or else the merged record's latest, pointed at the kept record's
+ * messages. The other summaries are deleted. The merged record's action
+ * items move to the kept one and are synced with that summary. The merged
+ * record, its embeddings and its queued summary job are deleted.
+ *
+ * @param {string} keepId - Conversation that stays
+ * @param {string} mergeId - Conversation merged into it
+ * @returns {Promise<Object|null>} The kept conversation, or null if either is missing
+ */
+export async function mergeConversations(keepId, mergeId) {
+  if (keepId === mergeId) return dbGet('conversations', keepId);
+  const [keep, merge] = await Promise.all([dbGet('conversations', keepId), dbGet('conversations', mergeId)]);
+  if (!keep || !merge) return null;
+
+  const { idMap } = mergeTrees(keep, merge);
+  refreshCounts(keep);
+  if (!keep.sourceId && merge.sourceId) keep.sourceId = merge.sourceId;
+  keep.metadata = {
+    ...(merge.metadata || {}),
+    ...(keep.metadata || {}),
+    mergedFrom: [...(keep.metadata?.mergedFrom || []), merge.id],
+  };
+  const identity = conversationIdentity(keep) || conversationIdentity(merge);
+  if (identity) setIdentity(keep, identity);
+  // The record captured last has the chat's current title
+  if (merge.title && String(merge.updatedAt) > String(keep.updatedAt)) {
+    keep.title = merge.title;
+    keep.updatedAt = merge.updatedAt;
+  }
+
+  const newest = (a, b) => String(b.updatedAt || b.createdAt).localeCompare(String(a.updatedAt || a.createdAt));
+  const kept = (await dbGetByIndex('summaries', 'conversationId', keep.id)).sort(newest);
+  const merged = (await dbGetByIndex('summaries', 'conversationId', merge.id)).sort(newest);
+  const summary = kept[0] || (merged[0] && remapSummary(merged[0], keep, idMap));
+  for (const other of [...kept, ...merged].filter(s => s.id !== summary?.id)) {
+    await dbDelete('summaries', other.id);
+    await deleteSummaryEmbeddings(other.id);
+    await unlinkSummary(other.id);
+  }
+  if (summary) {
+    await dbPut('summaries', summary);
+    keep.metadata = {
+      ...keep.metadata,
+      summaryId: summary.id,
+      lastSummarizedMessageId: summary.metadata?.lastMessageId || null,
+      summaryRevision: summary.revision || 1,
+    };
+  } else {
+    delete keep.metadata.summaryId;
+    delete keep.metadata.lastSummarizedMessageId;
+    delete keep.metadata.summaryRevision;
+  }
+  await dbPut('conversations', keep);
+
+  await moveConversationItems(merge.id, keep.id);
+  if (summary) await syncSummaryItems(summary, keep);
+
+  await deleteConversationEmbeddings(merge.id);
+  await dbDelete('embeddingQueue', `conv:${merge.id}`);
+  await dbDelete('summaryQueue', merge.id);
+  await dbDelete('conversations', merge.id);
+  await dbPut('embeddingQueue', {
+    id: `conv:${keep.id}`,
+    conversationId: keep.id,
+    createdAt: new Date().toISOString(),
+  });
+
+  return keep;
+}
+
+/**
+ * Find and merge conversations that were split into several records:
+ * records with the same platform id, and new-chat captures without an id
+ * whose messages another record of the same platform contains. The oldest
+ * record of each group is kept. Legacy live captures get their platform
+ * id stored along the way.
+ *
+ * @returns {Promise<{merged: number, identified: number}>} Records merged
+ *   away, and records whose platform id was filled in
+ */
+export async function mergeSplitConversations() {
+  const conversations = (await dbGetAll('conversations'))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  let merged = 0;
+  let identified = 0;
+
+  const byIdentity = new Map();
+  const withoutIdentity = [];
+  for (const conv of conversations) {
+    const identity = conversationIdentity(conv);
+    if (!identity) {
+      if (conv.metadata?.originalFormat === 'live-capture') withoutIdentity.push(conv);
+      continue;
+    }
+    if (conv.sourceId !== identity || !conv.metadata?.nativeSourceId) {
+      setIdentity(conv, identity);
+      await dbPut('conversations', conv);
+      identified++;
+    }
+    const key = `${conv.source}::${identity}`;
+    if (!byIdentity.has(key)) byIdentity.set(key, []);
+    byIdentity.get(key).push(conv);
+  }
+
+  for (const group of byIdentity.values()) {
+    for (const other of group.splice(1)) {
+      group[0] = (await mergeConversations(group[0].id, other.id)) || group[0];
+      merged++;
+    }
+  }
+
+  for (const conv of withoutIdentity) {
+    const group = [...byIdentity.values()]
+      .find(([c]) => c.source === conv.source && messageOverlap(conv, c) >= SPLIT_OVERLAP);
+    if (!group) continue;
+    // Keep whichever record is older, so its summaries stay put
+    const [keep, merge] = String(conv.createdAt) < String(group[0].createdAt) ? [conv, group[0]] : [group[0], conv];
+    const kept = await mergeConversations(keep.id, merge.id);
+    if (!kept) continue;
+    group[0] = kept;
+    merged++;
+  }
+
+  return { merged, identified };
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Store imported conversations, matching them to stored ones by platform
+ * id. A match is updated in place: messages missing from it are added and
+ * captured messages take the export's full text and place in its message
+ * tree, keeping their ids so summaries stay attached.
+ *
+ * Conversations without a platform id are only matched as exact copies:
+ * one whose messages a stored conversation of the platform already has,
+ * in the same order, is skipped.
+ *
+ * When redaction runs at capture (lib/redaction.js), imports are masked
+ * the same way before they are matched or stored.
+ *
+ * @param {Array<Object>} conversations - Parsed by lib/parsers
+ * @returns {Promise<{added: number, updated: number, skipped: number}>}
+ */
+export async function importConversations(conversations) {
+  const result = { added: 0, updated: 0, skipped: 0 };
+  const redactor = await getRedactor('capture');
+  const stored = new Map();
+  const contents = new Set();
+  for (const source of new Set(conversations.map(c => c.source))) {
+    for (const conv of await dbGetByIndex('conversations', 'source', source)) {
+      const identity = conversationIdentity(conv);
+      if (identity) stored.set(`${source}::${identity}`, conv);
+      contents.add(`${source}::${contentKey(conv)}`);
+    }
+  }
+
+  for (const imported of conversations) {
+    if (redactor) redactImport(imported, redactor);
+    const identity = conversationIdentity(imported);
+
+    if (!identity) {
+      const content = `${imported.source}::${contentKey(imported)}`;
+      if (contents.has(content)) {
+        result.skipped++;
+        continue;
+      }
+      imported.metadata = { ...(imported.metadata || {}), nativeSourceId: false };
+      await dbPut('conversations', imported);
+      contents.add(content);
+      result.added++;
+      continue;
+    }
+
+    const key = `${imported.source}::${identity}`;
+    const existing = stored.get(key);
+
+    if (!existing) {
+      imported.metadata = { ...(imported.metadata || {}), nativeSourceId: true };
+      await dbPut('conversations', imported);
+      stored.set(key, imported);
+      contents.add(`${imported.source}::${contentKey(imported)}`);
+      result.added++;
+      continue;
+    }
+
+    const { added, updated } = mergeTrees(existing, imported, { preferOther: true });
+    if (added === 0 && updated === 0 && existing.title === imported.title) {
+      result.skipped++;
+      continue;
+    }
+
+    const wasCaptured = existing.metadata?.originalFormat === 'live-capture';
+    refreshCounts(existing);
+    existing.title = imported.title || existing.title;
+    if (wasCaptured) existing.createdAt = imported.createdAt || existing.createdAt;
+    existing.updatedAt = imported.updatedAt || existing.updatedAt;
+    existing.importedAt = imported.importedAt;
+    existing.metadata = {
+      ...(existing.metadata || {}),
+      ...(imported.metadata || {}),
+      ...(wasCaptured ? { originalFormat: 'live-capture', importedFormat: imported.metadata?.originalFormat } : {}),
+    };
+    setIdentity(existing, imported.sourceId);
+
+    await dbPut('conversations', existing);
+    await dbPut('embeddingQueue', {
+      id: `conv:${existing.id}`,
+      conversationId: existing.id,
+      createdAt: new Date().toISOString(),
+    });
+    result.updated++;
+  }
+
+  return result;
+}
@@ -99,6 +99,10 @@ function formatClaudeSection(summary, topic) {
     section += '\n';
   }
 
+  for (const field of summary.fields || []) {
+    section += `${field.label}:\n${formatFieldValue(field)}\n\n`;
+  }
+
   if (summary.codeSnippets && summary.codeSnippets.length > 0) {
     section += 'Code Reference:\n';
     for (const snippet of summary.codeSnippets) {
@@ -147,6 +151,10 @@ function formatMarkdownSection(summary, topic) {
     output += '\n';
   }
 
+  for (const field of summary.fields || []) {
+    output += `**${field.label}:**\n${formatFieldValue(field)}\n\n`;
+  }
+
   if (summary.codeSnippets && summary.codeSnippets.length > 0) {
     output += '**Code Reference:**\n';
     for (const snippet of summary.codeSnippets) {
@@ -160,6 +168,11 @@ function formatMarkdownSection(summary, topic) {
   return output;
 }
 
+/** A summary profile field: list items as bullets, text as is. */
+function formatFieldValue(field) {
+  return Array.isArray(field.value) ? field.value.map(v => `- ${v}`).join('\n') : field.value;
+}
+
 // ---------------------------------------------------------------------------
 // Conversation formatting for injection
 // ---------------------------------------------------------------------------
@@ -200,6 +213,34 @@ export function formatConversationForInjection(conversation, targetSystem) {
   return output;
 }
 
+/**
+ * Format a retrieved message passage for injection.
+ * @param {Object} conversation - Conversation the passage was cut from (title, source)
+ * @param {{text: string, messageIds: string[]}} passage
+ * @param {string} targetSystem
+ * @returns {string}
+ */
+export function formatPassageForInjection(conversation, passage, targetSystem) {
+  if (!passage || !passage.text) return '';
+
+  const title = conversation?.title || 'Untitled Conversation';
+  const source = conversation?.source || 'unknown';
+
+  if (targetSystem === 'claude') {
+    let output = '<context>\n';
+    output += `Excerpt from a previous conversation on ${source}: ${title}\n\n`;
+    output += `${passage.text}\n`;
+    output += '</context>\n\n';
+    return output;
+  }
+
+  // Markdown-based systems (ChatGPT, Gemini, Copilot)
+  let output = `### Excerpt: ${title}\n`;
+  output += `_Source: ${source}_\n\n`;
+  output += `${passage.text}\n\n`;
+  return output;
+}
+
 // ---------------------------------------------------------------------------
 // Chat input detection and text insertion
 // ---------------------------------------------------------------------------
@@ -1,6 +1,15 @@
-import { dbPut, dbGet, dbGetAll, dbGetByIndex, dbDelete } from './db.js';
+import { dbPut, dbGet, dbGetAll, dbGetByIndex, dbGetMany, dbDelete } from './db.js';
 import { generateId } from './utils.js';
-import { isModelLoaded, embed, cosineSimilarity } from './embeddings.js';
+import { isModelLoaded, embed, cosineSimilarity, getActiveModelId } from './embeddings.js';
+import { searchIndex } from './vector-index.js';
+import { summarizeConversation, updateSummary, getUnsummarizedMessages } from './summarizer.js';
+import { resolveProfile } from './profiles.js';
+import { syncSummaryItems } from './action-items.js';
+import { syncSummaryEntities } from './entities.js';
+import { checkSummary } from './grounding.js';
+
+/** Nearest summaries considered when matching a topic name via the ANN index. */
+const TOPIC_MATCH_NEIGHBORS = 30;
 
 export async function assignToTopic(summary, options = {}) {
   const { forceTopicId } = options;
@@ -44,6 +53,104 @@ export async function assignToTopic(summary, options = {}) {
   return topic;
 }
 
+/**
+ * Record on the conversation which summary covers it and the last message
+ * that summary includes, so later captures can be summarized as a delta.
+ */
+export async function markConversationSummarized(conversationId, summary) {
+  const conversation = await dbGet('conversations', conversationId);
+  if (!conversation) return;
+
+  conversation.metadata = {
+    ...(conversation.metadata || {}),
+    summaryId: summary.id,
+    lastSummarizedMessageId: summary.metadata?.lastMessageId || null,
+    summaryRevision: summary.revision || 1,
+    summaryFailure: null,
+  };
+  await dbPut('conversations', conversation);
+}
+
+/**
+ * Record why summarizing a conversation failed, so a batch run can move on
+ * and the reason can be shown with the conversation.
+ */
+export async function markConversationSummaryFailed(conversationId, err) {
+  const conversation = await dbGet('conversations', conversationId);
+  if (!conversation) return;
+
+  conversation.metadata = {
+    ...(conversation.metadata || {}),
+    summaryFailure: {
+      reason: err.message,
+      code: err.code || null,
+      problems: err.problems || null,
+      failedAt: new Date().toISOString(),
+    },
+  };
+  await dbPut('conversations', conversation);
+}
+
+/**
+ * Resolve injection context from a conversation's metadata for lineage-aware
+ * summarization. Returns null if no injection context exists.
+ */
+export async function resolveInjectionContext(conversation) {
+  const ctx = conversation.metadata?.injectionContext;
+  if (!Array.isArray(ctx) || ctx.length === 0) return null;
+  const resolved = [];
+  for (const item of ctx) {
+    const summary = await dbGet('summaries', item.summaryId);
+    resolved.push({
+      summaryId: item.summaryId,
+      topicId: item.topicId || (summary?.topicId || null),
+      title: summary?.title || item.summaryId,
+    });
+  }
+  return resolved;
+}
+
+/**
+ * Summarize a conversation, or revise its existing summary using only the
+ * messages captured since it was last summarized (a revision with no new
+ * messages, or that cannot locate them, reruns in full, keeping the
+ * summary's id and topic).
+ * Persists the summary and records the summarized-through message on the
+ * conversation. A failure (other than a cancel or a budget pause) is
+ * recorded on the conversation.
+ * Its insights and decisions are checked against the conversation
+ * (lib/grounding.js), which flags or drops the unsupported ones.
+ * Its entities are resolved to canonical ones (lib/entities.js), and its
+ * action items and open questions are synced to their tracked records.
+ * The summary profile comes from the conversation, its topic or its source.
+ * `options` (signal, onText, background) are passed on to the summarizer.
+ */
+export async function summarizeOrUpdate(conv, injCtx, options = {}) {
+  const [existing] = await dbGetByIndex('summaries', 'conversationId', conv.id);
+  const { profile } = await resolveProfile(conv, existing?.topicId || conv.metadata?.projectTopicId || null);
+  const summarizeOptions = { ...options, injectionContext: injCtx, profile };
+  // Only a revision that reads new messages can tell which items they
+  // resolved; updateSummary() reruns in full when there are none to read
+  const incremental = Boolean(existing) && getUnsummarizedMessages(conv, existing)?.length > 0;
+  let summary;
+  try {
+    summary = existing
+      ? await updateSummary(conv, existing, summarizeOptions)
+      : await summarizeConversation(conv, summarizeOptions);
+  } catch (err) {
+    if (err.name !== 'AbortError' && err.code !== 'BUDGET_EXCEEDED') {
+      await markConversationSummaryFailed(conv.id, err);
+    }
+    throw err;
+  }
+  summary = await checkSummary(summary, conv, options);
+  summary.entities = await syncSummaryEntities(summary);
+  await dbPut('summaries', summary);
+  await markConversationSummarized(conv.id, summary);
+  await syncSummaryItems(summary, conv, { previous: incremental ? existing : null });
+  return summary;
+}
+
 async function findSimilarTopic(name) {
   const allTopics = await dbGetAll('topics');
   const normalized = name.toLowerCase().trim();
@@ -67,53 +174,24 @@ async function findSimilarTopic(name) {
   // Embedding-based fallback: compare name against topic embeddings
   if (isModelLoaded() && allTopics.length > 0) {
     try {
-      const allEmbeddings = await dbGetAll('embeddings');
-      if (allEmbeddings.length > 0) {
-        // Build topic aggregate vectors (average of summary vectors in topic)
-        const topicVectors = new Map();
-        const topicSummaryCounts = new Map();
-
-        for (const emb of allEmbeddings) {
-          // Find which topic this summary belongs to
-          const summary = await dbGet('summaries', emb.summaryId);
-          if (!summary?.topicId) continue;
-
-          if (!topicVectors.has(summary.topicId)) {
-            topicVectors.set(summary.topicId, new Array(emb.vector.length).fill(0));
-            topicSummaryCounts.set(summary.topicId, 0);
-          }
-
-          const vec = topicVectors.get(summary.topicId);
-          for (let i = 0; i < emb.vector.length; i++) {
-            vec[i] += emb.vector[i];
-          }
-          topicSummaryCounts.set(summary.topicId, topicSummaryCounts.get(summary.topicId) + 1);
-        }
-
-        // Normalize topic vectors to averages
-        for (const [topicId, vec] of topicVectors) {
-          const count = topicSummaryCounts.get(topicId);
-          for (let i = 0; i < vec.length; i++) {
-            vec[i] /= count;
-          }
-        }
-
-        // Embed the query name
-        const [nameVector] = await embed([name]);
-        let bestTopic = null;
-        let bestSim = 0;
-
-        for (const [topicId, vec] of topicVectors) {
-          const sim = cosineSimilarity(nameVector, vec);
-          if (sim > bestSim) {
-            bestSim = sim;
-            bestTopic = allTopics.find(t => t.id === topicId);
-          }
+      const modelId = getActiveModelId();
+      const [nameVector] = await embed([name]);
+      const topicVectors = await nearestTopicVectors(modelId, nameVector)
+        ?? await allTopicVectors(modelId);
+
+      let bestTopic = null;
+      let bestSim = 0;
+
+      for (const [topicId, vec] of topicVectors) {
+        const sim = cosineSimilarity(nameVector, vec);
+        if (sim > bestSim) {
+          bestSim = sim;
+          bestTopic = allTopics.find(t => t.id === topicId);
         }
+      }
 
-        if (bestTopic && bestSim > 0.75) {
-          return bestTopic;
-        }
+      if (bestTopic && bestSim > 0.75) {
+        return bestTopic;
       }
     } catch {
       // Embedding fallback failed — return null to create new topic
@@ -123,6 +201,60 @@ async function findSimilarTopic(name) {
   return null;
 }
 
+/**
+ * Average summary vector per topic, over the summaries nearest to the query
+ * in the ANN index. Returns null if the index isn't built yet.
+ * @param {string} modelId - Model that produced the vector
+ * @param {number[]} vector
+ * @returns {Promise<Map<string, number[]>|null>}
+ */
+async function nearestTopicVectors(modelId, vector) {
+  const hits = await searchIndex('summary', modelId, vector, TOPIC_MATCH_NEIGHBORS);
+  if (!hits) return null;
+  const summaries = await dbGetMany('summaries', hits.map(h => h.ref));
+  return averageByTopic(hits.map((hit, i) => ({ topicId: summaries[i]?.topicId, vector: hit.vector })));
+}
+
+/**
+ * Average summary vector per topic, over every summary embedding (exact scan).
+ * @param {string} modelId - Only vectors from this model are comparable
+ * @returns {Promise<Map<string, number[]>>}
+ */
+async function allTopicVectors(modelId) {
+  const embeddings = await dbGetByIndex('embeddings', 'typeModel', ['summary', modelId]);
+  const summaries = await dbGetMany('summaries', embeddings.map(e => e.summaryId));
+  return averageByTopic(embeddings.map((emb, i) => ({ topicId: summaries[i]?.topicId, vector: emb.vector })));
+}
+
+function averageByTopic(items) {
+  const topicVectors = new Map();
+  const topicSummaryCounts = new Map();
+
+  for (const { topicId, vector } of items) {
+    if (!topicId) continue;
+
+    if (!topicVectors.has(topicId)) {
+      topicVectors.set(topicId, new Array(vector.length).fill(0));
+      topicSummaryCounts.set(topicId, 0);
+    }
+
+    const vec = topicVectors.get(topicId);
+    for (let i = 0; i < vector.length; i++) {
+      vec[i] += vector[i];
+    }
+    topicSummaryCounts.set(topicId, topicSummaryCounts.get(topicId) + 1);
+  }
+
+  // Normalize topic vectors to averages
+  for (const [topicId, vec] of topicVectors) {
+    const count = topicSummaryCounts.get(topicId);
+    for (let i = 0; i < vec.length; i++) {
+      vec[i] /= count;
+    }
+  }
+  return topicVectors;
+}
+
 function levenshtein(a, b) {
   const m = a.length, n = b.length;
   const dp = Array.from({ length: m + 1 }, () => Array(n + 1).fill(0));
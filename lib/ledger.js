@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Token and cost ledger for AI requests
+ *
+ * Every completion and embedding request that the AI router serves is
+ * recorded in the `ledger` store: task, provider, model, input and output
+ * tokens, and an estimated cost from the price table. Token counts come from
+ * the provider's usage report; when a provider reports none (some local
+ * servers do not), they are estimated from the text length and flagged.
+ *
+ * Prices are USD per million tokens, kept in chrome.storage.local under
+ * `aiPriceTable` and editable in Settings. `compatible` providers run on the
+ * user's own hardware and `replay` providers serve recorded responses, so
+ * both are always free.
+ *
+ * Budgets (`aiBudgets`) cap daily and monthly spend, overall and per
+ * provider. They only gate background work (batch summarization, automatic
+ * conflict checks, embedding queued captures and re-indexing with a
+ * provider's embedding model): a request the user made by hand is never
+ * refused.
+ *
+ * @module lib/ledger
+ */
+
+import { dbPut, dbGetByIndex, dbClear } from './db.js';
+import { generateId } from './utils.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const PRICE_KEY = 'aiPriceTable';
+const BUDGET_KEY = 'aiBudgets';
+
+/** Rough characters-per-token ratio used when a provider reports no usage. */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Default prices, USD per million tokens. Keys match a model id exactly or
+ * as a prefix (`claude-sonnet-4` covers `claude-sonnet-4-20250514`).
+ */
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-3-5': { input: 0.8, output: 4 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-004': { input: 0, output: 0 },
+};
+
+// ---------------------------------------------------------------------------
+// Prices
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the price table: the defaults overlaid with the user's edits.
+ * A model set to null in the stored table removes its default.
+ * @returns {Promise<Object<string, {input: number, output: number}>>}
+ */
+export async function getPriceTable() {
+  const data = await chrome.storage.local.get(PRICE_KEY);
+  const table = { ...DEFAULT_PRICES, ...(data[PRICE_KEY] || {}) };
+  for (const [model, price] of Object.entries(table)) {
+    if (!price) delete table[model];
+  }
+  return table;
+}
+
+/**
+ * Save the price table. Defaults missing from `table` are stored as null
+ * so they stay removed.
+ * @param {Object<string, {input: number, output: number}>} table
+ * @returns {Promise<void>}
+ */
+export async function savePriceTable(table) {
+  const stored = { ...table };
+  for (const model of Object.keys(DEFAULT_PRICES)) {
+    if (!(model in stored)) stored[model] = null;
+  }
+  await chrome.storage.local.set({ [PRICE_KEY]: stored });
+}
+
+/**
+ * Find the price for a model: an exact entry, else the longest entry the
+ * model id starts with.
+ * @param {Object} table - From getPriceTable()
+ * @param {string} model
+ * @returns {{input: number, output: number}|null}
+ */
+export function findPrice(table, model) {
+  if (!model) return null;
+  if (table[model]) return table[model];
+  const prefix = Object.keys(table)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * Estimate the cost of a request in USD, or null if the model has no price.
+ * @param {Object} table - From getPriceTable()
+ * @param {string} providerType
+ * @param {string} model
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number|null}
+ */
+export function estimateCost(table, providerType, model, inputTokens, outputTokens) {
+  if (providerType === 'compatible' || providerType === 'replay') return 0;
+  const price = findPrice(table, model);
+  if (!price) return null;
+  return ((inputTokens || 0) * (price.input || 0) + (outputTokens || 0) * (price.output || 0)) / 1_000_000;
+}
+
+/**
+ * Estimate a token count from text, for providers that report no usage.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+/**
+ * Record one served request. Never throws: a ledger failure must not fail
+ * the request it describes.
+ *
+ * @param {Object} entry
+ * @param {string|null} entry.task - Task type, or null for untagged requests
+ * @param {Object} entry.provider - The provider config that served it
+ * @param {string} entry.model
+ * @param {'completion'|'embedding'} entry.kind
+ * @param {Object|null} entry.usage - {prompt_tokens, completion_tokens} as reported
+ * @param {string} entry.inputText - Request text, for estimating missing usage
+ * @param {string} [entry.outputText] - Response text, for estimating missing usage
+ * @param {boolean} [entry.background]
+ * @returns {Promise<Object|null>} The stored record
+ */
+export async function recordUsage(entry) {
+  try {
+    const reported = entry.usage && (entry.usage.prompt_tokens != null || entry.usage.completion_tokens != null);
+    const inputTokens = reported ? entry.usage.prompt_tokens || 0 : estimateTokens(entry.inputText);
+    const outputTokens = reported ? entry.usage.completion_tokens || 0 : estimateTokens(entry.outputText);
+    const prices = await getPriceTable();
+
+    const record = {
+      id: generateId(),
+      timestamp: new Date().toISOString(),
+      kind: entry.kind,
+      task: entry.task || null,
+      providerId: entry.provider.id,
+      providerType: entry.provider.type,
+      providerName: entry.provider.name,
+      model: entry.model || null,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      estimatedTokens: !reported,
+      cost: estimateCost(prices, entry.provider.type, entry.model, inputTokens, outputTokens),
+      background: !!entry.background,
+    };
+    await dbPut('ledger', record);
+    return record;
+  } catch (err) {
+    console.warn('[Ledger] Failed to record usage:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Get ledger records at or after a date, oldest first.
+ * @param {Date|string} since
+ * @returns {Promise<Object[]>}
+ */
+export async function getLedgerEntries(since) {
+  const from = new Date(since).toISOString();
+  return dbGetByIndex('ledger', 'timestamp', IDBKeyRange.lowerBound(from));
+}
+
+/**
+ * Delete every ledger record.
+ * @returns {Promise<void>}
+ */
+export async function clearLedger() {
+  await dbClear('ledger');
+}
+
+// ---------------------------------------------------------------------------
+// Budgets
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the budget caps in USD. A null cap is no cap.
+ * @returns {Promise<{daily: number|null, monthly: number|null, providers: Object<string, {daily: number|null, monthly: number|null}>}>}
+ */
+export async function getBudgets() {
+  const data = await chrome.storage.local.get(BUDGET_KEY);
+  const budgets = data[BUDGET_KEY] || {};
+  return {
+    daily: budgets.daily ?? null,
+    monthly: budgets.monthly ?? null,
+    providers: budgets.providers || {},
+  };
+}
+
+/**
+ * Save the budget caps.
+ * @param {Object} budgets - Same shape as getBudgets()
+ * @returns {Promise<void>}
+ */
+export async function saveBudgets(budgets) {
+  await chrome.storage.local.set({ [BUDGET_KEY]: budgets });
+}
+
+/** Local midnight today and on the first of this month. */
+function periodStarts(now = new Date()) {
+  return {
+    day: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+    month: new Date(now.getFullYear(), now.getMonth(), 1),
+  };
+}
+
+/**
+ * Spend so far today and this month, overall and per provider id.
+ * Requests without a known price count as free.
+ * @returns {Promise<{day: {total: number, providers: Object<string, number>}, month: {total: number, providers: Object<string, number>}}>}
+ */
+export async function getCurrentSpend() {
+  const starts = periodStarts();
+  const dayFrom = starts.day.toISOString();
+  const spend = {
+    day: { total: 0, providers: {} },
+    month: { total: 0, providers: {} },
+  };
+
+  for (const record of await getLedgerEntries(starts.month)) {
+    const cost = record.cost || 0;
+    const periods = record.timestamp >= dayFrom ? [spend.day, spend.month] : [spend.month];
+    for (const period of periods) {
+      period.total += cost;
+      period.providers[record.providerId] = (period.providers[record.providerId] || 0) + cost;
+    }
+  }
+  return spend;
+}
+
+/**
+ * Check the caps that apply to background work.
+ * `blocked` describes an overall cap that has been reached (no background
+ * request may run); `providers` maps each provider over its own cap to a
+ * description (those providers are skipped).
+ * @returns {Promise<{blocked: string|null, providers: Object<string, string>}>}
+ */
+export async function checkBudget() {
+  const budgets = await getBudgets();
+  const capped = budgets.daily != null || budgets.monthly != null
+    || Object.values(budgets.providers).some(b => b?.daily != null || b?.monthly != null);
+  if (!capped) return { blocked: null, providers: {} };
+
+  const spend = await getCurrentSpend();
+  const over = (cap, spent, label) => cap != null && spent >= cap
+    ? `${label} budget of $${cap.toFixed(2)} reached`
+    : null;
+
+  const providers = {};
+  for (const [providerId, caps] of Object.entries(budgets.providers)) {
+    const reason = over(caps?.daily, spend.day.providers[providerId] || 0, 'daily')
+      || over(caps?.monthly, spend.month.providers[providerId] || 0, 'monthly');
+    if (reason) providers[providerId] = reason;
+  }
+
+  return {
+    blocked: over(budgets.daily, spend.day.total, 'Daily') || over(budgets.monthly, spend.month.total, 'Monthly'),
+    providers,
+  };
+}
+
+export { DEFAULT_PRICES };
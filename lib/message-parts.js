@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Structured message parts
+ *
+ * Captured and imported messages keep their structure as typed parts
+ * instead of one flattened string:
+ *
+ * - `{type: 'text', text}` — prose, as markdown
+ * - `{type: 'code', language, code}` — a code block
+ * - `{type: 'table', rows}` — rows of cell strings, the first row the header
+ * - `{type: 'artifact', title, kind, language, content}` — a Claude artifact
+ *   or a ChatGPT / Gemini canvas document. `content` is empty when the page
+ *   only showed the artifact's title.
+ * - `{type: 'attachment', name, mimeType}` — an uploaded file, by name
+ *
+ * A message's `content` is always its parts rendered as markdown
+ * (partsToMarkdown), so search, embeddings, token estimates and everything
+ * else that reads plain content keeps working. Plain-text messages store no
+ * `parts`: messageParts() reads them, and messages captured before parts
+ * existed, back from their content, recognizing fenced code, markdown
+ * tables and attachment lines.
+ *
+ * The content scripts carry a copy of partsToMarkdown
+ * (content-scripts/message-parts.js), since they cannot import modules.
+ *
+ * @module lib/message-parts
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Part types, in the order they are documented above. */
+export const PART_TYPES = ['text', 'code', 'table', 'artifact', 'attachment'];
+
+/** Artifact kinds whose content is code, rendered fenced rather than as prose. */
+const CODE_ARTIFACT_KINDS = new Set(['code', 'html', 'react', 'svg', 'mermaid']);
+
+/** Languages that mean "unknown" in exports and page markup. */
+const NO_LANGUAGE = new Set(['', 'unknown', 'text', 'plaintext', 'plain']);
+
+const FENCE_RE = /^```([\w+#.-]*)[^\n]*\n([\s\S]*?)\n?```[ \t]*$/gm;
+const ATTACHMENT_RE = /^\[Attachment: (.+)\]$/;
+const TABLE_SEPARATOR_RE = /^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/;
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function cleanLanguage(language) {
+  const lang = String(language || '').trim().toLowerCase();
+  return NO_LANGUAGE.has(lang) ? '' : lang;
+}
+
+/**
+ * Validate parts from a content script or an import: unknown types and
+ * empty parts are dropped, fields are coerced to strings and adjacent text
+ * parts are merged.
+ *
+ * @param {Array<Object>} parts
+ * @returns {Array<Object>} Clean parts (possibly empty)
+ */
+export function normalizeParts(parts) {
+  if (!Array.isArray(parts)) return [];
+  const clean = [];
+
+  for (const part of parts) {
+    if (!part || typeof part !== 'object') continue;
+    let next = null;
+
+    switch (part.type) {
+      case 'text': {
+        const text = String(part.text || '').trim();
+        if (text) next = { type: 'text', text };
+        break;
+      }
+      case 'code': {
+        const code = String(part.code || '').replace(/^\n+|\s+$/g, '');
+        if (code) next = { type: 'code', language: cleanLanguage(part.language), code };
+        break;
+      }
+      case 'table': {
+        const rows = (Array.isArray(part.rows) ? part.rows : [])
+          .filter(Array.isArray)
+          .map(row => row.map(cell => String(cell ?? '').trim()))
+          .filter(row => row.some(Boolean));
+        if (rows.length) next = { type: 'table', rows };
+        break;
+      }
+      case 'artifact': {
+        const title = String(part.title || '').trim();
+        const content = String(part.content || '').replace(/^\n+|\s+$/g, '');
+        if (title || content) {
+          next = {
+            type: 'artifact',
+            title: title || 'Untitled artifact',
+            kind: String(part.kind || '').trim().toLowerCase(),
+            language: cleanLanguage(part.language),
+            content,
+          };
+        }
+        break;
+      }
+      case 'attachment': {
+        const name = String(part.name || '').trim();
+        if (name) next = { type: 'attachment', name, mimeType: String(part.mimeType || '') };
+        break;
+      }
+    }
+
+    if (!next) continue;
+    const last = clean[clean.length - 1];
+    if (next.type === 'text' && last?.type === 'text') {
+      last.text += `\n\n${next.text}`;
+    } else {
+      clean.push(next);
+    }
+  }
+
+  return clean;
+}
+
+/**
+ * Whether parts hold anything beyond text, i.e. are worth storing.
+ * @param {Array<Object>} parts
+ * @returns {boolean}
+ */
+export function hasStructuredParts(parts) {
+  return (parts || []).some(p => p.type !== 'text');
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+function tableToMarkdown(rows) {
+  const width = Math.max(...rows.map(r => r.length));
+  const line = (row) => `| ${Array.from({ length: width }, (_, i) => (row[i] || '').replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ')} |`;
+  return [line(rows[0]), `| ${Array(width).fill('---').join(' | ')} |`, ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Whether an artifact's content is code (shown fenced) rather than prose.
+ * @param {Object} part - An artifact part
+ * @returns {boolean}
+ */
+export function isCodeArtifact(part) {
+  return CODE_ARTIFACT_KINDS.has(part.kind) || !!part.language;
+}
+
+function partToMarkdown(part) {
+  switch (part.type) {
+    case 'text':
+      return part.text;
+    case 'code':
+      return `\`\`\`${part.language || ''}\n${part.code}\n\`\`\``;
+    case 'table':
+      return tableToMarkdown(part.rows);
+    case 'artifact': {
+      const heading = `**Artifact: ${part.title}**${part.kind ? ` (${part.kind})` : ''}`;
+      if (!part.content) return heading;
+      return isCodeArtifact(part)
+        ? `${heading}\n\`\`\`${part.language || ''}\n${part.content}\n\`\`\``
+        : `${heading}\n\n${part.content}`;
+    }
+    case 'attachment':
+      return `[Attachment: ${part.name}]`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Render parts as one markdown string: a message's `content`.
+ * @param {Array<Object>} parts
+ * @returns {string}
+ */
+export function partsToMarkdown(parts) {
+  return (parts || []).map(partToMarkdown).filter(Boolean).join('\n\n');
+}
+
+function splitTable(lines) {
+  return lines.map(line => line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|')));
+}
+
+/**
+ * Pull markdown tables and attachment lines out of a run of prose.
+ */
+function textToParts(text) {
+  const parts = [];
+  const lines = text.split('\n');
+  let prose = [];
+
+  const flush = () => {
+    if (prose.join('').trim()) parts.push({ type: 'text', text: prose.join('\n') });
+    prose = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const attachment = ATTACHMENT_RE.exec(line);
+    if (attachment) {
+      flush();
+      parts.push({ type: 'attachment', name: attachment[1] });
+      continue;
+    }
+
+    if (line.startsWith('|') && TABLE_SEPARATOR_RE.test(lines[i + 1]?.trim() || '')) {
+      let end = i + 2;
+      while (end < lines.length && lines[end].trim().startsWith('|')) end++;
+      flush();
+      parts.push({ type: 'table', rows: splitTable([lines[i], ...lines.slice(i + 2, end)]) });
+      i = end - 1;
+      continue;
+    }
+
+    prose.push(lines[i]);
+  }
+  flush();
+  return parts;
+}
+
+/**
+ * Read parts back out of markdown: fenced code blocks, tables and
+ * attachment lines become their own parts, the rest is text.
+ *
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function partsFromMarkdown(text) {
+  const source = String(text || '');
+  const parts = [];
+  let last = 0;
+
+  for (const match of source.matchAll(FENCE_RE)) {
+    parts.push(...textToParts(source.slice(last, match.index)));
+    parts.push({ type: 'code', language: match[1], code: match[2] });
+    last = match.index + match[0].length;
+  }
+  parts.push(...textToParts(source.slice(last)));
+
+  return normalizeParts(parts);
+}
+
+// ---------------------------------------------------------------------------
+// Messages
+// ---------------------------------------------------------------------------
+
+/**
+ * The parts of a message: its stored parts, or those read from its content.
+ * @param {Object} message
+ * @returns {Array<Object>}
+ */
+export function messageParts(message) {
+  if (Array.isArray(message?.parts) && message.parts.length) return message.parts;
+  return partsFromMarkdown(message?.content);
+}
+
+/**
+ * A message as markdown, for prompts and exports.
+ * @param {Object} message
+ * @returns {string}
+ */
+export function messageMarkdown(message) {
+  if (Array.isArray(message?.parts) && message.parts.length) return partsToMarkdown(message.parts);
+  return message?.content || '';
+}
+
+/**
+ * The `content` and `parts` fields of a message built from parts. `parts`
+ * is left out when the message is plain text.
+ *
+ * @param {Array<Object>} parts - Already normalized
+ * @returns {{content: string, parts?: Array<Object>}}
+ */
+export function messageFields(parts) {
+  const content = partsToMarkdown(parts);
+  return hasStructuredParts(parts) ? { content, parts } : { content };
+}
@@ -1,10 +1,11 @@
 import { estimateTokens, generateId } from '../utils.js';
+import { normalizeParts, partsFromMarkdown, messageFields } from '../message-parts.js';
 
 export function parseChatGPT(jsonData) {
   const raw = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
 
   return raw.map(conv => {
-    const messages = extractMessages(conv.mapping);
+    const { messages, alternates } = extractMessages(conv.mapping, conv.current_node);
     if (messages.length === 0) return null;
 
     const totalText = messages.map(m => m.content).join(' ');
@@ -20,8 +21,10 @@ export function parseChatGPT(jsonData) {
       messageCount: messages.length,
       estimatedTokens: estimateTokens(totalText),
       messages,
+      alternates,
       metadata: {
         originalFormat: 'chatgpt-zip',
+        nativeSourceId: !!(conv.id || conv.conversation_id),
         gizmoId: conv.gizmo_id || null,
         gizmoType: conv.gizmo_type || null
       }
@@ -29,8 +32,16 @@ export function parseChatGPT(jsonData) {
   }).filter(Boolean);
 }
 
-function extractMessages(mapping) {
-  if (!mapping) return [];
+/**
+ * The message tree of a conversation (see lib/branches.js): `mapping` holds
+ * every version of every message, edited prompts and regenerated responses
+ * as siblings. The active path runs from the root to `current_node`, or
+ * down the latest children when an export has no current node. System and
+ * tool nodes are left out; their children hang from the nearest message.
+ */
+function extractMessages(mapping, currentNode) {
+  const empty = { messages: [], alternates: [] };
+  if (!mapping) return empty;
 
   let rootId = null;
   for (const [id, node] of Object.entries(mapping)) {
@@ -39,12 +50,14 @@ function extractMessages(mapping) {
       break;
     }
   }
-  if (!rootId) return [];
+  if (!rootId) return empty;
 
-  const messages = [];
+  const all = [];
+  const byNode = new Map();
   const visited = new Set();
+  const canvases = {};
 
-  function walk(nodeId) {
+  function walk(nodeId, parentId) {
     if (!nodeId || visited.has(nodeId)) return;
     visited.add(nodeId);
 
@@ -55,35 +68,102 @@ function extractMessages(mapping) {
       const msg = node.message;
       const role = msg.author?.role;
       if (role === 'user' || role === 'assistant') {
-        let content = '';
-        if (msg.content?.parts) {
-          content = msg.content.parts
-            .filter(p => typeof p === 'string')
-            .join('\n');
-        } else if (msg.content?.text) {
-          content = msg.content.text;
-        }
-        if (content.trim()) {
-          messages.push({
+        const fields = messageFields(normalizeParts(extractParts(msg, canvases)));
+        if (fields.content) {
+          const message = {
             id: generateId(),
+            parentId,
             role,
-            content: content.trim(),
+            ...fields,
             timestamp: msg.create_time ? new Date(msg.create_time * 1000).toISOString() : null,
             metadata: {
               model: msg.metadata?.model_slug || null
             }
-          });
+          };
+          all.push(message);
+          byNode.set(nodeId, message);
+          parentId = message.id;
         }
       }
     }
 
     if (node.children) {
       for (const childId of node.children) {
-        walk(childId);
+        walk(childId, parentId);
       }
     }
   }
 
-  walk(rootId);
-  return messages;
+  walk(rootId, null);
+
+  let leafId = mapping[currentNode] ? currentNode : rootId;
+  if (!mapping[currentNode]) {
+    while (mapping[leafId]?.children?.length) {
+      leafId = mapping[leafId].children[mapping[leafId].children.length - 1];
+    }
+  }
+
+  const pathNodes = new Set();
+  for (let nodeId = leafId; nodeId && !pathNodes.has(nodeId); nodeId = mapping[nodeId]?.parent) {
+    pathNodes.add(nodeId);
+  }
+  const onPath = new Set([...byNode].filter(([nodeId]) => pathNodes.has(nodeId)).map(([, m]) => m.id));
+
+  return {
+    messages: all.filter(m => onPath.has(m.id)),
+    alternates: all.filter(m => !onPath.has(m.id))
+  };
+}
+
+/**
+ * A message's content as typed parts (see lib/message-parts.js): markdown
+ * text, code cells, canvas documents and uploaded files. `canvases.last`
+ * remembers the latest canvas document, since edits do not name it.
+ */
+function extractParts(msg, canvases) {
+  const parts = (msg.metadata?.attachments || []).map(file => ({
+    type: 'attachment',
+    name: file.name,
+    mimeType: file.mime_type || ''
+  }));
+
+  // Canvas documents are written as a tool call whose text is JSON
+  if (msg.recipient?.startsWith('canmore.')) {
+    const canvas = parseJson(msg.content?.text);
+    if (msg.recipient === 'canmore.create_textdoc' && canvas) {
+      const [kind, language = ''] = String(canvas.type || 'document').split('/');
+      canvases.last = { title: canvas.name, kind, language };
+      parts.push({ type: 'artifact', title: canvas.name, kind, language, content: canvas.content });
+      return parts;
+    }
+    if (msg.recipient === 'canmore.update_textdoc' && canvas) {
+      const doc = canvases.last || { title: 'Canvas', kind: 'document', language: '' };
+      const content = (canvas.updates || []).map(u => u.replacement).filter(Boolean).join('\n\n');
+      parts.push({ type: 'artifact', ...doc, title: `${doc.title} (edit)`, content });
+      return parts;
+    }
+  }
+
+  const content = msg.content || {};
+  if (content.content_type === 'code') {
+    parts.push({ type: 'code', language: content.language, code: content.text });
+  } else if (Array.isArray(content.parts)) {
+    const text = content.parts
+      .map(p => typeof p === 'string' ? p : p?.text)
+      .filter(p => typeof p === 'string')
+      .join('\n');
+    parts.push(...partsFromMarkdown(text));
+  } else if (content.text) {
+    parts.push(...partsFromMarkdown(content.text));
+  }
+
+  return parts;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
 }
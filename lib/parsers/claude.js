@@ -1,22 +1,21 @@
 import { estimateTokens, generateId } from '../utils.js';
+import { normalizeParts, partsFromMarkdown, messageFields } from '../message-parts.js';
+
+/** Claude artifact types, mapped to part kinds. */
+const ARTIFACT_KINDS = {
+  'application/vnd.ant.code': 'code',
+  'application/vnd.ant.react': 'react',
+  'application/vnd.ant.mermaid': 'mermaid',
+  'text/html': 'html',
+  'text/markdown': 'document',
+  'image/svg+xml': 'svg'
+};
 
 export function parseClaude(jsonData) {
   const raw = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
 
   return raw.map(conv => {
-    const messages = (conv.chat_messages || [])
-      .filter(msg => msg.sender === 'human' || msg.sender === 'assistant')
-      .map(msg => ({
-        id: generateId(),
-        role: msg.sender === 'human' ? 'user' : 'assistant',
-        content: extractClaudeContent(msg),
-        timestamp: msg.created_at || null,
-        metadata: {
-          hasAttachments: (msg.attachments?.length || 0) > 0
-        }
-      }))
-      .filter(m => m.content.trim());
-
+    const { messages, alternates } = extractMessages(conv);
     if (messages.length === 0) return null;
 
     const totalText = messages.map(m => m.content).join(' ');
@@ -32,24 +31,101 @@ export function parseClaude(jsonData) {
       messageCount: messages.length,
       estimatedTokens: estimateTokens(totalText),
       messages,
+      alternates,
       metadata: {
         originalFormat: 'claude-zip',
+        nativeSourceId: !!conv.uuid,
         summary: conv.summary || null
       }
     };
   }).filter(Boolean);
 }
 
-function extractClaudeContent(msg) {
-  if (msg.text && msg.text.trim()) return msg.text.trim();
+/**
+ * The message tree of a conversation (see lib/branches.js). Exports whose
+ * messages carry `parent_message_uuid` list edited prompts and retried
+ * responses as siblings; the active path ends at
+ * `current_leaf_message_uuid`, or else at the latest message. Without
+ * parent ids the messages form one branch.
+ */
+function extractMessages(conv) {
+  const chatMessages = conv.chat_messages || [];
+  const isTree = chatMessages.some(msg => msg.parent_message_uuid);
+  const artifacts = {};
+  const ids = new Map(); // uuid → id of the message, or of its nearest stored ancestor
+  const all = [];
+
+  for (const msg of chatMessages) {
+    const parentId = isTree
+      ? ids.get(msg.parent_message_uuid) ?? null
+      : all[all.length - 1]?.id ?? null;
+    let message = null;
+    if (msg.sender === 'human' || msg.sender === 'assistant') {
+      message = {
+        id: generateId(),
+        parentId,
+        role: msg.sender === 'human' ? 'user' : 'assistant',
+        ...messageFields(normalizeParts(extractClaudeParts(msg, artifacts))),
+        timestamp: msg.created_at || null,
+        metadata: {
+          hasAttachments: (msg.attachments?.length || 0) > 0
+        }
+      };
+      if (message.content.trim()) all.push(message);
+      else message = null;
+    }
+    if (msg.uuid) ids.set(msg.uuid, message ? message.id : parentId);
+  }
+
+  if (!isTree) return { messages: all, alternates: [] };
+
+  const byId = new Map(all.map(m => [m.id, m]));
+  const onPath = new Set();
+  const leafId = ids.get(conv.current_leaf_message_uuid) ?? all[all.length - 1]?.id;
+  for (let id = leafId; id && !onPath.has(id); id = byId.get(id)?.parentId) {
+    onPath.add(id);
+  }
+
+  return {
+    messages: all.filter(m => onPath.has(m.id)),
+    alternates: all.filter(m => !onPath.has(m.id))
+  };
+}
+
+/**
+ * A message as typed parts (see lib/message-parts.js): its files, its text
+ * and the artifacts it created or edited. `artifacts` maps artifact ids to
+ * their title and type across the conversation, since edits only name the id.
+ */
+function extractClaudeParts(msg, artifacts) {
+  const parts = [...(msg.attachments || []), ...(msg.files || [])]
+    .filter(file => file.file_name)
+    .map(file => ({ type: 'attachment', name: file.file_name, mimeType: file.file_type || '' }));
+
+  if (!Array.isArray(msg.content) || msg.content.length === 0) {
+    parts.push(...partsFromMarkdown(msg.text));
+    return parts;
+  }
 
-  if (Array.isArray(msg.content)) {
-    return msg.content
-      .filter(block => block.type === 'text')
-      .map(block => block.text)
-      .join('\n')
-      .trim();
+  for (const block of msg.content) {
+    if (block.type === 'text') {
+      parts.push(...partsFromMarkdown(block.text));
+    } else if (block.type === 'tool_use' && block.name === 'artifacts' && block.input) {
+      const input = block.input;
+      const known = artifacts[input.id] || {};
+      const artifact = {
+        title: input.title || known.title || 'Untitled artifact',
+        kind: ARTIFACT_KINDS[input.type] || known.kind || 'document',
+        language: input.language || known.language || ''
+      };
+      if (input.id) artifacts[input.id] = artifact;
+      parts.push({
+        type: 'artifact',
+        ...artifact,
+        content: input.command === 'update' ? input.new_str : input.content
+      });
+    }
   }
 
-  return '';
+  return parts;
 }
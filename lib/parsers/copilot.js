@@ -1,4 +1,5 @@
 import { estimateTokens, generateId } from '../utils.js';
+import { partsFromMarkdown, messageFields } from '../message-parts.js';
 
 export function parseCopilotCsv(csvText) {
   const rows = parseCSV(csvText);
@@ -13,7 +14,7 @@ export function parseCopilotCsv(csvText) {
       messages.push({ id: generateId(), role: 'user', content: userContent, timestamp: null, metadata: {} });
     }
     if (assistantContent) {
-      messages.push({ id: generateId(), role: 'assistant', content: assistantContent, timestamp: null, metadata: {} });
+      messages.push({ id: generateId(), role: 'assistant', ...messageFields(partsFromMarkdown(assistantContent)), timestamp: null, metadata: {} });
     }
 
     if (messages.length === 0) return null;
@@ -34,6 +35,7 @@ export function parseCopilotCsv(csvText) {
       messages,
       metadata: {
         originalFormat: 'copilot-csv',
+        nativeSourceId: false,
         contentMayBeTruncated: true
       }
     };
@@ -47,7 +49,7 @@ export function parseCopilotJson(data) {
     const messages = (item.messages || []).map(m => ({
       id: generateId(),
       role: m.role === 'bot' ? 'assistant' : (m.role || 'user'),
-      content: (m.content || m.text || '').trim(),
+      ...messageFields(partsFromMarkdown(m.content || m.text)),
       timestamp: m.timestamp || null,
       metadata: {}
     })).filter(m => m.content);
@@ -68,7 +70,8 @@ export function parseCopilotJson(data) {
       estimatedTokens: estimateTokens(totalText),
       messages,
       metadata: {
-        originalFormat: 'copilot-json'
+        originalFormat: 'copilot-json',
+        nativeSourceId: !!item.id
       }
     };
   }).filter(Boolean);
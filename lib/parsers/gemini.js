@@ -1,4 +1,5 @@
 import { estimateTokens, generateId } from '../utils.js';
+import { normalizeParts, partsFromMarkdown, messageFields } from '../message-parts.js';
 
 export function parseGeminiTakeout(data) {
   const activities = (Array.isArray(data) ? data : [data])
@@ -48,7 +49,7 @@ export function parseGeminiTakeout(data) {
       current.messages.push({
         id: generateId(),
         role: 'assistant',
-        content: assistantContent,
+        ...messageFields(partsFromMarkdown(assistantContent)),
         timestamp,
         metadata: {}
       });
@@ -67,7 +68,7 @@ export function parseGeminiGeneric(data) {
     const messages = (item.messages || []).map(m => ({
       id: generateId(),
       role: m.role === 'model' ? 'assistant' : (m.role || 'user'),
-      content: (m.content || m.text || m.parts?.map(p => p.text).join('\n') || '').trim(),
+      ...messageFields(geminiParts(m)),
       timestamp: m.timestamp || null,
       metadata: {}
     })).filter(m => m.content);
@@ -89,12 +90,33 @@ export function parseGeminiGeneric(data) {
       messages,
       metadata: {
         originalFormat: 'gemini-generic',
+        nativeSourceId: !!item.id,
         contentMayBeTruncated: false
       }
     };
   }).filter(Boolean);
 }
 
+/**
+ * A message as typed parts (see lib/message-parts.js). Messages in the
+ * Gemini API shape carry `parts`: text, and files as inlineData / fileData.
+ */
+function geminiParts(m) {
+  if (m.content || m.text || !Array.isArray(m.parts)) {
+    return partsFromMarkdown(m.content || m.text);
+  }
+  return normalizeParts(m.parts.flatMap(p => {
+    if (typeof p.text === 'string') return partsFromMarkdown(p.text);
+    const file = p.fileData || p.inlineData;
+    if (!file) return [];
+    return [{
+      type: 'attachment',
+      name: p.fileData?.displayName || p.fileData?.fileUri?.split('/').pop() || file.mimeType || 'file',
+      mimeType: file.mimeType || ''
+    }];
+  }));
+}
+
 function finalize(conv) {
   const totalText = conv.messages.map(m => m.content).join(' ');
   return {
@@ -105,6 +127,7 @@ function finalize(conv) {
     estimatedTokens: estimateTokens(totalText),
     metadata: {
       originalFormat: 'gemini-takeout',
+      nativeSourceId: false,
       contentMayBeTruncated: true
     }
   };
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Summary profiles
+ *
+ * A profile tailors summarization to a kind of conversation: extra
+ * instructions for the prompt and extra structured fields the model fills
+ * in alongside the standard ones (title, summary, insights, decisions, code,
+ * tags). A meeting transcript, a debugging session and a design discussion
+ * each want different fields.
+ *
+ * Built-in profiles ship with the extension and cannot be edited, only
+ * duplicated. User profiles are stored in chrome.storage.local under
+ * `summaryProfiles`; a profile's version goes up whenever its prompt or
+ * fields change, and summaries record `<id>@<version>` as their
+ * `metadata.promptVersion`.
+ *
+ * Which profile summarizes a conversation is decided, most specific first,
+ * by an assignment to the conversation, to its topic, or to its source
+ * (`summaryProfileAssignments`), falling back to the general profile.
+ *
+ * @module lib/profiles
+ */
+
+import { generateId } from './utils.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const PROFILES_KEY = 'summaryProfiles';
+const ASSIGNMENTS_KEY = 'summaryProfileAssignments';
+
+/** Profile used when nothing else is assigned. */
+const DEFAULT_PROFILE_ID = 'general';
+
+/** Names the standard summary fields use; profile fields may not reuse them. */
+const RESERVED_FIELD_KEYS = new Set([
+  'title', 'summary', 'keyInsights', 'decisions', 'codeSnippets', 'actionItems', 'openQuestions', 'entities', 'tags',
+  'suggestedTopicName', 'citations',
+]);
+
+const BUILT_IN_PROFILES = [
+  {
+    id: DEFAULT_PROFILE_ID,
+    name: 'General',
+    version: 1,
+    builtIn: true,
+    instructions: '',
+    fields: [],
+  },
+  {
+    id: 'meeting',
+    name: 'Meeting notes',
+    version: 1,
+    builtIn: true,
+    instructions: 'This conversation is a meeting transcript or notes about a meeting. Record who took part, what was on the agenda, and the agreed next steps with their owners where stated.',
+    fields: [
+      { key: 'attendees', label: 'Attendees', type: 'list', description: 'People who took part' },
+      { key: 'agenda', label: 'Agenda', type: 'list', description: 'Topics that were discussed, in order' },
+      { key: 'nextSteps', label: 'Next steps', type: 'list', description: 'Agreed follow-ups, with the owner in parentheses if known' },
+    ],
+  },
+  {
+    id: 'debugging',
+    name: 'Debugging session',
+    version: 1,
+    builtIn: true,
+    instructions: 'This conversation is a debugging session. Separate what was observed from what caused it, and record the fix exactly enough to apply again.',
+    fields: [
+      { key: 'symptoms', label: 'Symptoms', type: 'text', description: 'What went wrong, with error messages quoted exactly' },
+      { key: 'rootCause', label: 'Root cause', type: 'text', description: 'What actually caused the problem, or "unknown"' },
+      { key: 'fix', label: 'Fix', type: 'text', description: 'The change that resolved it, or "unresolved"' },
+      { key: 'verification', label: 'Verification', type: 'list', description: 'How the fix was confirmed to work' },
+    ],
+  },
+  {
+    id: 'design',
+    name: 'Design discussion',
+    version: 1,
+    builtIn: true,
+    instructions: 'This conversation is a design discussion. Capture every option that was considered, why the chosen one won, and what is still uncertain.',
+    fields: [
+      { key: 'options', label: 'Options considered', type: 'list', description: 'Each alternative, with a one-line description' },
+      { key: 'tradeoffs', label: 'Trade-offs', type: 'list', description: 'What the chosen approach gains and gives up' },
+      { key: 'openRisks', label: 'Open risks', type: 'list', description: 'Unresolved concerns or assumptions to validate' },
+    ],
+  },
+];
+
+// ---------------------------------------------------------------------------
+// Profiles
+// ---------------------------------------------------------------------------
+
+/**
+ * Get all profiles: built-ins first, then the user's.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getProfiles() {
+  const data = await chrome.storage.local.get(PROFILES_KEY);
+  return [...BUILT_IN_PROFILES, ...(data[PROFILES_KEY] || [])];
+}
+
+/**
+ * Get a profile by id, or the general profile if it no longer exists.
+ * @param {string} [id]
+ * @returns {Promise<Object>}
+ */
+export async function getProfile(id) {
+  const profiles = await getProfiles();
+  return profiles.find(p => p.id === id) || BUILT_IN_PROFILES[0];
+}
+
+/**
+ * Create or update a user profile. The version goes up when the prompt or
+ * fields change, so summaries made with the old definition can be told apart.
+ *
+ * @param {{id?: string, name: string, instructions: string, fields: Array<Object>}} profile
+ * @returns {Promise<Object>} The saved profile
+ */
+export async function saveProfile(profile) {
+  if (BUILT_IN_PROFILES.some(p => p.id === profile.id)) {
+    throw new Error('Built-in profiles cannot be changed. Duplicate it instead.');
+  }
+  const fields = validateProfileFields(profile.fields || []);
+
+  const data = await chrome.storage.local.get(PROFILES_KEY);
+  const profiles = data[PROFILES_KEY] || [];
+  const existing = profiles.find(p => p.id === profile.id);
+
+  const saved = {
+    id: existing?.id || generateId(),
+    name: profile.name.trim() || 'Untitled profile',
+    instructions: (profile.instructions || '').trim(),
+    fields,
+    builtIn: false,
+    version: existing?.version || 1,
+  };
+  if (existing && (existing.instructions !== saved.instructions || JSON.stringify(existing.fields) !== JSON.stringify(fields))) {
+    saved.version++;
+  }
+
+  const next = existing
+    ? profiles.map(p => (p.id === saved.id ? saved : p))
+    : [...profiles, saved];
+  await chrome.storage.local.set({ [PROFILES_KEY]: next });
+  return saved;
+}
+
+/**
+ * Delete a user profile and every assignment to it.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteProfile(id) {
+  const data = await chrome.storage.local.get([PROFILES_KEY, ASSIGNMENTS_KEY]);
+  const profiles = (data[PROFILES_KEY] || []).filter(p => p.id !== id);
+  const assignments = normalizeAssignments(data[ASSIGNMENTS_KEY]);
+  for (const scope of Object.values(assignments)) {
+    for (const [key, profileId] of Object.entries(scope)) {
+      if (profileId === id) delete scope[key];
+    }
+  }
+  await chrome.storage.local.set({ [PROFILES_KEY]: profiles, [ASSIGNMENTS_KEY]: assignments });
+}
+
+/**
+ * Check a profile's extra fields: keys must be identifiers, unique, and not
+ * clash with the standard summary fields.
+ * @param {Array<{key: string, label: string, type: string, description: string}>} fields
+ * @returns {Array<Object>} The cleaned fields
+ */
+export function validateProfileFields(fields) {
+  const seen = new Set();
+  return fields.map(field => {
+    const key = (field.key || '').trim();
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(key)) {
+      throw new Error(`Field key "${key}" must start with a letter and use only letters, digits and _`);
+    }
+    if (RESERVED_FIELD_KEYS.has(key)) {
+      throw new Error(`Field key "${key}" is already a standard summary field`);
+    }
+    if (seen.has(key)) throw new Error(`Field key "${key}" is used twice`);
+    seen.add(key);
+    return {
+      key,
+      label: (field.label || '').trim() || key,
+      type: field.type === 'list' ? 'list' : 'text',
+      description: (field.description || '').trim(),
+    };
+  });
+}
+
+/**
+ * The profile's extra fields in the summary schema format
+ * (lib/summary-schema.js).
+ * @param {Object} profile
+ * @returns {Object<string, Object>}
+ */
+export function profileSchemaFields(profile) {
+  return Object.fromEntries((profile.fields || []).map(field => {
+    const description = field.description || field.label;
+    return [field.key, field.type === 'list'
+      ? { type: 'string[]', example: [description] }
+      : { type: 'string', example: description }];
+  }));
+}
+
+/**
+ * Identify a profile and its version, e.g. `meeting@1`.
+ * @param {Object} profile
+ * @returns {string}
+ */
+export function profileVersionTag(profile) {
+  return `${profile.id}@${profile.version}`;
+}
+
+// ---------------------------------------------------------------------------
+// Assignments
+// ---------------------------------------------------------------------------
+
+function normalizeAssignments(raw) {
+  return {
+    conversations: { ...(raw?.conversations || {}) },
+    topics: { ...(raw?.topics || {}) },
+    sources: { ...(raw?.sources || {}) },
+  };
+}
+
+/**
+ * Get the profile assignments.
+ * @returns {Promise<{conversations: Object<string, string>, topics: Object<string, string>, sources: Object<string, string>}>}
+ */
+export async function getProfileAssignments() {
+  const data = await chrome.storage.local.get(ASSIGNMENTS_KEY);
+  return normalizeAssignments(data[ASSIGNMENTS_KEY]);
+}
+
+/**
+ * Assign a profile to a conversation, topic or source; a null profile id
+ * removes the assignment.
+ * @param {'conversations'|'topics'|'sources'} scope
+ * @param {string} key - Conversation id, topic id or source name
+ * @param {string|null} profileId
+ * @returns {Promise<void>}
+ */
+export async function assignProfile(scope, key, profileId) {
+  const assignments = await getProfileAssignments();
+  if (profileId) assignments[scope][key] = profileId;
+  else delete assignments[scope][key];
+  await chrome.storage.local.set({ [ASSIGNMENTS_KEY]: assignments });
+}
+
+/**
+ * Decide which profile summarizes a conversation: its own assignment, then
+ * its topic's, then its source's, then the general profile.
+ *
+ * @param {Object} conversation
+ * @param {string|null} [topicId] - The topic its summary is (or will be) filed under
+ * @returns {Promise<{profile: Object, assignedBy: 'conversation'|'topic'|'source'|'default'}>}
+ */
+export async function resolveProfile(conversation, topicId = null) {
+  const [assignments, profiles] = await Promise.all([getProfileAssignments(), getProfiles()]);
+  const candidates = [
+    ['conversation', assignments.conversations[conversation.id]],
+    ['topic', topicId && assignments.topics[topicId]],
+    ['source', assignments.sources[conversation.source]],
+  ];
+  for (const [assignedBy, profileId] of candidates) {
+    const profile = profileId && profiles.find(p => p.id === profileId);
+    if (profile) return { profile, assignedBy };
+  }
+  return { profile: BUILT_IN_PROFILES[0], assignedBy: 'default' };
+}
+
+export { DEFAULT_PROFILE_ID };
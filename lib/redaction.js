@@ -0,0 +1,443 @@
+/**
+ * @fileoverview Secret and personal data redaction
+ *
+ * Conversations often contain API keys, tokens, email addresses and
+ * internal hostnames. Matching values are replaced with a marker naming
+ * what was there, e.g. `[REDACTED:email]`, which the side panel shows as a
+ * redaction. What is matched:
+ *
+ * - built-in detectors (DETECTORS): cloud and API keys, JSON Web Tokens,
+ *   private keys, email addresses, phone numbers and IP addresses, each of
+ *   which can be turned off
+ * - custom patterns: regular expressions the user adds, e.g. for internal
+ *   hostnames, marked with the pattern's name
+ *
+ * Values on the allowlist are never redacted, for false positives such as
+ * a version number read as an IP address.
+ *
+ * Phone numbers and IP addresses are only looked for in prose: code blocks,
+ * inline code and code parts are full of dotted numbers and digit runs, so
+ * those detectors leave them alone (keys and tokens are still masked
+ * there). A phone number also needs a country code, an area code in
+ * brackets or a word such as "call" before it, and a dotted number after
+ * "version" or "build" is not taken for an address.
+ *
+ * The mode decides where redaction happens:
+ *
+ * - `egress` — conversations are stored as captured; what is sent to AI
+ *   providers (lib/ai-router.js: completions and provider embeddings) is
+ *   redacted on the way out
+ * - `capture` — captured and imported messages are redacted before they
+ *   are stored (lib/capture.js, lib/identity.js), and requests to
+ *   providers still are, for earlier captures and imports
+ * - `off` — nothing is redacted
+ *
+ * A message redacted before storage keeps the hash of its original content
+ * in `metadata.sourceHash`, so it is still recognized when captured or
+ * imported again (lib/branches.js), and its redaction counts in
+ * `metadata.redacted`.
+ *
+ * @module lib/redaction
+ */
+
+import { generateId } from './utils.js';
+import { messageHash } from './branches.js';
+import { isCodeArtifact } from './message-parts.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const SETTINGS_KEY = 'redactionSettings';
+
+/** Words that make a bare digit group a phone number, just before it. */
+const PHONE_CONTEXT_RE = /\b(?:phone|tel|telephone|call|mobile|cell|fax|whatsapp|sms|text me|dial|contact)\b[\s:.#-]*(?:(?:at|on|is|me|us|number|no)\b[\s:.#-]*)*$/i;
+
+/** Words after which a dotted number is a version, not an address. */
+const VERSION_CONTEXT_RE = /\b(?:v|version|ver|release|build)\s*$/i;
+
+/** Fenced code blocks and inline code in markdown. */
+const MARKDOWN_CODE_RE = /```[\s\S]*?(?:```|$)|`[^`\n]+`/g;
+
+/** Where redaction happens; see the module comment. */
+export const REDACTION_MODES = ['off', 'egress', 'capture'];
+
+/**
+ * Built-in detectors, in the order they are applied. `kind` names the
+ * value in its marker. Where matches overlap, the earlier detector wins.
+ * `prose` detectors skip code; `skip(value, before)` drops a match given
+ * the text just before it.
+ */
+export const DETECTORS = {
+  privateKey: {
+    label: 'Private keys',
+    kind: 'private-key',
+    pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z0-9 ]*PRIVATE KEY-----/g,
+  },
+  jwt: {
+    label: 'JSON Web Tokens',
+    kind: 'jwt',
+    pattern: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/g,
+  },
+  cloudKey: {
+    label: 'Cloud and API keys',
+    kind: 'api-key',
+    pattern: new RegExp([
+      /\b(?:AKIA|ASIA|AGPA|AIDA|AROA)[A-Z0-9]{16}\b/.source, // AWS access key id
+      /(?<=aws_secret_access_key["']?\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}/.source, // AWS secret key
+      /\bAIza[\w-]{35}\b/.source, // Google API key
+      /\bsk-(?:ant-|proj-)?[\w-]{20,}/.source, // OpenAI, Anthropic
+      /\bgh[pousr]_[A-Za-z0-9]{36,}\b|\bgithub_pat_\w{22,}/.source, // GitHub
+      /\bxox[abposr]-[\w-]{10,}/.source, // Slack
+      /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}/.source, // Stripe
+      /\bAccountKey=[A-Za-z0-9+/=]{40,}/.source, // Azure storage
+    ].join('|'), 'g'),
+  },
+  email: {
+    label: 'Email addresses',
+    kind: 'email',
+    pattern: /\b[\w.%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+  },
+  ip: {
+    label: 'IP addresses',
+    kind: 'ip',
+    pattern: /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?!\w|\.\d)|(?<![\w:])(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}(?![\w:])/g,
+    prose: true,
+    // Loopback and unspecified addresses say nothing about anyone
+    skip: (value, before) => /^(?:127\.|0\.0\.0\.0$)/.test(value) || VERSION_CONTEXT_RE.test(before),
+  },
+  phone: {
+    label: 'Phone numbers',
+    kind: 'phone',
+    pattern: /(?<![\w+.-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]\d{3,4}(?![\w-]|\.\d)/g,
+    prose: true,
+    skip: (value, before) => !/^[+(]/.test(value) && !PHONE_CONTEXT_RE.test(before),
+  },
+};
+
+/**
+ * mode: see REDACTION_MODES.
+ * detectors: detector key -> enabled.
+ * customPatterns: [{id, name, pattern}], patterns as regular expression source.
+ * allowlist: values never redacted, compared ignoring case.
+ */
+const DEFAULT_SETTINGS = {
+  mode: 'egress',
+  detectors: Object.fromEntries(Object.keys(DETECTORS).map(key => [key, true])),
+  customPatterns: [],
+  allowlist: [],
+};
+
+/** Matches the marker a redacted value is replaced with. */
+export const REDACTION_MARKER_RE = /\[REDACTED:([\w.-]+)\]/g;
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the redaction settings.
+ * @returns {Promise<{mode: string, detectors: Object<string, boolean>, customPatterns: Array<Object>, allowlist: string[]}>}
+ */
+export async function getRedactionSettings() {
+  const data = await chrome.storage.local.get(SETTINGS_KEY);
+  const stored = data[SETTINGS_KEY] || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    detectors: { ...DEFAULT_SETTINGS.detectors, ...(stored.detectors || {}) },
+  };
+}
+
+/**
+ * Check a custom pattern and give it an id.
+ * @param {{id?: string, name: string, pattern: string}} custom
+ * @returns {{id: string, name: string, pattern: string}}
+ * @throws {Error} When the name is missing or the pattern is not a valid regular expression
+ */
+export function normalizeCustomPattern(custom) {
+  const name = String(custom?.name || '').trim();
+  const pattern = String(custom?.pattern || '').trim();
+  if (!name) throw new Error('Give the pattern a name.');
+  if (!pattern) throw new Error('Enter a regular expression.');
+  let regex;
+  try {
+    regex = new RegExp(pattern, 'gi');
+  } catch (err) {
+    throw new Error(`Invalid pattern: ${err.message}`);
+  }
+  if (regex.test('')) throw new Error('The pattern matches empty text.');
+  return { id: custom.id || generateId(), name, pattern };
+}
+
+/**
+ * Save redaction settings (merged into the current ones).
+ * @param {Object} changes
+ * @returns {Promise<Object>} The saved settings
+ * @throws {Error} When a custom pattern is invalid
+ */
+export async function saveRedactionSettings(changes) {
+  const current = await getRedactionSettings();
+  const settings = {
+    ...current,
+    ...changes,
+    detectors: { ...current.detectors, ...(changes.detectors || {}) },
+  };
+  if (!REDACTION_MODES.includes(settings.mode)) settings.mode = DEFAULT_SETTINGS.mode;
+  settings.customPatterns = (settings.customPatterns || []).map(normalizeCustomPattern);
+  settings.allowlist = [...new Set((settings.allowlist || []).map(v => String(v).trim()).filter(Boolean))];
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+/** Marker kind for a custom pattern: its name, lower case and dashed. */
+function customKind(name) {
+  return name.toLowerCase().replace(/[^\w.]+/g, '-').replace(/^-+|-+$/g, '') || 'custom';
+}
+
+/**
+ * Compile settings into the rules redaction runs.
+ * @param {Object} settings - From getRedactionSettings()
+ * @returns {{rules: Array<{kind: string, label: string, pattern: RegExp, prose?: boolean, skip?: function}>, allowlist: Set<string>}}
+ */
+export function compileRedaction(settings) {
+  const rules = Object.entries(DETECTORS)
+    .filter(([key]) => settings.detectors?.[key] !== false)
+    .map(([, detector]) => ({ ...detector, pattern: new RegExp(detector.pattern.source, detector.pattern.flags) }));
+
+  for (const custom of settings.customPatterns || []) {
+    try {
+      rules.push({ kind: customKind(custom.name), label: custom.name, pattern: new RegExp(custom.pattern, 'gi') });
+    } catch {
+      // Validated on save; a stored pattern that no longer compiles is skipped
+    }
+  }
+
+  return { rules, allowlist: new Set((settings.allowlist || []).map(v => String(v).trim().toLowerCase())) };
+}
+
+/**
+ * The compiled rules if the current mode redacts at `stage`, else null.
+ * @param {'capture'|'egress'} stage
+ * @returns {Promise<Object|null>} From compileRedaction()
+ */
+export async function getRedactor(stage) {
+  const settings = await getRedactionSettings();
+  const active = stage === 'capture' ? settings.mode === 'capture' : settings.mode !== 'off';
+  return active ? compileRedaction(settings) : null;
+}
+
+/**
+ * A readable name for a marker kind, e.g. 'email' -> 'Email addresses'.
+ * @param {string} kind
+ * @param {Object} [redactor] - Compiled rules, for custom pattern names
+ * @returns {string}
+ */
+export function describeKind(kind, redactor) {
+  const rule = [...Object.values(DETECTORS), ...(redactor?.rules || [])].find(r => r.kind === kind);
+  return rule ? rule.label : kind;
+}
+
+// ---------------------------------------------------------------------------
+// Redaction
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the values to redact in a text. Markers already in it, and values on
+ * the allowlist, are left alone, and so is code for the prose detectors:
+ * markdown code in the text, or all of it when it is code.
+ *
+ * @param {string} text
+ * @param {Object} redactor - From compileRedaction()
+ * @param {Object} [options]
+ * @param {boolean} [options.code=false] - The text is code, e.g. a code part
+ * @returns {Array<{start: number, end: number, kind: string}>} In order, not overlapping
+ */
+export function findRedactions(text, redactor, { code = false } = {}) {
+  const source = String(text || '');
+  if (!redactor || !source) return [];
+  const taken = [...source.matchAll(REDACTION_MARKER_RE)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+  const codeRanges = code ? [] : [...source.matchAll(MARKDOWN_CODE_RE)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+  const found = [];
+
+  redactor.rules.forEach((rule, order) => {
+    if (rule.prose && code) return;
+    rule.pattern.lastIndex = 0;
+    for (const match of source.matchAll(rule.pattern)) {
+      const value = match[0];
+      const start = match.index;
+      const end = start + value.length;
+      if (!value || redactor.allowlist.has(value.trim().toLowerCase())) continue;
+      if (rule.skip?.(value, source.slice(Math.max(0, start - 40), start))) continue;
+      if (rule.prose && codeRanges.some(r => start < r.end && r.start < end)) continue;
+      found.push({ start, end, kind: rule.kind, order });
+    }
+  });
+
+  found.sort((a, b) => a.start - b.start || a.order - b.order);
+  const result = [];
+  for (const range of found) {
+    const overlaps = (r) => range.start < r.end && r.start < range.end;
+    if (taken.some(overlaps) || result.some(overlaps)) continue;
+    result.push({ start: range.start, end: range.end, kind: range.kind });
+  }
+  return result.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The marker a redacted value is replaced with.
+ * @param {string} kind
+ * @returns {string}
+ */
+export function redactionMarker(kind) {
+  return `[REDACTED:${kind}]`;
+}
+
+/**
+ * Add up redaction counts ({kind: count}).
+ * @param {...(Object|null)} counts
+ * @returns {Object}
+ */
+export function addCounts(...counts) {
+  const total = {};
+  for (const entry of counts) {
+    for (const [kind, n] of Object.entries(entry || {})) total[kind] = (total[kind] || 0) + n;
+  }
+  return total;
+}
+
+/**
+ * The number of values redacted, from counts.
+ * @param {Object|null} counts
+ * @returns {number}
+ */
+export function countRedactions(counts) {
+  return Object.values(counts || {}).reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * Replace the values to redact in a text with markers.
+ * @param {string} text
+ * @param {Object} redactor - From compileRedaction()
+ * @param {Object} [options] - As for findRedactions()
+ * @returns {{text: string, counts: Object}} Counts per marker kind
+ */
+export function redactText(text, redactor, options) {
+  const source = String(text ?? '');
+  const ranges = findRedactions(source, redactor, options);
+  if (ranges.length === 0) return { text: source, counts: {} };
+
+  let out = '';
+  let last = 0;
+  const counts = {};
+  for (const { start, end, kind } of ranges) {
+    out += source.slice(last, start) + redactionMarker(kind);
+    counts[kind] = (counts[kind] || 0) + 1;
+    last = end;
+  }
+  return { text: out + source.slice(last), counts };
+}
+
+/**
+ * Redact the text fields of message parts (lib/message-parts.js).
+ * @param {Array<Object>} parts
+ * @param {Object} redactor - From compileRedaction()
+ * @returns {{parts: Array<Object>, counts: Object}}
+ */
+export function redactParts(parts, redactor) {
+  let counts = {};
+  const redact = (value, options) => {
+    const result = redactText(value, redactor, options);
+    counts = addCounts(counts, result.counts);
+    return result.text;
+  };
+
+  const redacted = parts.map(part => {
+    switch (part.type) {
+      case 'text':
+        return { ...part, text: redact(part.text) };
+      case 'code':
+        return { ...part, code: redact(part.code, { code: true }) };
+      case 'table':
+        return { ...part, rows: part.rows.map(row => row.map(cell => redact(cell))) };
+      case 'artifact':
+        return { ...part, title: redact(part.title), content: redact(part.content, { code: isCodeArtifact(part) }) };
+      case 'attachment':
+        return { ...part, name: redact(part.name) };
+      default:
+        return part;
+    }
+  });
+  return { parts: redacted, counts };
+}
+
+/**
+ * Redact a stored-form message (content and parts) before it is stored.
+ * A message with something to mask is copied with the hash of its original
+ * content in `metadata.sourceHash` and its counts in `metadata.redacted`;
+ * others, and messages already redacted, are returned as they are.
+ *
+ * @param {Object} message
+ * @param {Object} redactor - From compileRedaction()
+ * @returns {Object}
+ */
+export function redactMessage(message, redactor) {
+  if (message.metadata?.sourceHash) return message;
+  const text = redactText(message.content, redactor);
+  const parts = Array.isArray(message.parts) ? redactParts(message.parts, redactor) : null;
+  if (countRedactions(text.counts) === 0 && countRedactions(parts?.counts) === 0) return message;
+  return {
+    ...message,
+    content: text.text,
+    ...(parts ? { parts: parts.parts } : {}),
+    metadata: {
+      ...(message.metadata || {}),
+      sourceHash: messageHash(message.role, message.content),
+      redacted: countRedactions(parts?.counts) > 0 ? parts.counts : text.counts,
+    },
+  };
+}
+
+/**
+ * Redact texts on their way to an AI provider, if the current mode
+ * redacts there. Anything that is not a string is passed through.
+ *
+ * @param {Array<*>} texts
+ * @returns {Promise<{texts: Array<*>, counts: Object}>}
+ */
+export async function redactForEgress(texts) {
+  const redactor = await getRedactor('egress');
+  if (!redactor) return { texts, counts: {} };
+  let counts = {};
+  const redacted = texts.map(text => {
+    if (typeof text !== 'string') return text;
+    const result = redactText(text, redactor);
+    counts = addCounts(counts, result.counts);
+    return result.text;
+  });
+  return { texts: redacted, counts };
+}
+
+/**
+ * Messages as AI providers see them, if the current mode redacts on
+ * egress: messages with something to mask are copied with their content
+ * redacted, and without their parts, which are read back from it. For
+ * checking a model's quotes against what it was shown.
+ *
+ * @param {Array<Object>} messages
+ * @returns {Promise<Array<Object>>}
+ */
+export async function egressView(messages) {
+  const redactor = await getRedactor('egress');
+  if (!redactor) return messages;
+  return messages.map(m => {
+    const { text, counts } = redactText(m.content, redactor);
+    if (countRedactions(counts) === 0) return m;
+    const { parts, ...rest } = m;
+    return { ...rest, content: text };
+  });
+}
@@ -1,5 +1,7 @@
-import { dbGetAll, dbGet, dbGetByIndex } from './db.js';
-import { isModelLoaded, embed, cosineSimilarity } from './embeddings.js';
+import { dbGetAll, dbGet, dbGetByIndex, dbGetMany } from './db.js';
+import { isModelLoaded, embed, getActiveModelId } from './embeddings.js';
+import { searchIndex, exactSearch, getIndexedRefs } from './vector-index.js';
+import { buildAliasIndex, findMentionedEntities } from './entities.js';
 
 /**
  * Common English stopwords to exclude from tokenization.
@@ -37,12 +39,31 @@ const WEIGHTS = {
   TITLE_MATCH: 2.0,
   INSIGHT_MATCH: 1.5,
   DECISION_MATCH: 1.2,
+  ENTITY_MATCH: 1.5,
+  ENTITY_MATCH_CAP: 3,
   SUMMARY_MATCH: 0.5,
   RECENCY_MAX_BOOST: 0.3,
   USAGE_BOOST_PER_USE: 0.1,
-  USAGE_BOOST_CAP: 0.5
+  USAGE_BOOST_CAP: 0.5,
+  PASSAGE_MATCH: 1.0,
+  CONFIDENCE_FLOOR: 0.5
 };
 
+/** Summaries below this confidence are marked as such in the reason. */
+const LOW_CONFIDENCE = 0.5;
+
+/** Minimum cosine similarity for a passage to be returned at all. */
+const PASSAGE_MIN_SIMILARITY = 0.35;
+
+/**
+ * Nearest summaries/conversations taken from the ANN index per query.
+ * Embedded items outside this set score as if their similarity were zero.
+ */
+const ANN_CANDIDATES = 50;
+
+/** Nearest passages taken from the ANN index (several may share a conversation). */
+const ANN_PASSAGE_CANDIDATES = 30;
+
 /** Number of days over which recency decays to zero. */
 const RECENCY_DECAY_DAYS = 90;
 
@@ -165,6 +186,9 @@ function usageBoost(usageCount) {
 function buildReason(matchDetails) {
   const parts = [];
 
+  if (matchDetails.entityMatches?.length > 0) {
+    parts.push(`Entities: ${matchDetails.entityMatches.slice(0, 4).join(', ')}`);
+  }
   if (matchDetails.tagMatches.length > 0) {
     parts.push(`Matched tags: ${matchDetails.tagMatches.slice(0, 5).join(', ')}`);
   }
@@ -186,24 +210,137 @@ function buildReason(matchDetails) {
   if (matchDetails.hasEmbeddingScore) {
     parts.push('Semantic match');
   }
+  if (matchDetails.lowConfidence) {
+    parts.push('Low confidence');
+  }
 
   return parts.length > 0 ? parts.join(' | ') : 'General relevance';
 }
 
+/**
+ * Score multiplier for a summary's confidence: from CONFIDENCE_FLOOR at 0
+ * to 1 at full confidence. Unchecked summaries are not penalized.
+ * @param {number|null|undefined} confidence
+ * @returns {number}
+ */
+function confidenceFactor(confidence) {
+  if (confidence == null) return 1;
+  return WEIGHTS.CONFIDENCE_FLOOR + (1 - WEIGHTS.CONFIDENCE_FLOOR) * confidence;
+}
+
+/**
+ * Nearest embeddings of one type to the context vector.
+ * Asks the ANN index for the top-k; while the index isn't built, falls back
+ * to an exact scan over every embedding of the type. Only vectors from the
+ * model that embedded the context are considered.
+ * @param {string} type - 'summary' | 'conversation' | 'passage'
+ * @param {string} modelId - Model that produced the vector
+ * @param {number[]} vector
+ * @param {number} k
+ * @returns {Promise<{hits: Array<{id: string, ref: string, similarity: number, record?: Object}>, embeddedRefs: Set<string>}>}
+ */
+async function nearestEmbeddings(type, modelId, vector, k) {
+  const [hits, embeddedRefs] = await Promise.all([
+    searchIndex(type, modelId, vector, k),
+    getIndexedRefs(type, modelId)
+  ]);
+  if (hits && embeddedRefs) return { hits, embeddedRefs };
+
+  const allHits = await exactSearch(type, modelId, vector);
+  return { hits: allHits, embeddedRefs: new Set(allHits.map(h => h.ref)) };
+}
+
+/**
+ * Load the embedding records for passage hits that came from the ANN index.
+ * @param {Array<Object>} hits
+ * @returns {Promise<Array<{record: Object, similarity: number}>>}
+ */
+async function resolvePassageHits(hits) {
+  const missing = hits.filter(h => !h.record).map(h => h.id);
+  const loaded = new Map();
+  if (missing.length > 0) {
+    const records = await dbGetMany('embeddings', missing);
+    missing.forEach((id, i) => { if (records[i]) loaded.set(id, records[i]); });
+  }
+  return hits
+    .map(h => ({ record: h.record || loaded.get(h.id), similarity: h.similarity }))
+    .filter(h => h.record);
+}
+
+/**
+ * Score passage matches against the context.
+ * Returns at most maxPassages results, one per conversation, so a single long
+ * chat can't fill the list with neighbouring paragraphs.
+ * @param {Array<{record: Object, similarity: number}>} matches - Passage records with their similarity
+ * @param {Map<string, number>} contextTF
+ * @param {string[]} contextTokens
+ * @param {Object} lookups
+ * @returns {Array<Object>} Results with `type: 'passage'`
+ */
+function scorePassages(matches, contextTF, contextTokens, lookups) {
+  const { conversationMap, summaryByConversation, topicMap, minScore, maxPassages } = lookups;
+  const bestByConversation = new Map();
+
+  for (const { record: passage, similarity } of matches) {
+    const conv = conversationMap.get(passage.conversationId);
+    if (!conv) continue; // conversation deleted
+    if (similarity < PASSAGE_MIN_SIMILARITY) continue;
+
+    const keywordResult = overlapScore(contextTF, contextTokens, [passage.text || '']);
+    const totalScore = (similarity * 0.7) + (keywordResult.score * WEIGHTS.PASSAGE_MATCH * 0.3);
+    if (totalScore < minScore) continue;
+
+    const best = bestByConversation.get(conv.id);
+    if (best && best.totalScore >= totalScore) continue;
+    bestByConversation.set(conv.id, { passage, conv, totalScore });
+  }
+
+  return [...bestByConversation.values()]
+    .sort((a, b) => b.totalScore - a.totalScore)
+    .slice(0, maxPassages)
+    .map(({ passage, conv, totalScore }) => {
+      const summary = summaryByConversation.get(conv.id);
+      const topic = summary?.topicId ? (topicMap.get(summary.topicId) || null) : null;
+      const messageCount = (passage.messageIds || []).length;
+      return {
+        summary: {
+          id: conv.id,
+          title: conv.title,
+          createdAt: conv.createdAt,
+          source: conv.source,
+          messageCount: conv.messageCount,
+        },
+        topic,
+        score: Math.round(totalScore * 1000) / 1000,
+        reason: `Semantic match | ${messageCount === 1 ? '1 message' : `${messageCount} messages`}`,
+        type: 'passage',
+        passage: {
+          conversationId: conv.id,
+          messageIds: passage.messageIds || [],
+          text: passage.text,
+        },
+      };
+    });
+}
+
 /**
  * Find relevant knowledge for the given context text.
  * Searches all summaries in IndexedDB and scores them against the context
  * using a TF-IDF-like algorithm with tag, title, insight, and decision overlap,
- * plus recency and usage boosts.
+ * entities the context mentions (by any of their aliases), plus recency and
+ * usage boosts. When the embeddings model is loaded, the
+ * best-matching message passages are returned too (`type: 'passage'`), each
+ * with the conversation and message ids it was cut from.
  *
  * @param {string} contextText - The current conversation/user input on the AI site
  * @param {Object} [options={}]
  * @param {number} [options.maxResults=5] - Maximum number of results to return
  * @param {number} [options.minScore=0.1] - Minimum relevance score threshold
+ * @param {number} [options.maxPassages=3] - Maximum number of message passages among the results
  * @returns {Promise<Array<{summary: Object, topic: Object|null, score: number, reason: string}>>}
  */
 export async function findRelevantKnowledge(contextText, options = {}) {
-  const { maxResults = 5, minScore = 0.1 } = options;
+  const { maxResults = 5, minScore = 0.1, maxPassages = 3 } = options;
 
   if (!contextText || typeof contextText !== 'string' || contextText.trim().length === 0) {
     return [];
@@ -215,12 +352,13 @@ export async function findRelevantKnowledge(contextText, options = {}) {
   const contextTF = termFrequency(contextTokens);
 
   // Fetch all summaries, topics, and conversations
-  let summaries, topics, conversations;
+  let summaries, topics, conversations, entities;
   try {
-    [summaries, topics, conversations] = await Promise.all([
+    [summaries, topics, conversations, entities] = await Promise.all([
       dbGetAll('summaries'),
       dbGetAll('topics'),
-      dbGetAll('conversations')
+      dbGetAll('conversations'),
+      dbGetAll('entities')
     ]);
   } catch (err) {
     console.error('[AI Context Bridge] Failed to fetch data for relevance scoring:', err);
@@ -237,30 +375,36 @@ export async function findRelevantKnowledge(contextText, options = {}) {
     }
   }
 
+  // Entities named in the context, whichever alias it uses
+  const mentionedEntities = findMentionedEntities(contextText, buildAliasIndex(entities || []));
+
   // Check if embeddings are available for hybrid scoring
   const useEmbeddings = isModelLoaded();
   let contextVector = null;
-  let embeddingMap = new Map(); // summaryId -> vector
-  let convEmbeddingMap = new Map(); // conversationId -> vector
+  let summarySimilarity = new Map(); // summaryId -> similarity
+  let convSimilarity = new Map(); // conversationId -> similarity
+  let embeddedSummaryIds = new Set();
+  let embeddedConvIds = new Set();
+  let passageMatches = [];
 
   if (useEmbeddings) {
     try {
-      const [contextVectors] = await Promise.all([
-        embed([contextText]),
-        (async () => {
-          const allEmbeddings = await dbGetAll('embeddings');
-          for (const emb of allEmbeddings) {
-            if (emb.type === 'conversation' && emb.conversationId) {
-              convEmbeddingMap.set(emb.conversationId, emb.vector);
-            } else if (emb.summaryId) {
-              embeddingMap.set(emb.summaryId, emb.vector);
-            }
-          }
-        })()
+      const modelId = getActiveModelId();
+      [contextVector] = await embed([contextText]);
+      const candidates = Math.max(ANN_CANDIDATES, maxResults * 4);
+      const [summaryNearest, convNearest, passageNearest] = await Promise.all([
+        nearestEmbeddings('summary', modelId, contextVector, candidates),
+        nearestEmbeddings('conversation', modelId, contextVector, candidates),
+        nearestEmbeddings('passage', modelId, contextVector, Math.max(ANN_PASSAGE_CANDIDATES, maxPassages * 10))
       ]);
-      contextVector = contextVectors[0];
+      summarySimilarity = new Map(summaryNearest.hits.map(h => [h.ref, h.similarity]));
+      embeddedSummaryIds = summaryNearest.embeddedRefs;
+      convSimilarity = new Map(convNearest.hits.map(h => [h.ref, h.similarity]));
+      embeddedConvIds = convNearest.embeddedRefs;
+      passageMatches = await resolvePassageHits(passageNearest.hits);
     } catch {
       // Embeddings failed — fall back to keyword only
+      contextVector = null;
     }
   }
 
@@ -273,9 +417,11 @@ export async function findRelevantKnowledge(contextText, options = {}) {
       titleMatches: [],
       insightMatches: [],
       decisionMatches: [],
+      entityMatches: [],
       hasRecencyBoost: false,
       hasUsageBoost: false,
-      hasEmbeddingScore: false
+      hasEmbeddingScore: false,
+      lowConfidence: false
     };
 
     // 1. Tag overlap (strongest signal -- tags are curated metadata)
@@ -298,6 +444,11 @@ export async function findRelevantKnowledge(contextText, options = {}) {
     const decisionScore = decisionResult.score * WEIGHTS.DECISION_MATCH;
     matchDetails.decisionMatches = decisionResult.matched;
 
+    // 4b. Shared entities: "pg" in the context matches a summary about PostgreSQL
+    const linkedEntities = (summary.entities || []).filter(e => mentionedEntities.has(e.id));
+    const entityScore = Math.min(linkedEntities.length, WEIGHTS.ENTITY_MATCH_CAP) * WEIGHTS.ENTITY_MATCH;
+    matchDetails.entityMatches = linkedEntities.map(e => e.name);
+
     // 5. Summary body match (low weight to avoid noise from long text)
     const summaryTokens = tokenize(summary.summary || '');
     let summaryBodyScore = 0;
@@ -319,12 +470,12 @@ export async function findRelevantKnowledge(contextText, options = {}) {
     matchDetails.hasUsageBoost = usage > 0;
 
     // Combine keyword scores
-    const keywordScore = tagScore + titleScore + insightScore + decisionScore + summaryBodyScore;
+    const keywordScore = tagScore + titleScore + insightScore + decisionScore + entityScore + summaryBodyScore;
 
     // 8. Embedding similarity (hybrid scoring)
     let totalScore;
-    if (contextVector && embeddingMap.has(summary.id)) {
-      const embSimilarity = cosineSimilarity(contextVector, embeddingMap.get(summary.id));
+    if (contextVector && embeddedSummaryIds.has(summary.id)) {
+      const embSimilarity = summarySimilarity.get(summary.id) || 0;
       // Hybrid: 70% embedding, 30% keyword + boosts
       totalScore = (embSimilarity * 0.7) + (keywordScore * 0.3) + recency + usage;
       matchDetails.hasEmbeddingScore = true;
@@ -333,6 +484,11 @@ export async function findRelevantKnowledge(contextText, options = {}) {
       totalScore = keywordScore + recency + usage;
     }
 
+    // 9. Hallucination check (lib/grounding.js): a summary whose claims are
+    // poorly supported by its conversation ranks lower
+    totalScore *= confidenceFactor(summary.confidence);
+    matchDetails.lowConfidence = summary.confidence != null && summary.confidence < LOW_CONFIDENCE;
+
     if (totalScore >= minScore) {
       const topic = summary.topicId ? (topicMap.get(summary.topicId) || null) : null;
 
@@ -360,10 +516,10 @@ export async function findRelevantKnowledge(contextText, options = {}) {
       const recency = recencyBoost(conv.updatedAt || conv.createdAt);
 
       let totalScore;
-      const hasEmbeddingScore = contextVector && convEmbeddingMap.has(conv.id);
+      const hasEmbeddingScore = contextVector && embeddedConvIds.has(conv.id);
 
       if (hasEmbeddingScore) {
-        const embSimilarity = cosineSimilarity(contextVector, convEmbeddingMap.get(conv.id));
+        const embSimilarity = convSimilarity.get(conv.id) || 0;
         totalScore = (embSimilarity * 0.7) + (titleScore * 0.3) + recency;
       } else {
         totalScore = titleScore + recency;
@@ -393,6 +549,15 @@ export async function findRelevantKnowledge(contextText, options = {}) {
     }
   }
 
+  // Score message passages (semantic only — they have no curated metadata)
+  if (contextVector && passageMatches.length > 0) {
+    const conversationMap = new Map((conversations || []).map(c => [c.id, c]));
+    const summaryByConversation = new Map((summaries || []).map(s => [s.conversationId, s]));
+    scored.push(...scorePassages(passageMatches, contextTF, contextTokens, {
+      conversationMap, summaryByConversation, topicMap, minScore, maxPassages
+    }));
+  }
+
   // Sort by score descending, then by recency for tie-breaking
   scored.sort((a, b) => {
     if (Math.abs(a.score - b.score) < 0.001) {
@@ -407,6 +572,52 @@ export async function findRelevantKnowledge(contextText, options = {}) {
   return scored.slice(0, maxResults);
 }
 
+/**
+ * Find the message passages most relevant to the context text.
+ * Used by the inject panel, which scores summaries locally but has no
+ * embeddings model of its own. Returns [] when the model isn't loaded.
+ *
+ * @param {string} contextText
+ * @param {Object} [options={}]
+ * @param {number} [options.maxResults=3]
+ * @param {number} [options.minScore=0.1]
+ * @returns {Promise<Array<Object>>} Results with `type: 'passage'`
+ */
+export async function findRelevantPassages(contextText, options = {}) {
+  const { maxResults = 3, minScore = 0.1 } = options;
+
+  if (!isModelLoaded() || !contextText || typeof contextText !== 'string' || !contextText.trim()) {
+    return [];
+  }
+
+  const contextTokens = tokenize(contextText);
+  const contextTF = termFrequency(contextTokens);
+
+  try {
+    const modelId = getActiveModelId();
+    const [contextVector] = await embed([contextText]);
+    const nearest = await nearestEmbeddings('passage', modelId, contextVector, Math.max(ANN_PASSAGE_CANDIDATES, maxResults * 10));
+    const matches = await resolvePassageHits(nearest.hits);
+    if (matches.length === 0) return [];
+
+    const [conversations, summaries, topics] = await Promise.all([
+      dbGetAll('conversations'),
+      dbGetAll('summaries'),
+      dbGetAll('topics')
+    ]);
+    return scorePassages(matches, contextTF, contextTokens, {
+      conversationMap: new Map(conversations.map(c => [c.id, c])),
+      summaryByConversation: new Map(summaries.map(s => [s.conversationId, s])),
+      topicMap: new Map(topics.map(t => [t.id, t])),
+      minScore,
+      maxPassages: maxResults
+    });
+  } catch (err) {
+    console.warn('[AI Context Bridge] Passage retrieval failed:', err.message);
+    return [];
+  }
+}
+
 /**
  * Search knowledge base by a manual query string.
  * Similar to findRelevantKnowledge but with lower minimum score threshold
@@ -1,58 +1,124 @@
 import { estimateTokens, generateId } from './utils.js';
 import { complete } from './ai-router.js';
+import { schemaPrompt, checkSummaryResponse, SUMMARY_FIELDS } from './summary-schema.js';
+import { getProfile, profileSchemaFields, profileVersionTag, DEFAULT_PROFILE_ID } from './profiles.js';
+import { numberMessages, resolveCitations, citationsForPrompt } from './citations.js';
+import { messageParts, messageMarkdown } from './message-parts.js';
+import { egressView, addCounts } from './redaction.js';
 
 const MAX_CONTEXT_TOKENS = 12000;
 
-export async function summarizeConversation(conversation, options = {}) {
-  const injectionContext = options.injectionContext || null;
+/** Token budget for conversation text in a single request (leaves room for prompt + output). */
+const CHUNK_TOKEN_BUDGET = MAX_CONTEXT_TOKENS - 2000;
 
-  const truncatedMessages = truncateToTokenBudget(conversation.messages, MAX_CONTEXT_TOKENS - 2000);
+/** Max number of partial summaries merged in a single reduce request. */
+const REDUCE_FAN_IN = 4;
 
-  const conversationText = truncatedMessages.map(m => {
-    const label = m.role === 'user' ? 'User' : 'Assistant';
-    return `**${label}:**\n${m.content}`;
-  }).join('\n\n---\n\n');
+/** Max characters of a malformed response quoted back in a repair prompt. */
+const REPAIR_MAX_CHARS = 12000;
 
-  const systemPrompt = `You are a knowledge extraction assistant. Analyze the following AI conversation and produce a structured summary. Output valid JSON matching this exact schema:
+/**
+ * Build the prompts for a summary profile (lib/profiles.js). The schema is
+ * the standard summary fields plus the profile's own, and the profile's
+ * instructions follow the standard guidance in every prompt.
+ */
+function buildPrompts(profile) {
+  const fields = { ...SUMMARY_FIELDS, ...profileSchemaFields(profile) };
+  const schema = schemaPrompt(fields);
+  const extra = profile.instructions ? `\n\n${profile.instructions}` : '';
 
-{
-  "title": "A concise descriptive title (max 80 chars)",
-  "summary": "2-3 paragraph summary of what was discussed, what was accomplished, and key outcomes",
-  "keyInsights": ["Array of 3-7 key insights, takeaways, or lessons learned"],
-  "decisions": ["Array of decisions made or conclusions reached, if any"],
-  "codeSnippets": [{"language": "lang", "code": "code here", "description": "what this code does"}],
-  "tags": ["Array of 5-15 lowercase topic tags for categorization"],
-  "suggestedTopicName": "A broad topic category this conversation belongs to (e.g., 'React Development', 'Database Design', 'API Architecture')"
-}
+  return {
+    fields,
 
-Focus on extracting actionable knowledge. Tags should be specific enough to be useful for filtering. If code snippets are discussed, extract the most important ones. If no code is present, return an empty array for codeSnippets. If no decisions were made, return an empty array for decisions.`;
+    summary: `You are a knowledge extraction assistant. Analyze the following AI conversation and produce a structured summary. Output valid JSON matching this exact schema:
 
-  let userContent = `Analyze this conversation titled "${conversation.title}" from ${conversation.source}:\n\n${conversationText}`;
+${schema}
 
-  if (injectionContext && injectionContext.length > 0) {
-    const parentNames = injectionContext.map(c => c.title || c.summaryId).join(', ');
-    userContent += `\n\n---\nNote: This conversation was informed by previously captured knowledge: ${parentNames}. The summary should acknowledge any continuation or expansion of those topics.`;
-  }
+Focus on extracting actionable knowledge. Tags should be specific enough to be useful for filtering. If code snippets are discussed, extract the most important ones. Code blocks and artifacts in the conversation are fenced with their language; keep that language for code snippets. If no code is present, return an empty array for codeSnippets. If no decisions were made, return an empty array for decisions. List only action items and open questions that are still outstanding at the end of the conversation; return empty arrays if there are none. Name each entity once, as it is usually written, with any version in the version field rather than the name. In citations, list each key insight, decision and code snippet with the numbers of the messages ([#n]) that support it and a short passage copied word for word from one of them.${extra}`,
 
-  const messages = [
-    { role: 'system', content: systemPrompt },
-    { role: 'user', content: userContent }
-  ];
+    chunk: `You are a knowledge extraction assistant. You will receive one part of a longer AI conversation that is being summarized in several parts. Summarize only this part and produce a structured summary. Output valid JSON matching this exact schema:
 
-  const result = await complete(messages, {
-    temperature: 0.3,
-    maxTokens: 2000,
-    jsonMode: true,
-    model: options.model,
-  });
+${schema}
+
+Focus on extracting actionable knowledge. Keep problems that are still open at the end of this part, and note when this part resolves something raised earlier. Code blocks and artifacts in the conversation are fenced with their language; keep that language for code snippets. If no code is present, return an empty array for codeSnippets. If no decisions were made, return an empty array for decisions. List only action items and open questions that are still outstanding at the end of this part; return empty arrays if there are none. Name each entity once, as it is usually written, with any version in the version field rather than the name. In citations, list each key insight, decision and code snippet with the numbers of the messages ([#n]) that support it and a short passage copied word for word from one of them.${extra}`,
+
+    reduce: `You are a knowledge extraction assistant. You will receive partial summaries of consecutive parts of one long AI conversation, in order. Merge them into a single structured summary of the whole conversation. Output valid JSON matching this exact schema:
+
+${schema}
+
+Later parts take precedence: if a later part resolves, revises or reverses something from an earlier part, the merged summary must reflect the final outcome. Deduplicate insights, decisions and tags. Keep the most important code snippets. If no decisions were made, return an empty array for decisions. List only action items and open questions that are still outstanding at the end of the conversation; return empty arrays if there are none. Name each entity once, as it is usually written, with any version in the version field rather than the name. Keep the citations of the partial summaries for the points you keep.${extra}`,
+
+    revise: `You are a knowledge extraction assistant. You will receive the existing structured summary of an AI conversation, followed by new messages that were added to the conversation after it was summarized. Revise the summary so it covers the whole conversation. Output valid JSON matching this exact schema:
+
+${schema}
+
+Keep everything from the existing summary that is still accurate. Add what the new messages contribute, and update or remove earlier points that the new messages resolve, revise or reverse. Keep the same suggestedTopicName unless it is clearly wrong. Deduplicate insights, decisions and tags. Drop action items that the new messages complete and open questions they answer. Keep the entities of the existing summary and add any the new messages bring in. Keep the citations of the existing summary for the points you keep, and cite new points by the numbers of the new messages ([#n]) with a short passage copied word for word from one of them.${extra}`,
+
+    repair: `You fix malformed structured summaries. You will receive a response that should have been JSON matching the schema below, and the problems found in it. Output only the corrected JSON, matching this exact schema:
+
+${schema}
+
+Keep the content of the response. Change only what is needed to fix the listed problems. If a required field is missing, write it from the rest of the response.`,
+  };
+}
+
+/**
+ * The profile's fields as stored on a summary: self-describing, so the
+ * side panel and injection can show them without looking up the profile.
+ */
+function profileFieldValues(profile, parsed) {
+  return (profile.fields || [])
+    .map(field => ({ key: field.key, label: field.label, type: field.type, value: parsed[field.key] }))
+    .filter(field => (Array.isArray(field.value) ? field.value.length > 0 : !!field.value));
+}
+
+/**
+ * Summarize a conversation, in chunks when it exceeds one request. Only
+ * the active path (`messages`, see lib/branches.js) is summarized; other
+ * branches of the conversation are left out.
+ *
+ * Every response is validated against the summary schema
+ * (lib/summary-schema.js) and repaired locally, or with one repair prompt
+ * when that is not enough. A response that still fails throws an error
+ * with code INVALID_SUMMARY and the remaining `problems`.
+ *
+ * @param {Object} conversation - Conversation record with messages
+ * @param {Object} [options={}]
+ * @param {Array<Object>} [options.injectionContext] - Summaries injected into the conversation
+ * @param {string} [options.model] - Override model
+ * @param {AbortSignal} [options.signal] - Cancels the in-flight request
+ * @param {boolean} [options.background] - Part of a batch run; held to the AI budget caps
+ * @param {Object} [options.profile] - Summary profile (lib/profiles.js); defaults to the general profile
+ * @param {function(string, {stage: string, part?: number, parts?: number}): void} [options.onText] -
+ *   Stream each response; called with the response text so far and which request it belongs to
+ * @returns {Promise<Object>} The summary record
+ */
+export async function summarizeConversation(conversation, options = {}) {
+  const injectionContext = options.injectionContext || null;
+  const profile = options.profile || await getProfile(DEFAULT_PROFILE_ID);
+  const prompts = buildPrompts(profile);
+  const chunks = chunkMessages(numberMessages(conversation.messages), CHUNK_TOKEN_BUDGET);
 
   let parsed;
-  try {
-    parsed = JSON.parse(result.content);
-  } catch (parseErr) {
-    throw new Error(`Failed to parse AI response as JSON: ${parseErr.message}`);
+  let usage;
+  if (chunks.length <= 1) {
+    const result = await summarizeText(
+      prompts,
+      prompts.summary,
+      buildUserContent(conversation, chunks[0]?.messages || [], injectionContext),
+      options,
+      { stage: 'summary' }
+    );
+    parsed = result.parsed;
+    usage = [result];
+  } else {
+    ({ parsed, usage } = await mapReduceSummarize(conversation, chunks, injectionContext, prompts, options));
   }
 
+  const last = usage[usage.length - 1];
+  // Quotes and code are checked against the messages as the model saw them
+  const sent = await egressView(conversation.messages);
+
   return {
     id: generateId(),
     conversationId: conversation.id,
@@ -61,16 +127,29 @@ Focus on extracting actionable knowledge. Tags should be specific enough to be u
     summary: parsed.summary || '',
     keyInsights: parsed.keyInsights || [],
     decisions: parsed.decisions || [],
-    codeSnippets: parsed.codeSnippets || [],
+    codeSnippets: withCodeLanguages(parsed.codeSnippets || [], sent),
+    actionItems: parsed.actionItems || [],
+    openQuestions: parsed.openQuestions || [],
+    entities: parsed.entities || [],
+    citations: resolveCitations(parsed, sent),
     tags: parsed.tags || [],
     suggestedTopicName: parsed.suggestedTopicName || 'General',
+    fields: profileFieldValues(profile, parsed),
     createdAt: new Date().toISOString(),
+    revision: 1,
     metadata: {
-      modelUsed: result.model,
-      providerUsed: result.providerType,
-      providerId: result.providerId,
-      tokensUsed: result.usage?.total_tokens || 0,
-      promptVersion: injectionContext ? 2 : 1,
+      modelUsed: last.model,
+      providerUsed: last.providerType,
+      providerId: last.providerId,
+      routing: last.routing || null,
+      tokensUsed: usage.reduce((sum, r) => sum + (r.usage?.total_tokens || 0), 0),
+      redactions: addCounts(...usage.map(r => r.redactions)),
+      validation: describeValidation(usage),
+      profileId: profile.id,
+      promptVersion: profileVersionTag(profile),
+      strategy: chunks.length > 1 ? 'map-reduce' : 'single',
+      chunks: chunks.map(describeChunk),
+      lastMessageId: lastMessageId(conversation.messages),
       derivedFrom: injectionContext
         ? injectionContext.map(c => ({ summaryId: c.summaryId, topicId: c.topicId }))
         : null,
@@ -78,22 +157,406 @@ Focus on extracting actionable knowledge. Tags should be specific enough to be u
   };
 }
 
-function truncateToTokenBudget(messages, maxTokens) {
-  let totalTokens = 0;
-  const result = [];
+/**
+ * Revise an existing summary with the messages added to its conversation
+ * since it was last summarized. The revision keeps the summary's id and
+ * topic and bumps its revision counter.
+ *
+ * Falls back to a full summarization (still keeping id and topic) when
+ * there are no new messages, so re-summarizing on request always produces
+ * a new revision, and when the last summarized message can no longer be
+ * located, e.g. for summaries created before message tracking existed, or
+ * when the conversation switched to a branch that leaves it out.
+ *
+ * A revision with a different profile than the summary was made with
+ * (`options.profile`) keeps the existing summary and fills in the new
+ * profile's fields from it and the new messages; with no new messages, the
+ * full rerun uses the new profile.
+ *
+ * @param {Object} conversation - Conversation record with messages
+ * @param {Object} summary - The existing summary of that conversation
+ * @param {Object} [options={}] - Same options as summarizeConversation
+ * @returns {Promise<Object>} The revised summary
+ */
+export async function updateSummary(conversation, summary, options = {}) {
+  const newMessages = getUnsummarizedMessages(conversation, summary);
 
-  for (const msg of messages) {
-    const msgTokens = estimateTokens(msg.content);
-    if (totalTokens + msgTokens > maxTokens) {
-      const remaining = maxTokens - totalTokens;
-      if (remaining > 100) {
-        result.push({ ...msg, content: msg.content.slice(0, remaining * 4) + '\n[... truncated]' });
+  if (newMessages === null || newMessages.length === 0) {
+    const fresh = await summarizeConversation(conversation, options);
+    return {
+      ...summary,
+      ...fresh,
+      id: summary.id,
+      topicId: summary.topicId,
+      suggestedTopicName: summary.suggestedTopicName || fresh.suggestedTopicName,
+      createdAt: summary.createdAt,
+      updatedAt: fresh.createdAt,
+      revision: (summary.revision || 1) + 1,
+    };
+  }
+
+  const profile = options.profile || await getProfile(DEFAULT_PROFILE_ID);
+  const prompts = buildPrompts(profile);
+
+  // Leave room in each request for the existing summary itself. New
+  // messages keep their numbers in the whole conversation, so citations
+  // carried over from the existing summary stay valid.
+  const firstNumber = conversation.messages.length - newMessages.length + 1;
+  const chunks = chunkMessages(numberMessages(newMessages, firstNumber), CHUNK_TOKEN_BUDGET - 2000);
+  const previousChunks = summary.metadata?.chunks || [];
+  let current = pickSummaryFields(summary);
+  const usage = [];
+
+  for (const chunk of chunks) {
+    const userContent = `Existing summary of the conversation titled "${conversation.title}" from ${conversation.source}:\n\n${JSON.stringify(current)}\n\n---\n\nNew messages:\n\n${formatMessages(chunk.messages)}`;
+    const result = await summarizeText(prompts, prompts.revise, userContent, options,
+      { stage: 'revise', part: chunk.index + 1, parts: chunks.length });
+    usage.push(result);
+    current = { ...current, ...result.parsed };
+  }
+
+  const last = usage[usage.length - 1];
+  const sent = await egressView(conversation.messages);
+
+  return {
+    ...summary,
+    title: current.title || summary.title,
+    summary: current.summary || '',
+    keyInsights: current.keyInsights || [],
+    decisions: current.decisions || [],
+    codeSnippets: withCodeLanguages(current.codeSnippets || [], sent),
+    actionItems: current.actionItems || [],
+    openQuestions: current.openQuestions || [],
+    entities: current.entities || [],
+    citations: resolveCitations(current, sent),
+    tags: current.tags || [],
+    suggestedTopicName: summary.suggestedTopicName || current.suggestedTopicName || 'General',
+    fields: profileFieldValues(profile, current),
+    updatedAt: new Date().toISOString(),
+    revision: (summary.revision || 1) + 1,
+    metadata: {
+      ...summary.metadata,
+      modelUsed: last.model,
+      providerUsed: last.providerType,
+      providerId: last.providerId,
+      routing: last.routing || null,
+      tokensUsed: (summary.metadata?.tokensUsed || 0) +
+        usage.reduce((sum, r) => sum + (r.usage?.total_tokens || 0), 0),
+      redactions: addCounts(summary.metadata?.redactions, ...usage.map(r => r.redactions)),
+      validation: describeValidation(usage),
+      profileId: profile.id,
+      promptVersion: profileVersionTag(profile),
+      chunks: [
+        ...previousChunks,
+        ...chunks.map(c => describeChunk({ ...c, index: previousChunks.length + c.index })),
+      ],
+      lastMessageId: lastMessageId(conversation.messages),
+    }
+  };
+}
+
+/**
+ * Messages added to a conversation's active path after the given summary
+ * was produced.
+ *
+ * @param {Object} conversation
+ * @param {Object} summary
+ * @returns {Array<Object>|null} New messages (possibly empty), or null if the
+ *   last summarized message is unknown or no longer on the active path
+ */
+export function getUnsummarizedMessages(conversation, summary) {
+  const lastId = summary?.metadata?.lastMessageId || conversation.metadata?.lastSummarizedMessageId;
+  if (!lastId) return null;
+
+  const messages = conversation.messages || [];
+  const idx = messages.findIndex(m => m.id === lastId);
+  if (idx === -1) return null;
+
+  return messages.slice(idx + 1);
+}
+
+function pickSummaryFields(summary) {
+  return {
+    title: summary.title,
+    summary: summary.summary,
+    keyInsights: summary.keyInsights || [],
+    decisions: summary.decisions || [],
+    codeSnippets: summary.codeSnippets || [],
+    actionItems: summary.actionItems || [],
+    openQuestions: summary.openQuestions || [],
+    entities: (summary.entities || []).map(({ name, type, version }) => ({ name, type, version })),
+    tags: summary.tags || [],
+    suggestedTopicName: summary.suggestedTopicName,
+    citations: citationsForPrompt(summary),
+    ...Object.fromEntries((summary.fields || []).map(field => [field.key, field.value])),
+  };
+}
+
+function lastMessageId(messages) {
+  return messages?.length ? messages[messages.length - 1].id || null : null;
+}
+
+// ---------------------------------------------------------------------------
+// Map-reduce for conversations larger than one request
+// ---------------------------------------------------------------------------
+
+/**
+ * Summarize each chunk on its own (map), then merge the partial summaries
+ * into one (reduce). Chunks are processed sequentially so a single long
+ * conversation doesn't fan out into a burst of parallel provider calls.
+ */
+async function mapReduceSummarize(conversation, chunks, injectionContext, prompts, options) {
+  const usage = [];
+  const partials = [];
+
+  for (const chunk of chunks) {
+    const label = partLabel(chunk.index, chunk.index, chunks.length);
+    const userContent = `Summarize ${label} of the conversation titled "${conversation.title}" from ${conversation.source}:\n\n${formatMessages(chunk.messages)}`;
+    const result = await summarizeText(prompts, prompts.chunk, userContent, options,
+      { stage: 'part', part: chunk.index + 1, parts: chunks.length });
+    usage.push(result);
+    partials.push({ first: chunk.index, last: chunk.index, summary: result.parsed });
+  }
+
+  let level = partials;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += REDUCE_FAN_IN) {
+      const group = level.slice(i, i + REDUCE_FAN_IN);
+      if (group.length === 1) {
+        next.push(group[0]);
+        continue;
       }
-      break;
+      const isFinal = level.length <= REDUCE_FAN_IN;
+      let userContent = `Merge these partial summaries of the conversation titled "${conversation.title}" from ${conversation.source}:\n\n` +
+        group.map(p => `### ${partLabel(p.first, p.last, chunks.length)}\n${JSON.stringify(p.summary)}`).join('\n\n');
+      if (isFinal) userContent += injectionNote(injectionContext);
+
+      const result = await summarizeText(prompts, prompts.reduce, userContent, options,
+        { stage: isFinal ? 'merge' : 'part-merge' });
+      usage.push(result);
+      next.push({ first: group[0].first, last: group[group.length - 1].last, summary: result.parsed });
+    }
+    level = next;
+  }
+
+  return { parsed: level[0].summary, usage };
+}
+
+function partLabel(first, last, total) {
+  return first === last
+    ? `part ${first + 1} of ${total}`
+    : `parts ${first + 1}-${last + 1} of ${total}`;
+}
+
+/**
+ * Split messages into consecutive chunks that each fit the token budget.
+ * A single message larger than the budget is split into several pieces so
+ * no content is dropped.
+ *
+ * @param {Array<{id: string, role: string, content: string}>} messages
+ * @param {number} maxTokens
+ * @returns {Array<{index: number, messages: Array<Object>, tokens: number}>}
+ */
+function chunkMessages(messages, maxTokens) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    chunks.push({ index: chunks.length, messages: current, tokens: currentTokens });
+    current = [];
+    currentTokens = 0;
+  };
+
+  for (const msg of messages) {
+    for (const piece of splitMessage(msg, maxTokens)) {
+      const pieceTokens = estimateTokens(piece.content);
+      if (currentTokens + pieceTokens > maxTokens) flush();
+      current.push(piece);
+      currentTokens += pieceTokens;
     }
-    result.push(msg);
-    totalTokens += msgTokens;
   }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Pieces carry their text as `content` only: formatMessages would render
+ * the whole message again from `parts`.
+ */
+function splitMessage(msg, maxTokens) {
+  const { parts, ...rest } = msg;
+  const content = messageMarkdown(msg);
+  if (estimateTokens(content) <= maxTokens) return [{ ...rest, content }];
+
+  const maxChars = (maxTokens - 10) * 4;
+  const pieces = [];
+  for (let start = 0; start < content.length; start += maxChars) {
+    const part = pieces.length;
+    pieces.push({
+      ...rest,
+      content: (part > 0 ? '[... continued]\n' : '') + content.slice(start, start + maxChars),
+    });
+  }
+  return pieces;
+}
+
+/**
+ * Record which messages a chunk covered, so the summary's metadata shows
+ * exactly what went into it.
+ */
+function describeChunk(chunk) {
+  const ids = [...new Set(chunk.messages.map(m => m.id).filter(Boolean))];
+  return {
+    index: chunk.index,
+    firstMessageId: ids[0] || null,
+    lastMessageId: ids[ids.length - 1] || null,
+    messageCount: ids.length,
+    estimatedTokens: chunk.tokens,
+  };
+}
+
+/**
+ * Fill in the language of code snippets the model left without one, from
+ * the code block or artifact of the conversation the snippet came from.
+ */
+function withCodeLanguages(snippets, messages) {
+  const blocks = (messages || []).flatMap(m => messageParts(m))
+    .map(p => p.type === 'code' ? { code: p.code, language: p.language }
+      : p.type === 'artifact' ? { code: p.content, language: p.language }
+      : null)
+    .filter(b => b?.language && b.code);
+  if (blocks.length === 0) return snippets;
+
+  return snippets.map(snippet => {
+    if (!snippet?.code || (snippet.language && !/^(unknown|text|plaintext)$/i.test(snippet.language))) return snippet;
+    const line = snippet.code.split('\n').map(l => l.trim()).find(l => l.length >= 4);
+    const block = line && blocks.find(b => b.code.includes(line));
+    return block ? { ...snippet, language: block.language } : snippet;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Prompt helpers
+// ---------------------------------------------------------------------------
+
+function formatMessages(messages) {
+  return messages.map(m => {
+    const label = m.role === 'user' ? 'User' : 'Assistant';
+    const number = m.number ? `[#${m.number}] ` : '';
+    return `**${number}${label}:**\n${messageMarkdown(m)}`;
+  }).join('\n\n---\n\n');
+}
+
+function buildUserContent(conversation, messages, injectionContext) {
+  return `Analyze this conversation titled "${conversation.title}" from ${conversation.source}:\n\n${formatMessages(messages)}` +
+    injectionNote(injectionContext);
+}
+
+function injectionNote(injectionContext) {
+  if (!injectionContext || injectionContext.length === 0) return '';
+  const parentNames = injectionContext.map(c => c.title || c.summaryId).join(', ');
+  return `\n\n---\nNote: This conversation was informed by previously captured knowledge: ${parentNames}. The summary should acknowledge any continuation or expansion of those topics.`;
+}
+
+async function summarizeText(prompts, systemPrompt, userContent, options, step) {
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userContent }
+  ];
 
-  return result;
+  const result = await complete(messages, {
+    temperature: 0.3,
+    maxTokens: 2000,
+    jsonMode: true,
+    model: options.model,
+    task: 'summarize',
+    signal: options.signal,
+    background: options.background,
+    onText: options.onText ? (_delta, text) => options.onText(text, step) : undefined,
+  });
+
+  const checked = checkSummaryResponse(result.content, prompts.fields);
+  if (checked.value) {
+    return { ...result, parsed: checked.value, validation: { repairs: checked.repairs, repairPrompt: false } };
+  }
+
+  // Local repair wasn't enough: show the model what is wrong and ask once more
+  const problems = checked.problems.map(p => `- ${p}`).join('\n');
+  const repair = await complete([
+    { role: 'system', content: prompts.repair },
+    { role: 'user', content: `Problems:\n${problems}\n\nResponse:\n${result.content.slice(0, REPAIR_MAX_CHARS)}` },
+  ], {
+    temperature: 0,
+    maxTokens: 2000,
+    jsonMode: true,
+    model: options.model,
+    task: 'summarize',
+    signal: options.signal,
+    background: options.background,
+  });
+
+  const repaired = checkSummaryResponse(repair.content, prompts.fields);
+  if (!repaired.value) {
+    const err = new Error(`The model returned an invalid summary: ${repaired.problems.join('; ')}`);
+    err.code = 'INVALID_SUMMARY';
+    err.problems = repaired.problems;
+    throw err;
+  }
+
+  return {
+    ...repair,
+    usage: addUsage(result.usage, repair.usage),
+    redactions: addCounts(result.redactions, repair.redactions),
+    parsed: repaired.value,
+    validation: { repairs: repaired.repairs, repairPrompt: true, problems: checked.problems },
+  };
+}
+
+function addUsage(a, b) {
+  if (!a || !b) return a || b || null;
+  return {
+    prompt_tokens: (a.prompt_tokens || 0) + (b.prompt_tokens || 0),
+    completion_tokens: (a.completion_tokens || 0) + (b.completion_tokens || 0),
+    total_tokens: (a.total_tokens || 0) + (b.total_tokens || 0),
+  };
+}
+
+/**
+ * What validation had to fix across a summary's requests, for its metadata.
+ */
+function describeValidation(results) {
+  return {
+    repairs: [...new Set(results.flatMap(r => r.validation?.repairs || []))],
+    repairPrompts: results.filter(r => r.validation?.repairPrompt).length,
+  };
+}
+
+/**
+ * Read the title and summary out of a summary response that is still
+ * streaming (incomplete JSON), for a live preview.
+ *
+ * @param {string} text - Response text so far
+ * @returns {{title: string, summary: string}} Whatever has arrived of each field
+ */
+export function parsePartialSummary(text) {
+  return {
+    title: partialStringField(text, 'title'),
+    summary: partialStringField(text, 'summary'),
+  };
+}
+
+function partialStringField(text, name) {
+  const match = new RegExp(`"${name}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`).exec(text || '');
+  if (!match) return '';
+  // Drop a dangling escape, then decode the string literal
+  const raw = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch {
+    return raw;
+  }
 }
@@ -0,0 +1,437 @@
+/**
+ * @fileoverview Background auto-summarization queue
+ *
+ * Conversations captured live are queued here and summarized by the
+ * service worker once they have been idle (no new messages) for a while,
+ * so captured chats no longer wait for someone to press Summarize. Each
+ * new capture pushes the conversation's due time back, so a chat is only
+ * summarized after the user stops talking. Captures an exclusion rule
+ * covers (lib/exclusions.js) are not queued, nor summarized if a rule
+ * covers them by the time their job is due.
+ *
+ * Jobs are records in the `summaryQueue` store, keyed by conversation id,
+ * and a single chrome.alarms alarm is kept set for the earliest due job.
+ * Both survive the service worker being suspended: the alarm wakes it, and
+ * jobs it was working on when it stopped are put back on startup.
+ *
+ * Requests run as background work, so they are held to the AI budget caps
+ * (lib/ledger.js): reaching a cap stops the run until later rather than
+ * failing the jobs. Other failures are retried with a growing delay, up to
+ * a configurable number of attempts, after which the job is kept as failed
+ * until it is retried from the side panel.
+ *
+ * Settings live in chrome.storage.local under `autoSummarize`. Progress is
+ * broadcast as SUMMARY_QUEUE_PROGRESS messages.
+ *
+ * @module lib/summary-queue
+ */
+
+import { dbPut, dbGet, dbGetAll, dbGetByIndex, dbDelete, dbClear } from './db.js';
+import { hasEnabledProvider } from './ai-router.js';
+import { getUnsummarizedMessages } from './summarizer.js';
+import { assignToTopic, resolveInjectionContext, summarizeOrUpdate } from './knowledge.js';
+import { ensureEmbeddings } from './embeddings.js';
+import { embedSummary } from './embedding-store.js';
+import { checkNewSummary } from './conflicts.js';
+import { findExclusion, conversationMeta } from './exclusions.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const SETTINGS_KEY = 'autoSummarize';
+
+/** Name of the alarm that wakes the service worker for the next due job. */
+const ALARM_NAME = 'summary-queue';
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  paused: false,
+  idleMinutes: 10,
+  concurrency: 1,
+  maxAttempts: 3,
+};
+
+/** Upper bound on jobs summarized at once. */
+const MAX_CONCURRENCY = 3;
+
+/** First retry delay; each further attempt waits four times longer. */
+const RETRY_BASE_MINUTES = 5;
+
+/** How long to wait before trying again after a budget cap or with no provider. */
+const HOLD_MINUTES = 60;
+
+const MINUTE = 60 * 1000;
+
+/** Aborts the jobs in progress in this context, by conversation id. */
+const controllers = new Map();
+
+/** Progress of the run in this context, or null when none is running. */
+let currentRun = null;
+
+/** Settles with the result of the current run. */
+let runPromise = null;
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the queue settings.
+ * @returns {Promise<{enabled: boolean, paused: boolean, idleMinutes: number, concurrency: number, maxAttempts: number}>}
+ */
+export async function getQueueSettings() {
+  const data = await chrome.storage.local.get(SETTINGS_KEY);
+  return { ...DEFAULT_SETTINGS, ...(data[SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Save queue settings (merged into the current ones) and reschedule.
+ * Disabling the queue empties it.
+ * @param {Object} changes
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function saveQueueSettings(changes) {
+  const settings = { ...(await getQueueSettings()), ...changes };
+  settings.idleMinutes = Math.max(1, Number(settings.idleMinutes) || DEFAULT_SETTINGS.idleMinutes);
+  settings.concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, Number(settings.concurrency) || 1));
+  settings.maxAttempts = Math.max(1, Number(settings.maxAttempts) || DEFAULT_SETTINGS.maxAttempts);
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+
+  if (!settings.enabled) {
+    abortAll();
+    await dbClear('summaryQueue');
+  }
+  await scheduleQueue();
+  await broadcastProgress();
+  return settings;
+}
+
+// ---------------------------------------------------------------------------
+// Jobs
+// ---------------------------------------------------------------------------
+
+/**
+ * Queue a conversation that just gained messages, due once it has been idle
+ * for the configured time. Does nothing while auto-summarization is off.
+ * @param {Object} conversation
+ * @returns {Promise<void>}
+ */
+export async function enqueueConversation(conversation) {
+  const settings = await getQueueSettings();
+  if (!settings.enabled || await isExcluded(conversation)) return;
+
+  const now = Date.now();
+  const existing = await dbGet('summaryQueue', conversation.id);
+  await dbPut('summaryQueue', {
+    conversationId: conversation.id,
+    title: conversation.title || 'Untitled',
+    source: conversation.source || null,
+    // A running job finishes its work and then goes back to pending (see runJob)
+    status: existing?.status === 'running' ? 'running' : 'pending',
+    attempts: 0,
+    lastError: null,
+    capturedAt: new Date(now).toISOString(),
+    dueAt: new Date(now + settings.idleMinutes * MINUTE).toISOString(),
+    enqueuedAt: existing?.enqueuedAt || new Date(now).toISOString(),
+  });
+  await scheduleQueue();
+  await broadcastProgress();
+}
+
+/**
+ * Get every job, due soonest first.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getQueueJobs() {
+  const jobs = await dbGetAll('summaryQueue');
+  return jobs.sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+}
+
+/**
+ * Summarize the queue for display: settings, job counts and the run in
+ * progress, if any.
+ * @returns {Promise<{settings: Object, pending: number, running: Array<Object>, failed: Array<Object>, nextDueAt: string|null, run: Object|null}>}
+ */
+export async function getQueueStatus() {
+  const [settings, jobs] = await Promise.all([getQueueSettings(), getQueueJobs()]);
+  const pending = jobs.filter(j => j.status === 'pending');
+  return {
+    settings,
+    pending: pending.length,
+    running: jobs.filter(j => j.status === 'running'),
+    failed: jobs.filter(j => j.status === 'failed'),
+    nextDueAt: pending[0]?.dueAt || null,
+    run: currentRun ? { ...currentRun } : null,
+  };
+}
+
+/**
+ * Make failed jobs due again, with their attempts reset.
+ * @returns {Promise<number>} Number of jobs retried
+ */
+export async function retryFailedJobs() {
+  const failed = (await getQueueJobs()).filter(j => j.status === 'failed');
+  const now = new Date().toISOString();
+  for (const job of failed) {
+    await dbPut('summaryQueue', { ...job, status: 'pending', attempts: 0, lastError: null, dueAt: now });
+  }
+  await scheduleQueue();
+  await broadcastProgress();
+  return failed.length;
+}
+
+/**
+ * Make every pending job due now, skipping the idle wait.
+ * @returns {Promise<void>}
+ */
+export async function runQueueNow() {
+  const now = new Date().toISOString();
+  for (const job of await getQueueJobs()) {
+    if (job.status === 'pending' && job.dueAt > now) await dbPut('summaryQueue', { ...job, dueAt: now });
+  }
+  await scheduleQueue();
+}
+
+/**
+ * Remove a job, e.g. a failed one the user gives up on.
+ * @param {string} conversationId
+ * @returns {Promise<void>}
+ */
+export async function removeJob(conversationId) {
+  controllers.get(conversationId)?.abort();
+  await dbDelete('summaryQueue', conversationId);
+  await scheduleQueue();
+  await broadcastProgress();
+}
+
+// ---------------------------------------------------------------------------
+// Pause / resume
+// ---------------------------------------------------------------------------
+
+/**
+ * Pause the queue. Jobs in progress are cancelled and stay queued.
+ * @returns {Promise<void>}
+ */
+export async function pauseQueue() {
+  await chrome.storage.local.set({ [SETTINGS_KEY]: { ...(await getQueueSettings()), paused: true } });
+  abortAll();
+  await scheduleQueue();
+  await broadcastProgress();
+}
+
+/**
+ * Resume a paused queue and run whatever is due.
+ * @returns {Promise<void>}
+ */
+export async function resumeQueue() {
+  await chrome.storage.local.set({ [SETTINGS_KEY]: { ...(await getQueueSettings()), paused: false } });
+  await scheduleQueue();
+  await broadcastProgress();
+}
+
+function abortAll() {
+  for (const controller of controllers.values()) controller.abort();
+}
+
+// ---------------------------------------------------------------------------
+// Scheduling
+// ---------------------------------------------------------------------------
+
+/**
+ * Set the alarm for the earliest pending job, or clear it when nothing is
+ * pending or the queue is off or paused.
+ * @returns {Promise<void>}
+ */
+export async function scheduleQueue() {
+  const settings = await getQueueSettings();
+  const next = settings.enabled && !settings.paused
+    ? (await getQueueJobs()).find(j => j.status === 'pending')
+    : null;
+  if (!next) {
+    await chrome.alarms.clear(ALARM_NAME);
+    return;
+  }
+  // Alarms closer than this are delayed by Chrome anyway
+  const when = Math.max(new Date(next.dueAt).getTime(), Date.now() + 1000);
+  await chrome.alarms.create(ALARM_NAME, { when });
+}
+
+/**
+ * Put back jobs that were running when the service worker was suspended,
+ * and make sure the alarm is set. Call once when the service worker starts.
+ * @returns {Promise<void>}
+ */
+export async function recoverQueue() {
+  for (const job of await getQueueJobs()) {
+    if (job.status === 'running' && !controllers.has(job.conversationId)) {
+      await dbPut('summaryQueue', { ...job, status: 'pending' });
+    }
+  }
+  await scheduleQueue();
+}
+
+/**
+ * Whether an alarm belongs to the queue.
+ * @param {chrome.alarms.Alarm} alarm
+ * @returns {boolean}
+ */
+export function isQueueAlarm(alarm) {
+  return alarm?.name === ALARM_NAME;
+}
+
+// ---------------------------------------------------------------------------
+// Running
+// ---------------------------------------------------------------------------
+
+/**
+ * Summarize every due job, a few at a time, then reschedule for the rest.
+ * A second call while a run is in progress returns that run's result.
+ * @returns {Promise<{done: number, failed: number, stopped: string|null}>}
+ */
+export async function runQueue() {
+  if (runPromise) return runPromise;
+  currentRun = { done: 0, failed: 0, total: 0, stopped: null, startedAt: new Date().toISOString() };
+  runPromise = drainQueue(currentRun).finally(async () => {
+    currentRun = null;
+    runPromise = null;
+    await scheduleQueue();
+    await broadcastProgress();
+  });
+  return runPromise;
+}
+
+async function drainQueue(run) {
+  const settings = await getQueueSettings();
+  if (!settings.enabled || settings.paused) return summarizeRun(run);
+
+  const now = new Date().toISOString();
+  const due = await dbGetByIndex('summaryQueue', 'dueAt', IDBKeyRange.upperBound(now));
+  const jobs = due.filter(j => j.status === 'pending').sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+  if (jobs.length === 0) return summarizeRun(run);
+
+  if (!(await hasEnabledProvider())) {
+    await holdJobs(jobs, 'No AI provider is enabled');
+    run.stopped = 'No AI provider is enabled';
+    return summarizeRun(run);
+  }
+
+  run.total = jobs.length;
+  await broadcastProgress();
+
+  const worker = async () => {
+    while (jobs.length > 0 && !run.stopped) {
+      const job = jobs.shift();
+      const current = await getQueueSettings();
+      if (!current.enabled || current.paused) return;
+      await runJob(job, current, run);
+      await broadcastProgress();
+    }
+  };
+  await Promise.all(Array.from({ length: settings.concurrency }, worker));
+
+  // Jobs not started because a budget cap stopped the run wait with the rest
+  if (run.stopped && jobs.length > 0) await holdJobs(jobs, run.stopped);
+  return summarizeRun(run);
+}
+
+function summarizeRun(run) {
+  return { done: run.done, failed: run.failed, stopped: run.stopped };
+}
+
+/** Push jobs back by the hold delay without counting an attempt. */
+async function holdJobs(jobs, reason) {
+  const dueAt = new Date(Date.now() + HOLD_MINUTES * MINUTE).toISOString();
+  for (const job of jobs) {
+    const latest = await dbGet('summaryQueue', job.conversationId);
+    if (latest?.status === 'pending') await dbPut('summaryQueue', { ...latest, dueAt, lastError: reason });
+  }
+}
+
+/**
+ * Summarize one conversation: the same steps as summarizing it from the
+ * side panel (summary or revision, topic, embedding, conflict check).
+ */
+async function runJob(queued, settings, run) {
+  // Captures may have pushed the job back since the run listed it
+  const job = await dbGet('summaryQueue', queued.conversationId);
+  if (job?.status !== 'pending' || job.dueAt > new Date().toISOString()) return;
+
+  const conv = await dbGet('conversations', job.conversationId);
+  const [existing] = conv ? await dbGetByIndex('summaries', 'conversationId', conv.id) : [];
+  // Deleted, summarized by hand or excluded since it was queued
+  if (!conv || (existing && getUnsummarizedMessages(conv, existing)?.length === 0) || await isExcluded(conv)) {
+    await dbDelete('summaryQueue', job.conversationId);
+    return;
+  }
+
+  const controller = new AbortController();
+  controllers.set(job.conversationId, controller);
+  await dbPut('summaryQueue', { ...job, status: 'running', startedAt: new Date().toISOString() });
+  await broadcastProgress();
+
+  try {
+    const injCtx = await resolveInjectionContext(conv);
+    const summary = await summarizeOrUpdate(conv, injCtx, { signal: controller.signal, background: true });
+    const forceTopicId = summary.topicId || conv.metadata?.projectTopicId || injCtx?.[0]?.topicId || null;
+    await assignToTopic(summary, { forceTopicId });
+    if (await ensureEmbeddings()) await embedSummary(summary, { background: true });
+    try { await checkNewSummary(summary, { useAI: true }); } catch {}
+
+    run.done++;
+    await finishJob(job, null);
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      // Paused or removed: leave it for later, if it is still queued
+      await finishJob(job, { status: 'pending' });
+    } else if (err.code === 'BUDGET_EXCEEDED') {
+      run.stopped = err.message;
+      await finishJob(job, {
+        status: 'pending',
+        dueAt: new Date(Date.now() + HOLD_MINUTES * MINUTE).toISOString(),
+        lastError: err.message,
+      });
+    } else {
+      const attempts = (job.attempts || 0) + 1;
+      const gaveUp = attempts >= settings.maxAttempts;
+      if (gaveUp) run.failed++;
+      console.warn(`[Summary Queue] "${job.title}" failed (attempt ${attempts}):`, err.message);
+      await finishJob(job, {
+        status: gaveUp ? 'failed' : 'pending',
+        attempts,
+        lastError: err.message,
+        dueAt: new Date(Date.now() + RETRY_BASE_MINUTES * 4 ** (attempts - 1) * MINUTE).toISOString(),
+      });
+    }
+  } finally {
+    controllers.delete(job.conversationId);
+  }
+}
+
+/**
+ * Settle a job after a run. A conversation that was captured again while
+ * it was being summarized stays queued for the new messages; otherwise a
+ * finished job is removed and an unfinished one is updated.
+ */
+async function finishJob(job, update) {
+  const latest = await dbGet('summaryQueue', job.conversationId);
+  if (!latest) return;
+  if (latest.capturedAt !== job.capturedAt) {
+    await dbPut('summaryQueue', { ...latest, status: 'pending' });
+  } else if (!update) {
+    await dbDelete('summaryQueue', job.conversationId);
+  } else {
+    await dbPut('summaryQueue', { ...latest, ...update });
+  }
+}
+
+/** A captured conversation that an exclusion rule covers is not summarized. */
+async function isExcluded(conversation) {
+  if (conversation.metadata?.originalFormat !== 'live-capture') return false;
+  return !!await findExclusion(conversationMeta(conversation));
+}
+
+async function broadcastProgress() {
+  const status = await getQueueStatus();
+  chrome.runtime.sendMessage({ type: 'SUMMARY_QUEUE_PROGRESS', status }).catch(() => {});
+}
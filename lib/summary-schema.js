@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Summary schema, validation and local repair
+ *
+ * The structured summary the summarizer asks the model for is defined here
+ * field by field. Model output is checked against it in two passes:
+ *
+ * 1. **JSON extraction** — code fences, prose around the object, trailing
+ *    commas and a missing closing brace are repaired before parsing.
+ * 2. **Field validation** — each field is coerced to its type where that is
+ *    unambiguous (a string where a list was expected, a list where a string
+ *    was expected, numbers, stray whitespace, duplicate tags, an over-long
+ *    title). What cannot be coerced is reported as a problem.
+ *
+ * The summarizer sends the remaining problems back to the model in a repair
+ * prompt (lib/summarizer.js); this module makes no requests itself.
+ *
+ * @module lib/summary-schema
+ */
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+/**
+ * The summary schema. `example` is what the prompt shows for the field.
+ * Types: 'string', 'string[]', or 'object[]' with `itemFields`.
+ */
+const SUMMARY_FIELDS = {
+  title: {
+    type: 'string',
+    maxLength: 80,
+    example: 'A concise descriptive title (max 80 chars)',
+  },
+  summary: {
+    type: 'string',
+    required: true,
+    example: '2-3 paragraph summary of what was discussed, what was accomplished, and key outcomes',
+  },
+  keyInsights: {
+    type: 'string[]',
+    example: ['Array of 3-7 key insights, takeaways, or lessons learned'],
+  },
+  decisions: {
+    type: 'string[]',
+    example: ['Array of decisions made or conclusions reached, if any'],
+  },
+  codeSnippets: {
+    type: 'object[]',
+    itemFields: { language: 'string', code: 'string', description: 'string' },
+    itemRequired: 'code',
+    example: [{ language: 'lang', code: 'code here', description: 'what this code does' }],
+  },
+  actionItems: {
+    type: 'object[]',
+    itemFields: { text: 'string', owner: 'string', dueDate: 'string' },
+    itemRequired: 'text',
+    example: [{ text: 'A concrete follow-up task still to be done', owner: 'who will do it, if stated', dueDate: 'YYYY-MM-DD if a deadline was stated, else empty' }],
+  },
+  openQuestions: {
+    type: 'string[]',
+    example: ['Questions raised but still unanswered at the end of the conversation'],
+  },
+  entities: {
+    type: 'object[]',
+    itemFields: { name: 'string', type: 'string', version: 'string' },
+    itemRequired: 'name',
+    example: [{ name: 'A technology, project, repository, person or API that matters to the conversation', type: 'technology | project | repository | person | api', version: 'version if stated, else empty' }],
+  },
+  tags: {
+    type: 'string[]',
+    lowercase: true,
+    example: ['Array of 5-15 lowercase topic tags for categorization'],
+  },
+  suggestedTopicName: {
+    type: 'string',
+    example: "A broad topic category this conversation belongs to (e.g., 'React Development', 'Database Design', 'API Architecture')",
+  },
+  citations: {
+    type: 'object[]',
+    itemFields: { claim: 'string', messages: 'string', quote: 'string' },
+    itemRequired: 'claim',
+    example: [{ claim: 'A key insight, decision or code snippet description from above, copied exactly', messages: 'numbers of the messages that support it, e.g. "3, 4"', quote: 'a short passage copied word for word from one of those messages' }],
+  },
+};
+
+/**
+ * Render a schema as the JSON template shown in prompts.
+ * @param {Object} [fields=SUMMARY_FIELDS]
+ * @returns {string}
+ */
+export function schemaPrompt(fields = SUMMARY_FIELDS) {
+  const lines = Object.entries(fields).map(([name, field]) =>
+    `  ${JSON.stringify(name)}: ${JSON.stringify(field.example).replace(/","/g, '", "').replace(/":"/g, '": "')}`
+  );
+  return `{\n${lines.join(',\n')}\n}`;
+}
+
+// ---------------------------------------------------------------------------
+// JSON extraction
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse the JSON object in a model response, repairing the usual
+ * malformations on the way.
+ *
+ * @param {string} text - Raw response text
+ * @returns {{value: Object|null, repairs: string[], error: string|null}}
+ */
+export function extractJson(text) {
+  const repairs = [];
+  let source = String(text ?? '').trim();
+
+  try {
+    return { value: asObject(JSON.parse(source)), repairs, error: null };
+  } catch {
+    // Fall through to repairs
+  }
+
+  const fenced = /```(?:json)?\s*([\s\S]*?)(?:```|$)/i.exec(source);
+  if (fenced) {
+    source = fenced[1].trim();
+    repairs.push('removed code fence');
+  }
+
+  const start = source.indexOf('{');
+  if (start === -1) {
+    return { value: null, repairs, error: 'response contains no JSON object' };
+  }
+  const { end, closed } = scanObject(source, start);
+  if (start > 0 || end < source.length) repairs.push('removed text around the JSON object');
+  source = source.slice(start, end);
+  if (!closed) {
+    source = closeObject(source);
+    repairs.push('closed truncated JSON');
+  }
+
+  const withoutCommas = source.replace(/,(\s*[}\]])/g, '$1');
+  if (withoutCommas !== source) repairs.push('removed trailing commas');
+
+  try {
+    return { value: asObject(JSON.parse(withoutCommas)), repairs, error: null };
+  } catch (err) {
+    return { value: null, repairs, error: `invalid JSON: ${err.message}` };
+  }
+}
+
+function asObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('not a JSON object');
+  }
+  return value;
+}
+
+/**
+ * Find the end of the object starting at `start`, skipping braces inside
+ * strings. `closed` is false when the text ends first (a truncated response).
+ */
+function scanObject(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+      if (depth === 0) return { end: i + 1, closed: true };
+    }
+  }
+  return { end: text.length, closed: false };
+}
+
+/** Close the strings, arrays and objects left open by a truncated response. */
+function closeObject(text) {
+  const open = [];
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      open.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      open.pop();
+    }
+  }
+  let closed = inString ? `${text}"` : text;
+  if (open[open.length - 1] === '}') {
+    // A key with no value cannot be kept
+    closed = closed.replace(/:\s*$/, '').replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*$/, '$1');
+  }
+  return closed.replace(/,\s*$/, '') + open.reverse().join('');
+}
+
+// ---------------------------------------------------------------------------
+// Field validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate a parsed summary field by field, coercing what can be coerced.
+ * Unknown fields are kept as they are.
+ *
+ * @param {Object} value - Parsed JSON object
+ * @param {Object} [fields=SUMMARY_FIELDS]
+ * @returns {{value: Object, repairs: string[], problems: string[]}}
+ */
+export function validateSummary(value, fields = SUMMARY_FIELDS) {
+  const result = { ...value };
+  const repairs = [];
+  const problems = [];
+
+  for (const [name, field] of Object.entries(fields)) {
+    const raw = value[name];
+    if (raw == null || raw === '') {
+      if (field.required) problems.push(`"${name}" is missing`);
+      else if (field.type !== 'string') result[name] = [];
+      continue;
+    }
+
+    const coerced = coerceField(raw, field);
+    if (coerced.problem) {
+      problems.push(`"${name}" ${coerced.problem}`);
+      continue;
+    }
+    if (coerced.repair) repairs.push(`"${name}": ${coerced.repair}`);
+    result[name] = coerced.value;
+    if (field.required && (coerced.value === '' || coerced.value.length === 0)) {
+      problems.push(`"${name}" is empty`);
+    }
+  }
+
+  return { value: result, repairs, problems };
+}
+
+function coerceField(raw, field) {
+  switch (field.type) {
+    case 'string':
+      return coerceString(raw, field);
+    case 'string[]':
+      return coerceStringList(raw, field);
+    case 'object[]':
+      return coerceObjectList(raw, field);
+    default:
+      return { value: raw };
+  }
+}
+
+function coerceString(raw, field) {
+  let value;
+  let repair = null;
+  if (typeof raw === 'string') {
+    value = raw.trim();
+  } else if (typeof raw === 'number' || typeof raw === 'boolean') {
+    value = String(raw);
+    repair = 'converted to text';
+  } else if (Array.isArray(raw) && raw.every(item => typeof item === 'string')) {
+    value = raw.join('\n\n').trim();
+    repair = 'joined list into text';
+  } else {
+    return { problem: `should be text, got ${describeType(raw)}` };
+  }
+
+  if (field.maxLength && value.length > field.maxLength) {
+    value = value.slice(0, field.maxLength - 1).trimEnd() + '…';
+    repair = `shortened to ${field.maxLength} characters`;
+  }
+  return { value, repair };
+}
+
+function coerceStringList(raw, field) {
+  let items;
+  let repair = null;
+  if (Array.isArray(raw)) {
+    items = raw;
+  } else if (typeof raw === 'string') {
+    // A bulleted or line-separated list, or a comma-separated one for tags
+    const separator = field.lowercase && !raw.includes('\n') ? /,/ : /\n/;
+    items = raw.split(separator).map(s => s.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, ''));
+    repair = 'split text into a list';
+  } else {
+    return { problem: `should be a list, got ${describeType(raw)}` };
+  }
+
+  const strings = [];
+  for (const item of items) {
+    if (typeof item === 'string') strings.push(item.trim());
+    else if (typeof item === 'number' || typeof item === 'boolean') strings.push(String(item));
+    else if (item && typeof item === 'object' && typeof Object.values(item)[0] === 'string') {
+      // e.g. [{"insight": "..."}] instead of ["..."]
+      strings.push(Object.values(item)[0].trim());
+      repair = repair || 'unwrapped list items';
+    } else {
+      return { problem: `has an item that is ${describeType(item)}` };
+    }
+  }
+
+  let value = strings.filter(Boolean);
+  if (field.lowercase) {
+    const normalized = [...new Set(value.map(s => s.toLowerCase()))];
+    if (normalized.length !== value.length || normalized.some((s, i) => s !== value[i])) {
+      repair = repair || 'lowercased and deduplicated';
+    }
+    value = normalized;
+  }
+  return { value, repair };
+}
+
+function coerceObjectList(raw, field) {
+  let items = raw;
+  let repair = null;
+  if (!Array.isArray(raw)) {
+    if (raw && typeof raw === 'object') {
+      items = [raw];
+      repair = 'wrapped single item in a list';
+    } else {
+      return { problem: `should be a list, got ${describeType(raw)}` };
+    }
+  }
+
+  const value = [];
+  for (const item of items) {
+    if (typeof item === 'string') {
+      value.push(Object.fromEntries(Object.keys(field.itemFields).map(key => [key, key === field.itemRequired ? item : ''])));
+      repair = repair || 'converted text items';
+      continue;
+    }
+    if (!item || typeof item !== 'object') {
+      return { problem: `has an item that is ${describeType(item)}` };
+    }
+    const entry = {};
+    for (const key of Object.keys(field.itemFields)) {
+      entry[key] = item[key] == null ? '' : String(item[key]);
+    }
+    if (field.itemRequired && !entry[field.itemRequired].trim()) {
+      repair = repair || `dropped items without ${field.itemRequired}`;
+      continue;
+    }
+    value.push(entry);
+  }
+  return { value, repair };
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+}
+
+// ---------------------------------------------------------------------------
+// Combined check
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse and validate a model response against a summary schema.
+ * `value` is null when no JSON object could be recovered; `problems` lists
+ * what local repair could not fix.
+ *
+ * @param {string} text - Raw response text
+ * @param {Object} [fields=SUMMARY_FIELDS]
+ * @returns {{value: Object|null, repairs: string[], problems: string[]}}
+ */
+export function checkSummaryResponse(text, fields = SUMMARY_FIELDS) {
+  const extracted = extractJson(text);
+  if (!extracted.value) {
+    return { value: null, repairs: extracted.repairs, problems: [extracted.error] };
+  }
+  const validated = validateSummary(extracted.value, fields);
+  return {
+    value: validated.problems.length ? null : validated.value,
+    repairs: [...extracted.repairs, ...validated.repairs],
+    problems: validated.problems,
+  };
+}
+
+export { SUMMARY_FIELDS };
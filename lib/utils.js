@@ -1,3 +1,5 @@
+import { messageMarkdown } from './message-parts.js';
+
 export function estimateTokens(text) {
   return Math.ceil(text.length / 4);
 }
@@ -45,7 +47,7 @@ export function convToMarkdown(conv) {
 
   (conv.messages || []).forEach(msg => {
     const label = msg.role === 'user' ? 'User' : 'Assistant';
-    md += `**${label}:**\n\n${msg.content}\n\n---\n\n`;
+    md += `**${label}:**\n\n${messageMarkdown(msg)}\n\n---\n\n`;
   });
 
   return md;
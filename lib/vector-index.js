@@ -0,0 +1,577 @@
+/**
+ * @fileoverview Persistent approximate-nearest-neighbor index (HNSW)
+ *
+ * Keeps one Hierarchical Navigable Small World graph per embedding type
+ * ('summary', 'conversation', 'passage') and embedding model, so relevance
+ * scoring can ask for the top-k nearest vectors instead of scanning the
+ * whole `embeddings` store — and never mixes vectors from different
+ * models. Graph nodes live in the `annNodes` store and each graph's entry
+ * point, level and version in `annMeta`; both are updated as embeddings
+ * are written or deleted through lib/embedding-store.js.
+ *
+ * The graph is loaded into memory on first use. Several extension contexts
+ * (service worker, side panel) mutate it, so every mutation bumps the
+ * graph version and records the touched node ids in a short change log;
+ * other contexts replay the log (or reload the graph) before their next
+ * query. A rebuild starts the version over under a new build id, and a
+ * graph cached from another build is always reloaded.
+ *
+ * Callers must treat a null result from searchIndex() as "index not ready"
+ * and fall back to an exact scan. Missing or inconsistent graphs are
+ * rebuilt from the `embeddings` store by syncIndex().
+ *
+ * @module lib/vector-index
+ */
+
+import {
+  dbGet, dbGetAll, dbPut, dbDelete, dbGetByIndex, dbGetKeysByIndex, dbGetMany,
+  dbPutBatch, dbDeleteBatch, dbClear
+} from './db.js';
+import { generateId } from './utils.js';
+
+/** Max neighbors per node on upper layers (layer 0 allows twice as many). */
+const M = 16;
+const M0 = M * 2;
+const EF_CONSTRUCTION = 100;
+const EF_SEARCH = 64;
+const LEVEL_MULT = 1 / Math.log(M);
+
+/** Change-log entries kept in the meta record for incremental reloads. */
+const CHANGE_LOG_SIZE = 50;
+
+/** A rebuild started by another context is trusted for this long. */
+const BUILD_LEASE_MS = 5 * 60 * 1000;
+
+/** Graphs loaded in this context, keyed by graph name. */
+const graphs = new Map();
+
+/** Per-graph promise chain serializing mutations within this context. */
+const locks = new Map();
+
+/** Graph names with a sync in flight in this context. */
+const syncing = new Set();
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the k nearest indexed vectors to the query vector.
+ * Returns null when the graph hasn't been built yet (a background sync is
+ * started) — callers should fall back to an exact scan.
+ *
+ * @param {string} type - Embedding type
+ * @param {string} modelId - Model that produced the query vector
+ * @param {number[]} vector - Query vector
+ * @param {number} k
+ * @returns {Promise<Array<{id: string, ref: string, similarity: number, vector: Float32Array}>|null>}
+ */
+export async function searchIndex(type, modelId, vector, k) {
+  const graphName = graphNameFor(type, modelId);
+  let graph;
+  try {
+    graph = await loadGraph(graphName);
+  } catch (err) {
+    console.warn('[VectorIndex] Load failed:', err.message);
+    return null;
+  }
+  if (!graph) {
+    syncIndex(type, modelId);
+    return null;
+  }
+  if (graph.nodes.size === 0) return [];
+
+  const query = normalize(vector);
+  if (query.length !== graph.dim) return null;
+
+  try {
+    let entry = graph.entryPoint;
+    for (let level = graph.maxLevel; level > 0; level--) {
+      entry = searchLayer(graph, query, [entry], 1, level)[0].id;
+    }
+    return searchLayer(graph, query, [entry], Math.max(EF_SEARCH, k), 0)
+      .slice(0, k)
+      .map(({ id, similarity }) => {
+        const node = graph.nodes.get(id);
+        return { id, ref: node.ref, similarity, vector: node.vector };
+      });
+  } catch (err) {
+    // Dangling link from a half-applied update
+    console.warn('[VectorIndex] Search failed, rebuilding:', err.message);
+    graphs.delete(graphName);
+    await dbDelete('annMeta', graphName).catch(() => {});
+    syncIndex(type, modelId);
+    return null;
+  }
+}
+
+/**
+ * Exact k-nearest search by scanning every embedding of the type.
+ * The fallback while a graph is missing, and the reference that ANN results
+ * can be checked against. Hits also carry the full embedding record.
+ *
+ * @param {string} type - Embedding type
+ * @param {string} modelId - Model that produced the query vector
+ * @param {number[]} vector - Query vector
+ * @param {number} [k=Infinity]
+ * @returns {Promise<Array<{id: string, ref: string, similarity: number, vector: number[], record: Object}>>}
+ */
+export async function exactSearch(type, modelId, vector, k = Infinity) {
+  const query = normalize(vector);
+  const records = await dbGetByIndex('embeddings', 'typeModel', [type, modelId]);
+  return records
+    .filter(record => record.vector && record.vector.length === query.length)
+    .map(record => ({
+      id: record.id,
+      ref: refOf(record),
+      similarity: dot(query, normalize(record.vector)),
+      vector: record.vector,
+      record,
+    }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+}
+
+/**
+ * Refs (summary or conversation ids) that have a vector in the graph.
+ * @param {string} type
+ * @param {string} modelId
+ * @returns {Promise<Set<string>|null>} null when the graph isn't built
+ */
+export async function getIndexedRefs(type, modelId) {
+  const graph = await loadGraph(graphNameFor(type, modelId)).catch(() => null);
+  if (!graph) return null;
+  const refs = new Set();
+  for (const node of graph.nodes.values()) refs.add(node.ref);
+  return refs;
+}
+
+/**
+ * Add (or replace) an embedding record in its graph.
+ * A no-op until the graph has been built — the build picks the record up.
+ * @param {Object} record - Record from the `embeddings` store
+ * @returns {Promise<void>}
+ */
+export function indexEmbedding(record) {
+  if (!record?.type || !record.modelId || !record.vector) return Promise.resolve();
+  return mutate(graphNameFor(record.type, record.modelId), graph => {
+    const changed = new Set();
+    if (graph.nodes.has(record.id)) removeNode(graph, record.id, changed);
+    insertNode(graph, makeNode(graph.name, record), changed);
+    return changed;
+  });
+}
+
+/**
+ * Remove an embedding from its graph.
+ * @param {{id: string, type: string, modelId: string}} record - Embedding record
+ * @returns {Promise<void>}
+ */
+export function removeFromIndex(record) {
+  if (!record?.type || !record.modelId) return Promise.resolve();
+  return mutate(graphNameFor(record.type, record.modelId), graph => {
+    const changed = new Set();
+    if (graph.nodes.has(record.id)) removeNode(graph, record.id, changed);
+    return changed;
+  });
+}
+
+/**
+ * Bring a graph in line with the `embeddings` store: build it from scratch
+ * if it doesn't exist, otherwise insert missing vectors and drop stale ones.
+ * Safe to call often — concurrent calls in one context are coalesced and a
+ * build running in another context is left alone.
+ * @param {string} type
+ * @param {string} modelId
+ * @returns {Promise<void>}
+ */
+export async function syncIndex(type, modelId) {
+  const graphName = graphNameFor(type, modelId);
+  if (syncing.has(graphName)) return;
+  syncing.add(graphName);
+  try {
+    const meta = await dbGet('annMeta', graphName);
+    if (meta?.building && Date.now() - meta.buildStartedAt < BUILD_LEASE_MS) return;
+
+    if (!meta || meta.building) {
+      await buildGraph(graphName, type, modelId);
+    }
+
+    // Catch up with embeddings written while the graph was being built
+    const embeddingIds = await dbGetKeysByIndex('embeddings', 'typeModel', [type, modelId]);
+    const graph = await loadGraph(graphName);
+    if (!graph) return;
+    const wanted = new Set(embeddingIds);
+    const missing = embeddingIds.filter(id => !graph.nodes.has(id));
+    const stale = [...graph.nodes.keys()].filter(id => !wanted.has(id));
+
+    for (const id of stale) await removeFromIndex({ id, type, modelId });
+    if (missing.length > 0) {
+      const records = await dbGetMany('embeddings', missing);
+      for (const record of records) {
+        if (record) await indexEmbedding(record);
+      }
+    }
+  } catch (err) {
+    console.warn(`[VectorIndex] Sync of "${graphName}" failed:`, err.message);
+  } finally {
+    syncing.delete(graphName);
+  }
+}
+
+/**
+ * Delete the graphs of every model except the given one (after a re-index
+ * has moved all vectors to it).
+ * @param {string} modelId
+ * @returns {Promise<void>}
+ */
+export async function dropOtherModelIndexes(modelId) {
+  const metas = await dbGetAll('annMeta');
+  for (const meta of metas) {
+    if (meta.graph.endsWith(`@${modelId}`)) continue;
+    graphs.delete(meta.graph);
+    await dbDeleteBatch('annNodes', await dbGetKeysByIndex('annNodes', 'graph', meta.graph));
+    await dbDelete('annMeta', meta.graph);
+  }
+}
+
+/**
+ * Drop every graph (used when all embeddings are cleared).
+ * @returns {Promise<void>}
+ */
+export async function clearIndexes() {
+  graphs.clear();
+  await dbClear('annNodes');
+  await dbClear('annMeta');
+}
+
+// ---------------------------------------------------------------------------
+// Loading and persistence
+// ---------------------------------------------------------------------------
+
+/**
+ * Return the in-memory graph, loading or refreshing it from IndexedDB when
+ * another context has changed it. Returns null if the graph isn't built.
+ */
+async function loadGraph(graphName) {
+  const meta = await dbGet('annMeta', graphName);
+  if (!meta || meta.building) {
+    graphs.delete(graphName);
+    return null;
+  }
+
+  let cached = graphs.get(graphName);
+  if (cached && cached.buildId !== meta.buildId) cached = null;
+  if (cached && cached.version === meta.version) return cached;
+
+  if (cached && canReplay(meta, cached.version)) {
+    const ids = new Set();
+    for (const entry of meta.log) {
+      if (entry.version > cached.version) entry.ids.forEach(id => ids.add(id));
+    }
+    const keys = [...ids];
+    const nodes = await dbGetMany('annNodes', keys);
+    keys.forEach((id, i) => {
+      if (nodes[i]) cached.nodes.set(id, nodes[i]);
+      else cached.nodes.delete(id);
+    });
+    applyMeta(cached, meta);
+    return cached;
+  }
+
+  const nodes = await dbGetByIndex('annNodes', 'graph', graphName);
+  if (nodes.length !== meta.count) {
+    // Interrupted write — rebuild rather than search a broken graph
+    await dbDelete('annMeta', graphName);
+    graphs.delete(graphName);
+    return null;
+  }
+  const graph = { name: graphName, nodes: new Map(nodes.map(n => [n.id, n])) };
+  applyMeta(graph, meta);
+  graphs.set(graphName, graph);
+  return graph;
+}
+
+function canReplay(meta, version) {
+  const log = meta.log || [];
+  return log.length > 0 && log[0].version <= version + 1;
+}
+
+function applyMeta(graph, meta) {
+  graph.buildId = meta.buildId;
+  graph.version = meta.version;
+  graph.entryPoint = meta.entryPoint;
+  graph.maxLevel = meta.maxLevel;
+  graph.dim = meta.dim;
+  graph.log = meta.log || [];
+}
+
+function metaRecord(graph) {
+  return {
+    graph: graph.name,
+    buildId: graph.buildId,
+    version: graph.version,
+    entryPoint: graph.entryPoint,
+    maxLevel: graph.maxLevel,
+    dim: graph.dim,
+    count: graph.nodes.size,
+    log: graph.log,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Run a mutation against the current graph and persist the nodes it
+ * touched. Mutations are serialized per graph; on failure the graph is
+ * dropped so the next sync rebuilds it.
+ */
+function mutate(graphName, fn) {
+  const previous = locks.get(graphName) || Promise.resolve();
+  const run = previous.then(async () => {
+    try {
+      const graph = await loadGraph(graphName);
+      if (!graph) return;
+
+      const changed = fn(graph);
+      if (changed.size === 0) return;
+
+      graph.version++;
+      graph.log = [...graph.log, { version: graph.version, ids: [...changed] }].slice(-CHANGE_LOG_SIZE);
+
+      const puts = [];
+      const deletes = [];
+      for (const id of changed) {
+        const node = graph.nodes.get(id);
+        if (node) puts.push(node);
+        else deletes.push(id);
+      }
+      if (deletes.length > 0) await dbDeleteBatch('annNodes', deletes);
+      if (puts.length > 0) await dbPutBatch('annNodes', puts);
+      await dbPut('annMeta', metaRecord(graph));
+    } catch (err) {
+      console.warn(`[VectorIndex] Update of "${graphName}" failed, graph will be rebuilt:`, err.message);
+      graphs.delete(graphName);
+      await dbDelete('annMeta', graphName).catch(() => {});
+    }
+  });
+  locks.set(graphName, run);
+  return run;
+}
+
+/**
+ * Build a graph from every embedding of its type and replace the stored one.
+ */
+async function buildGraph(graphName, type, modelId) {
+  await dbPut('annMeta', { graph: graphName, building: true, buildStartedAt: Date.now() });
+  graphs.delete(graphName);
+
+  const [records, oldIds] = await Promise.all([
+    dbGetByIndex('embeddings', 'typeModel', [type, modelId]),
+    dbGetKeysByIndex('annNodes', 'graph', graphName),
+  ]);
+
+  const graph = {
+    name: graphName,
+    nodes: new Map(),
+    entryPoint: null,
+    maxLevel: 0,
+    dim: null,
+    buildId: generateId(),
+    version: 0,
+    log: [],
+  };
+  const changed = new Set();
+  for (const record of records) {
+    if (record.vector) insertNode(graph, makeNode(graphName, record), changed);
+  }
+
+  if (oldIds.length > 0) await dbDeleteBatch('annNodes', oldIds);
+  if (graph.nodes.size > 0) await dbPutBatch('annNodes', [...graph.nodes.values()]);
+  await dbPut('annMeta', metaRecord(graph));
+
+  console.log(`[VectorIndex] Built "${graphName}" index over ${graph.nodes.size} vectors`);
+}
+
+// ---------------------------------------------------------------------------
+// HNSW
+// ---------------------------------------------------------------------------
+
+function graphNameFor(type, modelId) {
+  return `${type}@${modelId}`;
+}
+
+function makeNode(graphName, record) {
+  return {
+    id: record.id,
+    graph: graphName,
+    ref: refOf(record),
+    level: Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * LEVEL_MULT),
+    vector: normalize(record.vector),
+    neighbors: [],
+  };
+}
+
+/** The summary or conversation an embedding belongs to. */
+function refOf(record) {
+  return record.type === 'summary' ? record.summaryId : record.conversationId;
+}
+
+/** Unit-length copy of a vector, so similarity is a plain dot product. */
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function capacity(level) {
+  return level === 0 ? M0 : M;
+}
+
+/**
+ * Best-first search on one layer.
+ * @returns {Array<{id: string, similarity: number}>} Up to ef nodes, most similar first
+ */
+function searchLayer(graph, query, entryIds, ef, level) {
+  const visited = new Set(entryIds);
+  const candidates = []; // most similar last, so pop() yields the best
+  const results = [];    // most similar first, bounded to ef
+
+  for (const id of entryIds) {
+    const item = { id, similarity: dot(query, graph.nodes.get(id).vector) };
+    insertSorted(candidates, item, true);
+    insertSorted(results, item, false);
+  }
+
+  while (candidates.length > 0) {
+    const current = candidates.pop();
+    if (results.length >= ef && current.similarity < results[results.length - 1].similarity) break;
+
+    const neighbors = graph.nodes.get(current.id).neighbors[level] || [];
+    for (const neighborId of neighbors) {
+      if (visited.has(neighborId)) continue;
+      visited.add(neighborId);
+      const neighbor = graph.nodes.get(neighborId);
+      if (!neighbor) continue;
+
+      const similarity = dot(query, neighbor.vector);
+      if (results.length < ef || similarity > results[results.length - 1].similarity) {
+        const item = { id: neighborId, similarity };
+        insertSorted(candidates, item, true);
+        insertSorted(results, item, false);
+        if (results.length > ef) results.pop();
+      }
+    }
+  }
+  return results;
+}
+
+/** Binary insertion into an array sorted by similarity. */
+function insertSorted(list, item, ascending) {
+  let lo = 0, hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const before = ascending
+      ? list[mid].similarity < item.similarity
+      : list[mid].similarity > item.similarity;
+    if (before) lo = mid + 1;
+    else hi = mid;
+  }
+  list.splice(lo, 0, item);
+}
+
+function insertNode(graph, node, changed) {
+  if (graph.dim == null) graph.dim = node.vector.length;
+  if (node.vector.length !== graph.dim) return; // never mix vector spaces
+
+  for (let level = 0; level <= node.level; level++) node.neighbors.push([]);
+  graph.nodes.set(node.id, node);
+  changed.add(node.id);
+
+  if (graph.entryPoint == null) {
+    graph.entryPoint = node.id;
+    graph.maxLevel = node.level;
+    return;
+  }
+
+  let entry = graph.entryPoint;
+  for (let level = graph.maxLevel; level > node.level; level--) {
+    entry = searchLayer(graph, node.vector, [entry], 1, level)[0].id;
+  }
+
+  for (let level = Math.min(node.level, graph.maxLevel); level >= 0; level--) {
+    const found = searchLayer(graph, node.vector, [entry], EF_CONSTRUCTION, level)
+      .filter(c => c.id !== node.id);
+    const selected = found.slice(0, capacity(level));
+    node.neighbors[level] = selected.map(c => c.id);
+
+    for (const { id } of selected) {
+      const neighbor = graph.nodes.get(id);
+      neighbor.neighbors[level].push(node.id);
+      if (neighbor.neighbors[level].length > capacity(level)) {
+        neighbor.neighbors[level] = closest(graph, neighbor, neighbor.neighbors[level], capacity(level));
+      }
+      changed.add(id);
+    }
+    if (found.length > 0) entry = found[0].id;
+  }
+
+  if (node.level > graph.maxLevel) {
+    graph.entryPoint = node.id;
+    graph.maxLevel = node.level;
+  }
+}
+
+/**
+ * Remove a node and reconnect the nodes that linked to it through its own
+ * neighbors, so the graph stays navigable without a rebuild.
+ */
+function removeNode(graph, id, changed) {
+  const node = graph.nodes.get(id);
+  graph.nodes.delete(id);
+  changed.add(id);
+
+  for (const other of graph.nodes.values()) {
+    for (let level = 0; level <= Math.min(node.level, other.level); level++) {
+      const links = other.neighbors[level];
+      if (!links.includes(id)) continue;
+      const pool = new Set(links.filter(n => n !== id));
+      for (const n of node.neighbors[level]) {
+        if (n !== id && n !== other.id && graph.nodes.has(n)) pool.add(n);
+      }
+      other.neighbors[level] = closest(graph, other, [...pool], capacity(level));
+      changed.add(other.id);
+    }
+  }
+
+  if (graph.entryPoint === id) {
+    graph.entryPoint = null;
+    graph.maxLevel = 0;
+    for (const candidate of graph.nodes.values()) {
+      if (graph.entryPoint == null || candidate.level > graph.maxLevel) {
+        graph.entryPoint = candidate.id;
+        graph.maxLevel = candidate.level;
+      }
+    }
+  }
+  if (graph.nodes.size === 0) graph.dim = null;
+}
+
+/** The `limit` ids from `ids` most similar to `node`. */
+function closest(graph, node, ids, limit) {
+  return ids
+    .map(id => ({ id, similarity: dot(node.vector, graph.nodes.get(id).vector) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+    .map(c => c.id);
+}
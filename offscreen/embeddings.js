@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Offscreen embeddings host
+ *
+ * Loaded by the service worker via chrome.offscreen so the MiniLM model can
+ * run while no extension page is open. Hosts the same Web Worker the side
+ * panel uses (through lib/embeddings.js) and answers runtime messages
+ * addressed to OFFSCREEN_TARGET:
+ *
+ *   IN:  { target, type: 'OFFSCREEN_EMBED_INIT', modelId: string }
+ *   OUT: { loaded: boolean, modelId: string|null }
+ *
+ *   IN:  { target, type: 'OFFSCREEN_EMBED', texts: string[], modelId: string }
+ *   OUT: { vectors: number[][] } | { error: string }
+ *
+ * Offscreen documents can't read chrome.storage, so the service worker
+ * names the model in each message and the host switches when it changes.
+ *
+ * Messages without the target are ignored so the service worker stays the
+ * only responder for everything else.
+ */
+
+import { initEmbeddings, embed, getActiveModelId, OFFSCREEN_TARGET } from '../lib/embeddings.js';
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message?.target !== OFFSCREEN_TARGET) return false;
+
+  switch (message.type) {
+    case 'OFFSCREEN_EMBED_INIT':
+      initEmbeddings(message.modelId).then(loaded => sendResponse({ loaded, modelId: getActiveModelId() }));
+      return true;
+
+    case 'OFFSCREEN_EMBED':
+      initEmbeddings(message.modelId)
+        .then(() => {
+          // Never answer with vectors from a model the caller didn't ask for
+          if (getActiveModelId() !== message.modelId) throw new Error('Embedding model mismatch');
+          return embed(message.texts || []);
+        })
+        .then(vectors => sendResponse({ vectors }))
+        .catch(err => sendResponse({ error: err.message }));
+      return true;
+
+    default:
+      return false;
+  }
+});
@@ -2,14 +2,28 @@ import { openDB, dbPut, dbGet, dbGetAll, dbGetByIndex, dbDelete, dbClear, dbCoun
 import { estimateTokens, formatNumber, formatShorthand, shorthandSpan, escapeHtml, sanitizeFilename, downloadFile, convToMarkdown, generateId, sourceLabel, sourceColor, timeAgo } from '../lib/utils.js';
 import { renderMarkdown, renderInlineMarkdown } from '../lib/markdown.js';
 import { parseImport } from '../lib/parsers/universal.js';
-import { summarizeConversation } from '../lib/summarizer.js';
-import { assignToTopic, getAllTopicsWithCounts, getTopicDetail, renameTopic, deleteTopic } from '../lib/knowledge.js';
+import { getUnsummarizedMessages, parsePartialSummary } from '../lib/summarizer.js';
+import { assignToTopic, getAllTopicsWithCounts, getTopicDetail, renameTopic, deleteTopic, resolveInjectionContext, summarizeOrUpdate } from '../lib/knowledge.js';
 import { exportKnowledge } from '../lib/exporter.js';
 import { getOpenConflicts, getConflictsForSummary, resolveConflict, dismissConflict, getConflictStats, runFullScan, checkNewSummary } from '../lib/conflicts.js';
-import { getKnowledgeHealth, getTrending, getStale, getUsageBySource } from '../lib/analytics.js';
+import { getKnowledgeHealth, getTrending, getStale, getUsageBySource, getSpendBreakdown } from '../lib/analytics.js';
+import { getBudgets, saveBudgets, getPriceTable, savePriceTable, getCurrentSpend, checkBudget } from '../lib/ledger.js';
+import { countFixtures, exportFixtures, importFixtures, clearFixtures } from '../lib/fixtures.js';
+import { getQueueSettings } from '../lib/summary-queue.js';
+import { getItems, countItems, updateItem, deleteConversationItems } from '../lib/action-items.js';
+import { getEntities, getEntityGraph, mergeEntities, renameEntity, rebuildEntities, unlinkSummary, normalizeAlias } from '../lib/entities.js';
+import { locateCitedMessage } from '../lib/citations.js';
+import { importConversations, mergeSplitConversations } from '../lib/identity.js';
+import { messageParts, isCodeArtifact } from '../lib/message-parts.js';
+import { ensureTree, hasBranches, siblingsOf, branchThrough, allMessages } from '../lib/branches.js';
+import { getGroundingSettings, saveGroundingSettings } from '../lib/grounding.js';
+import { getExclusionRules, addExclusionRule, removeExclusionRule, describeRule } from '../lib/exclusions.js';
+import { getRedactionSettings, saveRedactionSettings, getRedactor, findRedactions, describeKind, countRedactions, addCounts, DETECTORS, REDACTION_MARKER_RE } from '../lib/redaction.js';
+import { getProfiles, getProfile, saveProfile, deleteProfile, getProfileAssignments, assignProfile, resolveProfile } from '../lib/profiles.js';
 import { trackView, trackExport } from '../lib/tracker.js';
-import { getProviders, saveProviders, hasEnabledProvider, testProvider, PROVIDER_DEFAULTS } from '../lib/ai-router.js';
-import { initEmbeddings, isModelLoaded, isModelLoading, embed, destroyEmbeddings } from '../lib/embeddings.js';
+import { getProviders, saveProviders, hasEnabledProvider, testProvider, discoverModels, getProviderEmbeddingModels, getRoutingRules, saveRoutingRules, getProviderHealth, describeProviderHealth, resetProviderHealth, PROVIDER_DEFAULTS, TASK_TYPES } from '../lib/ai-router.js';
+import { initEmbeddings, isModelLoaded, isModelLoading, destroyEmbeddings, getActiveModelId, getSelectedEmbeddingModel, setSelectedEmbeddingModel, listEmbeddingModelChoices, describeEmbeddingModel } from '../lib/embeddings.js';
+import { embedSummary, batchEmbedMissing, batchEmbedMissingPassages, processEmbeddingQueue, syncEmbeddingIndexes, deleteConversationEmbeddings, deleteSummaryEmbeddings, clearEmbeddings, getEmbeddingStats, getReindexState } from '../lib/embedding-store.js';
 
 // ===== Generic Modal Helpers =====
 const _genericModal = document.getElementById('generic-modal');
@@ -98,16 +112,21 @@ const ActivityDrawer = (() => {
   cancelBtn?.addEventListener('click', () => { if (_onCancel) _onCancel(); });
 
   return {
-    showSingle(title) {
+    showSingle(title, onCancel) {
       setState(null);
+      _onCancel = onCancel || null;
       titleEl.textContent = title;
       subtitleEl.textContent = 'Summarizing...';
       progressEl.textContent = '';
-      cancelBtn.hidden = true;
+      cancelBtn.hidden = !onCancel;
       barFill.style.width = '0%';
       show();
     },
 
+    updateSingle(subtitle) {
+      subtitleEl.textContent = subtitle;
+    },
+
     showBatch(done, total, onCancel) {
       setState(null);
       _onCancel = onCancel || null;
@@ -146,16 +165,26 @@ const ActivityDrawer = (() => {
       autoDismiss(5000);
     },
 
-    stoppedBatch(done, total) {
+    stoppedBatch(done, total, reason) {
       setState('stopped');
       titleEl.textContent = `Stopped: ${done}/${total} summarized`;
-      subtitleEl.textContent = 'Batch summarization cancelled';
+      subtitleEl.textContent = reason || 'Batch summarization cancelled';
       progressEl.textContent = '';
       cancelBtn.hidden = true;
       barFill.style.width = total > 0 ? `${(done / total) * 100}%` : '0%';
       autoDismiss(5000);
     },
 
+    cancelledSingle(title) {
+      setState('stopped');
+      titleEl.textContent = title;
+      subtitleEl.textContent = 'Summarization cancelled';
+      progressEl.textContent = '';
+      cancelBtn.hidden = true;
+      barFill.style.width = '0%';
+      autoDismiss(4000);
+    },
+
     errorSingle(message) {
       setState('error');
       titleEl.textContent = 'Summarization failed';
@@ -182,6 +211,8 @@ const views = {
   'topic-detail': document.getElementById('view-topic-detail'),
   export: document.getElementById('view-export'),
   'conflict-detail': document.getElementById('view-conflict-detail'),
+  'action-items': document.getElementById('view-action-items'),
+  graph: document.getElementById('view-graph'),
   analytics: document.getElementById('view-analytics'),
   settings: document.getElementById('view-settings')
 };
@@ -261,6 +292,8 @@ async function initView(name, data) {
     case 'topic-detail': return initTopicDetail(data.id);
     case 'export': return initExport();
     case 'conflict-detail': return initConflictDetail(data.id);
+    case 'action-items': return initActionItems();
+    case 'graph': return initGraph(data);
     case 'analytics': return initAnalytics();
     case 'settings': return initSettings();
   }
@@ -310,6 +343,8 @@ async function initDashboard() {
   document.getElementById('stat-total').textContent = formatNumber(convs.length);
   document.getElementById('stat-summarized').textContent = formatNumber(summaries.length);
   document.getElementById('stat-pending').textContent = formatNumber(pending);
+  refreshQueueStatus();
+  refreshActionItemCount();
 
   // Platform breakdown (combined source counts + tokens)
   const bySource = {};
@@ -598,6 +633,7 @@ async function handleFiles(fileList) {
   fill.style.width = '0%';
 
   let totalImported = 0;
+  let totalUpdated = 0;
   let totalSkipped = 0;
   const sources = new Set();
   let claudeProjects = null;
@@ -616,17 +652,12 @@ async function handleFiles(fileList) {
         claudeProjects = result.projects;
       }
 
-      // Deduplicate
-      const existing = await dbGetByIndex('conversations', 'source', result.source);
-      const existingIds = new Set(existing.map(c => c.sourceId));
-
-      const newConvs = result.conversations.filter(c => !existingIds.has(c.sourceId));
-      totalSkipped += result.conversations.length - newConvs.length;
-
-      if (newConvs.length > 0) {
-        await dbPutBatch('conversations', newConvs);
-        totalImported += newConvs.length;
-      }
+      // Match to stored conversations by platform id: captured copies are
+      // updated in place, unchanged ones skipped
+      const { added, updated, skipped } = await importConversations(result.conversations);
+      totalImported += added;
+      totalUpdated += updated;
+      totalSkipped += skipped;
     } catch (err) {
       statusText.textContent = `Error processing ${file.name}: ${err.message}`;
       console.error(err);
@@ -637,7 +668,7 @@ async function handleFiles(fileList) {
 
   // --- Create project topics for ChatGPT project conversations ---
   let projectGroupCount = 0;
-  if (totalImported > 0) {
+  if (totalImported + totalUpdated > 0) {
     try {
       // Fetch all conversations to find newly imported project convs
       const allConvs = await dbGetAll('conversations');
@@ -755,6 +786,7 @@ async function handleFiles(fileList) {
 
   const sourceList = [...sources].map(s => sourceLabel(s)).join(', ');
   let msg = `Imported ${formatNumber(totalImported)} conversations from ${sourceList}.`;
+  if (totalUpdated > 0) msg += ` Updated ${formatNumber(totalUpdated)} already saved.`;
   if (totalSkipped > 0) msg += ` Skipped ${formatNumber(totalSkipped)} duplicates.`;
   if (projectGroupCount > 0) msg += ` Found ${projectGroupCount} project group${projectGroupCount > 1 ? 's' : ''} — rename them in Topics.`;
   if (claudeProjectCount > 0) msg += ` Created ${claudeProjectCount} Claude project topic${claudeProjectCount > 1 ? 's' : ''}.`;
@@ -905,6 +937,15 @@ function renderConversationList(list) {
 // ===== Conversation Detail =====
 let currentConv = null;
 
+/**
+ * The branch shown in the message list: the active path, or another branch
+ * picked with a message's version arrows (lib/branches.js).
+ */
+let viewedBranch = [];
+
+/** Rules masking what is sent to AI providers, or null when redaction is off. */
+let convRedactor = null;
+
 async function initConversationDetail(id) {
   if (!id) return;
   document.getElementById('conv-detail-title').textContent = '\u00A0';
@@ -913,29 +954,48 @@ async function initConversationDetail(id) {
 
   currentConv = await dbGet('conversations', id);
   if (!currentConv) return;
+  ensureTree(currentConv);
+  convRedactor = await getRedactor('egress');
 
   document.getElementById('conv-detail-title').classList.remove('skeleton');
   document.getElementById('conv-detail-title').textContent = currentConv.title;
   document.getElementById('conv-msg-count').textContent = formatNumber(currentConv.messageCount);
+  const altCount = document.getElementById('conv-alt-count');
+  altCount.hidden = !hasBranches(currentConv);
+  altCount.textContent = ` · ${formatNumber(currentConv.alternates.length)} in other branches`;
 
   // Meta badges
   const meta = document.getElementById('conv-detail-meta');
   const date = currentConv.createdAt
     ? new Date(currentConv.createdAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
     : '';
+  const masked = addCounts(...allMessages(currentConv).map(m => m.metadata?.redacted));
   meta.innerHTML = `
     <span class="badge badge-source" style="background:${sourceColor(currentConv.source)}">${sourceLabel(currentConv.source)}</span>
     <span class="badge badge-tokens">~${formatNumber(currentConv.estimatedTokens)} tokens</span>
     ${date ? `<span class="badge badge-count">${date}</span>` : ''}
+    ${countRedactions(masked) > 0 ? `<span class="badge badge-redacted" title="Masked when captured: ${escapeHtml(describeCounts(masked))}">${formatNumber(countRedactions(masked))} redacted</span>` : ''}
   `;
 
   // Summary, Insights, Decisions — separate cards
   const summaryCard = document.getElementById('conv-summary-card');
   const insightsCard = document.getElementById('conv-insights-card');
   const decisionsCard = document.getElementById('conv-decisions-card');
+  const codeCard = document.getElementById('conv-code-card');
+  const fieldsCard = document.getElementById('conv-fields-card');
   summaryCard.hidden = true;
+  document.getElementById('conv-confidence').hidden = true;
+  document.getElementById('conv-dropped-claims').hidden = true;
   insightsCard.hidden = true;
   decisionsCard.hidden = true;
+  codeCard.hidden = true;
+  fieldsCard.hidden = true;
+  document.getElementById('conv-summary-text').classList.remove('streaming');
+
+  const failure = currentConv.metadata?.summaryFailure;
+  const failureEl = document.getElementById('conv-summary-failure');
+  failureEl.hidden = !failure;
+  failureEl.textContent = failure ? `Last summarization failed ${timeAgo(failure.failedAt)}: ${failure.reason}` : '';
 
   const summaries = await dbGetByIndex('summaries', 'conversationId', id);
   if (summaries.length > 0) {
@@ -944,27 +1004,49 @@ async function initConversationDetail(id) {
 
     summaryCard.hidden = false;
     document.getElementById('conv-summary-text').innerHTML = renderMarkdown(s.summary);
+    renderConfidence(s);
+    const sentMasked = s.metadata?.redactions;
+    const redactionNote = document.getElementById('conv-redaction-note');
+    redactionNote.hidden = countRedactions(sentMasked) === 0;
+    redactionNote.textContent = `${formatNumber(countRedactions(sentMasked))} ${countRedactions(sentMasked) === 1 ? 'value was' : 'values were'} masked before sending to the AI provider: ${describeCounts(sentMasked)}.`;
     document.getElementById('conv-tags').innerHTML = (s.tags || []).map(t => `<span class="tag">${escapeHtml(t)}</span>`).join('');
+    renderEntityTags(document.getElementById('conv-entities'), s.entities || []);
 
     if (s.keyInsights?.length) {
       insightsCard.hidden = false;
-      document.getElementById('conv-insights').innerHTML = s.keyInsights.map(i => `<li>${renderInlineMarkdown(i)}</li>`).join('');
+      document.getElementById('conv-insights').innerHTML = s.keyInsights.map((insight, i) =>
+        renderClaim(insight, s.citations?.keyInsights?.[i], s.support?.keyInsights?.[i])
+      ).join('');
     }
 
     if (s.decisions?.length) {
       decisionsCard.hidden = false;
-      document.getElementById('conv-decisions').innerHTML = s.decisions.map(d => `<li>${renderInlineMarkdown(d)}</li>`).join('');
+      document.getElementById('conv-decisions').innerHTML = s.decisions.map((decision, i) =>
+        renderClaim(decision, s.citations?.decisions?.[i], s.support?.decisions?.[i])
+      ).join('');
+    }
+
+    if (s.codeSnippets?.length) {
+      codeCard.hidden = false;
+      document.getElementById('conv-code').innerHTML = s.codeSnippets.map((c, i) =>
+        `<div class="code-label">${escapeHtml(c.description || c.language || '')}${renderCitationRefs(s.citations?.codeSnippets?.[i])}</div><pre class="code-block">${escapeHtml(c.code)}</pre>`
+      ).join('');
+    }
+
+    if (s.fields?.length) {
+      fieldsCard.hidden = false;
+      const profile = await getProfile(s.metadata?.profileId);
+      document.getElementById('conv-fields-title').textContent = profile.id === s.metadata?.profileId ? profile.name : 'Profile';
+      document.getElementById('conv-fields').innerHTML = s.fields.map(renderSummaryField).join('');
     }
+
+    ['conv-summary-text', 'conv-insights', 'conv-decisions', 'conv-code', 'conv-fields']
+      .forEach(elId => markRedactions(document.getElementById(elId)));
   }
 
   // Messages
-  const msgContainer = document.getElementById('conv-messages');
-  msgContainer.innerHTML = (currentConv.messages || []).map(msg => `
-    <div class="message">
-      <div class="message-role ${msg.role}">${msg.role}</div>
-      <div class="message-content md-content">${renderMarkdown(msg.content)}</div>
-    </div>
-  `).join('');
+  viewedBranch = currentConv.messages;
+  renderConvMessages();
 
   // Summarize button state
   const convSumBtn = document.getElementById('conv-summarize-btn');
@@ -976,11 +1058,231 @@ async function initConversationDetail(id) {
       convSumBtn._noProvider = true;
     } else {
       convSumBtn._noProvider = false;
-      convSumBtn.textContent = summaries.length > 0 ? 'Re-summarize' : 'Summarize';
+      const newCount = summaries.length > 0 ? (getUnsummarizedMessages(currentConv, summaries[0])?.length || 0) : 0;
+      convSumBtn.textContent = newCount > 0
+        ? `Update Summary (${formatNumber(newCount)} new)`
+        : summaries.length > 0 ? 'Re-summarize' : 'Summarize';
+    }
+  }
+}
+
+/**
+ * Render the viewed branch. Messages with other versions (an edited prompt,
+ * a regenerated response) get arrows to view the branch through each;
+ * only messages on the active path can be cited, so only they carry an index.
+ */
+function renderConvMessages() {
+  const activeIndex = new Map(currentConv.messages.map((m, i) => [m.id, i]));
+  const branched = hasBranches(currentConv);
+  const onActive = viewedBranch.every(m => activeIndex.has(m.id));
+
+  const notice = onActive ? '' : `
+    <div class="branch-notice">
+      Viewing another branch. It is not summarized.
+      <button class="btn btn-secondary btn-small" data-branch-reset>Show active branch</button>
+    </div>`;
+
+  const container = document.getElementById('conv-messages');
+  container.innerHTML = notice + viewedBranch.map(msg => {
+    const versions = branched ? siblingsOf(currentConv, msg) : [msg];
+    const index = activeIndex.has(msg.id) ? ` data-message-index="${activeIndex.get(msg.id)}"` : '';
+    return `
+    <div class="message"${index}>
+      <div class="message-role ${msg.role}">${msg.role}${versions.length > 1 ? renderBranchNav(versions, versions.indexOf(msg)) : ''}</div>
+      <div class="message-content md-content">${renderMessageParts(msg)}</div>
+    </div>
+  `;
+  }).join('');
+  markRedactions(container, convRedactor);
+}
+
+/** Arrows between the versions of a message, e.g. "‹ 2/3 ›". */
+function renderBranchNav(versions, at) {
+  const step = (to, label, title) => `<button class="branch-step" data-branch-to="${to ? escapeHtml(to.id) : ''}" title="${title}"${to ? '' : ' disabled'}>${label}</button>`;
+  return `<span class="branch-nav">${step(versions[at - 1], '&lsaquo;', 'Previous version')}${at + 1}/${versions.length}${step(versions[at + 1], '&rsaquo;', 'Next version')}</span>`;
+}
+
+/**
+ * A message's content from its parts (lib/message-parts.js): code under its
+ * language, tables as tables, artifacts collapsed and files as chips.
+ */
+function renderMessageParts(msg) {
+  return messageParts(msg).map(part => {
+    switch (part.type) {
+      case 'code':
+        return `<div class="part-code">${part.language ? `<div class="code-label">${escapeHtml(part.language)}</div>` : ''}<pre class="md-code-block"><code>${escapeHtml(part.code)}</code></pre></div>`;
+      case 'table': {
+        const [head, ...rows] = part.rows;
+        return `<div class="part-table"><table>
+          <thead><tr>${head.map(cell => `<th>${renderInlineMarkdown(cell)}</th>`).join('')}</tr></thead>
+          <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${renderInlineMarkdown(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table></div>`;
+      }
+      case 'artifact': {
+        const body = !part.content
+          ? '<div class="part-empty">Content not captured</div>'
+          : isCodeArtifact(part)
+            ? `<pre class="md-code-block"><code>${escapeHtml(part.content)}</code></pre>`
+            : `<div class="md-content">${renderMarkdown(part.content)}</div>`;
+        return `<details class="part-artifact">
+          <summary>${escapeHtml(part.title)}${part.kind ? ` <span class="part-kind">${escapeHtml(part.kind)}</span>` : ''}</summary>
+          ${body}
+        </details>`;
+      }
+      case 'attachment':
+        return `<span class="part-attachment" title="${escapeHtml(part.mimeType || 'Attached file')}">${escapeHtml(part.name)}</span>`;
+      default:
+        return renderMarkdown(part.text);
+    }
+  }).join('');
+}
+
+/** Redaction counts as a list of what was masked, e.g. "Email addresses (2), IP addresses". */
+function describeCounts(counts) {
+  return Object.entries(counts || {})
+    .map(([kind, n]) => `${describeKind(kind, convRedactor)}${n > 1 ? ` (${formatNumber(n)})` : ''}`)
+    .join(', ');
+}
+
+/**
+ * Mark redactions in rendered text: `[REDACTED:kind]` markers become
+ * chips, and with a redactor (lib/redaction.js), the values it would mask
+ * are highlighted — they are stored as captured, and masked only when sent
+ * to AI providers.
+ */
+function markRedactions(root, redactor = null) {
+  if (!root) return;
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+
+  for (const node of nodes) {
+    const text = node.nodeValue;
+    const code = !!node.parentElement?.closest('pre, code');
+    const ranges = [
+      ...[...text.matchAll(REDACTION_MARKER_RE)].map(m => ({ start: m.index, end: m.index + m[0].length, kind: m[1], masked: true })),
+      ...findRedactions(text, redactor, { code }),
+    ].sort((a, b) => a.start - b.start);
+    if (ranges.length === 0) continue;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    for (const range of ranges) {
+      fragment.append(text.slice(last, range.start));
+      const label = describeKind(range.kind, redactor || convRedactor);
+      const el = document.createElement(range.masked ? 'span' : 'mark');
+      el.className = range.masked ? 'redaction' : 'redaction-egress';
+      el.title = range.masked ? `Redacted: ${label}` : `${label}: masked when sent to AI providers`;
+      el.textContent = range.masked ? range.kind : text.slice(range.start, range.end);
+      fragment.append(el);
+      last = range.end;
     }
+    fragment.append(text.slice(last));
+    node.replaceWith(fragment);
   }
 }
 
+const CITATION_STATUS_LABELS = {
+  verified: 'Quoted from this message',
+  overlap: 'Matches this message, no exact quote',
+  unverified: 'Not found in the cited message',
+};
+
+/**
+ * Links after a summary item to the messages it cites (lib/citations.js),
+ * styled by how well the citation checked out.
+ */
+function renderCitationRefs(citation) {
+  if (!citation?.messages?.length) return '';
+  const label = CITATION_STATUS_LABELS[citation.status] || 'Cited';
+  const title = citation.quote ? `${label}: "${citation.quote}"` : label;
+  return citation.messages.map((_, which) => {
+    const index = locateCitedMessage(currentConv, citation, which);
+    if (index === -1) return '';
+    return `<button type="button" class="cite-ref cite-${escapeHtml(citation.status)}" data-message-index="${index}" title="${escapeHtml(title)}">#${index + 1}</button>`;
+  }).join('');
+}
+
+const CLAIM_STATUS_LABELS = {
+  weak: 'Weak support',
+  unsupported: 'Unsupported',
+};
+
+const CLAIM_METHOD_LABELS = {
+  lexical: 'wording',
+  embedding: 'wording and meaning',
+  ai: 'AI check',
+};
+
+/**
+ * An insight or decision with its citations, marked when the hallucination
+ * check (lib/grounding.js) found little support for it.
+ */
+function renderClaim(text, citation, support) {
+  const flagged = support && support.status !== 'supported';
+  if (!flagged) return `<li>${renderInlineMarkdown(text)}${renderCitationRefs(citation)}</li>`;
+
+  const title = `${CLAIM_STATUS_LABELS[support.status]} in the conversation: ${Math.round(support.score * 100)}% ` +
+    `(${CLAIM_METHOD_LABELS[support.method] || support.method})${support.reason ? ` - ${support.reason}` : ''}`;
+  return `<li class="claim-${support.status}">${renderInlineMarkdown(text)}` +
+    `<span class="claim-flag" title="${escapeHtml(title)}">${CLAIM_STATUS_LABELS[support.status]}</span>` +
+    `${renderCitationRefs(citation)}</li>`;
+}
+
+/** The summary's confidence badge and the claims its check dropped. */
+function renderConfidence(summary) {
+  const badge = document.getElementById('conv-confidence');
+  const confidence = summary.confidence;
+  badge.hidden = confidence == null;
+  if (confidence != null) {
+    const level = confidence >= 0.75 ? 'high' : confidence >= 0.5 ? 'medium' : 'low';
+    badge.className = `badge badge-confidence-${level}`;
+    badge.textContent = `${Math.round(confidence * 100)}% supported`;
+    badge.title = 'How well the insights and decisions are supported by the conversation';
+  }
+
+  const dropped = summary.support?.dropped || [];
+  const droppedEl = document.getElementById('conv-dropped-claims');
+  droppedEl.hidden = dropped.length === 0;
+  document.getElementById('conv-dropped-claims-title').textContent =
+    `${formatNumber(dropped.length)} unsupported ${dropped.length === 1 ? 'claim' : 'claims'} dropped`;
+  document.getElementById('conv-dropped-claims-list').innerHTML = dropped.map(c =>
+    `<li>${renderInlineMarkdown(c.text)} <span class="claim-flag">${Math.round(c.score * 100)}%</span></li>`
+  ).join('');
+}
+
+/**
+ * Open the message list, scroll to a message and highlight it. Citations
+ * point into the active path, so another branch being viewed is left.
+ */
+function jumpToMessage(index) {
+  if (currentConv && viewedBranch !== currentConv.messages) {
+    viewedBranch = currentConv.messages;
+    renderConvMessages();
+  }
+  const el = document.querySelector(`#conv-messages [data-message-index="${index}"]`);
+  if (!el) return;
+  el.closest('details').open = true;
+  el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  document.querySelectorAll('#conv-messages .message-cited').forEach(m => m.classList.remove('message-cited'));
+  el.classList.add('message-cited');
+}
+
+document.getElementById('view-conversation-detail')?.addEventListener('click', (e) => {
+  const ref = e.target.closest('.cite-ref');
+  if (ref) jumpToMessage(ref.dataset.messageIndex);
+
+  const step = e.target.closest('[data-branch-to]');
+  if (step?.dataset.branchTo && currentConv) {
+    viewedBranch = branchThrough(currentConv, step.dataset.branchTo);
+    renderConvMessages();
+  }
+  if (e.target.closest('[data-branch-reset]') && currentConv) {
+    viewedBranch = currentConv.messages;
+    renderConvMessages();
+  }
+});
+
 // Conv detail buttons
 document.getElementById('conv-summarize-btn')?.addEventListener('click', async () => {
   if (!currentConv) return;
@@ -999,15 +1301,19 @@ document.getElementById('conv-summarize-btn')?.addEventListener('click', async (
   }
 
   const convTitle = currentConv.title || 'Untitled';
+  const convId = currentConv.id;
+  const controller = new AbortController();
   btn.disabled = true;
-  ActivityDrawer.showSingle(convTitle);
+  ActivityDrawer.showSingle(convTitle, () => controller.abort());
   try {
     const hasProvider = await hasEnabledProvider();
     if (!hasProvider) { ActivityDrawer.dismiss(); navigateTo('settings'); return; }
     const injCtx = await resolveInjectionContext(currentConv);
-    const summary = await summarizeConversation(currentConv, { injectionContext: injCtx });
-    await dbPut('summaries', summary);
-    const forceTopicId = currentConv?.metadata?.projectTopicId || injCtx?.[0]?.topicId || null;
+    const summary = await summarizeOrUpdate(currentConv, injCtx, {
+      signal: controller.signal,
+      onText: (text, step) => renderStreamingSummary(convId, text, step),
+    });
+    const forceTopicId = summary.topicId || currentConv?.metadata?.projectTopicId || injCtx?.[0]?.topicId || null;
     await assignToTopic(summary, { forceTopicId });
     // Embed the new summary
     await embedSummary(summary);
@@ -1016,13 +1322,51 @@ document.getElementById('conv-summarize-btn')?.addEventListener('click', async (
     ActivityDrawer.completeSingle(convTitle);
     await initConversationDetail(currentConv.id);
   } catch (err) {
-    ActivityDrawer.errorSingle(err.message);
+    if (err.name === 'AbortError') {
+      ActivityDrawer.cancelledSingle(convTitle);
+    } else {
+      ActivityDrawer.errorSingle(err.message);
+    }
+    // Replace the partial stream with the stored summary, if any
+    if (currentConv?.id === convId) await initConversationDetail(convId);
   } finally {
     btn.textContent = 'Summarize';
     btn.disabled = false;
   }
 });
 
+/** One profile field of a summary: a list or a paragraph under its label. */
+function renderSummaryField(field) {
+  const body = Array.isArray(field.value)
+    ? `<ul class="insight-list">${field.value.map(v => `<li>${renderInlineMarkdown(v)}</li>`).join('')}</ul>`
+    : `<div class="md-content">${renderMarkdown(field.value)}</div>`;
+  return `<div class="summary-field"><div class="summary-field-label">${escapeHtml(field.label)}</div>${body}</div>`;
+}
+
+/**
+ * Show a summary response as it streams in. Map-reduce summaries stream
+ * each part and merge in turn; the drawer says which one is arriving.
+ */
+function renderStreamingSummary(convId, text, step) {
+  const stepLabel = {
+    part: `Summarizing part ${step.part} of ${step.parts}...`,
+    'part-merge': 'Merging parts...',
+    merge: 'Merging parts into the final summary...',
+    revise: step.parts > 1 ? `Adding new messages (${step.part} of ${step.parts})...` : 'Adding new messages...',
+  }[step.stage] || 'Summarizing...';
+  ActivityDrawer.updateSingle(stepLabel);
+
+  // The user may have navigated to another conversation meanwhile
+  if (currentConv?.id !== convId) return;
+  const { summary } = parsePartialSummary(text);
+  if (!summary) return;
+  const card = document.getElementById('conv-summary-card');
+  const textEl = document.getElementById('conv-summary-text');
+  card.hidden = false;
+  textEl.classList.add('streaming');
+  textEl.innerHTML = renderMarkdown(summary);
+}
+
 // Conversation detail: bottom drawer
 const convDrawer = document.getElementById('conv-drawer');
 const convDeleteModal = document.getElementById('conv-delete-modal');
@@ -1059,6 +1403,47 @@ document.getElementById('conv-drawer-copy')?.addEventListener('click', async ()
   await navigator.clipboard.writeText(md);
 });
 
+// Drawer: Summary profile
+document.getElementById('conv-drawer-profile')?.addEventListener('click', async () => {
+  closeConvDrawer();
+  if (!currentConv) return;
+  const [summary] = await dbGetByIndex('summaries', 'conversationId', currentConv.id);
+  const topicId = summary?.topicId || currentConv.metadata?.projectTopicId || null;
+  const { profile, assignedBy } = await resolveProfile({ ...currentConv, id: null }, topicId);
+  const automatic = assignedBy === 'default' ? profile.name : `${profile.name}, from its ${assignedBy}`;
+  openProfilePicker('conversations', currentConv.id, automatic,
+    'Used the next time this conversation is summarized. Re-summarize to apply it now.');
+});
+
+// Summary profile picker, shared by the conversation and topic drawers
+const profilePickModal = document.getElementById('profile-pick-modal');
+
+/**
+ * Choose the profile assigned to a conversation or topic. "Automatic"
+ * removes the assignment; `automaticLabel` says what that falls back to.
+ */
+async function openProfilePicker(scope, key, automaticLabel, hint) {
+  const [profiles, assignments] = await Promise.all([getProfiles(), getProfileAssignments()]);
+  const assigned = assignments[scope][key] || '';
+  const select = document.getElementById('profile-pick-select');
+  select.innerHTML = `<option value="">Automatic (${escapeHtml(automaticLabel)})</option>` +
+    profiles.map(p => `<option value="${escapeHtml(p.id)}" ${p.id === assigned ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('');
+  document.getElementById('profile-pick-hint').textContent = hint;
+  document.getElementById('profile-pick-save').onclick = async () => {
+    await assignProfile(scope, key, select.value || null);
+    profilePickModal.hidden = true;
+  };
+  profilePickModal.hidden = false;
+}
+
+document.getElementById('profile-pick-modal-close')?.addEventListener('click', () => {
+  profilePickModal.hidden = true;
+});
+
+document.getElementById('profile-pick-cancel')?.addEventListener('click', () => {
+  profilePickModal.hidden = true;
+});
+
 // Drawer: Delete — open confirmation modal
 document.getElementById('conv-drawer-delete')?.addEventListener('click', () => {
   closeConvDrawer();
@@ -1079,7 +1464,13 @@ document.getElementById('conv-delete-confirm')?.addEventListener('click', async
   if (!currentConv) return;
   await dbDelete('conversations', currentConv.id);
   const summaries = await dbGetByIndex('summaries', 'conversationId', currentConv.id);
-  for (const s of summaries) await dbDelete('summaries', s.id);
+  for (const s of summaries) {
+    await dbDelete('summaries', s.id);
+    await deleteSummaryEmbeddings(s.id);
+    await unlinkSummary(s.id);
+  }
+  await deleteConversationEmbeddings(currentConv.id);
+  await deleteConversationItems(currentConv.id);
   if (convDeleteModal) convDeleteModal.hidden = true;
   chrome.runtime.sendMessage({ type: 'DATA_CHANGED' }).catch(() => {});
   goBack();
@@ -1248,6 +1639,8 @@ async function initTopicDetail(id) {
   document.getElementById('topic-decisions').innerHTML = allDecisions.length
     ? allDecisions.map(d => `<li>${renderInlineMarkdown(d)}</li>`).join('')
     : '<li class="empty-state">No decisions yet</li>';
+  markRedactions(document.getElementById('topic-insights'));
+  markRedactions(document.getElementById('topic-decisions'));
 
   // Code
   const allCode = detail.summaries.flatMap(s => s.codeSnippets || []);
@@ -1257,6 +1650,7 @@ async function initTopicDetail(id) {
     document.getElementById('topic-code').innerHTML = allCode.map(c =>
       `<div class="code-label">${escapeHtml(c.description || c.language || '')}</div><pre class="code-block">${escapeHtml(c.code)}</pre>`
     ).join('');
+    markRedactions(document.getElementById('topic-code'));
   } else {
     codeSection.hidden = true;
   }
@@ -1332,6 +1726,7 @@ document.getElementById('topic-summarize-btn')?.addEventListener('click', async
   const BATCH = 5;
   let done = 0;
   let failed = 0;
+  let budgetStop = null;
   const total = unsummarized.length;
   const suggestedNames = [];
 
@@ -1339,8 +1734,9 @@ document.getElementById('topic-summarize-btn')?.addEventListener('click', async
   btn.disabled = true;
   btn.textContent = `Summarizing 0/${formatNumber(total)}...`;
 
+  summarizationController = new AbortController();
   ActivityDrawer.showBatch(0, total, () => {
-    cancelSummarization = true;
+    stopSummarization();
     btn.textContent = 'Stopping...';
   });
 
@@ -1351,16 +1747,17 @@ document.getElementById('topic-summarize-btn')?.addEventListener('click', async
     const results = await Promise.allSettled(
       batch.map(async (conv) => {
         const injCtx = await resolveInjectionContext(conv);
-        const summary = await summarizeConversation(conv, { injectionContext: injCtx });
-        await dbPut('summaries', summary);
+        const summary = await summarizeOrUpdate(conv, injCtx, { signal: summarizationController.signal, background: true });
         await assignToTopic(summary, { forceTopicId: topicId });
-        await embedSummary(summary);
+        await embedSummary(summary, { background: true });
         if (summary.suggestedTopicName) suggestedNames.push(summary.suggestedTopicName);
         return summary;
       })
     );
     done += results.filter(r => r.status === 'fulfilled').length;
-    failed += results.filter(r => r.status === 'rejected').length;
+    failed += results.filter(r => r.status === 'rejected' && r.reason?.name !== 'AbortError' && r.reason?.code !== 'BUDGET_EXCEEDED').length;
+    budgetStop = results.find(r => r.reason?.code === 'BUDGET_EXCEEDED')?.reason.message || budgetStop;
+    if (budgetStop) stopSummarization();
     btn.textContent = `Summarizing ${formatNumber(done)}/${formatNumber(total)}...`;
     ActivityDrawer.updateBatch(done, total, failed);
 
@@ -1370,6 +1767,7 @@ document.getElementById('topic-summarize-btn')?.addEventListener('click', async
   }
 
   isSummarizing = false;
+  summarizationController = null;
 
   // AI-rename the topic using the most common suggested name
   if (suggestedNames.length > 0 && !cancelSummarization) {
@@ -1396,7 +1794,7 @@ document.getElementById('topic-summarize-btn')?.addEventListener('click', async
 
   if (cancelSummarization) {
     btn.textContent = `Stopped: ${formatNumber(done)}/${formatNumber(total)}`;
-    ActivityDrawer.stoppedBatch(done, total);
+    ActivityDrawer.stoppedBatch(done, total, budgetStop);
   } else {
     btn.textContent = `Done! ${formatNumber(done)} summarized`;
     ActivityDrawer.completeBatch(done, total, failed);
@@ -1467,6 +1865,14 @@ document.getElementById('topic-rename-save')?.addEventListener('click', async ()
   }
 });
 
+// Drawer: Summary profile
+document.getElementById('drawer-profile')?.addEventListener('click', () => {
+  closeTopicDrawer();
+  if (!currentTopic) return;
+  openProfilePicker('topics', currentTopic.topic.id, 'each conversation\'s platform profile',
+    'Used for conversations in this topic that have no profile of their own.');
+});
+
 // Drawer: Delete — show confirmation modal
 const topicDeleteModal = document.getElementById('topic-delete-modal');
 
@@ -1550,6 +1956,13 @@ let editingProviderId = null;
 
 async function initSettings() {
   await renderProviderList();
+  await renderRoutingSettings();
+  await renderBudgetSettings();
+  await renderProfileSettings();
+  await renderQueueSettings();
+  await renderGroundingSettings();
+  await renderExclusionRules();
+  await renderRedactionSettings();
   updateEmbeddingsStatus();
 
   // Storage stats
@@ -1562,16 +1975,129 @@ async function initSettings() {
     <div class="settings-stat-row"><span class="settings-stat-label">Topics</span><span class="settings-stat-value">${formatNumber(topicCount)}</span></div>
   `;
 
-  // Embeddings stats
-  const embCount = await dbCount('embeddings');
+  await renderEmbeddingSettings();
+}
+
+// ===== Embedding Model & Re-index =====
+async function renderEmbeddingSettings() {
+  const select = document.getElementById('embedding-model-select');
+  const selected = await getSelectedEmbeddingModel();
+  if (select) {
+    const choices = await listEmbeddingModelChoices();
+    // Keep a selected provider model visible even if its provider was disabled
+    if (!choices.some(c => c.id === selected)) {
+      choices.push({ id: selected, name: `${describeEmbeddingModel(selected).name} (unavailable)`, backend: 'provider' });
+    }
+    const options = (backend) => choices
+      .filter(c => c.backend === backend)
+      .map(c => `<option value="${escapeHtml(c.id)}"${c.id === selected ? ' selected' : ''}>${escapeHtml(c.name)}</option>`)
+      .join('');
+    const hosted = options('provider');
+    select.innerHTML = `<optgroup label="On this device">${options('local')}</optgroup>`
+      + (hosted ? `<optgroup label="Via AI provider">${hosted}</optgroup>` : '');
+  }
+
+  const stats = await getEmbeddingStats(selected);
   const embStats = document.getElementById('embeddings-stats');
   if (embStats) {
-    embStats.textContent = embCount > 0 ? `${formatNumber(embCount)} summaries embedded` : 'No summaries embedded yet';
+    if (stats.total === 0) {
+      embStats.textContent = 'Nothing embedded yet';
+    } else if (stats.stale > 0) {
+      embStats.textContent = `${formatNumber(stats.current)} of ${formatNumber(stats.total)} vectors use this model — re-index to update the rest`;
+    } else {
+      embStats.textContent = `${formatNumber(stats.total)} vectors embedded`;
+    }
+  }
+
+  renderReindexProgress(await getReindexState());
+}
+
+function renderReindexProgress(state) {
+  const box = document.getElementById('reindex-progress');
+  const fill = document.getElementById('reindex-fill');
+  const text = document.getElementById('reindex-text');
+  const btn = document.getElementById('reindex-btn');
+  const pauseBtn = document.getElementById('reindex-pause-btn');
+  if (!box || !fill || !text || !btn || !pauseBtn) return;
+
+  const active = state && (state.status === 'running' || state.status === 'paused');
+  box.hidden = !active && state?.status !== 'failed';
+  pauseBtn.hidden = !active;
+  pauseBtn.textContent = state?.status === 'paused' ? 'Resume' : 'Pause';
+  btn.disabled = state?.status === 'running';
+  if (!state) return;
+
+  const pct = state.total > 0 ? Math.round((state.done / state.total) * 100) : 0;
+  fill.style.width = `${pct}%`;
+  const modelName = describeEmbeddingModel(state.modelId)?.name || state.modelId;
+  if (state.status === 'running') {
+    text.textContent = `Re-indexing with ${modelName}: ${state.done} / ${state.total || '…'}`;
+  } else if (state.status === 'paused') {
+    text.textContent = `Paused at ${state.done} / ${state.total}${state.error ? `: ${state.error}` : ''}`;
+  } else if (state.status === 'failed') {
+    text.textContent = `Re-index stopped: ${state.error || 'unknown error'}`;
   }
 }
 
+document.getElementById('embedding-model-select')?.addEventListener('change', async (e) => {
+  const modelId = e.target.value;
+  const previous = await getSelectedEmbeddingModel();
+  if (modelId === previous) return;
+
+  const yes = await showConfirm(
+    `Switch to ${describeEmbeddingModel(modelId).name}? All stored vectors will be re-embedded in the background; semantic search covers only re-embedded items until it finishes.${describeEmbeddingModel(modelId).backend === 'provider' ? ' Conversation text will be sent to the provider.' : ''}`,
+    'Change Embedding Model',
+    { ok: 'Switch' }
+  );
+  if (!yes) {
+    e.target.value = previous;
+    return;
+  }
+
+  await setSelectedEmbeddingModel(modelId);
+  chrome.runtime.sendMessage({ type: 'REINDEX_START' }).catch(() => {});
+  // Load the new model here too, for side panel scoring
+  updateEmbeddingsStatus();
+  initEmbeddings().then(() => updateEmbeddingsStatus());
+  await renderEmbeddingSettings();
+});
+
+document.getElementById('reindex-btn')?.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'REINDEX_START' }).catch(() => {});
+  renderReindexProgress({ modelId: getActiveModelId(), status: 'running', total: 0, done: 0 });
+});
+
+document.getElementById('reindex-pause-btn')?.addEventListener('click', async () => {
+  const state = await getReindexState();
+  const type = state?.status === 'paused' ? 'REINDEX_RESUME' : 'REINDEX_PAUSE';
+  chrome.runtime.sendMessage({ type }).catch(() => {});
+});
+
+// Provider edits change which hosted embedding models and routes can be selected
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.aiProviders && views.settings && !views.settings.hidden) {
+    renderRoutingSettings();
+    renderBudgetSettings();
+    renderEmbeddingSettings();
+    initEmbeddings().then(() => updateEmbeddingsStatus());
+  }
+  // Health stats recorded by other contexts (e.g. background summarization)
+  if (area === 'local' && changes.aiProviderHealth && views.settings && !views.settings.hidden) {
+    renderProviderList();
+  }
+});
+
+// Progress broadcast by the service worker while the job runs
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.type !== 'REINDEX_PROGRESS') return;
+  renderReindexProgress(message.state);
+  if (message.state?.status === 'complete' && views.settings && !views.settings.hidden) {
+    renderEmbeddingSettings();
+  }
+});
+
 async function renderProviderList() {
-  const providers = await getProviders();
+  const [providers, health] = await Promise.all([getProviders(), getProviderHealth()]);
   const container = document.getElementById('provider-list');
   if (!container) return;
 
@@ -1588,7 +2114,8 @@ async function renderProviderList() {
       </label>
       <div class="provider-info">
         <div class="provider-name">${escapeHtml(p.name)}</div>
-        <div class="provider-meta">${p.type} &middot; ${p.defaultModel}</div>
+        <div class="provider-meta">${p.type} &middot; ${p.type === 'replay' ? (p.extra?.mode === 'record' ? 'recording' : 'replaying') : p.defaultModel}</div>
+        ${renderProviderHealth(health[p.id])}
       </div>
       <div class="provider-actions">
         ${idx > 0 ? `<button data-move-up="${p.id}" title="Move up">&#9650;</button>` : ''}
@@ -1655,11 +2182,377 @@ async function renderProviderList() {
       const providers = await getProviders();
       const filtered = providers.filter(p => p.id !== btn.dataset.deleteId);
       await saveProviders(filtered);
+      await resetProviderHealth(btn.dataset.deleteId);
       await renderProviderList();
     });
   });
 }
 
+// ===== Task Routing =====
+async function renderRoutingSettings() {
+  const container = document.getElementById('routing-list');
+  if (!container) return;
+  const [providers, rules] = await Promise.all([getProviders(), getRoutingRules()]);
+
+  container.innerHTML = Object.entries(TASK_TYPES).map(([task, info]) => {
+    const rule = rules[task] || {};
+    const steps = (rule.route || []).map(step => renderRoutingStep(providers, step)).join('');
+    return `
+      <div class="routing-task" data-task="${task}">
+        <div class="provider-name">${escapeHtml(info.label)}</div>
+        <div class="provider-meta">${escapeHtml(info.description)}</div>
+        <div class="routing-steps">${steps || '<div class="provider-meta">Default provider order</div>'}</div>
+        <button class="btn btn-small btn-tertiary" data-add-step ${providers.length ? '' : 'disabled'}>+ Add provider</button>
+        <div class="routing-params">
+          <label>Temperature</label>
+          <input type="number" class="filter-num" data-param="temperature" min="0" max="2" step="0.1"
+            value="${rule.temperature ?? ''}" placeholder="${info.defaults.temperature}">
+          <label>Max tokens</label>
+          <input type="number" class="filter-num" data-param="maxTokens" min="1" step="100"
+            value="${rule.maxTokens ?? ''}" placeholder="${info.defaults.maxTokens}">
+        </div>
+        <label class="routing-fallback" ${rule.route?.length ? '' : 'hidden'}>
+          <input type="checkbox" data-fallback ${rule.fallbackToDefault ? 'checked' : ''}>
+          Fall back to the other providers if these fail
+        </label>
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.routing-task').forEach(block => {
+    block.querySelector('[data-add-step]').addEventListener('click', async () => {
+      const first = providers.find(p => p.isEnabled) || providers[0];
+      await saveRoutingBlock(block, [{ providerId: first.id, model: '' }]);
+      await renderRoutingSettings();
+    });
+    block.querySelectorAll('[data-remove-step]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        btn.closest('.routing-step').remove();
+        await saveRoutingBlock(block);
+        await renderRoutingSettings();
+      });
+    });
+    block.querySelectorAll('select[data-step-provider]').forEach(select => {
+      // The model list depends on the provider
+      select.addEventListener('change', async () => {
+        select.closest('.routing-step').querySelector('select[data-step-model]').value = '';
+        await saveRoutingBlock(block);
+        await renderRoutingSettings();
+      });
+    });
+    block.querySelectorAll('select[data-step-model], input').forEach(input => {
+      input.addEventListener('change', () => saveRoutingBlock(block));
+    });
+  });
+}
+
+function renderRoutingStep(providers, step) {
+  const provider = providers.find(p => p.id === step.providerId);
+  const providerOptions = providers.map(p =>
+    `<option value="${p.id}" ${p.id === step.providerId ? 'selected' : ''}>${escapeHtml(p.name)}${p.isEnabled ? '' : ' (disabled)'}</option>`
+  ).join('') + (provider ? '' : '<option value="" selected>Deleted provider</option>');
+
+  const models = [...new Set([...(provider?.models || []), step.model].filter(Boolean))];
+  const modelOptions = `<option value="">Default${provider?.defaultModel ? ` (${escapeHtml(provider.defaultModel)})` : ''}</option>` +
+    models.map(m => `<option value="${escapeHtml(m)}" ${m === step.model ? 'selected' : ''}>${escapeHtml(m)}</option>`).join('');
+
+  return `
+    <div class="routing-step">
+      <select class="select-input" data-step-provider>${providerOptions}</select>
+      <select class="select-input" data-step-model>${modelOptions}</select>
+      <button class="btn-icon" data-remove-step title="Remove">&times;</button>
+    </div>
+  `;
+}
+
+/** Format an estimated USD cost; sub-cent amounts keep four decimals. */
+function formatCost(usd) {
+  if (!usd) return '$0.00';
+  return usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
+
+// ===== AI Budget =====
+async function renderBudgetSettings() {
+  const container = document.getElementById('budget-list');
+  if (!container) return;
+  const [providers, budgets, spend] = await Promise.all([getProviders(), getBudgets(), getCurrentSpend()]);
+
+  const rows = [{ id: '', name: 'All providers', caps: budgets, day: spend.day.total, month: spend.month.total }]
+    .concat(providers.filter(p => p.type !== 'compatible').map(p => ({
+      id: p.id,
+      name: p.name,
+      caps: budgets.providers[p.id] || {},
+      day: spend.day.providers[p.id] || 0,
+      month: spend.month.providers[p.id] || 0,
+    })));
+
+  container.innerHTML = rows.map(row => `
+    <div class="routing-task" data-budget-provider="${row.id}">
+      <div class="provider-name">${escapeHtml(row.name)}</div>
+      <div class="provider-meta">${formatCost(row.day)} today &middot; ${formatCost(row.month)} this month</div>
+      <div class="routing-params">
+        <label>Daily $</label>
+        <input type="number" class="filter-num" data-cap="daily" min="0" step="0.5" value="${row.caps.daily ?? ''}">
+        <label>Monthly $</label>
+        <input type="number" class="filter-num" data-cap="monthly" min="0" step="1" value="${row.caps.monthly ?? ''}">
+      </div>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('input').forEach(input => {
+    input.addEventListener('change', saveBudgetSettings);
+  });
+
+  await renderPriceTable();
+}
+
+/** Read the budget rows back into caps and save them. */
+async function saveBudgetSettings() {
+  const budgets = { daily: null, monthly: null, providers: {} };
+  document.querySelectorAll('#budget-list [data-budget-provider]').forEach(row => {
+    const read = (cap) => {
+      const value = row.querySelector(`[data-cap="${cap}"]`).value;
+      return value === '' ? null : Number(value);
+    };
+    const caps = { daily: read('daily'), monthly: read('monthly') };
+    if (!row.dataset.budgetProvider) Object.assign(budgets, caps);
+    else if (caps.daily !== null || caps.monthly !== null) budgets.providers[row.dataset.budgetProvider] = caps;
+  });
+  await saveBudgets(budgets);
+}
+
+async function renderPriceTable() {
+  const container = document.getElementById('price-list');
+  const table = await getPriceTable();
+  container.innerHTML = Object.entries(table).map(([model, price]) => renderPriceRow(model, price)).join('');
+  bindPriceRows(container);
+}
+
+function renderPriceRow(model, price) {
+  return `
+    <div class="price-row">
+      <input type="text" class="text-input" data-price-model value="${escapeHtml(model)}" placeholder="Model">
+      <input type="number" class="filter-num" data-price="input" min="0" step="0.01" value="${price?.input ?? ''}" title="Input, per 1M tokens" placeholder="In">
+      <input type="number" class="filter-num" data-price="output" min="0" step="0.01" value="${price?.output ?? ''}" title="Output, per 1M tokens" placeholder="Out">
+      <button class="btn-icon" data-remove-price title="Remove">&times;</button>
+    </div>
+  `;
+}
+
+function bindPriceRows(container) {
+  container.querySelectorAll('.price-row').forEach(row => {
+    if (row.dataset.bound) return;
+    row.dataset.bound = '1';
+    row.querySelectorAll('input').forEach(input => input.addEventListener('change', savePriceRows));
+    row.querySelector('[data-remove-price]').addEventListener('click', async () => {
+      row.remove();
+      await savePriceRows();
+    });
+  });
+}
+
+/** Read the price rows back into a table and save it. Rows without a model are skipped. */
+async function savePriceRows() {
+  const table = {};
+  document.querySelectorAll('#price-list .price-row').forEach(row => {
+    const model = row.querySelector('[data-price-model]').value.trim();
+    if (!model) return;
+    table[model] = {
+      input: Number(row.querySelector('[data-price="input"]').value) || 0,
+      output: Number(row.querySelector('[data-price="output"]').value) || 0,
+    };
+  });
+  await savePriceTable(table);
+}
+
+document.getElementById('price-add-btn')?.addEventListener('click', () => {
+  const container = document.getElementById('price-list');
+  container.insertAdjacentHTML('beforeend', renderPriceRow('', null));
+  bindPriceRows(container);
+  container.lastElementChild.querySelector('[data-price-model]').focus();
+});
+
+// ===== Summary Profiles =====
+const PROFILE_SOURCES = ['chatgpt', 'claude', 'gemini', 'copilot'];
+
+async function renderProfileSettings() {
+  const container = document.getElementById('profile-list');
+  if (!container) return;
+  const [profiles, assignments] = await Promise.all([getProfiles(), getProfileAssignments()]);
+
+  container.innerHTML = profiles.map(p => `
+    <div class="provider-card" data-profile-id="${escapeHtml(p.id)}">
+      <div class="provider-info">
+        <div class="provider-name">${escapeHtml(p.name)}</div>
+        <div class="provider-meta">${p.builtIn ? 'built-in' : `version ${p.version}`} &middot; ${p.fields.length ? p.fields.map(f => escapeHtml(f.label)).join(', ') : 'standard fields only'}</div>
+      </div>
+      <div class="provider-actions">
+        ${p.builtIn ? '' : `<button data-profile-edit title="Edit">&#9998;</button>`}
+        <button data-profile-copy title="Duplicate">&#10697;</button>
+        ${p.builtIn ? '' : `<button data-profile-delete title="Delete">&#10005;</button>`}
+      </div>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('[data-profile-id]').forEach(card => {
+    const profile = profiles.find(p => p.id === card.dataset.profileId);
+    card.querySelector('[data-profile-edit]')?.addEventListener('click', () => openProfileModal(profile));
+    card.querySelector('[data-profile-copy]').addEventListener('click', () => {
+      openProfileModal({ ...profile, id: null, name: `${profile.name} (copy)` });
+    });
+    card.querySelector('[data-profile-delete]')?.addEventListener('click', async () => {
+      const ok = await showConfirm(`Delete the profile "${profile.name}"? Conversations, topics and platforms that use it go back to automatic. Existing summaries keep their fields.`,
+        'Delete Profile', { ok: 'Delete', danger: true });
+      if (!ok) return;
+      await deleteProfile(profile.id);
+      await renderProfileSettings();
+    });
+  });
+
+  const sources = document.getElementById('profile-source-list');
+  const options = (selected) => profiles.map(p =>
+    `<option value="${escapeHtml(p.id)}" ${p.id === selected ? 'selected' : ''}>${escapeHtml(p.name)}</option>`
+  ).join('');
+  sources.innerHTML = PROFILE_SOURCES.map(source => `
+    <div class="input-row">
+      <label>${sourceLabel(source)}:</label>
+      <select class="select-input" data-profile-source="${source}" style="flex:1">${options(assignments.sources[source] || 'general')}</select>
+    </div>
+  `).join('');
+  sources.querySelectorAll('[data-profile-source]').forEach(select => {
+    select.addEventListener('change', () => {
+      // The general profile is the fallback anyway; don't store it
+      assignProfile('sources', select.dataset.profileSource, select.value === 'general' ? null : select.value);
+    });
+  });
+}
+
+let editingProfileId = null;
+
+function openProfileModal(profile = null) {
+  editingProfileId = profile?.id || null;
+  document.getElementById('profile-modal-title').textContent = editingProfileId ? 'Edit Profile' : 'New Profile';
+  document.getElementById('profile-name-input').value = profile?.name || '';
+  document.getElementById('profile-instructions-input').value = profile?.instructions || '';
+  document.getElementById('profile-field-list').innerHTML = (profile?.fields || []).map(renderProfileFieldRow).join('');
+  bindProfileFieldRows();
+  const status = document.getElementById('profile-modal-status');
+  status.textContent = '';
+  status.className = 'status-text';
+  document.getElementById('profile-modal').hidden = false;
+}
+
+function renderProfileFieldRow(field = {}) {
+  return `
+    <div class="profile-field-row">
+      <input type="text" class="text-input" data-field="key" value="${escapeHtml(field.key || '')}" placeholder="key">
+      <input type="text" class="text-input" data-field="label" value="${escapeHtml(field.label || '')}" placeholder="Label">
+      <select class="select-input" data-field="type">
+        <option value="list" ${field.type === 'list' ? 'selected' : ''}>List</option>
+        <option value="text" ${field.type === 'text' ? 'selected' : ''}>Text</option>
+      </select>
+      <button class="btn-icon" data-remove-field title="Remove">&times;</button>
+      <input type="text" class="text-input profile-field-description" data-field="description" value="${escapeHtml(field.description || '')}" placeholder="What the model should put here">
+    </div>
+  `;
+}
+
+function bindProfileFieldRows() {
+  document.querySelectorAll('#profile-field-list [data-remove-field]').forEach(btn => {
+    btn.onclick = () => btn.closest('.profile-field-row').remove();
+  });
+}
+
+document.getElementById('profile-add-btn')?.addEventListener('click', () => openProfileModal());
+
+document.getElementById('profile-field-add-btn')?.addEventListener('click', () => {
+  const container = document.getElementById('profile-field-list');
+  container.insertAdjacentHTML('beforeend', renderProfileFieldRow({ type: 'list' }));
+  bindProfileFieldRows();
+  container.lastElementChild.querySelector('[data-field="key"]').focus();
+});
+
+document.getElementById('profile-modal-close')?.addEventListener('click', () => {
+  document.getElementById('profile-modal').hidden = true;
+});
+
+document.getElementById('profile-cancel-btn')?.addEventListener('click', () => {
+  document.getElementById('profile-modal').hidden = true;
+});
+
+document.getElementById('profile-save-btn')?.addEventListener('click', async () => {
+  const status = document.getElementById('profile-modal-status');
+  const fields = [...document.querySelectorAll('#profile-field-list .profile-field-row')].map(row => ({
+    key: row.querySelector('[data-field="key"]').value,
+    label: row.querySelector('[data-field="label"]').value,
+    type: row.querySelector('[data-field="type"]').value,
+    description: row.querySelector('[data-field="description"]').value,
+  }));
+  try {
+    await saveProfile({
+      id: editingProfileId,
+      name: document.getElementById('profile-name-input').value,
+      instructions: document.getElementById('profile-instructions-input').value,
+      fields,
+    });
+  } catch (err) {
+    status.textContent = err.message;
+    status.className = 'status-text error';
+    return;
+  }
+  document.getElementById('profile-modal').hidden = true;
+  await renderProfileSettings();
+});
+
+/**
+ * Read a task's routing block back into a rule and save it.
+ * A block with no route and no parameters removes the rule.
+ */
+async function saveRoutingBlock(block, extraSteps = []) {
+  const task = block.dataset.task;
+  const route = [...block.querySelectorAll('.routing-step')]
+    .map(row => ({
+      providerId: row.querySelector('[data-step-provider]').value,
+      model: row.querySelector('[data-step-model]').value,
+    }))
+    .filter(step => step.providerId)
+    .concat(extraSteps);
+  const readNumber = (param) => {
+    const value = block.querySelector(`[data-param="${param}"]`).value;
+    return value === '' ? null : Number(value);
+  };
+  const temperature = readNumber('temperature');
+  const maxTokens = readNumber('maxTokens');
+
+  const rules = await getRoutingRules();
+  if (route.length === 0 && temperature === null && maxTokens === null) {
+    delete rules[task];
+  } else {
+    rules[task] = {
+      route,
+      temperature,
+      maxTokens,
+      fallbackToDefault: !!block.querySelector('[data-fallback]')?.checked,
+    };
+  }
+  await saveRoutingRules(rules);
+}
+
+/** Success rate, latency and last error of a provider's recent requests. */
+function renderProviderHealth(entry) {
+  const h = describeProviderHealth(entry);
+  if (h.requests === 0) return '';
+  const parts = [`${Math.round(h.successRate * 100)}% ok of last ${h.requests}`];
+  if (h.avgLatencyMs !== null) parts.push(`${(h.avgLatencyMs / 1000).toFixed(1)}s avg`);
+  const paused = h.pausedUntil
+    ? `<div class="provider-health provider-health-paused">Paused until ${new Date(h.pausedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>`
+    : '';
+  const lastError = h.lastError
+    ? `<div class="provider-health" title="${escapeHtml(h.lastError)}">Last error ${timeAgo(h.lastErrorAt)}: ${escapeHtml(h.lastError)}</div>`
+    : '';
+  return `<div class="provider-health">${parts.join(' &middot; ')}</div>${paused}${lastError}`;
+}
+
 function openProviderModal(provider = null) {
   const modal = document.getElementById('provider-modal');
   const title = document.getElementById('provider-modal-title');
@@ -1682,15 +2575,16 @@ function openProviderModal(provider = null) {
     urlInput.value = provider.baseUrl;
     keyInput.value = provider.apiKey;
     matterInput.value = provider.extra?.matterId || '';
-    updateProviderModelOptions(provider.type, provider.defaultModel);
+    document.getElementById('provider-replay-mode').value = provider.extra?.mode || 'replay';
+    document.getElementById('provider-embed-input').value = getProviderEmbeddingModels(provider).join(', ');
+    updateProviderModelOptions(provider.type, provider.defaultModel, provider.models);
   } else {
     typeSelect.value = 'openai';
     typeSelect.disabled = false;
     applyProviderDefaults('openai');
   }
 
-  updateProviderUrlVisibility(typeSelect.value);
-  updateProviderMatterVisibility(typeSelect.value);
+  updateProviderTypeFields(typeSelect.value);
   modal.hidden = false;
 }
 
@@ -1701,28 +2595,94 @@ function applyProviderDefaults(type) {
   document.getElementById('provider-url-input').value = defaults.baseUrl;
   document.getElementById('provider-key-input').value = '';
   document.getElementById('provider-matter-input').value = '';
+  document.getElementById('provider-replay-mode').value = 'replay';
+  document.getElementById('provider-embed-input').value = (defaults.embeddingModels || []).join(', ');
   updateProviderModelOptions(type);
-  updateProviderUrlVisibility(type);
-  updateProviderMatterVisibility(type);
+  updateProviderTypeFields(type);
 }
 
-function updateProviderModelOptions(type, selectedModel) {
+function updateProviderModelOptions(type, selectedModel, models) {
   const select = document.getElementById('provider-model-select');
   const defaults = PROVIDER_DEFAULTS[type];
   if (!defaults) return;
-  select.innerHTML = defaults.models.map(m =>
-    `<option value="${m}" ${m === selectedModel ? 'selected' : ''}>${m}</option>`
+  const list = models?.length ? models : defaults.models;
+  if (list.length === 0) {
+    select.innerHTML = '<option value="">Discover to list models</option>';
+    return;
+  }
+  select.innerHTML = list.map(m =>
+    `<option value="${escapeHtml(m)}" ${m === selectedModel ? 'selected' : ''}>${escapeHtml(m)}</option>`
   ).join('');
 }
 
-function updateProviderUrlVisibility(type) {
-  const row = document.getElementById('provider-url-row');
-  // Show URL for Lana (user must enter), hide for others (preset)
-  row.style.display = type === 'lana' ? 'flex' : 'none';
+function updateProviderTypeFields(type) {
+  const custom = type === 'lana' || type === 'compatible';
+  // Show URL for Lana and local servers (user must enter), hide for others (preset)
+  document.getElementById('provider-url-row').style.display = custom ? 'flex' : 'none';
+  document.getElementById('provider-matter-row').hidden = type !== 'lana';
+  // Claude has no embeddings endpoint; replay serves completions only
+  document.getElementById('provider-embed-row').hidden = type === 'claude' || type === 'replay';
+  document.getElementById('provider-discover-btn').hidden = type !== 'compatible';
+  document.getElementById('provider-key-input').placeholder = type === 'compatible' ? 'API key (optional)' : 'API key';
+  // Replay needs no key or model, only a mode
+  document.getElementById('provider-key-row').hidden = type === 'replay';
+  document.getElementById('provider-model-row').hidden = type === 'replay';
+  document.getElementById('provider-replay-row').hidden = type !== 'replay';
+  if (type === 'replay') renderFixtureCount();
 }
 
-function updateProviderMatterVisibility(type) {
-  document.getElementById('provider-matter-row').hidden = type !== 'lana';
+async function renderFixtureCount() {
+  const count = await countFixtures();
+  document.getElementById('fixture-count').textContent =
+    `${formatNumber(count)} recorded response${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Ask for access to a user-entered provider origin (optional host permission).
+ * Must run inside the click handler's user gesture, before any other await.
+ * @returns {Promise<boolean>} true if granted
+ */
+async function requestProviderHostPermission(baseUrl) {
+  try {
+    const urlObj = new URL(baseUrl);
+    const origin = `${urlObj.protocol}//${urlObj.host}/*`;
+    return await chrome.permissions.request({ origins: [origin] });
+  } catch {
+    // Invalid URL, or the request failed
+    return false;
+  }
+}
+
+/** Read the provider modal into a config object for testing or discovery. */
+function readProviderModalConfig() {
+  const type = document.getElementById('provider-type-select').value;
+  const defaults = PROVIDER_DEFAULTS[type];
+  return {
+    type,
+    name: document.getElementById('provider-name-input').value.trim(),
+    baseUrl: type === 'lana' || type === 'compatible'
+      ? document.getElementById('provider-url-input').value.trim()
+      : defaults.baseUrl,
+    apiKey: document.getElementById('provider-key-input').value.trim(),
+    defaultModel: document.getElementById('provider-model-select').value,
+    extra: readProviderExtra(type),
+  };
+}
+
+/** Type-specific settings: Lana's matter id, the replay provider's mode. */
+function readProviderExtra(type) {
+  return {
+    matterId: document.getElementById('provider-matter-input').value.trim() || undefined,
+    mode: type === 'replay' ? document.getElementById('provider-replay-mode').value : undefined,
+  };
+}
+
+function readProviderEmbeddingModels(type) {
+  if (type === 'claude') return [];
+  return document.getElementById('provider-embed-input').value
+    .split(',')
+    .map(m => m.trim())
+    .filter(Boolean);
 }
 
 document.getElementById('provider-type-select')?.addEventListener('change', (e) => {
@@ -1737,25 +2697,43 @@ document.getElementById('provider-modal-close')?.addEventListener('click', () =>
   document.getElementById('provider-modal').hidden = true;
 });
 
+document.getElementById('provider-discover-btn')?.addEventListener('click', async () => {
+  const status = document.getElementById('provider-modal-status');
+  const config = readProviderModalConfig();
+  if (!config.baseUrl) { showAlert('Enter the server\'s base URL first.', 'Missing Field'); return; }
+
+  await requestProviderHostPermission(config.baseUrl);
+  status.textContent = 'Discovering models...';
+  status.className = 'status-text loading';
+
+  try {
+    const { models, embeddingModels } = await discoverModels(config);
+    updateProviderModelOptions(config.type, config.defaultModel, models);
+    const embedInput = document.getElementById('provider-embed-input');
+    if (!embedInput.value.trim()) embedInput.value = embeddingModels.join(', ');
+    status.textContent = `Found ${models.length} model${models.length === 1 ? '' : 's'}`
+      + (embeddingModels.length ? ` and ${embeddingModels.length} embedding model${embeddingModels.length === 1 ? '' : 's'}` : '');
+    status.className = 'status-text success';
+  } catch (err) {
+    status.textContent = `Failed: ${err.message}`;
+    status.className = 'status-text error';
+  }
+});
+
 document.getElementById('provider-test-btn')?.addEventListener('click', async () => {
   const status = document.getElementById('provider-modal-status');
-  const type = document.getElementById('provider-type-select').value;
-  const defaults = PROVIDER_DEFAULTS[type];
+  const config = readProviderModalConfig();
 
-  const config = {
-    type,
-    baseUrl: type === 'lana' ? document.getElementById('provider-url-input').value.trim() : defaults.baseUrl,
-    apiKey: document.getElementById('provider-key-input').value.trim(),
-    defaultModel: document.getElementById('provider-model-select').value,
-    extra: { matterId: document.getElementById('provider-matter-input').value.trim() || undefined },
-  };
+  if (config.type === 'lana' || config.type === 'compatible') {
+    await requestProviderHostPermission(config.baseUrl);
+  }
 
   status.textContent = 'Testing...';
   status.className = 'status-text loading';
 
   const result = await testProvider(config);
   if (result.ok) {
-    status.textContent = `Connected (${result.latencyMs}ms)`;
+    status.textContent = result.message || `Connected (${result.latencyMs}ms)`;
     status.className = 'status-text success';
   } else {
     status.textContent = `Failed: ${result.error}`;
@@ -1768,25 +2746,27 @@ document.getElementById('provider-save-btn')?.addEventListener('click', async ()
   const defaults = PROVIDER_DEFAULTS[type];
   const name = document.getElementById('provider-name-input').value.trim();
   const apiKey = document.getElementById('provider-key-input').value.trim();
-  const model = document.getElementById('provider-model-select').value;
-  const baseUrl = type === 'lana'
+  const modelSelect = document.getElementById('provider-model-select');
+  const model = modelSelect.value;
+  const models = type === 'compatible'
+    ? [...modelSelect.options].map(o => o.value).filter(Boolean)
+    : defaults.models;
+  const baseUrl = type === 'lana' || type === 'compatible'
     ? document.getElementById('provider-url-input').value.trim()
     : defaults.baseUrl;
-  const matterId = document.getElementById('provider-matter-input').value.trim();
+  const extra = readProviderExtra(type);
+  const embeddingModels = readProviderEmbeddingModels(type);
 
   if (!name) { showAlert('Provider name is required.', 'Missing Field'); return; }
-  if (!apiKey) { showAlert('API key is required.', 'Missing Field'); return; }
+  if (!apiKey && type !== 'compatible' && type !== 'replay') { showAlert('API key is required.', 'Missing Field'); return; }
   if (type === 'lana' && !baseUrl) { showAlert('Base URL is required for Lana AI.', 'Missing Field'); return; }
+  if (type === 'compatible' && !baseUrl) { showAlert('Base URL is required for a local server.', 'Missing Field'); return; }
+  if (type === 'compatible' && !model) { showAlert('Discover the server\'s models and pick one.', 'Missing Field'); return; }
 
-  // Request optional host permissions for Lana (non-standard URLs)
-  if (type === 'lana' && baseUrl) {
-    try {
-      const urlObj = new URL(baseUrl);
-      const origin = `${urlObj.protocol}//${urlObj.host}/*`;
-      await chrome.permissions.request({ origins: [origin] });
-    } catch {
-      // Permission request failed or was denied — still save
-    }
+  // Request optional host permissions for user-entered (non-standard) URLs.
+  // If denied, still save
+  if (type === 'lana' || type === 'compatible') {
+    await requestProviderHostPermission(baseUrl);
   }
 
   const providers = await getProviders();
@@ -1798,8 +2778,9 @@ document.getElementById('provider-save-btn')?.addEventListener('click', async ()
       existing.apiKey = apiKey;
       existing.defaultModel = model;
       existing.baseUrl = baseUrl;
-      existing.models = defaults.models;
-      existing.extra = { matterId: matterId || undefined };
+      existing.models = models;
+      existing.embeddingModels = embeddingModels;
+      existing.extra = extra;
     }
   } else {
     const maxPriority = providers.reduce((max, p) => Math.max(max, p.priority), 0);
@@ -1809,19 +2790,50 @@ document.getElementById('provider-save-btn')?.addEventListener('click', async ()
       type,
       baseUrl,
       apiKey,
-      models: defaults.models,
+      models,
       defaultModel: model,
+      embeddingModels,
       isEnabled: true,
       priority: maxPriority + 1,
-      extra: { matterId: matterId || undefined },
+      extra,
     });
   }
 
   await saveProviders(providers);
+  // New settings deserve a fresh start: close the circuit, drop old stats
+  if (editingProviderId) await resetProviderHealth(editingProviderId);
   document.getElementById('provider-modal').hidden = true;
   await renderProviderList();
 });
 
+document.getElementById('fixture-export-btn')?.addEventListener('click', async () => {
+  downloadFile('slop-replay-fixtures.json', await exportFixtures());
+});
+
+document.getElementById('fixture-import-btn')?.addEventListener('click', () => {
+  document.getElementById('fixture-import-input').click();
+});
+
+document.getElementById('fixture-import-input')?.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    const count = await importFixtures(await file.text());
+    showAlert(`Imported ${formatNumber(count)} recorded response${count === 1 ? '' : 's'}.`, 'Fixtures Imported');
+    await renderFixtureCount();
+  } catch (err) {
+    showAlert('Import failed: ' + err.message, 'Error');
+  }
+});
+
+document.getElementById('fixture-clear-btn')?.addEventListener('click', async () => {
+  const confirmed = await showConfirm('Delete every recorded response?', 'Clear Fixtures', { ok: 'Clear', danger: true });
+  if (!confirmed) return;
+  await clearFixtures();
+  await renderFixtureCount();
+});
+
 function updateEmbeddingsStatus() {
   const dot = document.getElementById('embeddings-status-dot');
   const text = document.getElementById('embeddings-status-text');
@@ -1839,6 +2851,23 @@ function updateEmbeddingsStatus() {
   }
 }
 
+document.getElementById('merge-split-btn')?.addEventListener('click', async (e) => {
+  const btn = e.currentTarget;
+  btn.disabled = true;
+  try {
+    const { merged } = await mergeSplitConversations();
+    showAlert(merged > 0
+      ? `Merged ${formatNumber(merged)} conversation record${merged > 1 ? 's' : ''} into the conversations they were split from.`
+      : 'No split conversations found.', 'Merge Conversations');
+    if (merged > 0) chrome.runtime.sendMessage({ type: 'DATA_CHANGED' }).catch(() => {});
+    await initSettings();
+  } catch (err) {
+    showAlert('Merge failed: ' + err.message, 'Error');
+  } finally {
+    btn.disabled = false;
+  }
+});
+
 // Clear all data — show confirmation modal
 const clearDataModal = document.getElementById('clear-data-modal');
 
@@ -1858,8 +2887,9 @@ document.getElementById('clear-data-confirm')?.addEventListener('click', async (
   await dbClear('conversations');
   await dbClear('summaries');
   await dbClear('topics');
-  await dbClear('embeddings');
-  await dbClear('embeddingQueue');
+  await dbClear('actionItems');
+  await dbClear('entities');
+  await clearEmbeddings();
   if (clearDataModal) clearDataModal.hidden = true;
   // Notify content scripts to clear cached results
   chrome.runtime.sendMessage({ type: 'DATA_CHANGED' }).catch(() => {});
@@ -1887,6 +2917,7 @@ document.getElementById('restore-input')?.addEventListener('change', async (e) =
     if (data.conversations) await dbPutBatch('conversations', data.conversations);
     if (data.summaries) await dbPutBatch('summaries', data.summaries);
     if (data.topics) await dbPutBatch('topics', data.topics);
+    if (data.summaries) await rebuildEntities();
     showAlert(`Restored ${data.conversations?.length || 0} conversations, ${data.summaries?.length || 0} summaries, ${data.topics?.length || 0} topics.`, 'Backup Restored');
     await initSettings();
   } catch (err) {
@@ -1894,29 +2925,16 @@ document.getElementById('restore-input')?.addEventListener('change', async (e) =
   }
 });
 
-// ===== Injection Context Resolution =====
-/**
- * Resolve injection context from a conversation's metadata for lineage-aware
- * summarization. Returns null if no injection context exists.
- */
-async function resolveInjectionContext(conversation) {
-  const ctx = conversation.metadata?.injectionContext;
-  if (!Array.isArray(ctx) || ctx.length === 0) return null;
-  const resolved = [];
-  for (const item of ctx) {
-    const summary = await dbGet('summaries', item.summaryId);
-    resolved.push({
-      summaryId: item.summaryId,
-      topicId: item.topicId || (summary?.topicId || null),
-      title: summary?.title || item.summaryId,
-    });
-  }
-  return resolved;
-}
-
 // ===== Batch Summarization =====
 let isSummarizing = false;
 let cancelSummarization = false;
+let summarizationController = null;
+
+/** Stop a batch run, aborting the requests in flight. */
+function stopSummarization() {
+  cancelSummarization = true;
+  summarizationController?.abort();
+}
 
 const summarizePlatform = document.getElementById('summarize-platform');
 const summarizeDateFrom = document.getElementById('summarize-date-from');
@@ -1938,8 +2956,12 @@ async function populateSummarizePlatforms() {
 async function getFilteredPending() {
   const convs = await dbGetAll('conversations');
   const summaries = await dbGetAll('summaries');
-  const summarizedIds = new Set(summaries.map(s => s.conversationId));
-  let pending = convs.filter(c => !summarizedIds.has(c.id));
+  const summaryByConv = new Map(summaries.map(s => [s.conversationId, s]));
+  // Unsummarized conversations, plus summarized ones that gained messages since
+  let pending = convs.filter(c => {
+    const existing = summaryByConv.get(c.id);
+    return !existing || getUnsummarizedMessages(c, existing)?.length > 0;
+  });
 
   const platform = summarizePlatform?.value || 'all';
   if (platform !== 'all') pending = pending.filter(c => c.source === platform);
@@ -1988,7 +3010,7 @@ document.getElementById('dashboard-summarize-btn')?.addEventListener('click', as
 
   // If already running, cancel
   if (isSummarizing) {
-    cancelSummarization = true;
+    stopSummarization();
     btn.textContent = 'Stopping...';
     return;
   }
@@ -2003,6 +3025,7 @@ document.getElementById('dashboard-summarize-btn')?.addEventListener('click', as
   const BATCH = 5;
   let done = 0;
   let failed = 0;
+  let budgetStop = null;
   const total = pending.length;
 
   isSummarizing = true;
@@ -2010,8 +3033,9 @@ document.getElementById('dashboard-summarize-btn')?.addEventListener('click', as
   btn.textContent = 'Stop Summarizing';
   btn.classList.add('btn-stop');
 
+  summarizationController = new AbortController();
   ActivityDrawer.showBatch(0, total, () => {
-    cancelSummarization = true;
+    stopSummarization();
     btn.textContent = 'Stopping...';
   });
 
@@ -2022,17 +3046,18 @@ document.getElementById('dashboard-summarize-btn')?.addEventListener('click', as
     const results = await Promise.allSettled(
       batch.map(async (conv) => {
         const injCtx = await resolveInjectionContext(conv);
-        const summary = await summarizeConversation(conv, { injectionContext: injCtx });
-        await dbPut('summaries', summary);
-        const forceTopicId = conv?.metadata?.projectTopicId || injCtx?.[0]?.topicId || null;
+        const summary = await summarizeOrUpdate(conv, injCtx, { signal: summarizationController.signal, background: true });
+        const forceTopicId = summary.topicId || conv?.metadata?.projectTopicId || injCtx?.[0]?.topicId || null;
         await assignToTopic(summary, { forceTopicId });
         // Embed the new summary
-        await embedSummary(summary);
+        await embedSummary(summary, { background: true });
         return summary;
       })
     );
     done += results.filter(r => r.status === 'fulfilled').length;
-    failed += results.filter(r => r.status === 'rejected').length;
+    failed += results.filter(r => r.status === 'rejected' && r.reason?.name !== 'AbortError' && r.reason?.code !== 'BUDGET_EXCEEDED').length;
+    budgetStop = results.find(r => r.reason?.code === 'BUDGET_EXCEEDED')?.reason.message || budgetStop;
+    if (budgetStop) stopSummarization();
     btn.textContent = `Stop (${formatNumber(done)}/${formatNumber(total)})`;
     ActivityDrawer.updateBatch(done, total, failed);
 
@@ -2042,11 +3067,12 @@ document.getElementById('dashboard-summarize-btn')?.addEventListener('click', as
   }
 
   isSummarizing = false;
+  summarizationController = null;
   btn.classList.remove('btn-stop');
 
   if (cancelSummarization) {
     btn.textContent = `Stopped: ${formatNumber(done)}/${formatNumber(total)} summarized`;
-    ActivityDrawer.stoppedBatch(done, total);
+    ActivityDrawer.stoppedBatch(done, total, budgetStop);
   } else {
     btn.textContent = `Done! ${formatNumber(done)} summarized${failed ? `, ${failed} failed` : ''}`;
     ActivityDrawer.completeBatch(done, total, failed);
@@ -2056,6 +3082,556 @@ document.getElementById('dashboard-summarize-btn')?.addEventListener('click', as
   setTimeout(() => initDashboard(), 2000);
 });
 
+// ===== Auto-Summarize Queue =====
+// The queue runs in the service worker; the panel shows its progress and
+// sends it pause/resume/retry requests.
+let lastQueueDone = 0;
+
+async function refreshQueueStatus() {
+  try {
+    const { status } = await chrome.runtime.sendMessage({ type: 'SUMMARY_QUEUE_STATUS' });
+    if (status) renderQueueStatus(status);
+  } catch { /* service worker starting */ }
+}
+
+function renderQueueStatus(status) {
+  const box = document.getElementById('auto-queue');
+  if (!box) return;
+  box.hidden = !status.settings.enabled;
+  if (box.hidden) return;
+
+  const parts = [];
+  if (status.running.length) {
+    parts.push(`Summarizing ${status.running.map(j => `"${escapeHtml(j.title)}"`).join(', ')}`);
+  }
+  if (status.pending) {
+    const next = status.nextDueAt && new Date(status.nextDueAt) > new Date()
+      ? ` (next at ${new Date(status.nextDueAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })})`
+      : '';
+    parts.push(`${formatNumber(status.pending)} waiting${next}`);
+  }
+  if (status.failed.length) parts.push(`${formatNumber(status.failed.length)} failed`);
+  if (status.run?.done) parts.push(`${formatNumber(status.run.done)} done this run`);
+  const state = status.settings.paused ? 'Auto-summarize paused' : 'Auto-summarize';
+  document.getElementById('auto-queue-text').innerHTML = `<strong>${state}:</strong> ${parts.join(' &middot; ') || 'nothing queued'}`;
+
+  document.getElementById('auto-queue-toggle').textContent = status.settings.paused ? 'Resume' : 'Pause';
+  document.getElementById('auto-queue-run').hidden = status.settings.paused || !status.pending;
+  document.getElementById('auto-queue-retry').hidden = !status.failed.length;
+
+  // A finished job changes the dashboard counts
+  const done = status.run?.done || 0;
+  if (done > lastQueueDone && views.dashboard && !views.dashboard.hidden) initDashboard();
+  lastQueueDone = done;
+  if (views.settings && !views.settings.hidden) renderQueueFailures(status.failed);
+}
+
+document.getElementById('auto-queue-toggle')?.addEventListener('click', async () => {
+  const settings = await getQueueSettings();
+  await chrome.runtime.sendMessage({ type: settings.paused ? 'SUMMARY_QUEUE_RESUME' : 'SUMMARY_QUEUE_PAUSE' });
+});
+
+document.getElementById('auto-queue-run')?.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'SUMMARY_QUEUE_RUN_NOW' });
+});
+
+document.getElementById('auto-queue-retry')?.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'SUMMARY_QUEUE_RETRY' });
+});
+
+async function renderQueueSettings() {
+  const settings = await getQueueSettings();
+  document.getElementById('auto-summarize-enabled').checked = settings.enabled;
+  document.getElementById('auto-summarize-idle').value = settings.idleMinutes;
+  document.getElementById('auto-summarize-concurrency').value = settings.concurrency;
+  document.getElementById('auto-summarize-attempts').value = settings.maxAttempts;
+  await refreshQueueStatus();
+}
+
+/** Failed jobs, with the last error and a way to retry or drop each. */
+function renderQueueFailures(failed) {
+  const container = document.getElementById('auto-summarize-failed');
+  container.innerHTML = failed.map(job => `
+    <div class="routing-task" data-queue-conv="${escapeHtml(job.conversationId)}">
+      <div class="provider-name">${escapeHtml(job.title)}</div>
+      <div class="provider-meta status-text error">Failed ${formatNumber(job.attempts)}&times;: ${escapeHtml(job.lastError || 'unknown error')}</div>
+      <button class="btn btn-small btn-tertiary" data-queue-remove>Remove</button>
+    </div>
+  `).join('');
+  container.querySelectorAll('[data-queue-remove]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const conversationId = btn.closest('[data-queue-conv]').dataset.queueConv;
+      chrome.runtime.sendMessage({ type: 'SUMMARY_QUEUE_REMOVE', conversationId });
+    });
+  });
+}
+
+['auto-summarize-enabled', 'auto-summarize-idle', 'auto-summarize-concurrency', 'auto-summarize-attempts'].forEach(id => {
+  document.getElementById(id)?.addEventListener('change', async () => {
+    const { settings } = await chrome.runtime.sendMessage({
+      type: 'SUMMARY_QUEUE_CONFIGURE',
+      settings: {
+        enabled: document.getElementById('auto-summarize-enabled').checked,
+        idleMinutes: document.getElementById('auto-summarize-idle').value,
+        concurrency: document.getElementById('auto-summarize-concurrency').value,
+        maxAttempts: document.getElementById('auto-summarize-attempts').value,
+      },
+    });
+    // Show the values as clamped
+    document.getElementById('auto-summarize-idle').value = settings.idleMinutes;
+    document.getElementById('auto-summarize-concurrency').value = settings.concurrency;
+    document.getElementById('auto-summarize-attempts').value = settings.maxAttempts;
+  });
+});
+
+async function renderGroundingSettings() {
+  const settings = await getGroundingSettings();
+  document.getElementById('grounding-mode').value = settings.mode;
+  document.getElementById('grounding-ai').checked = settings.confirmWithAI;
+}
+
+['grounding-mode', 'grounding-ai'].forEach(id => {
+  document.getElementById(id)?.addEventListener('change', async () => {
+    await saveGroundingSettings({
+      mode: document.getElementById('grounding-mode').value,
+      confirmWithAI: document.getElementById('grounding-ai').checked,
+    });
+  });
+});
+
+/** Example values for each kind of exclusion rule. */
+const EXCLUSION_PLACEHOLDERS = {
+  site: 'chatgpt, claude, gemini or copilot',
+  url: 'https://chatgpt.com/g/g-abc123*',
+  title: '(?:acme|customer)',
+  claudeProject: 'Project name or URL',
+  chatgptGpt: 'GPT URL or id (g-…)',
+};
+
+async function renderExclusionRules() {
+  const container = document.getElementById('exclusion-list');
+  if (!container) return;
+  const rules = await getExclusionRules();
+
+  container.innerHTML = rules.length === 0
+    ? '<p class="hint-text">No rules. Every chat is captured.</p>'
+    : rules.map(rule => `
+      <div class="provider-card" data-exclusion-id="${escapeHtml(rule.id)}">
+        <div class="provider-info">
+          <div class="provider-name">${escapeHtml(describeRule(rule))}</div>
+          <div class="provider-meta">${rule.type === 'conversation' ? `${sourceLabel(rule.source)} &middot; ` : ''}added ${timeAgo(rule.createdAt)}</div>
+        </div>
+        <div class="provider-actions">
+          <button data-exclusion-delete title="Remove">&#10005;</button>
+        </div>
+      </div>
+    `).join('');
+
+  container.querySelectorAll('[data-exclusion-delete]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await removeExclusionRule(btn.closest('[data-exclusion-id]').dataset.exclusionId);
+      await renderExclusionRules();
+    });
+  });
+
+  document.getElementById('exclusion-value').placeholder = EXCLUSION_PLACEHOLDERS[document.getElementById('exclusion-type').value];
+}
+
+document.getElementById('exclusion-type')?.addEventListener('change', (e) => {
+  document.getElementById('exclusion-value').placeholder = EXCLUSION_PLACEHOLDERS[e.target.value];
+});
+
+document.getElementById('exclusion-add-btn')?.addEventListener('click', async () => {
+  const input = document.getElementById('exclusion-value');
+  try {
+    await addExclusionRule({ type: document.getElementById('exclusion-type').value, value: input.value });
+  } catch (err) {
+    showAlert(err.message, 'Invalid Rule');
+    return;
+  }
+  input.value = '';
+  await renderExclusionRules();
+});
+
+async function renderRedactionSettings() {
+  const settings = await getRedactionSettings();
+  document.getElementById('redaction-mode').value = settings.mode;
+  document.getElementById('redaction-allowlist').value = settings.allowlist.join('\n');
+
+  document.getElementById('redaction-detectors').innerHTML = Object.entries(DETECTORS).map(([key, detector]) => `
+    <label class="routing-fallback">
+      <input type="checkbox" data-redaction-detector="${key}"${settings.detectors[key] ? ' checked' : ''}>
+      ${escapeHtml(detector.label)}
+    </label>
+  `).join('');
+  document.querySelectorAll('[data-redaction-detector]').forEach(box => {
+    box.addEventListener('change', async () => {
+      await saveRedactionSettings({ detectors: { [box.dataset.redactionDetector]: box.checked } });
+    });
+  });
+
+  const list = document.getElementById('redaction-custom-list');
+  list.innerHTML = settings.customPatterns.map(custom => `
+    <div class="provider-card" data-redaction-custom-id="${escapeHtml(custom.id)}">
+      <div class="provider-info">
+        <div class="provider-name">${escapeHtml(custom.name)}</div>
+        <div class="provider-meta"><code>${escapeHtml(custom.pattern)}</code></div>
+      </div>
+      <div class="provider-actions">
+        <button data-redaction-custom-delete title="Remove">&#10005;</button>
+      </div>
+    </div>
+  `).join('');
+  list.querySelectorAll('[data-redaction-custom-delete]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const id = btn.closest('[data-redaction-custom-id]').dataset.redactionCustomId;
+      await saveRedactionSettings({ customPatterns: settings.customPatterns.filter(c => c.id !== id) });
+      await renderRedactionSettings();
+    });
+  });
+}
+
+document.getElementById('redaction-mode')?.addEventListener('change', async (e) => {
+  await saveRedactionSettings({ mode: e.target.value });
+});
+
+document.getElementById('redaction-allowlist')?.addEventListener('change', async (e) => {
+  await saveRedactionSettings({ allowlist: e.target.value.split('\n') });
+});
+
+document.getElementById('redaction-custom-add-btn')?.addEventListener('click', async () => {
+  const name = document.getElementById('redaction-custom-name');
+  const pattern = document.getElementById('redaction-custom-pattern');
+  const { customPatterns } = await getRedactionSettings();
+  try {
+    await saveRedactionSettings({ customPatterns: [...customPatterns, { name: name.value, pattern: pattern.value }] });
+  } catch (err) {
+    showAlert(err.message, 'Invalid Pattern');
+    return;
+  }
+  name.value = '';
+  pattern.value = '';
+  await renderRedactionSettings();
+});
+
+// Progress broadcast by the service worker while the queue runs
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.type === 'SUMMARY_QUEUE_PROGRESS' && message.status) renderQueueStatus(message.status);
+});
+
+// ===== Action Items =====
+const actionStatusFilter = document.getElementById('action-status-filter');
+const actionKindFilter = document.getElementById('action-kind-filter');
+
+actionStatusFilter?.addEventListener('change', initActionItems);
+actionKindFilter?.addEventListener('change', initActionItems);
+
+async function refreshActionItemCount() {
+  const el = document.getElementById('action-items-count');
+  if (!el) return;
+  const counts = await countItems();
+  el.textContent = counts.open
+    ? `(${formatNumber(counts.open)}${counts.overdue ? `, ${formatNumber(counts.overdue)} overdue` : ''})`
+    : '';
+}
+
+async function initActionItems() {
+  const status = actionStatusFilter?.value || 'open';
+  const kind = actionKindFilter?.value || 'all';
+  const items = await getItems({
+    status: status === 'all' ? undefined : status,
+    kind: kind === 'all' ? undefined : kind,
+  });
+
+  const summary = document.getElementById('action-filter-summary');
+  if (summary) {
+    const counts = await countItems();
+    summary.textContent = `${formatNumber(counts.open)} open · ${formatNumber(counts.overdue)} overdue · ${formatNumber(counts.done)} done · ${formatNumber(counts.dropped)} dropped`;
+  }
+  renderActionItems(items);
+}
+
+function renderActionItems(items) {
+  const container = document.getElementById('action-list');
+  if (items.length === 0) {
+    container.innerHTML = '<div class="empty-state">No items here. Action items and open questions appear once conversations are summarized.</div>';
+    return;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  container.innerHTML = items.map(item => {
+    const overdue = item.status === 'open' && item.dueDate && item.dueDate < today;
+    const buttons = item.status === 'open'
+      ? `<button class="btn btn-small btn-secondary" data-status="done">Done</button>
+         <button class="btn btn-small btn-tertiary" data-status="dropped">Drop</button>`
+      : `<button class="btn btn-small btn-tertiary" data-status="open">Reopen</button>`;
+    const resolved = item.resolvedAt
+      ? `<span class="badge badge-count">${item.status === 'done' ? 'Done' : 'Dropped'} ${timeAgo(item.resolvedAt)}${item.resolvedBy === 'conversation' ? ' in conversation' : ''}</span>`
+      : '';
+
+    return `<div class="item-card action-item${overdue ? ' overdue' : ''}" data-item-id="${item.id}">
+      <div class="item-title">${escapeHtml(item.text)}</div>
+      <div class="item-meta">
+        <span class="badge ${item.kind === 'question' ? 'badge-question' : 'badge-pending'}">${item.kind === 'question' ? 'Question' : 'Action'}</span>
+        ${item.owner ? `<span class="badge badge-count">${escapeHtml(item.owner)}</span>` : ''}
+        ${overdue ? '<span class="badge badge-overdue">Overdue</span>' : ''}
+        ${resolved}
+      </div>
+      <button class="action-item-source" data-conv-id="${item.conversationId}">${sourceLabel(item.source)} &middot; ${escapeHtml(item.conversationTitle || 'Untitled')}</button>
+      <div class="action-item-controls">
+        <input type="date" class="date-range-from" value="${item.dueDate || ''}" title="Due date"${item.status === 'open' ? '' : ' disabled'}>
+        ${buttons}
+      </div>
+    </div>`;
+  }).join('');
+
+  container.querySelectorAll('.action-item').forEach(card => {
+    const id = card.dataset.itemId;
+    card.querySelector('.action-item-source').addEventListener('click', () => {
+      navigateTo('conversation-detail', { id: card.querySelector('.action-item-source').dataset.convId });
+    });
+    card.querySelector('input[type="date"]').addEventListener('change', async (e) => {
+      await updateItem(id, { dueDate: e.target.value || null });
+      await actionItemsChanged();
+    });
+    card.querySelectorAll('[data-status]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await updateItem(id, { status: btn.dataset.status });
+        await actionItemsChanged();
+      });
+    });
+  });
+}
+
+async function actionItemsChanged() {
+  chrome.runtime.sendMessage({ type: 'DATA_CHANGED' }).catch(() => {});
+  await initActionItems();
+}
+
+// ===== Knowledge Graph =====
+const ENTITY_TYPE_LABELS = { technology: 'Technology', project: 'Project', repository: 'Repository', person: 'Person', api: 'API' };
+const ENTITY_TYPE_COLORS = { technology: '#2563eb', project: '#16a34a', repository: '#7c3aed', person: '#d97706', api: '#db2777' };
+const GRAPH_SIZE = 320;
+/** Labels drawn for the most mentioned nodes; the rest show theirs on hover. */
+const GRAPH_LABELLED_NODES = 14;
+
+let graphData = { nodes: [], edges: [] };
+let graphPositions = new Map();
+let allEntities = [];
+let selectedEntityId = null;
+
+function renderEntityTags(container, entities) {
+  if (!container) return;
+  container.innerHTML = entities.map(e =>
+    `<button class="tag entity-tag" data-entity-id="${escapeHtml(e.id)}" style="border-color:${ENTITY_TYPE_COLORS[e.type] || '#9ca3af'}" title="${ENTITY_TYPE_LABELS[e.type] || 'Entity'}">${escapeHtml(e.name)}${e.version ? ` ${escapeHtml(e.version)}` : ''}</button>`
+  ).join('');
+  container.querySelectorAll('[data-entity-id]').forEach(btn => {
+    btn.addEventListener('click', () => navigateTo('graph', { entityId: btn.dataset.entityId }));
+  });
+}
+
+async function initGraph(data = {}) {
+  if (data.entityId) selectedEntityId = data.entityId;
+  const type = document.getElementById('graph-type-filter')?.value || undefined;
+  [allEntities, graphData] = await Promise.all([getEntities(), getEntityGraph({ type })]);
+  if (selectedEntityId && !allEntities.some(e => e.id === selectedEntityId)) selectedEntityId = null;
+  graphPositions = layoutGraph(graphData.nodes, graphData.edges);
+  renderGraph();
+  await renderEntityDetail();
+}
+
+/**
+ * Force-directed layout: nodes repel each other, edges pull their ends
+ * together and a weak pull towards the centre keeps loose nodes in view.
+ * Starts from a circle, so the same graph always lays out the same way.
+ */
+function layoutGraph(nodes, edges) {
+  const positions = new Map();
+  const center = GRAPH_SIZE / 2;
+  nodes.forEach((n, i) => {
+    const angle = (2 * Math.PI * i) / Math.max(nodes.length, 1);
+    positions.set(n.id, { x: center + Math.cos(angle) * center * 0.6, y: center + Math.sin(angle) * center * 0.6 });
+  });
+  if (nodes.length < 2) return positions;
+
+  const k = Math.sqrt((GRAPH_SIZE * GRAPH_SIZE) / nodes.length) * 0.6;
+  let temperature = GRAPH_SIZE / 10;
+  for (let iter = 0; iter < 150; iter++) {
+    const shift = new Map(nodes.map(n => [n.id, { x: 0, y: 0 }]));
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = positions.get(nodes[i].id);
+        const b = positions.get(nodes[j].id);
+        const dx = a.x - b.x || 0.01;
+        const dy = a.y - b.y || 0.01;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const force = (k * k) / dist;
+        shift.get(nodes[i].id).x += (dx / dist) * force;
+        shift.get(nodes[i].id).y += (dy / dist) * force;
+        shift.get(nodes[j].id).x -= (dx / dist) * force;
+        shift.get(nodes[j].id).y -= (dy / dist) * force;
+      }
+    }
+    for (const edge of edges) {
+      const a = positions.get(edge.source);
+      const b = positions.get(edge.target);
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const dist = Math.sqrt(dx * dx + dy * dy) || 0.01;
+      const force = ((dist * dist) / k) * Math.min(1 + Math.log2(edge.weight), 3);
+      shift.get(edge.source).x -= (dx / dist) * force;
+      shift.get(edge.source).y -= (dy / dist) * force;
+      shift.get(edge.target).x += (dx / dist) * force;
+      shift.get(edge.target).y += (dy / dist) * force;
+    }
+    for (const n of nodes) {
+      const p = positions.get(n.id);
+      const d = shift.get(n.id);
+      d.x += (center - p.x) * 0.05 * k / 10;
+      d.y += (center - p.y) * 0.05 * k / 10;
+      const len = Math.sqrt(d.x * d.x + d.y * d.y) || 1;
+      p.x = Math.min(GRAPH_SIZE - 16, Math.max(16, p.x + (d.x / len) * Math.min(len, temperature)));
+      p.y = Math.min(GRAPH_SIZE - 16, Math.max(16, p.y + (d.y / len) * Math.min(len, temperature)));
+    }
+    temperature *= 0.97;
+  }
+  return positions;
+}
+
+function renderGraph() {
+  const svg = document.getElementById('graph-svg');
+  const empty = document.getElementById('graph-empty');
+  if (!svg) return;
+  const { nodes, edges } = graphData;
+  svg.hidden = nodes.length === 0;
+  if (empty) empty.hidden = nodes.length > 0;
+  if (nodes.length === 0) {
+    svg.innerHTML = '';
+    return;
+  }
+
+  const neighbours = new Set();
+  for (const edge of edges) {
+    if (edge.source === selectedEntityId) neighbours.add(edge.target);
+    if (edge.target === selectedEntityId) neighbours.add(edge.source);
+  }
+  const dimmed = id => selectedEntityId && id !== selectedEntityId && !neighbours.has(id);
+  const maxCount = Math.max(...nodes.map(n => n.count));
+
+  const lines = edges.map(edge => {
+    const a = graphPositions.get(edge.source);
+    const b = graphPositions.get(edge.target);
+    const active = selectedEntityId && (edge.source === selectedEntityId || edge.target === selectedEntityId);
+    return `<line class="graph-edge${active ? ' active' : ''}" x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}" stroke-width="${Math.min(edge.weight, 4)}" style="opacity:${selectedEntityId && !active ? 0.15 : 0.6}" />`;
+  }).join('');
+
+  const circles = nodes.map((n, i) => {
+    const p = graphPositions.get(n.id);
+    const r = 4 + 8 * Math.sqrt(n.count / maxCount);
+    const showLabel = i < GRAPH_LABELLED_NODES || n.id === selectedEntityId || neighbours.has(n.id);
+    return `<g class="graph-node${n.id === selectedEntityId ? ' selected' : ''}" data-entity-id="${escapeHtml(n.id)}" style="opacity:${dimmed(n.id) ? 0.25 : 1}">
+      <title>${escapeHtml(n.name)} · ${formatNumber(n.count)} ${n.count === 1 ? 'summary' : 'summaries'}</title>
+      <circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${r.toFixed(1)}" fill="${ENTITY_TYPE_COLORS[n.type] || '#9ca3af'}" />
+      ${showLabel ? `<text x="${p.x.toFixed(1)}" y="${(p.y + r + 9).toFixed(1)}" text-anchor="middle">${escapeHtml(n.name)}</text>` : ''}
+    </g>`;
+  }).join('');
+
+  svg.innerHTML = lines + circles;
+  svg.querySelectorAll('.graph-node').forEach(g => {
+    g.addEventListener('click', async () => {
+      selectedEntityId = g.dataset.entityId === selectedEntityId ? null : g.dataset.entityId;
+      renderGraph();
+      await renderEntityDetail();
+    });
+  });
+}
+
+async function renderEntityDetail() {
+  const card = document.getElementById('entity-detail-card');
+  const entity = allEntities.find(e => e.id === selectedEntityId);
+  if (!card) return;
+  card.hidden = !entity;
+  if (!entity) return;
+
+  document.getElementById('entity-detail-name').textContent = entity.name;
+  const count = entity.summaryIds.length;
+  const versions = entity.versions.length ? ` · ${entity.versions.join(', ')}` : '';
+  document.getElementById('entity-detail-meta').textContent =
+    `${ENTITY_TYPE_LABELS[entity.type] || 'Entity'} · ${formatNumber(count)} ${count === 1 ? 'summary' : 'summaries'}${versions}`;
+  const aliases = entity.aliases.filter(a => a !== normalizeAlias(entity.name));
+  document.getElementById('entity-detail-aliases').textContent = aliases.length ? `Also matches: ${aliases.join(', ')}` : '';
+
+  const summaries = (await Promise.all(entity.summaryIds.slice(0, 20).map(id => dbGet('summaries', id)))).filter(Boolean);
+  const list = document.getElementById('entity-summaries');
+  list.innerHTML = summaries.map(s => `<div class="item-card" data-conv-id="${s.conversationId}">
+      <div class="item-title">${escapeHtml(s.title)}</div>
+      <div class="item-meta"><span class="badge badge-count">${timeAgo(s.updatedAt || s.createdAt)}</span></div>
+    </div>`).join('');
+  list.querySelectorAll('.item-card').forEach(el => {
+    el.addEventListener('click', () => navigateTo('conversation-detail', { id: el.dataset.convId }));
+  });
+
+  const others = allEntities.filter(e => e.id !== entity.id).sort((a, b) => a.name.localeCompare(b.name));
+  const sameType = others.filter(e => e.type === entity.type);
+  const otherTypes = others.filter(e => e.type !== entity.type);
+  const option = e => `<option value="${escapeHtml(e.id)}">${escapeHtml(e.name)}</option>`;
+  document.getElementById('entity-merge-target').innerHTML =
+    `<option value="">Merge into&hellip;</option>` +
+    (sameType.length ? `<optgroup label="${ENTITY_TYPE_LABELS[entity.type] || 'Same type'}">${sameType.map(option).join('')}</optgroup>` : '') +
+    (otherTypes.length ? `<optgroup label="Other types">${otherTypes.map(option).join('')}</optgroup>` : '');
+}
+
+document.getElementById('graph-type-filter')?.addEventListener('change', () => initGraph());
+
+document.getElementById('graph-rebuild-btn')?.addEventListener('click', async () => {
+  const count = await rebuildEntities();
+  chrome.runtime.sendMessage({ type: 'DATA_CHANGED' }).catch(() => {});
+  await initGraph();
+  showAlert(`Rebuilt ${formatNumber(count)} entities from your summaries.`, 'Knowledge Graph');
+});
+
+document.getElementById('entity-merge-btn')?.addEventListener('click', async () => {
+  const targetId = document.getElementById('entity-merge-target').value;
+  const source = allEntities.find(e => e.id === selectedEntityId);
+  const target = allEntities.find(e => e.id === targetId);
+  if (!source || !target) return;
+  const ok = await showConfirm(`Merge "${source.name}" into "${target.name}"? Summaries that mention ${source.name} will point to ${target.name}, and its names become aliases of ${target.name}.`, 'Merge Entities', { ok: 'Merge' });
+  if (!ok) return;
+  await mergeEntities(source.id, target.id);
+  selectedEntityId = target.id;
+  chrome.runtime.sendMessage({ type: 'DATA_CHANGED' }).catch(() => {});
+  await initGraph();
+});
+
+const entityRenameModal = document.getElementById('entity-rename-modal');
+const entityRenameInput = document.getElementById('entity-rename-input');
+
+document.getElementById('entity-rename-btn')?.addEventListener('click', () => {
+  const entity = allEntities.find(e => e.id === selectedEntityId);
+  if (!entity || !entityRenameModal) return;
+  entityRenameInput.value = entity.name;
+  entityRenameModal.hidden = false;
+  setTimeout(() => entityRenameInput.select(), 50);
+});
+
+document.getElementById('entity-rename-modal-close')?.addEventListener('click', () => {
+  if (entityRenameModal) entityRenameModal.hidden = true;
+});
+
+document.getElementById('entity-rename-cancel')?.addEventListener('click', () => {
+  if (entityRenameModal) entityRenameModal.hidden = true;
+});
+
+document.getElementById('entity-rename-save')?.addEventListener('click', async () => {
+  const name = entityRenameInput?.value.trim();
+  if (name && selectedEntityId) {
+    await renameEntity(selectedEntityId, name);
+    chrome.runtime.sendMessage({ type: 'DATA_CHANGED' }).catch(() => {});
+  }
+  if (entityRenameModal) entityRenameModal.hidden = true;
+  await initGraph();
+});
+
 // ===== Conflicts (merged into analytics) =====
 let allConflicts = [];
 
@@ -2192,6 +3768,13 @@ async function initAnalytics() {
         </div>`;
       }).join('');
 
+    // AI spend
+    try {
+      await renderSpendAnalytics();
+    } catch (err) {
+      console.warn('Spend analytics error:', err);
+    }
+
     // Conflicts (merged into analytics)
     try {
       const conflictStats = await getConflictStats();
@@ -2228,6 +3811,47 @@ async function initAnalytics() {
   }
 }
 
+const SPEND_TASK_LABELS = { embed: 'Embeddings', other: 'Other' };
+
+async function renderSpendAnalytics() {
+  const [spend, budget] = await Promise.all([getSpendBreakdown(30), checkBudget()]);
+  document.getElementById('spend-cost').textContent = formatCost(spend.total.cost);
+  document.getElementById('spend-tokens').textContent = formatShorthand(spend.total.inputTokens + spend.total.outputTokens);
+
+  const overBudget = Object.keys(budget.providers).length;
+  document.getElementById('spend-budget').textContent = budget.blocked
+    ? `Background AI work is paused: ${budget.blocked}.`
+    : overBudget ? `${overBudget} provider${overBudget === 1 ? '' : 's'} over budget; background work uses the others.` : '';
+
+  const chart = document.getElementById('spend-chart');
+  const maxCost = Math.max(...spend.daily.map(d => d.cost));
+  chart.innerHTML = spend.total.requests === 0 ? '' : spend.daily.map(d => {
+    const height = maxCost > 0 ? Math.max(2, Math.round((d.cost / maxCost) * 100)) : 2;
+    return `<div class="spend-bar" style="height:${height}%" title="${d.key}: ${formatCost(d.cost)} · ${formatNumber(d.requests)} requests"></div>`;
+  }).join('');
+
+  const container = document.getElementById('spend-breakdown');
+  if (spend.total.requests === 0) {
+    container.innerHTML = '<div class="empty-state">No AI requests in the last 30 days</div>';
+    return;
+  }
+  const group = (title, buckets, label = (key) => key) => `
+    <div class="spend-group-title">${title}</div>
+    ${buckets.map(b => `<div class="source-usage-row">
+      <div class="source-usage-header">
+        <span>${escapeHtml(label(b.key))}</span>
+        <span class="source-usage-total">${formatCost(b.cost)}${b.unpriced ? ' *' : ''}</span>
+      </div>
+      <div class="source-usage-detail">${formatNumber(b.requests)} requests · ${formatShorthand(b.inputTokens)} in · ${formatShorthand(b.outputTokens)} out</div>
+    </div>`).join('')}
+  `;
+  const taskLabel = (key) => TASK_TYPES[key]?.label || SPEND_TASK_LABELS[key] || key;
+  container.innerHTML = group('By provider', spend.byProvider)
+    + group('By model', spend.byModel)
+    + group('By task', spend.byTask, taskLabel)
+    + (spend.total.unpriced ? '<p class="hint-text">* Includes requests to models without a price.</p>' : '');
+}
+
 // Conflict scan button (inside analytics)
 document.getElementById('conflict-scan-btn')?.addEventListener('click', async () => {
   const btn = document.getElementById('conflict-scan-btn');
@@ -2254,135 +3878,6 @@ document.querySelectorAll('.info-btn[data-info]').forEach(btn => {
   });
 });
 
-// ===== Embedding Helpers =====
-
-/**
- * Embed a single summary and store the vector in IndexedDB.
- */
-async function embedSummary(summary) {
-  if (!isModelLoaded()) return;
-  try {
-    const text = [
-      summary.title || '',
-      summary.summary || '',
-      ...(summary.keyInsights || []),
-      ...(summary.decisions || []),
-      ...(summary.tags || []),
-    ].join(' ');
-
-    const [vector] = await embed([text]);
-    await dbPut('embeddings', {
-      id: generateId(),
-      summaryId: summary.id,
-      type: 'summary',
-      vector,
-      text: text.slice(0, 500),
-      createdAt: new Date().toISOString(),
-      modelVersion: 'all-MiniLM-L6-v2',
-    });
-  } catch {
-    // Embedding failed — non-critical
-  }
-}
-
-/**
- * Batch embed all summaries that don't have embeddings yet.
- */
-async function batchEmbedMissing() {
-  if (!isModelLoaded()) return;
-  try {
-    const summaries = await dbGetAll('summaries');
-    const existingEmbeddings = await dbGetAll('embeddings');
-    const embeddedIds = new Set(
-      existingEmbeddings.filter(e => e.type === 'summary').map(e => e.summaryId)
-    );
-    const missing = summaries.filter(s => !embeddedIds.has(s.id));
-
-    for (const summary of missing) {
-      await embedSummary(summary);
-    }
-
-    if (missing.length > 0) {
-      console.log(`[Embeddings] Batch embedded ${missing.length} summaries`);
-    }
-  } catch (err) {
-    console.error('[Embeddings] Batch embed error:', err);
-  }
-}
-
-// ===== Conversation Embedding Pipeline =====
-
-/**
- * Prepare text from a conversation for embedding.
- * Combines title + last 8 messages, truncated to ~1000 chars.
- */
-function prepareConversationText(conv) {
-  const parts = [conv.title || ''];
-  const msgs = conv.messages || [];
-  const recent = msgs.slice(-8);
-  for (const msg of recent) {
-    parts.push(`${msg.role}: ${msg.content}`);
-  }
-  return parts.join('\n').slice(0, 1000);
-}
-
-/**
- * Embed a single conversation and store the vector in IndexedDB.
- */
-async function embedConversation(conv) {
-  if (!isModelLoaded()) return;
-  try {
-    const text = prepareConversationText(conv);
-    const [vector] = await embed([text]);
-    await dbPut('embeddings', {
-      id: `conv-emb:${conv.id}`,
-      conversationId: conv.id,
-      type: 'conversation',
-      vector,
-      text: text.slice(0, 500),
-      createdAt: new Date().toISOString(),
-      modelVersion: 'all-MiniLM-L6-v2',
-    });
-  } catch {
-    // Embedding failed — non-critical
-  }
-}
-
-/**
- * Process the embedding queue: embed all queued conversations, then remove them.
- */
-async function processEmbeddingQueue() {
-  if (!isModelLoaded()) return;
-  try {
-    const queue = await dbGetAll('embeddingQueue');
-    if (queue.length === 0) return;
-
-    console.log(`[Embeddings] Processing ${queue.length} queued conversations`);
-    for (const entry of queue) {
-      const conv = await dbGet('conversations', entry.conversationId);
-      if (conv) {
-        await embedConversation(conv);
-      }
-      await dbDelete('embeddingQueue', entry.id);
-    }
-    console.log(`[Embeddings] Queue processing complete`);
-  } catch (err) {
-    console.error('[Embeddings] Queue processing error:', err);
-  }
-}
-
-// Listen for CONVERSATION_CAPTURED to embed immediately when sidepanel is open
-chrome.runtime.onMessage.addListener((message) => {
-  if (message.type === 'CONVERSATION_CAPTURED' && isModelLoaded()) {
-    dbGet('conversations', message.conversationId).then(conv => {
-      if (conv) embedConversation(conv);
-    }).then(() => {
-      // Remove from queue since we embedded it
-      dbDelete('embeddingQueue', `conv:${message.conversationId}`).catch(() => {});
-    }).catch(() => {});
-  }
-});
-
 // ===== Sticky filter shadow on scroll =====
 const stickyEl = document.querySelector('.sticky-filters');
 if (stickyEl) {
@@ -2400,8 +3895,14 @@ initDashboard();
 initEmbeddings().then(async loaded => {
   if (loaded) {
     console.log('[Embeddings] Model loaded successfully');
-    await batchEmbedMissing();
     await processEmbeddingQueue();
+    // While the service worker re-indexes, backfilling here would duplicate its work
+    const reindex = await getReindexState();
+    if (reindex?.status !== 'running') {
+      await batchEmbedMissing();
+      await batchEmbedMissingPassages();
+      await syncEmbeddingIndexes();
+    }
   } else {
     console.log('[Embeddings] Model not available — using keyword-only scoring');
   }
@@ -0,0 +1,48 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import { syncSummaryItems, updateItem } from '../lib/action-items.js';
+import { dbGetByIndex } from '../lib/db.js';
+
+const conversation = { id: 'c1', title: 'Release prep', source: 'claude' };
+
+function summary(actions, questions = []) {
+  return { id: 's1', actionItems: actions.map(text => ({ text })), openQuestions: questions };
+}
+
+async function items() {
+  const records = await dbGetByIndex('actionItems', 'conversationId', 'c1');
+  return Object.fromEntries(records.map(r => [r.text, r.status]));
+}
+
+beforeEach(() => resetDatabase());
+
+test('a full rerun that leaves an item out keeps it open', async () => {
+  await syncSummaryItems(summary(['Tag the release', 'Write the changelog']), conversation);
+  const result = await syncSummaryItems(summary(['Tag the release']), conversation);
+  assert.equal(result.resolved, 0);
+  assert.deepEqual(await items(), { 'Tag the release': 'open', 'Write the changelog': 'open' });
+});
+
+test('an incremental revision that drops an item marks it done', async () => {
+  const previous = summary(['Tag the release', 'Write the changelog'], ['Which branch?']);
+  await syncSummaryItems(previous, conversation);
+  const result = await syncSummaryItems(summary(['tag the release!']), conversation, { previous });
+  assert.deepEqual(result, { added: 0, resolved: 2 });
+  assert.deepEqual(await items(), { 'Tag the release': 'open', 'Write the changelog': 'done', 'Which branch?': 'done' });
+});
+
+test('items the user edited are matched by their original text and never closed', async () => {
+  const previous = summary(['Tag the release', 'Write the changelog']);
+  await syncSummaryItems(previous, conversation);
+  const records = await dbGetByIndex('actionItems', 'conversationId', 'c1');
+  const tag = records.find(r => r.text === 'Tag the release');
+  const changelog = records.find(r => r.text === 'Write the changelog');
+  await updateItem(tag.id, { text: 'Tag v2.0 and push' });
+  await updateItem(changelog.id, { dueDate: '2026-11-01' });
+
+  const result = await syncSummaryItems(summary(['Tag the release']), conversation, { previous });
+  assert.deepEqual(result, { added: 0, resolved: 0 });
+  assert.deepEqual(await items(), { 'Tag v2.0 and push': 'open', 'Write the changelog': 'open' });
+});
@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import { useProvider, requests } from './helpers/provider.mjs';
+import { complete, embed, getProviderHealth } from '../lib/ai-router.js';
+import { dbPut } from '../lib/db.js';
+
+beforeEach(() => {
+  resetStorage();
+  resetDatabase();
+});
+
+const ask = () => complete([{ role: 'user', content: 'Hello' }]);
+
+test('a half-open circuit lets one trial request through at a time', async () => {
+  let answer;
+  const held = new Promise(resolve => { answer = resolve; });
+  await useProvider(() => (requests.length === 1 ? held : 'Hi again'));
+  await chrome.storage.local.set({
+    aiProviderHealth: { 'test-provider': { recent: [], consecutiveFailures: 3, cooldownMs: 60000, openUntil: Date.now() - 1000 } },
+  });
+
+  const trial = ask();
+  await assert.rejects(ask(), /trial request is under way/);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(requests.length, 1);
+
+  answer('Hi');
+  assert.equal((await trial).content, 'Hi');
+  await new Promise(resolve => setTimeout(resolve, 10));
+  const health = (await getProviderHealth())['test-provider'];
+  assert.equal(health.openUntil, null);
+  assert.equal(health.trialUntil, null);
+  assert.equal((await ask()).content, 'Hi again');
+});
+
+test('an open circuit turns requests away until its cooldown passes', async () => {
+  await useProvider(() => 'Hi');
+  await chrome.storage.local.set({
+    aiProviderHealth: { 'test-provider': { recent: [], consecutiveFailures: 3, cooldownMs: 60000, openUntil: Date.now() + 60000 } },
+  });
+  await assert.rejects(ask(), /paused after repeated failures until/);
+  assert.equal(requests.length, 0);
+});
+
+test('a local server that rejects the JSON response format is asked again without it', async () => {
+  await useProvider(body => (body.response_format
+    ? new Response(JSON.stringify({ error: { message: "'response_format.type' must be 'json_schema'" } }), { status: 400 })
+    : '{"ok": true}'));
+  const result = await complete([{ role: 'user', content: 'Hello' }], { jsonMode: true });
+  assert.equal(result.content, '{"ok": true}');
+  assert.equal(requests.length, 2);
+});
+
+test('other bad requests to a local server are not retried', async () => {
+  await useProvider(() => new Response(JSON.stringify({ error: { message: 'context length exceeded' } }), { status: 400 }));
+  await assert.rejects(complete([{ role: 'user', content: 'Hello' }], { jsonMode: true }), /context length exceeded/);
+  assert.equal(requests.length, 1);
+});
+
+test('background embeddings stop at the budget cap; requests made by hand do not', async () => {
+  await useProvider(() => 'unused');
+  const [provider] = (await chrome.storage.local.get('aiProviders')).aiProviders;
+  await chrome.storage.local.set({
+    aiProviders: [{ ...provider, embeddingModels: ['nomic-embed-text'] }],
+    aiBudgets: { daily: 1 },
+  });
+  await dbPut('ledger', { id: 'l1', timestamp: new Date().toISOString(), providerId: 'test-provider', cost: 2 });
+  globalThis.fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return Response.json({ data: [{ index: 0, embedding: [1, 0] }], usage: null });
+  };
+
+  await assert.rejects(embed(['Hello'], { background: true }), { code: 'BUDGET_EXCEEDED' });
+  assert.equal(requests.length, 0);
+  const { vectors } = await embed(['Hello']);
+  assert.deepEqual(vectors, [[1, 0]]);
+});
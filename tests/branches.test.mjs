@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { messageHash, messageKey, ensureTree, placeMessages, mergeTrees, branchThrough, setActivePath, siblingsOf } from '../lib/branches.js';
+
+const msg = (id, role, content, extra = {}) => ({ id, role, content, timestamp: `2026-01-01T00:00:0${id.slice(-1)}Z`, ...extra });
+const hashOf = (role, content) => messageHash(role, content);
+const ids = (list) => list.map(m => m.id);
+
+test('message hashes ignore whitespace and markdown punctuation', () => {
+  assert.equal(messageHash('user', '**Hello**  world'), messageHash('user', 'Hello world'));
+  assert.notEqual(messageHash('user', 'Hello'), messageHash('assistant', 'Hello'));
+  assert.equal(messageKey({ role: 'user', content: '[REDACTED:email]', metadata: { sourceHash: 'abc' } }), 'abc');
+});
+
+test('plain message lists are linked into one branch', () => {
+  const conv = ensureTree({ messages: [msg('m1', 'user', 'Hi'), msg('m2', 'assistant', 'Hello')] });
+  assert.deepEqual(conv.messages.map(m => m.parentId), [null, 'm1']);
+  assert.deepEqual(conv.alternates, []);
+});
+
+test('captured messages continue the active path and duplicates are skipped', () => {
+  const conv = { messages: [msg('m1', 'user', 'Hi')] };
+  const { added, switched } = placeMessages(conv, [msg('x1', 'user', 'Hi'), msg('m2', 'assistant', 'Hello')]);
+  assert.deepEqual(ids(added), ['m2']);
+  assert.equal(switched, false);
+  assert.deepEqual(ids(conv.messages), ['m1', 'm2']);
+  assert.equal(conv.messages[1].parentId, 'm1');
+});
+
+test('a regenerated response starts a branch that becomes the active path', () => {
+  const conv = { messages: [msg('m1', 'user', 'Hi'), msg('m2', 'assistant', 'Hello')] };
+  ensureTree(conv);
+  const path = [hashOf('user', 'Hi'), hashOf('assistant', 'Hey there')];
+  const { added, switched } = placeMessages(conv, [msg('x1', 'user', 'Hi'), msg('m3', 'assistant', 'Hey there')], path);
+  assert.deepEqual(ids(added), ['m3']);
+  assert.equal(switched, true);
+  assert.deepEqual(ids(conv.messages), ['m1', 'm3']);
+  assert.deepEqual(ids(conv.alternates), ['m2']);
+  assert.deepEqual(ids(siblingsOf(conv, conv.messages[1])), ['m2', 'm3']);
+
+  // Going back to the first response switches without storing anything
+  const back = placeMessages(conv, [msg('y1', 'user', 'Hi'), msg('y2', 'assistant', 'Hello')], [hashOf('user', 'Hi'), hashOf('assistant', 'Hello')]);
+  assert.deepEqual(back.added, []);
+  assert.equal(back.switched, true);
+  assert.deepEqual(ids(conv.messages), ['m1', 'm2']);
+});
+
+test('a page showing only the start of the active path keeps it', () => {
+  const conv = ensureTree({ messages: [msg('m1', 'user', 'Hi'), msg('m2', 'assistant', 'Hello')] });
+  const { switched } = placeMessages(conv, [msg('x1', 'user', 'Hi')], [hashOf('user', 'Hi')]);
+  assert.equal(switched, false);
+  assert.deepEqual(ids(conv.messages), ['m1', 'm2']);
+});
+
+test('the branch through a message follows the active path below it', () => {
+  const conv = ensureTree({ messages: [msg('m1', 'user', 'Hi'), msg('m2', 'assistant', 'Hello'), msg('m4', 'user', 'Thanks')] });
+  conv.alternates = [msg('m3', 'assistant', 'Hey there', { parentId: 'm1' })];
+  assert.deepEqual(ids(branchThrough(conv, 'm3')), ['m1', 'm3']);
+  assert.deepEqual(ids(branchThrough(conv, 'm1')), ['m1', 'm2', 'm4']);
+  setActivePath(conv, branchThrough(conv, 'm3'));
+  assert.deepEqual(ids(conv.messages), ['m1', 'm3']);
+  assert.deepEqual(ids(conv.alternates).sort(), ['m2', 'm4']);
+});
+
+test('merging keeps base ids, adds missing messages and maps ids across', () => {
+  const base = { messages: [msg('m1', 'user', 'Hi'), msg('m2', 'assistant', 'Hello')] };
+  const other = { messages: [msg('o1', 'user', 'Hi'), msg('o2', 'assistant', 'Hello'), msg('o3', 'user', 'Thanks')] };
+  const { added, updated, idMap } = mergeTrees(base, other);
+  assert.equal(added, 1);
+  assert.equal(updated, 0);
+  assert.deepEqual([...idMap], [['o1', 'm1'], ['o2', 'm2'], ['o3', 'o3']]);
+  assert.deepEqual(ids(base.messages), ['m1', 'm2', 'o3']);
+  assert.equal(base.messages[2].parentId, 'm2');
+});
+
+test('merging an export takes its text and its active branch, except for redacted messages', () => {
+  const base = ensureTree({ messages: [
+    msg('m1', 'user', 'Hi **there**'),
+    msg('m2', 'assistant', 'Mail [REDACTED:email]', { metadata: { sourceHash: hashOf('assistant', 'Mail ana@example.com') } }),
+  ] });
+  const other = { messages: [msg('o1', 'user', 'Hi there'), msg('o3', 'assistant', 'Something else')], alternates: [msg('o2', 'assistant', 'Mail ana@example.com', { parentId: 'o1' })] };
+  other.messages[1].parentId = 'o1';
+  const { added, updated } = mergeTrees(base, other, { preferOther: true });
+  assert.equal(added, 1);
+  assert.equal(updated, 1);
+  assert.deepEqual(ids(base.messages), ['m1', 'o3']);
+  assert.equal(base.messages[0].content, 'Hi there');
+  assert.equal(base.alternates.find(m => m.id === 'm2').content, 'Mail [REDACTED:email]');
+});
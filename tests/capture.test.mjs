@@ -0,0 +1,50 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import { processCapture } from '../lib/capture.js';
+import { addExclusionRule } from '../lib/exclusions.js';
+import { enqueueConversation } from '../lib/summary-queue.js';
+import { dbGet, dbGetAll, dbPut } from '../lib/db.js';
+
+const URL = 'https://claude.ai/chat/abc';
+
+beforeEach(() => {
+  resetStorage();
+  resetDatabase();
+});
+
+const capture = (title, messages) => processCapture({
+  source: 'claude', title, url: URL, conversationId: 'abc',
+  messages: messages.map(([role, content]) => ({ role, content })),
+});
+
+test('a chat is captured and named once the platform names it', async () => {
+  const first = await capture('New Chat', [['user', 'Hello']]);
+  assert.equal(first.newMessages, 1);
+  await capture('Greetings', [['user', 'Hello'], ['assistant', 'Hi there']]);
+  const conv = await dbGet('conversations', first.conversationId);
+  assert.equal(conv.title, 'Greetings');
+  assert.equal(conv.messages.length, 2);
+});
+
+test('title rules see the stored title while the page shows a placeholder', async () => {
+  await addExclusionRule({ type: 'title', value: 'payroll' });
+  await capture('New Chat', [['user', 'Hello']]);
+  const [conv] = await dbGetAll('conversations');
+  await dbPut('conversations', { ...conv, title: 'Payroll for Q3' });
+
+  const result = await capture('New Chat', [['user', 'Hello'], ['assistant', 'Here are the numbers']]);
+  assert.equal(result.excluded, true);
+  assert.equal(result.purged, true);
+  assert.deepEqual(await dbGetAll('conversations'), []);
+  assert.deepEqual(await dbGetAll('embeddingQueue'), []);
+});
+
+test('excluded captures are not queued for a summary', async () => {
+  await chrome.storage.local.set({ autoSummarize: { enabled: true } });
+  const { conversationId } = await capture('Payroll for Q3', [['user', 'Hello']]);
+  await addExclusionRule({ type: 'title', value: 'payroll' });
+  await enqueueConversation(await dbGet('conversations', conversationId));
+  assert.deepEqual(await dbGetAll('summaryQueue'), []);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCitations, parseMessageNumbers, citationsForPrompt, locateCitedMessage } from '../lib/citations.js';
+
+const MESSAGES = [
+  { id: 'm1', role: 'user', content: 'Should we store sessions in Redis or Postgres?' },
+  { id: 'm2', role: 'assistant', content: 'Use Redis for sessions: it expires keys on its own, so stale sessions clean themselves up.' },
+  { id: 'm3', role: 'user', content: 'Agreed. Here is the config:\n\n```js\nconst store = new RedisStore({ ttl: 3600 });\napp.use(session({ store }));\n```' },
+];
+
+const cite = (claim, messages, quote) => ({ claim, messages, quote });
+const resolve = (fields, citations) => resolveCitations({ keyInsights: [], decisions: [], codeSnippets: [], ...fields, citations }, MESSAGES);
+
+test('message numbers are read in any of the usual forms', () => {
+  assert.deepEqual(parseMessageNumbers('3, 4', 5), [2, 3]);
+  assert.deepEqual(parseMessageNumbers('[#2] and #2', 5), [1]);
+  assert.deepEqual(parseMessageNumbers([1, 9], 5), [0]);
+});
+
+test('a quote found in the cited message is verified', () => {
+  const { keyInsights: [citation] } = resolve(
+    { keyInsights: ['Redis expires session keys itself'] },
+    [cite('Redis expires session keys itself', '2', 'it expires keys on its own')]);
+  assert.deepEqual(citation, { messages: [1], messageIds: ['m2'], quote: 'it expires keys on its own', status: 'verified' });
+});
+
+test('a quote differing only in case, whitespace and punctuation is still verified', () => {
+  const { keyInsights: [citation] } = resolve(
+    { keyInsights: ['Redis expires session keys itself'] },
+    [cite('Redis expires session keys itself', '2', 'It  expires KEYS\non its own!')]);
+  assert.equal(citation.status, 'verified');
+  assert.deepEqual(citation.messageIds, ['m2']);
+});
+
+test('a quote found in another message is re-pointed to it', () => {
+  const { decisions: [citation] } = resolve(
+    { decisions: ['Use Redis for sessions'] },
+    [cite('Use Redis for sessions', '1', 'Use Redis for sessions')]);
+  assert.equal(citation.status, 'verified');
+  assert.deepEqual(citation.messageIds, ['m2']);
+});
+
+test('a quote that appears nowhere is not verified', () => {
+  const [overlap, unverified] = resolve(
+    { keyInsights: ['Redis expires stale sessions', 'Memcached is faster than anything'] },
+    [
+      cite('Redis expires stale sessions', '2', 'Redis is the industry standard'),
+      cite('Memcached is faster than anything', '2', 'Memcached beats everything on speed'),
+    ]).keyInsights;
+  assert.equal(overlap.status, 'overlap');
+  assert.equal(overlap.quote, 'Redis is the industry standard');
+  assert.equal(unverified.status, 'unverified');
+  assert.deepEqual(unverified.messageIds, ['m2']);
+});
+
+test('uncited items are located locally, code by its lines', () => {
+  const { keyInsights: [insight], codeSnippets: [snippet] } = resolve({
+    keyInsights: ['Stale sessions clean themselves up in Redis'],
+    codeSnippets: [{ language: 'js', code: 'const store = new RedisStore({ ttl: 3600 });\napp.use(session({ store }));', description: 'Session store setup' }],
+  }, []);
+  assert.deepEqual([insight.status, insight.messageIds], ['overlap', ['m2']]);
+  assert.deepEqual([snippet.status, snippet.messageIds], ['verified', ['m3']]);
+});
+
+test('stored citations are written back in the model\'s form and located by id', () => {
+  const summary = { keyInsights: ['A', 'B'], citations: { keyInsights: [{ messages: [1, 2], messageIds: ['m2', 'm3'], quote: 'q' }, null] } };
+  assert.deepEqual(citationsForPrompt(summary), [{ claim: 'A', messages: '2, 3', quote: 'q' }]);
+
+  const conversation = { messages: [MESSAGES[0], MESSAGES[2], MESSAGES[1]] };
+  assert.equal(locateCitedMessage(conversation, summary.citations.keyInsights[0]), 2);
+  assert.equal(locateCitedMessage({ messages: [] }, summary.citations.keyInsights[0]), -1);
+});
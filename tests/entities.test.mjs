@@ -0,0 +1,84 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import {
+  normalizeAlias, syncSummaryEntities, mergeEntities, unlinkSummary, getEntities, buildAliasIndex, findMentionedEntities,
+} from '../lib/entities.js';
+import { dbGet, dbPut } from '../lib/db.js';
+
+const link = (summary) => syncSummaryEntities(summary).then(entities => ({ ...summary, entities }));
+
+beforeEach(() => {
+  resetStorage();
+  resetDatabase();
+});
+
+test('names normalize to alias keys', () => {
+  assert.equal(normalizeAlias('  Node.js '), 'nodejs');
+  assert.equal(normalizeAlias('C++'), 'c++');
+  assert.equal(normalizeAlias('C#'), 'c#');
+  assert.equal(normalizeAlias('Next JS'), 'nextjs');
+  assert.equal(normalizeAlias('https://github.com/Owner/Repo.git'), 'owner/repo');
+  assert.equal(normalizeAlias('owner/repo'), 'owner/repo');
+});
+
+test('aliases of a well-known name resolve to one canonical entity', async () => {
+  const a = await link({ id: 's1', entities: [{ name: 'postgres', type: 'technology' }, { name: 'PostgreSQL 16', type: 'Technology' }] });
+  const b = await link({ id: 's2', entities: [{ name: 'pg', type: 'technology', version: 'v15' }] });
+
+  assert.deepEqual(a.entities.map(e => [e.id, e.name, e.version]), [['technology:postgresql', 'PostgreSQL', null]]);
+  assert.deepEqual(b.entities.map(e => [e.id, e.version]), [['technology:postgresql', '15']]);
+  const [entity] = await getEntities();
+  assert.deepEqual(entity.summaryIds, ['s1', 's2']);
+  assert.deepEqual(entity.versions, ['16', '15']);
+  assert.deepEqual(entity.aliases.sort(), ['pg', 'postgres', 'postgresql']);
+});
+
+test('versions are split off names, except where they are part of the name', async () => {
+  const { entities } = await link({ id: 's1', entities: [
+    { name: 'React 18.2', type: 'technology' },
+    { name: 'node@20', type: 'technology' },
+    { name: 'S3', type: 'api' },
+    { name: 'https://github.com/acme/widgets', type: 'repository' },
+    { name: 'Ada 2', type: 'person' },
+    { name: 'the user', type: 'person' },
+    { name: 'API', type: 'api' },
+  ] });
+  assert.deepEqual(entities.map(e => [e.name, e.type, e.version]), [
+    ['React', 'technology', '18.2'],
+    ['Node.js', 'technology', '20'],
+    ['S3', 'api', null],
+    ['acme/widgets', 'repository', null],
+    ['Ada 2', 'person', null],
+    ['the user', 'person', null],
+  ]);
+});
+
+test('entities a summary no longer mentions are unlinked, and deleted when unused', async () => {
+  await link({ id: 's1', entities: [{ name: 'Redis' }, { name: 'Vite' }] });
+  await link({ id: 's2', entities: [{ name: 'Redis' }] });
+  await link({ id: 's1', entities: [{ name: 'Redis' }] });
+  assert.deepEqual((await getEntities()).map(e => [e.id, e.summaryIds]), [['technology:redis', ['s1', 's2']]]);
+
+  await unlinkSummary('s1');
+  await unlinkSummary('s2');
+  assert.deepEqual(await getEntities(), []);
+});
+
+test('a merge sticks: later mentions of the merged name resolve to the kept entity', async () => {
+  const summary = await link({ id: 's1', entities: [{ name: 'Acme API', type: 'api' }, { name: 'acme-service', type: 'api' }] });
+  await dbPut('summaries', summary);
+  await mergeEntities('api:acmeservice', 'api:acmeapi');
+
+  assert.deepEqual((await dbGet('summaries', 's1')).entities.map(e => e.id), ['api:acmeapi']);
+  const later = await link({ id: 's2', entities: [{ name: 'Acme Service', type: 'api' }] });
+  assert.deepEqual(later.entities.map(e => [e.id, e.name]), [['api:acmeapi', 'Acme API']]);
+});
+
+test('entities are found in text by any of their aliases', async () => {
+  await link({ id: 's1', entities: [{ name: 'postgres' }, { name: 'GitHub Actions' }, { name: 'C++' }] });
+  const index = buildAliasIndex(await getEntities());
+  const found = findMentionedEntities('Deploy with github actions, then tune Postgres and PostgreSQL (and some C++).', index);
+  assert.deepEqual([...found].sort(), ['technology:c++', 'technology:githubactions', 'technology:postgresql']);
+});
@@ -0,0 +1,57 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import {
+  hashPrompt, findFixture, saveFixture, countFixtures, clearFixtures, exportFixtures, importFixtures,
+} from '../lib/fixtures.js';
+
+const PROMPT = [
+  { role: 'system', content: 'Summarize.' },
+  { role: 'user', content: 'Hello there' },
+];
+const RESULT = { content: '{"summary": "Greeting"}', model: 'gpt-test', usage: { total_tokens: 12 }, providerType: 'openai' };
+
+beforeEach(() => {
+  resetDatabase();
+});
+
+test('prompt hashes depend on the messages and JSON mode only', async () => {
+  const hash = await hashPrompt(PROMPT, { jsonMode: true });
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(await hashPrompt(PROMPT, { jsonMode: true }), hash);
+  assert.equal(await hashPrompt(PROMPT.map(m => ({ ...m, id: 'x', timestamp: 1 })), { jsonMode: true, model: 'other', temperature: 0.9 }), hash);
+  assert.notEqual(await hashPrompt(PROMPT), hash);
+  assert.notEqual(await hashPrompt([PROMPT[0], { role: 'user', content: 'Hello there!' }], { jsonMode: true }), hash);
+  assert.notEqual(await hashPrompt([PROMPT[0], { role: 'assistant', content: 'Hello there' }], { jsonMode: true }), hash);
+});
+
+test('a saved response is found again for the same prompt and replaced on re-recording', async () => {
+  await saveFixture(PROMPT, { jsonMode: true, task: 'summarize' }, RESULT);
+  const fixture = await findFixture(PROMPT, { jsonMode: true });
+  assert.deepEqual(fixture.response, { content: RESULT.content, model: 'gpt-test', usage: { total_tokens: 12 } });
+  assert.equal(fixture.task, 'summarize');
+  assert.equal(fixture.recordedFrom, 'openai');
+  assert.equal(await findFixture(PROMPT), undefined);
+
+  await saveFixture(PROMPT, { jsonMode: true }, { ...RESULT, content: '{"summary": "Hi"}' });
+  assert.equal(await countFixtures(), 1);
+  assert.equal((await findFixture(PROMPT, { jsonMode: true })).response.content, '{"summary": "Hi"}');
+});
+
+test('exported fixtures import into an empty store', async () => {
+  await saveFixture(PROMPT, { jsonMode: true }, RESULT);
+  await saveFixture([{ role: 'user', content: 'Other' }], {}, RESULT);
+  const text = await exportFixtures();
+
+  await clearFixtures();
+  assert.equal(await countFixtures(), 0);
+  assert.equal(await importFixtures(text), 2);
+  assert.equal((await findFixture(PROMPT, { jsonMode: true })).response.content, RESULT.content);
+});
+
+test('imports skip malformed fixtures and reject other files', async () => {
+  const text = JSON.stringify({ format: 'slop-ai-fixtures', version: 1, fixtures: [{ hash: 'a', response: { content: 'ok' } }, { hash: 'b' }, null] });
+  assert.equal(await importFixtures(text), 1);
+  await assert.rejects(importFixtures('{"fixtures": []}'), /Not a fixture export file/);
+});
@@ -0,0 +1,77 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import { useProvider, requests } from './helpers/provider.mjs';
+import { checkSummary, withoutUnsupportedClaims } from '../lib/grounding.js';
+
+const CONVERSATION = {
+  id: 'c1',
+  title: 'Session storage',
+  messages: [
+    { id: 'm1', role: 'user', content: 'Should we store sessions in Redis or Postgres?' },
+    { id: 'm2', role: 'assistant', content: 'Use Redis for sessions: it expires keys on its own, so stale sessions clean themselves up.' },
+  ],
+};
+
+const SUMMARY = {
+  keyInsights: ['Redis expires stale session keys on its own', 'Kubernetes autoscaling needs custom metrics'],
+  decisions: ['Store sessions in Redis', 'Redis sessions replace cookies'],
+  citations: { keyInsights: [{ status: 'overlap' }, null], decisions: [{ status: 'verified' }, null] },
+};
+
+beforeEach(() => {
+  resetStorage();
+  resetDatabase();
+});
+
+test('claims the conversation does not support are flagged', async () => {
+  const checked = await checkSummary(SUMMARY, CONVERSATION, { settings: { mode: 'flag', confirmWithAI: false } });
+  assert.deepEqual(checked.keyInsights, SUMMARY.keyInsights);
+  assert.deepEqual(checked.support.keyInsights.map(s => s.status), ['supported', 'unsupported']);
+  assert.deepEqual(checked.support.decisions.map(s => s.status), ['supported', 'weak']);
+  assert.equal(checked.support.keyInsights[0].method, 'lexical');
+  assert.deepEqual(checked.support.dropped, []);
+  assert.ok(checked.confidence > 0 && checked.confidence < 1);
+
+  assert.deepEqual(withoutUnsupportedClaims(checked).keyInsights, ['Redis expires stale session keys on its own']);
+  assert.deepEqual(withoutUnsupportedClaims(checked).decisions, SUMMARY.decisions);
+});
+
+test('drop mode removes unsupported claims and their citations', async () => {
+  const checked = await checkSummary(SUMMARY, CONVERSATION, { settings: { mode: 'drop', confirmWithAI: false } });
+  assert.deepEqual(checked.keyInsights, ['Redis expires stale session keys on its own']);
+  assert.deepEqual(checked.citations.keyInsights, [{ status: 'overlap' }]);
+  assert.deepEqual(checked.decisions, SUMMARY.decisions);
+  assert.deepEqual(checked.support.dropped.map(d => [d.field, d.text]), [['keyInsights', 'Kubernetes autoscaling needs custom metrics']]);
+  // Dropped claims still count toward the confidence
+  const flagged = await checkSummary(SUMMARY, CONVERSATION, { settings: { mode: 'flag', confirmWithAI: false } });
+  assert.equal(checked.confidence, flagged.confidence);
+});
+
+test('the model is asked about doubtful claims only, and its answers decide them', async () => {
+  await useProvider(() => ({ results: [
+    { claim: 1, supported: true, reason: 'Mentioned indirectly' },
+    { claim: 2, supported: false, reason: 'Cookies are never discussed' },
+  ] }));
+  const checked = await checkSummary(SUMMARY, CONVERSATION, { settings: { mode: 'drop', confirmWithAI: true } });
+
+  assert.equal(requests.length, 1);
+  const prompt = requests[0].messages[1].content;
+  assert.match(prompt, /Claim 1: Kubernetes autoscaling needs custom metrics/);
+  assert.match(prompt, /Claim 2: Redis sessions replace cookies/);
+  assert.doesNotMatch(prompt, /Store sessions in Redis/);
+
+  assert.equal(checked.support.usedAI, true);
+  assert.deepEqual(checked.keyInsights, SUMMARY.keyInsights);
+  assert.deepEqual(checked.support.keyInsights[1], { score: 0.8, status: 'supported', method: 'ai', reason: 'Mentioned indirectly' });
+  assert.deepEqual(checked.decisions, ['Store sessions in Redis']);
+  assert.deepEqual(checked.support.dropped.map(d => d.text), ['Redis sessions replace cookies']);
+});
+
+test('a failed confirmation keeps the local scores', async () => {
+  await useProvider(() => new Response('Bad request', { status: 400 }));
+  const checked = await checkSummary(SUMMARY, CONVERSATION, { settings: { mode: 'flag', confirmWithAI: true } });
+  assert.equal(checked.support.usedAI, false);
+  assert.deepEqual(checked.support.keyInsights.map(s => s.status), ['supported', 'unsupported']);
+});
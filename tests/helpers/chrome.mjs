@@ -0,0 +1,33 @@
+/**
+ * @fileoverview In-memory stand-in for the `chrome` APIs lib/ modules use,
+ * so they can be imported and tested under Node. Import it before the
+ * module under test.
+ */
+
+const store = new Map();
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      async get(key) {
+        if (key == null) return Object.fromEntries(store);
+        const keys = Array.isArray(key) ? key : [key];
+        return Object.fromEntries(keys.filter(k => store.has(k)).map(k => [k, structuredClone(store.get(k))]));
+      },
+      async set(items) {
+        for (const [k, v] of Object.entries(items)) store.set(k, structuredClone(v));
+      },
+      async remove(key) {
+        for (const k of Array.isArray(key) ? key : [key]) store.delete(k);
+      },
+    },
+  },
+  runtime: {
+    sendMessage: async () => {},
+  },
+};
+
+/** Empty chrome.storage.local, between tests. */
+export function resetStorage() {
+  store.clear();
+}
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview In-memory stand-in for the parts of IndexedDB lib/db.js
+ * uses: one database, object stores with a key path, plain and multi-entry
+ * indexes queried by key or lower-bound range, and requests and
+ * transactions that complete on a later tick.
+ * Import it before the module under test.
+ */
+
+const stores = new Map();
+
+function keyOf(value, keyPath) {
+  return Array.isArray(keyPath) ? keyPath.map(path => value[path]) : value[keyPath];
+}
+
+function sameKey(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function nameList(map) {
+  return { contains: (name) => map.has(name), get length() { return map.size; } };
+}
+
+function makeRequest(tx, run) {
+  const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+  tx.pending++;
+  setTimeout(() => {
+    request.result = run();
+    request.onsuccess?.({ target: request });
+    tx.settle();
+  });
+  return request;
+}
+
+/** The lower-bound ranges of IDBKeyRange, over string keys. */
+class KeyRange {
+  constructor(lower, open) {
+    this.lower = lower;
+    this.lowerOpen = open;
+  }
+
+  static lowerBound(lower, open = false) {
+    return new KeyRange(lower, open);
+  }
+
+  includes(key) {
+    return this.lowerOpen ? key > this.lower : key >= this.lower;
+  }
+}
+
+globalThis.IDBKeyRange = KeyRange;
+
+function makeIndex(tx, store, index) {
+  const matches = (value) => {
+    const key = keyOf(value, index.keyPath);
+    const match = (k, query) => (query instanceof KeyRange ? query.includes(k) : sameKey(k, query));
+    return index.multiEntry && Array.isArray(key)
+      ? (query) => key.some(k => match(k, query))
+      : (query) => match(key, query);
+  };
+  const find = (query) => [...store.records.values()].filter(value => matches(value)(query));
+  return {
+    getAll: (query) => makeRequest(tx, () => find(query).map(value => structuredClone(value))),
+    getAllKeys: (query) => makeRequest(tx, () => find(query).map(value => keyOf(value, store.keyPath))),
+  };
+}
+
+function makeStore(tx, store) {
+  const key = (k) => JSON.stringify(k);
+  return {
+    indexNames: nameList(store.indexes),
+    createIndex(name, keyPath, options = {}) {
+      store.indexes.set(name, { keyPath, multiEntry: !!options.multiEntry });
+    },
+    index: (name) => makeIndex(tx, store, store.indexes.get(name)),
+    put(value) {
+      const copy = structuredClone(value);
+      return makeRequest(tx, () => { store.records.set(key(keyOf(copy, store.keyPath)), copy); });
+    },
+    get: (k) => makeRequest(tx, () => structuredClone(store.records.get(key(k)))),
+    getAll: () => makeRequest(tx, () => [...store.records.values()].map(value => structuredClone(value))),
+    delete: (k) => makeRequest(tx, () => { store.records.delete(key(k)); }),
+    clear: () => makeRequest(tx, () => { store.records.clear(); }),
+    count: () => makeRequest(tx, () => store.records.size),
+    openCursor: () => makeRequest(tx, () => null),
+  };
+}
+
+function makeTransaction() {
+  let done = false;
+  const complete = () => {
+    if (done || tx.pending > 0) return;
+    done = true;
+    tx.oncomplete?.();
+  };
+  const tx = {
+    pending: 0,
+    error: null,
+    oncomplete: null,
+    onerror: null,
+    objectStore: (name) => makeStore(tx, stores.get(name)),
+    settle() {
+      if (--tx.pending === 0) setTimeout(complete);
+    },
+  };
+  // A transaction that makes no requests completes as well
+  setTimeout(complete);
+  return tx;
+}
+
+const db = {
+  objectStoreNames: nameList(stores),
+  createObjectStore(name, { keyPath }) {
+    const store = { keyPath, records: new Map(), indexes: new Map() };
+    stores.set(name, store);
+    return makeStore(makeTransaction(), store);
+  },
+  transaction: () => makeTransaction(),
+};
+
+let created = false;
+
+globalThis.indexedDB = {
+  open() {
+    const request = { result: db, error: null, transaction: null };
+    setTimeout(() => {
+      if (!created) {
+        created = true;
+        request.transaction = makeTransaction();
+        request.onupgradeneeded?.({ target: request, oldVersion: 0 });
+      }
+      request.onsuccess?.({ target: request });
+    });
+    return request;
+  },
+};
+
+/** Empty every store, between tests. */
+export function resetDatabase() {
+  for (const store of stores.values()) store.records.clear();
+}
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview A stand-in AI provider: an OpenAI-compatible provider is
+ * configured and fetch is replaced by a handler that answers its requests.
+ * Import ./chrome.mjs first.
+ */
+
+/** Request bodies received since the last useProvider(), in order. */
+export const requests = [];
+
+const PROVIDER = {
+  id: 'test-provider',
+  name: 'Test',
+  type: 'compatible',
+  baseUrl: 'http://localhost:11434',
+  apiKey: '',
+  models: ['test-model'],
+  defaultModel: 'test-model',
+  isEnabled: true,
+  priority: 1,
+  extra: {},
+};
+
+/**
+ * Answer chat completions with `respond(body)`: a string or object is sent
+ * back as the message content, a Response as it is.
+ * @param {function(Object): (string|Object|Response|Promise)} respond
+ */
+export async function useProvider(respond) {
+  requests.length = 0;
+  await chrome.storage.local.set({ aiProviders: [PROVIDER] });
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push(body);
+    const reply = await respond(body);
+    if (reply instanceof Response) return reply;
+    const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+    return Response.json({
+      choices: [{ message: { content } }],
+      usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 },
+    });
+  };
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import { conversationIdentity, conversationIdFromUrl, mergeConversations } from '../lib/identity.js';
+import { dbGet, dbGetAll, dbPut } from '../lib/db.js';
+
+test('reads the platform id from chat URLs', () => {
+  assert.equal(conversationIdFromUrl('chatgpt', 'https://chatgpt.com/c/abc-123?model=x'), 'abc-123');
+  assert.equal(conversationIdFromUrl('claude', 'https://claude.ai/chat/f00'), 'f00');
+  assert.equal(conversationIdFromUrl('claude', 'https://claude.ai/new'), null);
+  assert.equal(conversationIdFromUrl('chatgpt', 'not a url'), null);
+});
+
+test('imports with a platform id are identified by it', () => {
+  const conv = { source: 'chatgpt', sourceId: 'abc', metadata: { originalFormat: 'chatgpt-zip', nativeSourceId: true } };
+  assert.equal(conversationIdentity(conv), 'abc');
+});
+
+test('made-up import ids are not identities', () => {
+  assert.equal(conversationIdentity({ source: 'copilot', sourceId: 'copilot-0', metadata: { originalFormat: 'copilot-csv', nativeSourceId: false } }), null);
+  assert.equal(conversationIdentity({ source: 'chatgpt', sourceId: 'r4nd0m', metadata: { originalFormat: 'chatgpt-zip', nativeSourceId: false } }), null);
+  // Stored before the parsers flagged made-up ids
+  assert.equal(conversationIdentity({ source: 'copilot', sourceId: 'copilot-3', metadata: { originalFormat: 'copilot-csv' } }), null);
+  assert.equal(conversationIdentity({ source: 'gemini', sourceId: 'r4nd0m', metadata: { originalFormat: 'gemini-takeout', nativeSourceId: true } }), null);
+});
+
+test('legacy live captures are identified by their capture URL', () => {
+  const conv = { source: 'chatgpt', sourceId: 'random', metadata: { originalFormat: 'live-capture', captureUrl: 'https://chatgpt.com/c/xyz' } };
+  assert.equal(conversationIdentity(conv), 'xyz');
+  conv.metadata.nativeSourceId = true;
+  conv.sourceId = 'xyz';
+  assert.equal(conversationIdentity(conv), 'xyz');
+});
+
+test('merging records keeps one summary, pointed at the kept messages', async () => {
+  resetDatabase();
+  const message = (id, role, content, parentId = null) => ({ id, role, content, parentId });
+  await dbPut('conversations', {
+    id: 'keep', source: 'claude', title: 'Chat', createdAt: '2026-01-01', updatedAt: '2026-01-01',
+    messages: [message('k1', 'user', 'Hi'), message('k2', 'assistant', 'Hello', 'k1')],
+    metadata: { originalFormat: 'live-capture' },
+  });
+  await dbPut('conversations', {
+    id: 'split', source: 'claude', title: 'Chat', createdAt: '2026-01-02', updatedAt: '2026-01-02',
+    messages: [message('m1', 'user', 'Hi'), message('m2', 'assistant', 'Hello', 'm1'), message('m3', 'user', 'Thanks', 'm2')],
+    metadata: { originalFormat: 'live-capture', summaryId: 's-split', lastSummarizedMessageId: 'm3' },
+  });
+  await dbPut('summaries', {
+    id: 's-split', conversationId: 'split', createdAt: '2026-01-02', revision: 2,
+    actionItems: [{ text: 'Say thanks' }], openQuestions: [],
+    citations: { keyInsights: [{ messages: [1], messageIds: ['m2'], quote: 'Hello', status: 'verified' }] },
+    metadata: { lastMessageId: 'm3' },
+  });
+  await dbPut('actionItems', { id: 'i1', kind: 'action', text: 'Say thanks', status: 'open', conversationId: 'split', summaryId: 's-split' });
+
+  const kept = await mergeConversations('keep', 'split');
+  assert.deepEqual(kept.messages.map(m => m.id), ['k1', 'k2', 'm3']);
+  assert.equal(kept.metadata.summaryId, 's-split');
+  assert.equal(kept.metadata.lastSummarizedMessageId, 'm3');
+
+  const summaries = await dbGetAll('summaries');
+  assert.equal(summaries.length, 1);
+  assert.equal(summaries[0].conversationId, 'keep');
+  assert.deepEqual(summaries[0].citations.keyInsights[0].messageIds, ['k2']);
+  assert.deepEqual(summaries[0].citations.keyInsights[0].messages, [1]);
+
+  const items = await dbGetAll('actionItems');
+  assert.deepEqual(items.map(i => [i.id, i.conversationId, i.status]), [['i1', 'keep', 'open']]);
+  assert.equal(await dbGet('conversations', 'split'), undefined);
+});
+
+test('merging records drops the merged summary when the kept one has its own', async () => {
+  resetDatabase();
+  await dbPut('conversations', { id: 'a', source: 'claude', createdAt: '1', updatedAt: '1', messages: [], metadata: { summaryId: 'sa' } });
+  await dbPut('conversations', { id: 'b', source: 'claude', createdAt: '2', updatedAt: '2', messages: [], metadata: { summaryId: 'sb' } });
+  await dbPut('summaries', { id: 'sa', conversationId: 'a', createdAt: '1', actionItems: [], openQuestions: [] });
+  await dbPut('summaries', { id: 'sb', conversationId: 'b', createdAt: '2', actionItems: [], openQuestions: [] });
+
+  const kept = await mergeConversations('a', 'b');
+  assert.equal(kept.metadata.summaryId, 'sa');
+  assert.deepEqual((await dbGetAll('summaries')).map(s => s.id), ['sa']);
+});
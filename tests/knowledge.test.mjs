@@ -0,0 +1,100 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import { useProvider, requests } from './helpers/provider.mjs';
+import { summarizeOrUpdate } from '../lib/knowledge.js';
+import { dbGetAll, dbPut } from '../lib/db.js';
+import { assignProfile } from '../lib/profiles.js';
+
+const message = (id, role, content) => ({ id, role, content });
+
+function conversation(messages) {
+  return { id: 'c1', source: 'claude', title: 'Release prep', messages, metadata: {} };
+}
+
+function existingSummary(lastMessageId) {
+  return {
+    id: 's1', conversationId: 'c1', topicId: 't1', title: 'Release prep', summary: 'Planning the release.',
+    keyInsights: [], decisions: [], codeSnippets: [], tags: ['release'], entities: [],
+    actionItems: [{ text: 'Tag the release' }], openQuestions: [],
+    suggestedTopicName: 'Releases', createdAt: '2026-01-01', revision: 1,
+    metadata: { lastMessageId, chunks: [] },
+  };
+}
+
+beforeEach(async () => {
+  resetStorage();
+  resetDatabase();
+  await useProvider(() => ({ title: 'Release prep', summary: 'The release was tagged.', tags: ['release'], suggestedTopicName: 'Shipping' }));
+});
+
+test('new messages revise the summary from where it left off', async () => {
+  const conv = conversation([
+    message('m1', 'user', 'Plan the release'), message('m2', 'assistant', 'Tag it first'),
+    message('m3', 'user', 'Tagged it'), message('m4', 'assistant', 'Great, done'),
+  ]);
+  const existing = existingSummary('m2');
+  await dbPut('conversations', conv);
+  await dbPut('summaries', existing);
+  await dbPut('actionItems', { id: 'i1', kind: 'action', text: 'Tag the release', sourceText: 'Tag the release', status: 'open', conversationId: 'c1', summaryId: 's1' });
+
+  const summary = await summarizeOrUpdate(conv, null);
+  assert.equal(requests.length, 1);
+  const prompt = requests[0].messages[1].content;
+  assert.match(prompt, /Existing summary/);
+  assert.match(prompt, /Tagged it/);
+  assert.doesNotMatch(prompt, /Plan the release/);
+  assert.equal(summary.id, 's1');
+  assert.equal(summary.revision, 2);
+  assert.equal(summary.metadata.lastMessageId, 'm4');
+  // The revision dropped the item, so the new messages resolved it
+  assert.equal((await dbGetAll('actionItems'))[0].status, 'done');
+});
+
+test('a summary whose last message is gone is rerun in place', async () => {
+  const conv = conversation([message('n1', 'user', 'Plan the release'), message('n2', 'assistant', 'Tag it first')]);
+  await dbPut('conversations', conv);
+  await dbPut('summaries', existingSummary('gone'));
+  await dbPut('actionItems', { id: 'i1', kind: 'action', text: 'Tag the release', sourceText: 'Tag the release', status: 'open', conversationId: 'c1', summaryId: 's1' });
+
+  const summary = await summarizeOrUpdate(conv, null);
+  assert.match(requests[0].messages[1].content, /Plan the release/);
+  assert.equal(summary.id, 's1');
+  assert.equal(summary.topicId, 't1');
+  assert.equal(summary.suggestedTopicName, 'Releases');
+  assert.equal(summary.revision, 2);
+  assert.deepEqual((await dbGetAll('summaries')).map(s => s.id), ['s1']);
+  // A full rerun says nothing about what was resolved
+  assert.equal((await dbGetAll('actionItems'))[0].status, 'open');
+});
+
+test('re-summarizing with nothing new reruns in place', async () => {
+  const conv = conversation([message('m1', 'user', 'Plan the release'), message('m2', 'assistant', 'Tag it first')]);
+  await dbPut('conversations', conv);
+  await dbPut('summaries', existingSummary('m2'));
+  await dbPut('actionItems', { id: 'i1', kind: 'action', text: 'Tag the release', sourceText: 'Tag the release', status: 'open', conversationId: 'c1', summaryId: 's1' });
+
+  const summary = await summarizeOrUpdate(conv, null);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].messages[1].content, /Analyze this conversation/);
+  assert.equal(summary.id, 's1');
+  assert.equal(summary.topicId, 't1');
+  assert.equal(summary.revision, 2);
+  assert.equal(summary.summary, 'The release was tagged.');
+  assert.equal((await dbGetAll('actionItems'))[0].status, 'open');
+});
+
+test('re-summarizing after a profile change applies the new profile', async () => {
+  const conv = conversation([message('m1', 'user', 'The build fails'), message('m2', 'assistant', 'Pin the compiler')]);
+  await dbPut('conversations', conv);
+  await dbPut('summaries', { ...existingSummary('m2'), metadata: { lastMessageId: 'm2', chunks: [], profileId: 'general' } });
+  await assignProfile('conversations', 'c1', 'debugging');
+  await useProvider(() => ({ summary: 'The build was fixed.', rootCause: 'A compiler upgrade', fix: 'Pinned the compiler' }));
+
+  const summary = await summarizeOrUpdate(conv, null);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].messages[0].content, /debugging session/);
+  assert.equal(summary.metadata.profileId, 'debugging');
+  assert.deepEqual(summary.fields.map(f => [f.key, f.value]), [['rootCause', 'A compiler upgrade'], ['fix', 'Pinned the compiler']]);
+});
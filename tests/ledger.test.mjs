@@ -0,0 +1,77 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import { checkBudget, getCurrentSpend, saveBudgets, recordUsage } from '../lib/ledger.js';
+import { dbPut } from '../lib/db.js';
+
+/** Mid-afternoon on 15 March, local time. */
+const NOW = new Date(2026, 2, 15, 15, 0);
+
+let count = 0;
+const spent = (providerId, cost, at) =>
+  dbPut('ledger', { id: `l${++count}`, timestamp: at.toISOString(), providerId, cost });
+
+beforeEach(() => {
+  resetStorage();
+  resetDatabase();
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('without caps nothing is blocked', async () => {
+  await spent('openai', 100, NOW);
+  assert.deepEqual(await checkBudget(), { blocked: null, providers: {} });
+});
+
+test('background work is blocked once an overall cap is reached', async () => {
+  await saveBudgets({ daily: 1, monthly: 10 });
+  await spent('openai', 0.6, NOW);
+  assert.equal((await checkBudget()).blocked, null);
+
+  await spent('gemini', 0.4, NOW);
+  assert.equal((await checkBudget()).blocked, 'Daily budget of $1.00 reached');
+});
+
+test('a provider over its own cap is listed without blocking the others', async () => {
+  await saveBudgets({ providers: { openai: { daily: 0.5 }, gemini: { monthly: 5 } } });
+  await spent('openai', 0.5, NOW);
+  await spent('gemini', 1, NOW);
+  assert.deepEqual(await checkBudget(), { blocked: null, providers: { openai: 'daily budget of $0.50 reached' } });
+});
+
+test('spend counts toward the day and month it happened in', async () => {
+  await spent('openai', 1, new Date(2026, 2, 15, 0, 0));
+  await spent('openai', 2, new Date(2026, 2, 14, 23, 59));
+  await spent('openai', 4, new Date(2026, 2, 1, 0, 0));
+  await spent('openai', 8, new Date(2026, 1, 28, 23, 59));
+
+  const spend = await getCurrentSpend();
+  assert.deepEqual(spend.day, { total: 1, providers: { openai: 1 } });
+  assert.deepEqual(spend.month, { total: 7, providers: { openai: 7 } });
+
+  // Yesterday's spend no longer counts toward today's cap, but still toward the month's
+  await saveBudgets({ daily: 2, monthly: 7 });
+  assert.equal((await checkBudget()).blocked, 'Monthly budget of $7.00 reached');
+  await saveBudgets({ daily: 2, monthly: 8 });
+  assert.equal((await checkBudget()).blocked, null);
+});
+
+test('recorded requests are priced, and local servers are free', async () => {
+  await saveBudgets({ daily: 1 });
+  const openai = { id: 'openai', type: 'openai', name: 'OpenAI' };
+  const local = { id: 'local', type: 'compatible', name: 'Ollama' };
+  const usage = { prompt_tokens: 1_000_000, completion_tokens: 0 };
+  await recordUsage({ kind: 'completion', provider: local, model: 'gpt-4o', usage, inputText: '' });
+  assert.equal((await checkBudget()).blocked, null);
+
+  const record = await recordUsage({ kind: 'completion', provider: openai, model: 'gpt-4o-mini', usage: { prompt_tokens: 1_000_000, completion_tokens: 1_000_000 }, inputText: '' });
+  assert.equal(record.cost, 0.75);
+  await recordUsage({ kind: 'completion', provider: openai, model: 'gpt-4o-mini', usage, inputText: '' });
+  assert.equal((await checkBudget()).blocked, null);
+  await recordUsage({ kind: 'completion', provider: openai, model: 'gpt-4o', usage: { prompt_tokens: 40_000, completion_tokens: 0 }, inputText: '' });
+  assert.equal((await checkBudget()).blocked, 'Daily budget of $1.00 reached');
+});
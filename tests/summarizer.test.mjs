@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import { useProvider, requests } from './helpers/provider.mjs';
+import { summarizeConversation } from '../lib/summarizer.js';
+
+/** A message long enough (about 7,500 tokens) to fill a chunk of its own. */
+const longMessage = (n) => ({
+  id: `m${n}`,
+  role: n % 2 ? 'user' : 'assistant',
+  content: `Step ${n}. ` + 'word '.repeat(6000),
+});
+
+const userContent = (body) => body.messages.find(m => m.role === 'user').content;
+
+beforeEach(async () => {
+  resetStorage();
+  resetDatabase();
+  // Each part is summarized as its step; each merge lists what it merged
+  await useProvider((body) => {
+    const content = userContent(body);
+    const step = /Step (\d+)\./.exec(content)?.[1] || 'continued';
+    if (content.startsWith('Summarize')) return { summary: `step ${step}`, tags: [`step-${step}`] };
+    const merged = [...content.matchAll(/"summary":"([^"]+)"/g)].map(m => m[1]);
+    return { summary: merged.join(', '), tags: ['merged'] };
+  });
+});
+
+test('a short conversation is summarized in one request', async () => {
+  const conv = { id: 'c1', source: 'claude', title: 'Short', messages: [{ id: 'm1', role: 'user', content: 'Step 1. Hi' }] };
+  await useProvider(() => ({ summary: 'A greeting.' }));
+  const summary = await summarizeConversation(conv);
+  assert.equal(requests.length, 1);
+  assert.equal(summary.summary, 'A greeting.');
+  assert.equal(summary.metadata.strategy, 'single');
+});
+
+test('long conversations are summarized part by part and merged in order', async () => {
+  const conv = { id: 'c1', source: 'claude', title: 'Long', messages: Array.from({ length: 10 }, (_, i) => longMessage(i + 1)) };
+  const summary = await summarizeConversation(conv);
+
+  const contents = requests.map(userContent);
+  const parts = contents.filter(c => c.startsWith('Summarize'));
+  assert.deepEqual(parts.map(c => /part (\d+) of 10/.exec(c)[1]), ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10']);
+  parts.forEach((c, i) => assert.match(c, new RegExp(`Step ${i + 1}\\.`)));
+
+  // Ten parts merge in groups of four, then once more
+  const merges = contents.filter(c => c.startsWith('Merge'));
+  assert.equal(merges.length, 4);
+  assert.deepEqual([...merges[0].matchAll(/### (.+)/g)].map(m => m[1]), ['part 1 of 10', 'part 2 of 10', 'part 3 of 10', 'part 4 of 10']);
+  assert.deepEqual([...merges[2].matchAll(/### (.+)/g)].map(m => m[1]), ['part 9 of 10', 'part 10 of 10']);
+  assert.deepEqual([...merges[3].matchAll(/### (.+)/g)].map(m => m[1]), ['parts 1-4 of 10', 'parts 5-8 of 10', 'parts 9-10 of 10']);
+
+  assert.equal(summary.summary, Array.from({ length: 10 }, (_, i) => `step ${i + 1}`).join(', '));
+  assert.equal(summary.metadata.strategy, 'map-reduce');
+  assert.deepEqual(summary.metadata.chunks.map(c => [c.index, c.firstMessageId, c.lastMessageId]),
+    Array.from({ length: 10 }, (_, i) => [i, `m${i + 1}`, `m${i + 1}`]));
+  assert.equal(summary.metadata.lastMessageId, 'm10');
+  assert.equal(summary.metadata.tokensUsed, 20 * requests.length);
+});
+
+test('an oversized message with code is split across parts without repeating it', async () => {
+  const code = 'const value = 1;\n'.repeat(6000);
+  const conv = { id: 'c1', source: 'claude', title: 'Big file', messages: [{
+    id: 'm1',
+    role: 'assistant',
+    content: `Step 1. Here it is\n\n\`\`\`js\n${code}\`\`\``,
+    parts: [{ type: 'text', text: 'Step 1. Here it is' }, { type: 'code', language: 'js', code }],
+  }] };
+  const summary = await summarizeConversation(conv);
+
+  const parts = requests.map(userContent).filter(c => c.startsWith('Summarize'));
+  assert.equal(parts.length, 3);
+  for (const content of parts) assert.ok(content.length < 41000, `part request is ${content.length} characters`);
+  assert.match(parts[1], /\[\.\.\. continued\]/);
+  assert.equal(summary.metadata.strategy, 'map-reduce');
+  assert.deepEqual(summary.metadata.chunks.map(c => c.firstMessageId), ['m1', 'm1', 'm1']);
+});
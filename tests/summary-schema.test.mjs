@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJson, validateSummary, checkSummaryResponse, schemaPrompt } from '../lib/summary-schema.js';
+
+test('valid JSON parses without repairs', () => {
+  const { value, repairs, error } = extractJson('{"summary": "ok"}');
+  assert.deepEqual(value, { summary: 'ok' });
+  assert.deepEqual(repairs, []);
+  assert.equal(error, null);
+});
+
+test('fences, surrounding text and trailing commas are repaired', () => {
+  const { value, repairs } = extractJson('Here you go:\n```json\n{"summary": "ok", "tags": ["a", "b",],}\n```');
+  assert.deepEqual(value, { summary: 'ok', tags: ['a', 'b'] });
+  assert.deepEqual(repairs, ['removed code fence', 'removed trailing commas']);
+
+  const prose = extractJson('Sure! {"summary": "uses {braces}"} Hope that helps.');
+  assert.deepEqual(prose.value, { summary: 'uses {braces}' });
+  assert.deepEqual(prose.repairs, ['removed text around the JSON object']);
+});
+
+test('a truncated response is closed, dropping a key with no value', () => {
+  const { value, repairs } = extractJson('{"summary": "ok", "tags": ["a", "b"');
+  assert.deepEqual(value, { summary: 'ok', tags: ['a', 'b'] });
+  assert.ok(repairs.includes('closed truncated JSON'));
+
+  assert.deepEqual(extractJson('{"summary": "cut off mid-sen').value, { summary: 'cut off mid-sen' });
+  assert.deepEqual(extractJson('{"summary": "ok", "title":').value, { summary: 'ok' });
+  assert.deepEqual(extractJson('{"summary": "ok", "tit').value, { summary: 'ok' });
+});
+
+test('responses without a JSON object report an error', () => {
+  assert.equal(extractJson('I cannot summarize this.').error, 'response contains no JSON object');
+  assert.equal(extractJson('[1, 2]').value, null);
+});
+
+test('fields are coerced to their schema types', () => {
+  const { value, repairs, problems } = validateSummary({
+    title: 'x'.repeat(100),
+    summary: ['First part.', 'Second part.'],
+    keyInsights: '- one\n- two\n',
+    decisions: [{ decision: 'Use SQLite' }],
+    codeSnippets: { language: 'js', code: 'let a = 1;' },
+    actionItems: ['Write docs', { owner: 'ana' }],
+    tags: 'React, react, Hooks',
+    extra: 'kept',
+  });
+  assert.deepEqual(problems, []);
+  assert.equal(value.title.length, 80);
+  assert.ok(value.title.endsWith('…'));
+  assert.equal(value.summary, 'First part.\n\nSecond part.');
+  assert.deepEqual(value.keyInsights, ['one', 'two']);
+  assert.deepEqual(value.decisions, ['Use SQLite']);
+  assert.deepEqual(value.codeSnippets, [{ language: 'js', code: 'let a = 1;', description: '' }]);
+  assert.deepEqual(value.actionItems, [{ text: 'Write docs', owner: '', dueDate: '' }]);
+  assert.deepEqual(value.tags, ['react', 'hooks']);
+  assert.deepEqual(value.openQuestions, []);
+  assert.equal(value.extra, 'kept');
+  assert.ok(repairs.includes('"title": shortened to 80 characters'));
+  assert.ok(repairs.includes('"summary": joined list into text'));
+  assert.ok(repairs.includes('"actionItems": converted text items'));
+});
+
+test('fields that cannot be coerced are reported', () => {
+  const { problems } = validateSummary({ summary: '  ', keyInsights: 42, entities: [null] });
+  assert.deepEqual(problems, [
+    '"summary" is empty',
+    '"keyInsights" should be a list, got a number',
+    '"entities" has an item that is null',
+  ]);
+  assert.deepEqual(validateSummary({}).problems, ['"summary" is missing']);
+});
+
+test('a response is accepted only when every problem is repaired', () => {
+  const ok = checkSummaryResponse('```json\n{"summary": "Done", "tags": "a, b"}\n```');
+  assert.equal(ok.value.summary, 'Done');
+  assert.deepEqual(ok.value.tags, ['a', 'b']);
+  assert.deepEqual(ok.problems, []);
+  assert.deepEqual(ok.repairs, ['removed code fence', '"tags": split text into a list']);
+
+  const bad = checkSummaryResponse('{"title": "No summary"}');
+  assert.equal(bad.value, null);
+  assert.deepEqual(bad.problems, ['"summary" is missing']);
+
+  assert.deepEqual(checkSummaryResponse('nothing').problems, ['response contains no JSON object']);
+});
+
+test('the prompt template lists every field', () => {
+  const fields = { a: { type: 'string', example: 'text' }, b: { type: 'string[]', example: ['x', 'y'] } };
+  assert.equal(schemaPrompt(fields), '{\n  "a": "text",\n  "b": ["x", "y"]\n}');
+});
@@ -0,0 +1,71 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/chrome.mjs';
+import { resetDatabase } from './helpers/indexeddb.mjs';
+import { searchIndex, exactSearch, syncIndex, indexEmbedding, clearIndexes } from '../lib/vector-index.js';
+import { dbPut, dbDelete } from '../lib/db.js';
+
+const MODEL = 'test:model';
+const DIM = 24;
+
+/** Deterministic vectors, so a failure can be reproduced. */
+function random(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 2 ** 32 - 0.5;
+  };
+}
+
+function embedding(id, vector) {
+  return { id, type: 'summary', modelId: MODEL, summaryId: `s-${id}`, vector, dim: vector.length };
+}
+
+async function store(record) {
+  await dbPut('embeddings', record);
+  return record;
+}
+
+beforeEach(async () => {
+  resetDatabase();
+  await clearIndexes();
+});
+
+test('ANN search finds the exact top-k for nearly every query', async () => {
+  const next = random(42);
+  const vector = () => Array.from({ length: DIM }, next);
+  for (let i = 0; i < 400; i++) await store(embedding(`e${i}`, vector()));
+  await syncIndex('summary', MODEL);
+
+  const k = 10;
+  let found = 0;
+  for (let q = 0; q < 25; q++) {
+    const query = vector();
+    const ann = await searchIndex('summary', MODEL, query, k);
+    const exact = await exactSearch('summary', MODEL, query, k);
+    const annIds = new Set(ann.map(hit => hit.id));
+    found += exact.filter(hit => annIds.has(hit.id)).length;
+    assert.ok(ann.every((hit, i) => i === 0 || hit.similarity <= ann[i - 1].similarity));
+  }
+  assert.ok(found / (25 * k) >= 0.95, `recall ${found / (25 * k)}`);
+});
+
+test('a graph cached from before a rebuild is reloaded', async () => {
+  // A second copy of the module stands in for another extension context
+  const other = await import('../lib/vector-index.js?context=other');
+  const axis = (i) => Array.from({ length: DIM }, (_, j) => (j === i ? 1 : 0));
+
+  for (let i = 0; i < 4; i++) await store(embedding(`old${i}`, axis(i)));
+  await syncIndex('summary', MODEL);
+  await indexEmbedding(await store(embedding('old4', axis(4))));
+  assert.equal((await other.searchIndex('summary', MODEL, axis(4), 1))[0].id, 'old4');
+
+  // Rebuilt from different vectors, then changed once: the same version as before
+  for (let i = 0; i <= 4; i++) await dbDelete('embeddings', `old${i}`);
+  await store(embedding('fresh', axis(10)));
+  await dbDelete('annMeta', `summary@${MODEL}`);
+  await syncIndex('summary', MODEL);
+  await indexEmbedding(await store(embedding('fresh2', axis(11))));
+
+  const [hit] = await other.searchIndex('summary', MODEL, axis(10), 1);
+  assert.equal(hit.id, 'fresh');
+});